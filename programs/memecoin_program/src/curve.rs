@@ -0,0 +1,40 @@
+//! Curve arithmetic. Every rounding favours the curve, so no sequence of
+//! trades can drain more than it put in. src/utils/bondingCurve.js quotes
+//! with the same formulas and rounding.
+
+use anchor_lang::prelude::*;
+
+use crate::errors::CurveError;
+
+const BASIS_POINTS: u128 = 10_000;
+
+fn to_u64(value: u128) -> Result<u64> {
+    u64::try_from(value).map_err(|_| error!(CurveError::MathOverflow))
+}
+
+/// Lamports, before the fee, to take `token_amount` out of the curve.
+/// Rounded up.
+pub fn buy_cost(virtual_sol_reserves: u64, virtual_token_reserves: u64, token_amount: u64) -> Result<u64> {
+    require!(token_amount < virtual_token_reserves, CurveError::InsufficientReserves);
+    let numerator = (virtual_sol_reserves as u128)
+        .checked_mul(token_amount as u128)
+        .ok_or(CurveError::MathOverflow)?;
+    let denominator = (virtual_token_reserves - token_amount) as u128;
+    to_u64((numerator + denominator - 1) / denominator)
+}
+
+/// Lamports, before the fee, paid out for `token_amount` sold into the
+/// curve. Rounded down.
+pub fn sell_proceeds(virtual_sol_reserves: u64, virtual_token_reserves: u64, token_amount: u64) -> Result<u64> {
+    let numerator = (virtual_sol_reserves as u128)
+        .checked_mul(token_amount as u128)
+        .ok_or(CurveError::MathOverflow)?;
+    let denominator = (virtual_token_reserves as u128) + (token_amount as u128);
+    to_u64(numerator / denominator)
+}
+
+/// Trade fee on `lamports`. Rounded up.
+pub fn trade_fee(lamports: u64, fee_basis_points: u16) -> Result<u64> {
+    let numerator = (lamports as u128) * (fee_basis_points as u128);
+    to_u64((numerator + BASIS_POINTS - 1) / BASIS_POINTS)
+}
@@ -0,0 +1,29 @@
+use anchor_lang::prelude::*;
+
+#[error_code]
+pub enum CurveError {
+    #[msg("Virtual reserves must be positive and exceed the tokens deposited")]
+    InvalidReserves,
+    #[msg("Graduation threshold must be greater than zero")]
+    InvalidGraduationThreshold,
+    #[msg("Fee is above the maximum")]
+    FeeTooHigh,
+    #[msg("Amount must be greater than zero")]
+    ZeroAmount,
+    #[msg("The curve has completed and no longer trades")]
+    CurveComplete,
+    #[msg("The curve has not completed yet")]
+    CurveNotComplete,
+    #[msg("The curve does not hold enough reserves")]
+    InsufficientReserves,
+    #[msg("Price moved beyond the slippage limit")]
+    SlippageExceeded,
+    #[msg("The curve's reserves were already withdrawn")]
+    AlreadyWithdrawn,
+    #[msg("Arithmetic overflow")]
+    MathOverflow,
+    #[msg("Unlock time must be in the future")]
+    UnlockTimeInPast,
+    #[msg("The LP tokens are still locked")]
+    StillLocked,
+}
@@ -0,0 +1,46 @@
+use anchor_lang::prelude::*;
+
+#[event]
+pub struct TradeEvent {
+    pub mint: Pubkey,
+    pub trader: Pubkey,
+    pub is_buy: bool,
+    /// Lamports moved by the curve, before the fee
+    pub sol_amount: u64,
+    pub token_amount: u64,
+    pub fee: u64,
+    pub virtual_sol_reserves: u64,
+    pub virtual_token_reserves: u64,
+    pub real_sol_reserves: u64,
+    pub real_token_reserves: u64,
+}
+
+#[event]
+pub struct CurveCompleteEvent {
+    pub mint: Pubkey,
+    pub real_sol_reserves: u64,
+    pub real_token_reserves: u64,
+}
+
+#[event]
+pub struct WithdrawEvent {
+    pub mint: Pubkey,
+    pub authority: Pubkey,
+    pub sol_amount: u64,
+    pub token_amount: u64,
+}
+
+#[event]
+pub struct LpLockedEvent {
+    pub lp_mint: Pubkey,
+    pub owner: Pubkey,
+    pub amount: u64,
+    pub unlock_at: i64,
+}
+
+#[event]
+pub struct LpUnlockedEvent {
+    pub lp_mint: Pubkey,
+    pub owner: Pubkey,
+    pub amount: u64,
+}
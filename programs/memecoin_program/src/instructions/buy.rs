@@ -0,0 +1,144 @@
+use anchor_lang::{
+    prelude::*,
+    system_program::{self, Transfer},
+};
+use anchor_spl::{
+    associated_token::AssociatedToken,
+    token_interface::{self, Mint, TokenAccount, TokenInterface, TransferChecked},
+};
+
+use crate::{
+    curve,
+    errors::CurveError,
+    events::{CurveCompleteEvent, TradeEvent},
+    state::*,
+};
+
+#[derive(Accounts)]
+pub struct Buy<'info> {
+    #[account(mut)]
+    pub buyer: Signer<'info>,
+    pub mint: InterfaceAccount<'info, Mint>,
+    #[account(
+        mut,
+        seeds = [BONDING_CURVE_SEED, mint.key().as_ref()],
+        bump = bonding_curve.bump,
+        has_one = mint,
+        has_one = fee_recipient
+    )]
+    pub bonding_curve: Account<'info, BondingCurve>,
+    #[account(
+        mut,
+        associated_token::mint = mint,
+        associated_token::authority = bonding_curve,
+        associated_token::token_program = token_program
+    )]
+    pub curve_token_account: InterfaceAccount<'info, TokenAccount>,
+    #[account(
+        init_if_needed,
+        payer = buyer,
+        associated_token::mint = mint,
+        associated_token::authority = buyer,
+        associated_token::token_program = token_program
+    )]
+    pub buyer_token_account: InterfaceAccount<'info, TokenAccount>,
+    /// CHECK: Checked against the curve by has_one
+    #[account(mut)]
+    pub fee_recipient: UncheckedAccount<'info>,
+    pub token_program: Interface<'info, TokenInterface>,
+    pub associated_token_program: Program<'info, AssociatedToken>,
+    pub system_program: Program<'info, System>,
+}
+
+pub fn handler(ctx: Context<Buy>, token_amount: u64, max_sol_cost: u64) -> Result<()> {
+    require!(token_amount > 0, CurveError::ZeroAmount);
+
+    let bonding_curve = &ctx.accounts.bonding_curve;
+    require!(!bonding_curve.complete, CurveError::CurveComplete);
+    require!(token_amount <= bonding_curve.real_token_reserves, CurveError::InsufficientReserves);
+
+    let sol_cost = curve::buy_cost(
+        bonding_curve.virtual_sol_reserves,
+        bonding_curve.virtual_token_reserves,
+        token_amount,
+    )?;
+    let fee = curve::trade_fee(sol_cost, bonding_curve.fee_basis_points)?;
+    let total_cost = sol_cost.checked_add(fee).ok_or(CurveError::MathOverflow)?;
+    require!(total_cost <= max_sol_cost, CurveError::SlippageExceeded);
+
+    system_program::transfer(
+        CpiContext::new(
+            ctx.accounts.system_program.to_account_info(),
+            Transfer {
+                from: ctx.accounts.buyer.to_account_info(),
+                to: ctx.accounts.bonding_curve.to_account_info(),
+            },
+        ),
+        sol_cost,
+    )?;
+    if fee > 0 {
+        system_program::transfer(
+            CpiContext::new(
+                ctx.accounts.system_program.to_account_info(),
+                Transfer {
+                    from: ctx.accounts.buyer.to_account_info(),
+                    to: ctx.accounts.fee_recipient.to_account_info(),
+                },
+            ),
+            fee,
+        )?;
+    }
+
+    let mint_key = ctx.accounts.mint.key();
+    let bump = [ctx.accounts.bonding_curve.bump];
+    let signer_seeds: &[&[&[u8]]] = &[&[BONDING_CURVE_SEED, mint_key.as_ref(), &bump]];
+    token_interface::transfer_checked(
+        CpiContext::new_with_signer(
+            ctx.accounts.token_program.to_account_info(),
+            TransferChecked {
+                from: ctx.accounts.curve_token_account.to_account_info(),
+                mint: ctx.accounts.mint.to_account_info(),
+                to: ctx.accounts.buyer_token_account.to_account_info(),
+                authority: ctx.accounts.bonding_curve.to_account_info(),
+            },
+            signer_seeds,
+        ),
+        token_amount,
+        ctx.accounts.mint.decimals,
+    )?;
+
+    let bonding_curve = &mut ctx.accounts.bonding_curve;
+    bonding_curve.virtual_sol_reserves = bonding_curve
+        .virtual_sol_reserves
+        .checked_add(sol_cost)
+        .ok_or(CurveError::MathOverflow)?;
+    bonding_curve.virtual_token_reserves -= token_amount;
+    bonding_curve.real_sol_reserves = bonding_curve
+        .real_sol_reserves
+        .checked_add(sol_cost)
+        .ok_or(CurveError::MathOverflow)?;
+    bonding_curve.real_token_reserves -= token_amount;
+
+    emit!(TradeEvent {
+        mint: mint_key,
+        trader: ctx.accounts.buyer.key(),
+        is_buy: true,
+        sol_amount: sol_cost,
+        token_amount,
+        fee,
+        virtual_sol_reserves: bonding_curve.virtual_sol_reserves,
+        virtual_token_reserves: bonding_curve.virtual_token_reserves,
+        real_sol_reserves: bonding_curve.real_sol_reserves,
+        real_token_reserves: bonding_curve.real_token_reserves,
+    });
+
+    if bonding_curve.check_graduation() {
+        emit!(CurveCompleteEvent {
+            mint: mint_key,
+            real_sol_reserves: bonding_curve.real_sol_reserves,
+            real_token_reserves: bonding_curve.real_token_reserves,
+        });
+    }
+
+    Ok(())
+}
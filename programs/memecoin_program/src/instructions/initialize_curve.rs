@@ -0,0 +1,99 @@
+use anchor_lang::prelude::*;
+use anchor_spl::{
+    associated_token::AssociatedToken,
+    token_interface::{self, Mint, TokenAccount, TokenInterface, TransferChecked},
+};
+
+use crate::{errors::CurveError, state::*};
+
+#[derive(AnchorSerialize, AnchorDeserialize, Clone)]
+pub struct InitializeCurveArgs {
+    pub virtual_sol_reserves: u64,
+    pub virtual_token_reserves: u64,
+    /// Tokens moved from the creator into the curve's vault
+    pub token_amount: u64,
+    pub graduation_threshold: u64,
+    pub fee_basis_points: u16,
+}
+
+#[derive(Accounts)]
+pub struct InitializeCurve<'info> {
+    #[account(mut)]
+    pub creator: Signer<'info>,
+    /// CHECK: Only recorded; must sign the withdrawal once the curve completes
+    pub authority: UncheckedAccount<'info>,
+    /// CHECK: Only recorded; receives trade fees
+    pub fee_recipient: UncheckedAccount<'info>,
+    #[account(mint::token_program = token_program)]
+    pub mint: InterfaceAccount<'info, Mint>,
+    #[account(
+        init,
+        payer = creator,
+        space = 8 + BondingCurve::INIT_SPACE,
+        seeds = [BONDING_CURVE_SEED, mint.key().as_ref()],
+        bump
+    )]
+    pub bonding_curve: Account<'info, BondingCurve>,
+    #[account(
+        init,
+        payer = creator,
+        associated_token::mint = mint,
+        associated_token::authority = bonding_curve,
+        associated_token::token_program = token_program
+    )]
+    pub curve_token_account: InterfaceAccount<'info, TokenAccount>,
+    #[account(
+        mut,
+        token::mint = mint,
+        token::authority = creator,
+        token::token_program = token_program
+    )]
+    pub creator_token_account: InterfaceAccount<'info, TokenAccount>,
+    pub token_program: Interface<'info, TokenInterface>,
+    pub associated_token_program: Program<'info, AssociatedToken>,
+    pub system_program: Program<'info, System>,
+}
+
+pub fn handler(ctx: Context<InitializeCurve>, args: InitializeCurveArgs) -> Result<()> {
+    require!(args.token_amount > 0, CurveError::ZeroAmount);
+    require!(
+        args.virtual_sol_reserves > 0 && args.virtual_token_reserves > args.token_amount,
+        CurveError::InvalidReserves
+    );
+    require!(args.graduation_threshold > 0, CurveError::InvalidGraduationThreshold);
+    require!(args.fee_basis_points <= MAX_FEE_BASIS_POINTS, CurveError::FeeTooHigh);
+
+    token_interface::transfer_checked(
+        CpiContext::new(
+            ctx.accounts.token_program.to_account_info(),
+            TransferChecked {
+                from: ctx.accounts.creator_token_account.to_account_info(),
+                mint: ctx.accounts.mint.to_account_info(),
+                to: ctx.accounts.curve_token_account.to_account_info(),
+                authority: ctx.accounts.creator.to_account_info(),
+            },
+        ),
+        args.token_amount,
+        ctx.accounts.mint.decimals,
+    )?;
+
+    // A Token-2022 transfer fee leaves the vault with less than was sent
+    ctx.accounts.curve_token_account.reload()?;
+
+    ctx.accounts.bonding_curve.set_inner(BondingCurve {
+        creator: ctx.accounts.creator.key(),
+        authority: ctx.accounts.authority.key(),
+        mint: ctx.accounts.mint.key(),
+        fee_recipient: ctx.accounts.fee_recipient.key(),
+        virtual_sol_reserves: args.virtual_sol_reserves,
+        virtual_token_reserves: args.virtual_token_reserves,
+        real_sol_reserves: 0,
+        real_token_reserves: ctx.accounts.curve_token_account.amount,
+        graduation_threshold: args.graduation_threshold,
+        fee_basis_points: args.fee_basis_points,
+        complete: false,
+        bump: ctx.bumps.bonding_curve,
+    });
+
+    Ok(())
+}
@@ -0,0 +1,77 @@
+use anchor_lang::prelude::*;
+use anchor_spl::{
+    associated_token::AssociatedToken,
+    token_interface::{self, Mint, TokenAccount, TokenInterface, TransferChecked},
+};
+
+use crate::{errors::CurveError, events::LpLockedEvent, state::*};
+
+#[derive(Accounts)]
+pub struct LockLp<'info> {
+    #[account(mut)]
+    pub owner: Signer<'info>,
+    #[account(mint::token_program = token_program)]
+    pub lp_mint: InterfaceAccount<'info, Mint>,
+    #[account(
+        init,
+        payer = owner,
+        space = 8 + LpLock::INIT_SPACE,
+        seeds = [LP_LOCK_SEED, lp_mint.key().as_ref(), owner.key().as_ref()],
+        bump
+    )]
+    pub lp_lock: Account<'info, LpLock>,
+    /// Anyone can create the lock's ATA ahead of time, which must not block the lock
+    #[account(
+        init_if_needed,
+        payer = owner,
+        associated_token::mint = lp_mint,
+        associated_token::authority = lp_lock,
+        associated_token::token_program = token_program
+    )]
+    pub lock_token_account: InterfaceAccount<'info, TokenAccount>,
+    #[account(
+        mut,
+        token::mint = lp_mint,
+        token::authority = owner,
+        token::token_program = token_program
+    )]
+    pub owner_token_account: InterfaceAccount<'info, TokenAccount>,
+    pub token_program: Interface<'info, TokenInterface>,
+    pub associated_token_program: Program<'info, AssociatedToken>,
+    pub system_program: Program<'info, System>,
+}
+
+pub fn handler(ctx: Context<LockLp>, amount: u64, unlock_at: i64) -> Result<()> {
+    require!(amount > 0, CurveError::ZeroAmount);
+    require!(unlock_at > Clock::get()?.unix_timestamp, CurveError::UnlockTimeInPast);
+
+    token_interface::transfer_checked(
+        CpiContext::new(
+            ctx.accounts.token_program.to_account_info(),
+            TransferChecked {
+                from: ctx.accounts.owner_token_account.to_account_info(),
+                mint: ctx.accounts.lp_mint.to_account_info(),
+                to: ctx.accounts.lock_token_account.to_account_info(),
+                authority: ctx.accounts.owner.to_account_info(),
+            },
+        ),
+        amount,
+        ctx.accounts.lp_mint.decimals,
+    )?;
+
+    let lp_lock = &mut ctx.accounts.lp_lock;
+    lp_lock.owner = ctx.accounts.owner.key();
+    lp_lock.lp_mint = ctx.accounts.lp_mint.key();
+    lp_lock.amount = amount;
+    lp_lock.unlock_at = unlock_at;
+    lp_lock.bump = ctx.bumps.lp_lock;
+
+    emit!(LpLockedEvent {
+        lp_mint: lp_lock.lp_mint,
+        owner: lp_lock.owner,
+        amount,
+        unlock_at,
+    });
+
+    Ok(())
+}
@@ -0,0 +1,13 @@
+pub mod buy;
+pub mod initialize_curve;
+pub mod lock_lp;
+pub mod sell;
+pub mod unlock_lp;
+pub mod withdraw;
+
+pub use buy::*;
+pub use initialize_curve::*;
+pub use lock_lp::*;
+pub use sell::*;
+pub use unlock_lp::*;
+pub use withdraw::*;
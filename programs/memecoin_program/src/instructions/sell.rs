@@ -0,0 +1,104 @@
+use anchor_lang::prelude::*;
+use anchor_spl::token_interface::{self, Mint, TokenAccount, TokenInterface, TransferChecked};
+
+use crate::{curve, errors::CurveError, events::TradeEvent, state::*};
+
+#[derive(Accounts)]
+pub struct Sell<'info> {
+    #[account(mut)]
+    pub seller: Signer<'info>,
+    pub mint: InterfaceAccount<'info, Mint>,
+    #[account(
+        mut,
+        seeds = [BONDING_CURVE_SEED, mint.key().as_ref()],
+        bump = bonding_curve.bump,
+        has_one = mint,
+        has_one = fee_recipient
+    )]
+    pub bonding_curve: Account<'info, BondingCurve>,
+    #[account(
+        mut,
+        associated_token::mint = mint,
+        associated_token::authority = bonding_curve,
+        associated_token::token_program = token_program
+    )]
+    pub curve_token_account: InterfaceAccount<'info, TokenAccount>,
+    #[account(
+        mut,
+        token::mint = mint,
+        token::authority = seller,
+        token::token_program = token_program
+    )]
+    pub seller_token_account: InterfaceAccount<'info, TokenAccount>,
+    /// CHECK: Checked against the curve by has_one
+    #[account(mut)]
+    pub fee_recipient: UncheckedAccount<'info>,
+    pub token_program: Interface<'info, TokenInterface>,
+}
+
+pub fn handler(ctx: Context<Sell>, token_amount: u64, min_sol_output: u64) -> Result<()> {
+    require!(token_amount > 0, CurveError::ZeroAmount);
+    require!(!ctx.accounts.bonding_curve.complete, CurveError::CurveComplete);
+
+    let vault_before = ctx.accounts.curve_token_account.amount;
+    token_interface::transfer_checked(
+        CpiContext::new(
+            ctx.accounts.token_program.to_account_info(),
+            TransferChecked {
+                from: ctx.accounts.seller_token_account.to_account_info(),
+                mint: ctx.accounts.mint.to_account_info(),
+                to: ctx.accounts.curve_token_account.to_account_info(),
+                authority: ctx.accounts.seller.to_account_info(),
+            },
+        ),
+        token_amount,
+        ctx.accounts.mint.decimals,
+    )?;
+
+    // Price what arrived, which is less than token_amount under a transfer fee
+    ctx.accounts.curve_token_account.reload()?;
+    let received = ctx.accounts.curve_token_account.amount - vault_before;
+
+    let bonding_curve = &ctx.accounts.bonding_curve;
+    let proceeds = curve::sell_proceeds(
+        bonding_curve.virtual_sol_reserves,
+        bonding_curve.virtual_token_reserves,
+        received,
+    )?;
+    require!(proceeds <= bonding_curve.real_sol_reserves, CurveError::InsufficientReserves);
+    let fee = curve::trade_fee(proceeds, bonding_curve.fee_basis_points)?;
+    let net = proceeds - fee;
+    require!(net >= min_sol_output, CurveError::SlippageExceeded);
+
+    // The curve owns its lamports, so they move without a system transfer
+    **ctx.accounts.bonding_curve.to_account_info().try_borrow_mut_lamports()? -= proceeds;
+    **ctx.accounts.seller.to_account_info().try_borrow_mut_lamports()? += net;
+    **ctx.accounts.fee_recipient.to_account_info().try_borrow_mut_lamports()? += fee;
+
+    let bonding_curve = &mut ctx.accounts.bonding_curve;
+    bonding_curve.virtual_sol_reserves -= proceeds;
+    bonding_curve.virtual_token_reserves = bonding_curve
+        .virtual_token_reserves
+        .checked_add(received)
+        .ok_or(CurveError::MathOverflow)?;
+    bonding_curve.real_sol_reserves -= proceeds;
+    bonding_curve.real_token_reserves = bonding_curve
+        .real_token_reserves
+        .checked_add(received)
+        .ok_or(CurveError::MathOverflow)?;
+
+    emit!(TradeEvent {
+        mint: bonding_curve.mint,
+        trader: ctx.accounts.seller.key(),
+        is_buy: false,
+        sol_amount: proceeds,
+        token_amount: received,
+        fee,
+        virtual_sol_reserves: bonding_curve.virtual_sol_reserves,
+        virtual_token_reserves: bonding_curve.virtual_token_reserves,
+        real_sol_reserves: bonding_curve.real_sol_reserves,
+        real_token_reserves: bonding_curve.real_token_reserves,
+    });
+
+    Ok(())
+}
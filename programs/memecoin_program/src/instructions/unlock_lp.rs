@@ -0,0 +1,90 @@
+use anchor_lang::prelude::*;
+use anchor_spl::{
+    associated_token::AssociatedToken,
+    token_interface::{self, CloseAccount, Mint, TokenAccount, TokenInterface, TransferChecked},
+};
+
+use crate::{errors::CurveError, events::LpUnlockedEvent, state::*};
+
+#[derive(Accounts)]
+pub struct UnlockLp<'info> {
+    #[account(mut)]
+    pub owner: Signer<'info>,
+    pub lp_mint: InterfaceAccount<'info, Mint>,
+    #[account(
+        mut,
+        close = owner,
+        seeds = [LP_LOCK_SEED, lp_mint.key().as_ref(), owner.key().as_ref()],
+        bump = lp_lock.bump,
+        has_one = lp_mint,
+        has_one = owner
+    )]
+    pub lp_lock: Account<'info, LpLock>,
+    #[account(
+        mut,
+        associated_token::mint = lp_mint,
+        associated_token::authority = lp_lock,
+        associated_token::token_program = token_program
+    )]
+    pub lock_token_account: InterfaceAccount<'info, TokenAccount>,
+    #[account(
+        init_if_needed,
+        payer = owner,
+        associated_token::mint = lp_mint,
+        associated_token::authority = owner,
+        associated_token::token_program = token_program
+    )]
+    pub owner_token_account: InterfaceAccount<'info, TokenAccount>,
+    pub token_program: Interface<'info, TokenInterface>,
+    pub associated_token_program: Program<'info, AssociatedToken>,
+    pub system_program: Program<'info, System>,
+}
+
+pub fn handler(ctx: Context<UnlockLp>) -> Result<()> {
+    require!(
+        Clock::get()?.unix_timestamp >= ctx.accounts.lp_lock.unlock_at,
+        CurveError::StillLocked
+    );
+
+    let lp_mint_key = ctx.accounts.lp_mint.key();
+    let owner_key = ctx.accounts.owner.key();
+    let bump = [ctx.accounts.lp_lock.bump];
+    let signer_seeds: &[&[&[u8]]] = &[&[LP_LOCK_SEED, lp_mint_key.as_ref(), owner_key.as_ref(), &bump]];
+
+    // Whatever the vault holds, in case more was sent to it after locking
+    let amount = ctx.accounts.lock_token_account.amount;
+    if amount > 0 {
+        token_interface::transfer_checked(
+            CpiContext::new_with_signer(
+                ctx.accounts.token_program.to_account_info(),
+                TransferChecked {
+                    from: ctx.accounts.lock_token_account.to_account_info(),
+                    mint: ctx.accounts.lp_mint.to_account_info(),
+                    to: ctx.accounts.owner_token_account.to_account_info(),
+                    authority: ctx.accounts.lp_lock.to_account_info(),
+                },
+                signer_seeds,
+            ),
+            amount,
+            ctx.accounts.lp_mint.decimals,
+        )?;
+    }
+
+    token_interface::close_account(CpiContext::new_with_signer(
+        ctx.accounts.token_program.to_account_info(),
+        CloseAccount {
+            account: ctx.accounts.lock_token_account.to_account_info(),
+            destination: ctx.accounts.owner.to_account_info(),
+            authority: ctx.accounts.lp_lock.to_account_info(),
+        },
+        signer_seeds,
+    ))?;
+
+    emit!(LpUnlockedEvent {
+        lp_mint: lp_mint_key,
+        owner: owner_key,
+        amount,
+    });
+
+    Ok(())
+}
@@ -0,0 +1,85 @@
+use anchor_lang::prelude::*;
+use anchor_spl::{
+    associated_token::AssociatedToken,
+    token_interface::{self, Mint, TokenAccount, TokenInterface, TransferChecked},
+};
+
+use crate::{errors::CurveError, events::WithdrawEvent, state::*};
+
+#[derive(Accounts)]
+pub struct Withdraw<'info> {
+    #[account(mut)]
+    pub authority: Signer<'info>,
+    pub mint: InterfaceAccount<'info, Mint>,
+    #[account(
+        mut,
+        seeds = [BONDING_CURVE_SEED, mint.key().as_ref()],
+        bump = bonding_curve.bump,
+        has_one = mint,
+        has_one = authority
+    )]
+    pub bonding_curve: Account<'info, BondingCurve>,
+    #[account(
+        mut,
+        associated_token::mint = mint,
+        associated_token::authority = bonding_curve,
+        associated_token::token_program = token_program
+    )]
+    pub curve_token_account: InterfaceAccount<'info, TokenAccount>,
+    #[account(
+        init_if_needed,
+        payer = authority,
+        associated_token::mint = mint,
+        associated_token::authority = authority,
+        associated_token::token_program = token_program
+    )]
+    pub authority_token_account: InterfaceAccount<'info, TokenAccount>,
+    pub token_program: Interface<'info, TokenInterface>,
+    pub associated_token_program: Program<'info, AssociatedToken>,
+    pub system_program: Program<'info, System>,
+}
+
+pub fn handler(ctx: Context<Withdraw>) -> Result<()> {
+    require!(ctx.accounts.bonding_curve.complete, CurveError::CurveNotComplete);
+
+    // Everything in the vault goes, including dust a transfer fee left behind
+    let token_amount = ctx.accounts.curve_token_account.amount;
+    let sol_amount = ctx.accounts.bonding_curve.real_sol_reserves;
+    require!(token_amount > 0 || sol_amount > 0, CurveError::AlreadyWithdrawn);
+
+    if token_amount > 0 {
+        let mint_key = ctx.accounts.mint.key();
+        let bump = [ctx.accounts.bonding_curve.bump];
+        let signer_seeds: &[&[&[u8]]] = &[&[BONDING_CURVE_SEED, mint_key.as_ref(), &bump]];
+        token_interface::transfer_checked(
+            CpiContext::new_with_signer(
+                ctx.accounts.token_program.to_account_info(),
+                TransferChecked {
+                    from: ctx.accounts.curve_token_account.to_account_info(),
+                    mint: ctx.accounts.mint.to_account_info(),
+                    to: ctx.accounts.authority_token_account.to_account_info(),
+                    authority: ctx.accounts.bonding_curve.to_account_info(),
+                },
+                signer_seeds,
+            ),
+            token_amount,
+            ctx.accounts.mint.decimals,
+        )?;
+    }
+
+    **ctx.accounts.bonding_curve.to_account_info().try_borrow_mut_lamports()? -= sol_amount;
+    **ctx.accounts.authority.to_account_info().try_borrow_mut_lamports()? += sol_amount;
+
+    let bonding_curve = &mut ctx.accounts.bonding_curve;
+    bonding_curve.real_sol_reserves = 0;
+    bonding_curve.real_token_reserves = 0;
+
+    emit!(WithdrawEvent {
+        mint: bonding_curve.mint,
+        authority: ctx.accounts.authority.key(),
+        sol_amount,
+        token_amount,
+    });
+
+    Ok(())
+}
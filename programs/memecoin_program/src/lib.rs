@@ -0,0 +1,62 @@
+//! Constant-product bonding curve for CoinMachine launches.
+//!
+//! Each launched mint gets one curve that sells its bonding-curve supply
+//! against virtual SOL and token reserves, pump.fun style: price is
+//! `virtual_sol_reserves / virtual_token_reserves` and every trade keeps
+//! their product constant. Once the curve has raised its graduation
+//! threshold it stops trading and its authority withdraws the SOL and
+//! remaining tokens to seed a Raydium pool.
+//!
+//! Pool creators can also lock LP tokens until a date, so buyers can check
+//! on chain that the liquidity cannot be pulled before then.
+
+use anchor_lang::prelude::*;
+
+pub mod curve;
+pub mod errors;
+pub mod events;
+pub mod instructions;
+pub mod state;
+
+pub use instructions::*;
+
+declare_id!("CZ2ahgRazrYcP3f4W3AmAfuLzseXXkTMR31DNFqxcZC8");
+
+#[program]
+pub mod memecoin_program {
+    use super::*;
+
+    /// Opens the curve for a mint and moves the creator's bonding-curve
+    /// supply into it.
+    pub fn initialize_curve(ctx: Context<InitializeCurve>, args: InitializeCurveArgs) -> Result<()> {
+        instructions::initialize_curve::handler(ctx, args)
+    }
+
+    /// Buys exactly `token_amount` tokens, paying at most `max_sol_cost`
+    /// lamports including the fee.
+    pub fn buy(ctx: Context<Buy>, token_amount: u64, max_sol_cost: u64) -> Result<()> {
+        instructions::buy::handler(ctx, token_amount, max_sol_cost)
+    }
+
+    /// Sells `token_amount` tokens for at least `min_sol_output` lamports
+    /// after the fee.
+    pub fn sell(ctx: Context<Sell>, token_amount: u64, min_sol_output: u64) -> Result<()> {
+        instructions::sell::handler(ctx, token_amount, min_sol_output)
+    }
+
+    /// Hands a completed curve's SOL and tokens to its authority.
+    pub fn withdraw(ctx: Context<Withdraw>) -> Result<()> {
+        instructions::withdraw::handler(ctx)
+    }
+
+    /// Moves `amount` LP tokens into a vault that only releases them to the
+    /// owner from `unlock_at` (unix seconds).
+    pub fn lock_lp(ctx: Context<LockLp>, amount: u64, unlock_at: i64) -> Result<()> {
+        instructions::lock_lp::handler(ctx, amount, unlock_at)
+    }
+
+    /// Returns an expired lock's LP tokens to its owner and closes it.
+    pub fn unlock_lp(ctx: Context<UnlockLp>) -> Result<()> {
+        instructions::unlock_lp::handler(ctx)
+    }
+}
@@ -0,0 +1,67 @@
+use anchor_lang::prelude::*;
+
+#[constant]
+pub const BONDING_CURVE_SEED: &[u8] = b"bonding_curve";
+
+#[constant]
+pub const LP_LOCK_SEED: &[u8] = b"lp_lock";
+
+/// Highest trade fee a curve can charge (10%).
+#[constant]
+pub const MAX_FEE_BASIS_POINTS: u16 = 1_000;
+
+/// One curve per mint, at PDA `["bonding_curve", mint]`. The curve owns the
+/// token vault and holds the SOL it has raised as its own lamports.
+#[account]
+#[derive(InitSpace)]
+pub struct BondingCurve {
+    pub creator: Pubkey,
+    /// Withdraws the reserves once the curve completes
+    pub authority: Pubkey,
+    pub mint: Pubkey,
+    /// Receives the trade fee on every buy and sell
+    pub fee_recipient: Pubkey,
+    /// Reserves the price is computed from; start above the real ones
+    pub virtual_sol_reserves: u64,
+    pub virtual_token_reserves: u64,
+    /// SOL raised from buyers and still held by the curve
+    pub real_sol_reserves: u64,
+    /// Tokens left in the vault to sell
+    pub real_token_reserves: u64,
+    /// Real SOL reserves at which the curve completes
+    pub graduation_threshold: u64,
+    pub fee_basis_points: u16,
+    /// Set once the threshold is reached or the tokens run out; trading stops
+    pub complete: bool,
+    pub bump: u8,
+}
+
+impl BondingCurve {
+    /// Marks the curve complete if this trade reached graduation. Returns
+    /// true the first time only.
+    pub fn check_graduation(&mut self) -> bool {
+        if self.complete {
+            return false;
+        }
+        if self.real_sol_reserves >= self.graduation_threshold || self.real_token_reserves == 0 {
+            self.complete = true;
+            return true;
+        }
+        false
+    }
+}
+
+/// LP tokens held until `unlock_at`, at PDA `["lp_lock", lp_mint, owner]`.
+/// The lock owns the vault; unlocking empties and closes both.
+#[account]
+#[derive(InitSpace)]
+pub struct LpLock {
+    /// Locked the tokens and is the only one who can unlock them
+    pub owner: Pubkey,
+    pub lp_mint: Pubkey,
+    /// LP tokens the vault received
+    pub amount: u64,
+    /// Unix timestamp from which the tokens can be unlocked
+    pub unlock_at: i64,
+    pub bump: u8,
+}
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+/**
+ * Exercises the memecoin_program bonding curve against a local validator
+ * Usage: anchor test
+ *    or: solana-test-validator, then anchor deploy && node scripts/test-bonding-curve.js
+ *
+ * `anchor test` starts solana-test-validator, deploys the program and runs
+ * this script with ANCHOR_PROVIDER_URL and ANCHOR_WALLET set; run on its own
+ * it uses http://localhost:8899 and ~/.config/solana/id.json. It opens a
+ * curve for a fresh mint, trades on it, checks slippage limits, buys it to
+ * graduation and withdraws the reserves, then locks and unlocks a stand-in
+ * LP mint. Exits non-zero on the first failure.
+ */
+
+const assert = require('assert');
+const { AnchorProvider, BN, Program } = require('@project-serum/anchor');
+const {
+  TOKEN_PROGRAM_ID,
+  createMint,
+  getAccount,
+  getAssociatedTokenAddressSync,
+  getOrCreateAssociatedTokenAccount,
+  mintTo
+} = require('@solana/spl-token');
+const { Keypair, LAMPORTS_PER_SOL, PublicKey, SystemProgram, Transaction } = require('@solana/web3.js');
+const idl = require('../src/idl/memecoin_program.json');
+const { getBuyCost, getSellProceeds, getTradeFee } = require('../src/utils/bondingCurve.js');
+
+const DECIMALS = 6;
+const UNIT = BigInt(10) ** BigInt(DECIMALS);
+const CURVE_TOKENS = BigInt(793100000) * UNIT;
+const VIRTUAL_TOKENS = BigInt(1073000000) * UNIT;
+const VIRTUAL_SOL = BigInt(30 * LAMPORTS_PER_SOL);
+const GRADUATION_THRESHOLD = BigInt(5 * LAMPORTS_PER_SOL);
+const FEE_BASIS_POINTS = 100;
+
+const tradeFee = (lamports) => getTradeFee(lamports, FEE_BASIS_POINTS);
+
+const toBN = (amount) => new BN(amount.toString());
+
+async function fetchCurve(program, address) {
+  const account = await program.account.bondingCurve.fetch(address);
+  return {
+    ...account,
+    virtualSolReserves: BigInt(account.virtualSolReserves.toString()),
+    virtualTokenReserves: BigInt(account.virtualTokenReserves.toString()),
+    realSolReserves: BigInt(account.realSolReserves.toString()),
+    realTokenReserves: BigInt(account.realTokenReserves.toString()),
+  };
+}
+
+async function expectProgramError(promise, name) {
+  try {
+    await promise;
+  } catch (error) {
+    assert.strictEqual(error.error?.errorCode?.code, name, `Expected ${name}, got ${error.message}`);
+    return;
+  }
+  assert.fail(`Expected ${name}, but the transaction succeeded`);
+}
+
+async function main() {
+  const provider = process.env.ANCHOR_PROVIDER_URL ? AnchorProvider.env() : AnchorProvider.local();
+  const { connection, wallet } = provider;
+  const payer = wallet.payer;
+  const program = new Program(idl, new PublicKey(idl.metadata.address), provider);
+  console.log(`✅ Using program ${program.programId.toBase58()} on ${connection.rpcEndpoint}`);
+
+  // Fees are credited straight to the recipient, which has to be rent-exempt already
+  const feeRecipient = Keypair.generate();
+  await provider.sendAndConfirm(new Transaction().add(SystemProgram.transfer({
+    fromPubkey: wallet.publicKey,
+    toPubkey: feeRecipient.publicKey,
+    lamports: LAMPORTS_PER_SOL / 100,
+  })));
+
+  const mint = await createMint(connection, payer, wallet.publicKey, null, DECIMALS);
+  const creatorTokenAccount = await getOrCreateAssociatedTokenAccount(connection, payer, mint, wallet.publicKey);
+  await mintTo(connection, payer, mint, creatorTokenAccount.address, payer, CURVE_TOKENS);
+  console.log(`✅ Created mint ${mint.toBase58()}`);
+
+  const [bondingCurve] = PublicKey.findProgramAddressSync([Buffer.from('bonding_curve'), mint.toBuffer()], program.programId);
+  const curveTokenAccount = getAssociatedTokenAddressSync(mint, bondingCurve, true);
+  const buyerTokenAccount = creatorTokenAccount.address;
+  const tradeAccounts = {
+    mint,
+    bondingCurve,
+    curveTokenAccount,
+    feeRecipient: feeRecipient.publicKey,
+    tokenProgram: TOKEN_PROGRAM_ID,
+  };
+
+  await program.methods
+    .initializeCurve({
+      virtualSolReserves: toBN(VIRTUAL_SOL),
+      virtualTokenReserves: toBN(VIRTUAL_TOKENS),
+      tokenAmount: toBN(CURVE_TOKENS),
+      graduationThreshold: toBN(GRADUATION_THRESHOLD),
+      feeBasisPoints: FEE_BASIS_POINTS,
+    })
+    .accounts({
+      creator: wallet.publicKey,
+      authority: wallet.publicKey,
+      feeRecipient: feeRecipient.publicKey,
+      mint,
+      bondingCurve,
+      curveTokenAccount,
+      creatorTokenAccount: creatorTokenAccount.address,
+      tokenProgram: TOKEN_PROGRAM_ID,
+    })
+    .rpc();
+  let curve = await fetchCurve(program, bondingCurve);
+  assert.strictEqual(curve.realTokenReserves, CURVE_TOKENS);
+  assert.strictEqual(curve.complete, false);
+  console.log('✅ Initialized curve');
+
+  // Buy: the curve takes exactly the quoted cost and its invariant never drops
+  const buyTokens = BigInt(10000000) * UNIT;
+  const cost = getBuyCost(curve, buyTokens);
+  const maxSolCost = cost + tradeFee(cost);
+  await expectProgramError(
+    program.methods.buy(toBN(buyTokens), toBN(maxSolCost - BigInt(1)))
+      .accounts({ buyer: wallet.publicKey, buyerTokenAccount, ...tradeAccounts })
+      .rpc(),
+    'SlippageExceeded'
+  );
+  await program.methods.buy(toBN(buyTokens), toBN(maxSolCost))
+    .accounts({ buyer: wallet.publicKey, buyerTokenAccount, ...tradeAccounts })
+    .rpc();
+  const afterBuy = await fetchCurve(program, bondingCurve);
+  assert.strictEqual(afterBuy.realSolReserves, cost);
+  assert.strictEqual(afterBuy.realTokenReserves, CURVE_TOKENS - buyTokens);
+  assert.ok(afterBuy.virtualSolReserves * afterBuy.virtualTokenReserves >= curve.virtualSolReserves * curve.virtualTokenReserves);
+  console.log(`✅ Bought ${buyTokens / UNIT} tokens for ${cost} lamports + ${tradeFee(cost)} fee`);
+  curve = afterBuy;
+
+  // Sell half back: proceeds come from the SOL the buy put in
+  const sellTokens = buyTokens / BigInt(2);
+  const proceeds = getSellProceeds(curve, sellTokens);
+  const minSolOutput = proceeds - tradeFee(proceeds);
+  await expectProgramError(
+    program.methods.sell(toBN(sellTokens), toBN(minSolOutput + BigInt(1)))
+      .accounts({ seller: wallet.publicKey, sellerTokenAccount: buyerTokenAccount, ...tradeAccounts })
+      .rpc(),
+    'SlippageExceeded'
+  );
+  await program.methods.sell(toBN(sellTokens), toBN(minSolOutput))
+    .accounts({ seller: wallet.publicKey, sellerTokenAccount: buyerTokenAccount, ...tradeAccounts })
+    .rpc();
+  const afterSell = await fetchCurve(program, bondingCurve);
+  assert.strictEqual(afterSell.realSolReserves, curve.realSolReserves - proceeds);
+  assert.ok(proceeds < cost, 'Selling half must return less than the whole buy cost');
+  assert.ok(afterSell.virtualSolReserves * afterSell.virtualTokenReserves >= curve.virtualSolReserves * curve.virtualTokenReserves);
+  console.log(`✅ Sold ${sellTokens / UNIT} tokens for ${proceeds} lamports`);
+  curve = afterSell;
+
+  // Withdrawing before graduation is refused
+  const withdrawAccounts = {
+    authority: wallet.publicKey,
+    mint,
+    bondingCurve,
+    curveTokenAccount,
+    authorityTokenAccount: buyerTokenAccount,
+    tokenProgram: TOKEN_PROGRAM_ID,
+  };
+  await expectProgramError(program.methods.withdraw().accounts(withdrawAccounts).rpc(), 'CurveNotComplete');
+
+  // Buy enough to cross the graduation threshold
+  const solNeeded = GRADUATION_THRESHOLD - curve.realSolReserves;
+  let graduationTokens = (curve.virtualTokenReserves * solNeeded) / (curve.virtualSolReserves + solNeeded) + BigInt(1);
+  if (graduationTokens > curve.realTokenReserves) {
+    graduationTokens = curve.realTokenReserves;
+  }
+  const graduationCost = getBuyCost(curve, graduationTokens);
+  await program.methods.buy(toBN(graduationTokens), toBN(graduationCost + tradeFee(graduationCost)))
+    .accounts({ buyer: wallet.publicKey, buyerTokenAccount, ...tradeAccounts })
+    .rpc();
+  curve = await fetchCurve(program, bondingCurve);
+  assert.strictEqual(curve.complete, true);
+  console.log(`✅ Curve graduated with ${curve.realSolReserves} lamports raised`);
+
+  await expectProgramError(
+    program.methods.buy(toBN(UNIT), toBN(LAMPORTS_PER_SOL))
+      .accounts({ buyer: wallet.publicKey, buyerTokenAccount, ...tradeAccounts })
+      .rpc(),
+    'CurveComplete'
+  );
+
+  const vaultBefore = (await getAccount(connection, curveTokenAccount)).amount;
+  await program.methods.withdraw().accounts(withdrawAccounts).rpc();
+  const withdrawn = await fetchCurve(program, bondingCurve);
+  assert.strictEqual(withdrawn.realSolReserves, BigInt(0));
+  assert.strictEqual((await getAccount(connection, curveTokenAccount)).amount, BigInt(0));
+  console.log(`✅ Withdrew ${curve.realSolReserves} lamports and ${vaultBefore / UNIT} tokens to the authority`);
+
+  await expectProgramError(program.methods.withdraw().accounts(withdrawAccounts).rpc(), 'AlreadyWithdrawn');
+
+  // LP lock: any SPL mint stands in for a pool's LP mint
+  const lpMint = await createMint(connection, payer, wallet.publicKey, null, 9);
+  const ownerLpAccount = await getOrCreateAssociatedTokenAccount(connection, payer, lpMint, wallet.publicKey);
+  const lpAmount = BigInt(1000) * BigInt(LAMPORTS_PER_SOL);
+  await mintTo(connection, payer, lpMint, ownerLpAccount.address, payer, lpAmount);
+  const [lpLock] = PublicKey.findProgramAddressSync(
+    [Buffer.from('lp_lock'), lpMint.toBuffer(), wallet.publicKey.toBuffer()],
+    program.programId
+  );
+  const lockAccounts = {
+    owner: wallet.publicKey,
+    lpMint,
+    lpLock,
+    lockTokenAccount: getAssociatedTokenAddressSync(lpMint, lpLock, true),
+    ownerTokenAccount: ownerLpAccount.address,
+    tokenProgram: TOKEN_PROGRAM_ID,
+  };
+  const now = Math.floor(Date.now() / 1000);
+
+  await expectProgramError(
+    program.methods.lockLp(toBN(lpAmount), new BN(now - 60)).accounts(lockAccounts).rpc(),
+    'UnlockTimeInPast'
+  );
+  const unlockAt = now + 5;
+  await program.methods.lockLp(toBN(lpAmount), new BN(unlockAt)).accounts(lockAccounts).rpc();
+  const lock = await program.account.lpLock.fetch(lpLock);
+  assert.strictEqual(BigInt(lock.amount.toString()), lpAmount);
+  assert.strictEqual((await getAccount(connection, lockAccounts.lockTokenAccount)).amount, lpAmount);
+  console.log(`✅ Locked ${lpAmount} LP units until ${unlockAt}`);
+
+  await expectProgramError(program.methods.unlockLp().accounts(lockAccounts).rpc(), 'StillLocked');
+
+  // The validator clock follows wall time closely enough
+  await new Promise((resolve) => setTimeout(resolve, 8000));
+  await program.methods.unlockLp().accounts(lockAccounts).rpc();
+  assert.strictEqual((await getAccount(connection, ownerLpAccount.address)).amount, lpAmount);
+  assert.strictEqual(await connection.getAccountInfo(lpLock), null);
+  console.log('✅ Unlocked the LP tokens and closed the lock');
+
+  console.log('\n✅ memecoin_program checks passed');
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error.message || error);
+  if (error.logs) {
+    error.logs.forEach((line) => console.error(`   ${line}`));
+  }
+  process.exit(1);
+});
@@ -1,27 +1,62 @@
 #!/usr/bin/env node
 /**
  * CLI utility to test token creation without using the UI
- * Usage: node scripts/test-token-creation.js [wallet-address]
+ * Usage: node scripts/test-token-creation.js [wallet-address] [--simulate]
  * 
  * This script helps verify that our token creation process works correctly
- * by showing the expected parameters that would be used in the UI.
+ * by showing the expected parameters that would be used in the UI. It plans
+ * the launch with the same pipeline module the create form uses; with
+ * --simulate it also builds the setup transaction and simulates it against
+ * NEXT_PUBLIC_RPC_ENDPOINT (or devnet).
  */
 
-const { Connection, PublicKey, Keypair } = require('@solana/web3.js');
-const { MINT_SIZE } = require('@solana/spl-token');
-const crypto = require('crypto');
+const { Connection, PublicKey, Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const fs = require('fs');
 const path = require('path');
+const {
+  TOKEN_DECIMALS,
+  buildSetupTransaction,
+  calculatePlatformFee,
+  planMintChunks,
+  splitSupply
+} = require('../src/utils/launchPipeline.js');
+const { toRawAmount } = require('../src/utils/amounts.js');
+const { formatSol, simulateLaunchTransaction } = require('../src/utils/preflight.js');
 
 // Get wallet address from command line args
 const walletAddress = process.argv[2];
+const simulate = process.argv.includes('--simulate');
 
 if (!walletAddress) {
   console.error('❌ Error: Please provide a wallet address as an argument');
-  console.log('Usage: node scripts/test-token-creation.js [wallet-address]');
+  console.log('Usage: node scripts/test-token-creation.js [wallet-address] [--simulate]');
   process.exit(1);
 }
 
+// Builds the CREATE_MINT transaction exactly as the form would and runs it
+// through the same preflight simulation; the wallet signature is not verified
+async function simulateSetup(userPublicKey, mintKeypair, creatorRetention) {
+  const endpoint = process.env.NEXT_PUBLIC_RPC_ENDPOINT || 'https://api.devnet.solana.com';
+  const connection = new Connection(endpoint, 'confirmed');
+  console.log(`\n🔎 Simulating setup transaction on ${endpoint}...`);
+
+  const setupTx = await buildSetupTransaction(connection, {
+    payer: userPublicKey,
+    mintKeypair,
+    creatorAmount: toRawAmount(creatorRetention, TOKEN_DECIMALS)
+  });
+
+  const report = await simulateLaunchTransaction(connection, setupTx, { label: 'Setup' });
+  report.logs.forEach((line) => console.log(`   ${line}`));
+  report.accountsCreated.forEach((account) => {
+    console.log(`   Creates ${account.address} (${account.space} bytes, ${formatSol(account.lamports)} rent)`);
+  });
+  if (!report.ok) {
+    throw new Error(`Setup simulation failed: ${report.error}`);
+  }
+  console.log(`✅ Setup simulation succeeded (${report.computeUnits} compute units)`);
+}
+
 async function generateTestTokenParams() {
   try {
     // Verify the wallet address is valid
@@ -31,9 +66,12 @@ async function generateTestTokenParams() {
     // Generate a test token with fixed parameters for quick testing
     const name = `Test Token ${new Date().toISOString().slice(0, 19)}`;
     const symbol = 'TEST';
-    const supply = 1000000;
-    const creatorRetention = 200000; // 20%
-    const bondingCurveSupply = supply - creatorRetention;
+    const supply = BigInt(1000000);
+    const retentionPercentage = 20;
+    const liquiditySol = 0.15;
+    const { creatorRetention, bondingCurveSupply } = splitSupply(supply, retentionPercentage);
+    const mintChunks = planMintChunks(bondingCurveSupply);
+    const platformFee = calculatePlatformFee(liquiditySol);
 
     // Generate a new token mint keypair
     const mintKeypair = Keypair.generate();
@@ -47,19 +85,30 @@ async function generateTestTokenParams() {
     console.log(`Name: ${name}`);
     console.log(`Symbol: ${symbol}`);
     console.log(`Total Supply: ${supply.toLocaleString()}`);
-    console.log(`Creator Retention: ${creatorRetention.toLocaleString()} (${(creatorRetention / supply * 100).toFixed(1)}%)`);
-    console.log(`Bonding Curve Supply: ${bondingCurveSupply.toLocaleString()} (${(bondingCurveSupply / supply * 100).toFixed(1)}%)`);
+    console.log(`Decimals: ${TOKEN_DECIMALS}`);
+    console.log(`Creator Retention: ${creatorRetention.toLocaleString()} (${retentionPercentage}%)`);
+    console.log(`Bonding Curve Supply: ${bondingCurveSupply.toLocaleString()} (${100 - retentionPercentage}%)`);
+    console.log(`Bonding Curve Mint Transactions: ${mintChunks.length}`);
+    console.log(`Platform Fee: ${platformFee / LAMPORTS_PER_SOL} SOL (for ${liquiditySol} SOL of liquidity)`);
     console.log(`Mint Address: ${mintKeypair.publicKey.toString()}`);
     console.log(`Metadata URI: ${metadataUri}`);
     console.log('======================================');
 
-    // Write parameters to a file for easy access
+    if (simulate) {
+      await simulateSetup(userPublicKey, mintKeypair, creatorRetention);
+    }
+
+    // Write parameters to a file for easy access; amounts are decimal strings
+    // since JSON has no bigint
     const testParams = {
       name,
       symbol,
-      supply,
-      creatorRetention,
-      bondingCurveSupply,
+      supply: supply.toString(),
+      decimals: TOKEN_DECIMALS,
+      creatorRetention: creatorRetention.toString(),
+      bondingCurveSupply: bondingCurveSupply.toString(),
+      mintChunks: mintChunks.map(String),
+      platformFeeLamports: platformFee,
       mintAddress: mintKeypair.publicKey.toString(),
       metadataUri,
       createdAt: new Date().toISOString()
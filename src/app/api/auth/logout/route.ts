@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server'
+import { revokeSession } from '../../../../db/queries';
+import { SESSION_COOKIE, getSessionToken, hashSessionToken } from '../../../../lib/auth'
+
+export async function POST(request: Request) {
+  try {
+    const token = getSessionToken(request)
+    if (token) {
+      await revokeSession(await hashSessionToken(token));
+    }
+
+    const response = NextResponse.json({ success: true })
+    response.cookies.delete(SESSION_COOKIE)
+    return response
+  } catch (error) {
+    console.error('Error signing out:', error)
+    return NextResponse.json(
+      { error: 'Failed to sign out' },
+      { status: 500 }
+    )
+  }
+}
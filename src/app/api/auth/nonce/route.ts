@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server'
+import bs58 from 'bs58'
+import { createSignInNonce } from '../../../../db/queries';
+import { HttpError, httpErrorResponse } from '../../../../lib/errors'
+import { parseBody, publicKeySchema } from '../../../../lib/validation'
+import { z } from 'zod'
+
+// Time a wallet has to sign the message after requesting a nonce
+const NONCE_TTL_MS = 10 * 60 * 1000
+
+const nonceRequestSchema = z.object({
+  walletAddress: publicKeySchema,
+})
+
+export async function POST(request: Request) {
+  try {
+    const { walletAddress } = await parseBody(request, nonceRequestSchema)
+
+    const bytes = new Uint8Array(16)
+    crypto.getRandomValues(bytes)
+    const nonce = bs58.encode(bytes)
+    const expiresAt = new Date(Date.now() + NONCE_TTL_MS)
+
+    await createSignInNonce({ nonce, walletAddress, expiresAt });
+
+    return NextResponse.json({ nonce, expiresAt: expiresAt.toISOString() })
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
+    console.error('Error issuing sign-in nonce:', error)
+    return NextResponse.json(
+      { error: 'Failed to issue nonce' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server'
+import { getActiveSessionByTokenHash } from '../../../../db/queries';
+import { getSessionToken, hashSessionToken } from '../../../../lib/auth'
+import { HttpError, UnauthorizedError, httpErrorResponse } from '../../../../lib/errors'
+
+export async function GET(request: Request) {
+  try {
+    const token = getSessionToken(request)
+    const session = token
+      ? await getActiveSessionByTokenHash(await hashSessionToken(token))
+      : undefined;
+
+    if (!session) {
+      throw new UnauthorizedError('Not signed in')
+    }
+
+    return NextResponse.json({
+      walletAddress: session.walletAddress,
+      expiresAt: session.expiresAt.toISOString(),
+    })
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
+    console.error('Error fetching session:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch session' },
+      { status: 500 }
+    )
+  }
+}
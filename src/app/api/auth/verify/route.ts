@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server'
+import {
+  consumeSignInNonce,
+  createSession,
+  createUser,
+  getUserByWalletAddress,
+  updateUserLastLogin,
+} from '../../../../db/queries';
+import {
+  SESSION_COOKIE,
+  generateSessionToken,
+  hashSessionToken,
+  verifyMessageSignature,
+} from '../../../../lib/auth'
+import { HttpError, UnauthorizedError, httpErrorResponse } from '../../../../lib/errors'
+import { parseBody } from '../../../../lib/validation'
+import { z } from 'zod'
+import { SESSION_TTL_MS, SIWS_CHAIN_ID, SIWS_STATEMENT, SIWS_VERSION, parseSiwsMessage } from '../../../../utils/siws'
+
+const verifyRequestSchema = z.object({
+  message: z.string().min(1).max(2000),
+  signature: z.string().regex(/^[A-Za-z0-9+/]+={0,2}$/, 'Must be a base64 signature'),
+})
+
+export async function POST(request: Request) {
+  try {
+    const { message, signature } = await parseBody(request, verifyRequestSchema)
+
+    const fields = parseSiwsMessage(message)
+    if (!fields) {
+      throw new UnauthorizedError('Malformed sign-in message')
+    }
+
+    // The message must have been built for this site, this chain and our statement
+    const host = request.headers.get('x-forwarded-host') || request.headers.get('host')
+    if (fields.domain !== host) {
+      throw new UnauthorizedError('Sign-in message domain mismatch')
+    }
+    if (
+      fields.chainId !== SIWS_CHAIN_ID ||
+      fields.version !== SIWS_VERSION ||
+      fields.statement !== SIWS_STATEMENT
+    ) {
+      throw new UnauthorizedError('Unsupported sign-in message')
+    }
+
+    const expirationTime = Date.parse(fields.expirationTime)
+    if (Number.isNaN(expirationTime) || expirationTime <= Date.now()) {
+      throw new UnauthorizedError('Sign-in message expired')
+    }
+
+    if (!verifyMessageSignature(fields.address, message, signature)) {
+      throw new UnauthorizedError('Invalid wallet signature')
+    }
+
+    // Consume last so a bad signature cannot burn someone else's nonce. An
+    // expired nonce is not consumed, which is what bounds how long after
+    // signing the message can be verified
+    const nonce = await consumeSignInNonce(fields.nonce, fields.address);
+    if (!nonce) {
+      throw new UnauthorizedError('Sign-in nonce is invalid or already used')
+    }
+
+    const existingUser = await getUserByWalletAddress(fields.address);
+    if (existingUser) {
+      await updateUserLastLogin(fields.address);
+    } else {
+      await createUser({
+        walletAddress: fields.address,
+        lastLogin: new Date(),
+        tokensCreated: 0,
+        isVerified: false
+      });
+    }
+
+    const token = generateSessionToken()
+    const session = await createSession({
+      tokenHash: await hashSessionToken(token),
+      walletAddress: fields.address,
+      expiresAt: new Date(Math.min(Date.now() + SESSION_TTL_MS, expirationTime)),
+    });
+
+    const response = NextResponse.json({
+      walletAddress: session.walletAddress,
+      expiresAt: session.expiresAt.toISOString(),
+    })
+    response.cookies.set(SESSION_COOKIE, token, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/',
+      expires: session.expiresAt,
+    })
+    return response
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
+    console.error('Error verifying sign-in:', error)
+    return NextResponse.json(
+      { error: 'Failed to verify sign-in' },
+      { status: 500 }
+    )
+  }
+}
@@ -1,45 +1,43 @@
 import { NextResponse } from 'next/server';
-import { 
-  Connection, 
-  Keypair, 
-  PublicKey, 
-  Transaction, 
-  SystemProgram,
-  TransactionInstruction,
-  SYSVAR_RENT_PUBKEY
-} from '@solana/web3.js';
-import { 
-  createInitializeMintInstruction,
-  createMintToInstruction,
-  getAssociatedTokenAddress,
-  createAssociatedTokenAccountInstruction,
-  TOKEN_PROGRAM_ID,
-  MINT_SIZE
-} from '@solana/spl-token';
+import { Connection, Keypair, PublicKey } from '@solana/web3.js';
+import { z } from 'zod';
+import {
+  U64_MAX,
+  ValidationError,
+  boundedAmountSchema,
+  maxSupplyForDecimals,
+  metadataUriSchema,
+  parseWith,
+  publicKeySchema,
+  tokenDecimalsSchema,
+  tokenNameSchema,
+  tokenProgramSchema,
+  tokenSymbolSchema
+} from '../../../lib/validation';
+import {
+  TOKEN_DECIMALS,
+  buildSetupTransaction,
+  getTokenProgramId,
+  usesInlineMetadata
+} from '../../../utils/launchPipeline';
+import { toRawAmount } from '../../../utils/amounts';
 
-// METADATA_PROGRAM_ID for token metadata
-const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
-
-// Helper function to validate input
-function validateInput(data) {
-  if (!data.walletAddress) return 'Wallet address is required';
-  if (!data.name) return 'Token name is required';
-  if (!data.symbol) return 'Token symbol is required';
-  if (!data.supply || isNaN(Number(data.supply))) return 'Valid supply is required';
-  return null;
-}
-
-// Helper to get metadata account address
-function getMetadataAddress(mint) {
-  return PublicKey.findProgramAddressSync(
-    [
-      Buffer.from('metadata'),
-      METADATA_PROGRAM_ID.toBuffer(),
-      mint.toBuffer(),
-    ],
-    METADATA_PROGRAM_ID
-  )[0];
-}
+// Supply is given in whole tokens, so the raw amount (supply * 10^decimals) must still fit in a u64
+const createTokenFormSchema = z.object({
+  walletAddress: publicKeySchema,
+  name: tokenNameSchema,
+  symbol: tokenSymbolSchema,
+  description: z.string().max(1000),
+  supply: boundedAmountSchema(BigInt(1), U64_MAX),
+  decimals: tokenDecimalsSchema.default(TOKEN_DECIMALS),
+  signature: z.string().nullable(),
+  tokenProgram: tokenProgramSchema.default('spl-token'),
+  // Written into the mint on Token-2022; ignored for SPL Token mints
+  uri: metadataUriSchema.default('')
+}).refine(
+  (data) => data.supply <= maxSupplyForDecimals(data.decimals),
+  { message: 'Supply is too large for this many decimals', path: ['supply'] }
+);
 
 // Function to create a token with metadata before minting
 export async function POST(request) {
@@ -48,35 +46,46 @@ export async function POST(request) {
     const formData = await request.formData();
     
     // Extract and validate data
-    const data = {
-      walletAddress: formData.get('walletAddress'),
-      name: formData.get('name'),
-      symbol: formData.get('symbol'),
-      description: formData.get('description') || '',
-      supply: formData.get('supply'),
-      signature: formData.get('signature')
-    };
+    let data;
+    try {
+      data = parseWith(createTokenFormSchema, {
+        walletAddress: formData.get('walletAddress'),
+        name: formData.get('name'),
+        symbol: formData.get('symbol'),
+        description: formData.get('description') || '',
+        supply: formData.get('supply'),
+        decimals: formData.get('decimals') ? Number(formData.get('decimals')) : undefined,
+        signature: formData.get('signature'),
+        tokenProgram: formData.get('tokenProgram') || undefined,
+        uri: formData.get('uri') || undefined
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return NextResponse.json(
+          { success: false, message: error.message, code: error.code, details: error.details },
+          { status: 400 }
+        );
+      }
+      throw error;
+    }
     
     // Get image file if it exists
     const imageFile = formData.get('image');
     
-    // Validate inputs
-    const validationError = validateInput(data);
-    if (validationError) {
-      return NextResponse.json({ success: false, message: validationError }, { status: 400 });
-    }
-    
     console.log('Processing token creation with metadata:', {
       name: data.name,
       symbol: data.symbol,
-      supply: data.supply,
-      recipient: data.walletAddress
+      supply: data.supply.toString(),
+      recipient: data.walletAddress,
+      tokenProgram: data.tokenProgram
     });
     
     try {
       // Connect to Solana
       const connection = new Connection(process.env.NEXT_PUBLIC_RPC_ENDPOINT, 'confirmed');
       const userPublicKey = new PublicKey(data.walletAddress);
+      const tokenProgramId = getTokenProgramId(data.tokenProgram);
+      const inlineMetadata = usesInlineMetadata(tokenProgramId);
       
       // Generate keypair for the mint
       const mintKeypair = Keypair.generate();
@@ -84,75 +93,22 @@ export async function POST(request) {
       
       console.log('Created mint keypair:', mintPubkey.toString());
       
-      // For now, just skip metadata creation and focus on creating the token
-      // We'll simply create token without metadata in a single transaction
-      
-      const instructions = [];
-      
-      // 1. Create account for the mint
-      const lamports = await connection.getMinimumBalanceForRentExemption(MINT_SIZE);
-      
-      instructions.push(
-        SystemProgram.createAccount({
-          fromPubkey: userPublicKey,
-          newAccountPubkey: mintPubkey,
-          space: MINT_SIZE,
-          lamports,
-          programId: TOKEN_PROGRAM_ID,
-        })
-      );
-      
-      // 2. Initialize the mint
-      instructions.push(
-        createInitializeMintInstruction(
-          mintPubkey,
-          9, // 9 decimals is standard for Solana tokens
-          userPublicKey,
-          userPublicKey,
-          TOKEN_PROGRAM_ID
-        )
-      );
-      
-      // 3. Get the associated token account for the recipient
-      const associatedTokenAccount = await getAssociatedTokenAddress(
-        mintPubkey,
-        userPublicKey
-      );
-      
-      // 4. Create the associated token account if it doesn't exist
-      instructions.push(
-        createAssociatedTokenAccountInstruction(
-          userPublicKey,
-          associatedTokenAccount,
-          userPublicKey,
-          mintPubkey
-        )
-      );
-      
-      // 5. Mint tokens to the recipient's associated token account
-      const mintAmount = BigInt(Number(data.supply) * Math.pow(10, 9));
-      
-      instructions.push(
-        createMintToInstruction(
-          mintPubkey,
-          associatedTokenAccount,
-          userPublicKey,
-          mintAmount
-        )
-      );
-      
-      // Create a transaction
-      const blockhash = await connection.getLatestBlockhash();
-      const transaction = new Transaction({
-        feePayer: userPublicKey,
-        recentBlockhash: blockhash.blockhash,
-      });
+      // SPL Token mints are created without metadata; Token-2022 mints get
+      // theirs in-line. Either way it is the same setup step the create form sends
+      const { transaction, signers, associatedTokenAddress: associatedTokenAccount } =
+        await buildSetupTransaction(connection, {
+          payer: userPublicKey,
+          mintKeypair,
+          creatorAmount: toRawAmount(data.supply, data.decimals),
+          decimals: data.decimals,
+          tokenProgramId,
+          metadata: { name: data.name, symbol: data.symbol, uri: data.uri }
+        });
       
-      // Add all instructions to the transaction
-      instructions.forEach(instruction => transaction.add(instruction));
+      transaction.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
       
       // Partially sign the transaction with the mint keypair
-      transaction.partialSign(mintKeypair);
+      transaction.partialSign(...signers);
       
       // Serialize the transaction for client-side signing
       const serializedTransaction = transaction.serialize({
@@ -167,9 +123,15 @@ export async function POST(request) {
         associatedTokenAccount: associatedTokenAccount.toString(),
         tokenName: data.name,
         tokenSymbol: data.symbol,
+        decimals: data.decimals,
+        tokenProgram: data.tokenProgram,
         transaction: Buffer.from(serializedTransaction).toString('base64'),
-        message: 'Token transaction prepared. This will create a token without on-chain metadata.',
-        note: 'After token creation, we recommend using Solana CLI to add metadata.'
+        message: inlineMetadata
+          ? 'Token transaction prepared. This will create a Token-2022 token with its metadata stored in the mint.'
+          : 'Token transaction prepared. This will create a token without on-chain metadata.',
+        note: inlineMetadata
+          ? 'Update the metadata URI later with the token-metadata update field instruction.'
+          : 'After token creation, we recommend using Solana CLI to add metadata.'
       });
       
     } catch (error) {
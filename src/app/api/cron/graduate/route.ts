@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server'
+import { HttpError, UnauthorizedError, httpErrorResponse } from '../../../../lib/errors'
+import { graduate } from '../../../../lib/graduation'
+import { getServerConnection } from '../../../../lib/solana'
+
+export const dynamic = 'force-dynamic'
+// Withdrawal, pool creation and the LP burn each wait for confirmation
+export const maxDuration = 300
+
+// Invoked by the Vercel cron in vercel.json, which sends `Authorization: Bearer $CRON_SECRET`
+export async function GET(request: Request) {
+  try {
+    const secret = process.env.CRON_SECRET
+    if (!secret || request.headers.get('authorization') !== `Bearer ${secret}`) {
+      throw new UnauthorizedError('Invalid cron secret')
+    }
+
+    const summary = await graduate(getServerConnection())
+    console.log('Graduated bonding curves:', summary)
+
+    return NextResponse.json(summary)
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
+    console.error('Error graduating bonding curves:', error)
+    return NextResponse.json(
+      { error: 'Failed to graduate bonding curves' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server'
+import { HttpError, UnauthorizedError, httpErrorResponse } from '../../../../lib/errors'
+import { reconcile } from '../../../../lib/reconciler'
+import { getServerConnection } from '../../../../lib/solana'
+
+export const dynamic = 'force-dynamic'
+
+// Invoked by the Vercel cron in vercel.json, which sends `Authorization: Bearer $CRON_SECRET`
+export async function GET(request: Request) {
+  try {
+    const secret = process.env.CRON_SECRET
+    if (!secret || request.headers.get('authorization') !== `Bearer ${secret}`) {
+      throw new UnauthorizedError('Invalid cron secret')
+    }
+
+    const summary = await reconcile(getServerConnection())
+    console.log('Reconciled pending rows:', summary)
+
+    return NextResponse.json(summary)
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
+    console.error('Error reconciling pending rows:', error)
+    return NextResponse.json(
+      { error: 'Failed to reconcile pending rows' },
+      { status: 500 }
+    )
+  }
+}
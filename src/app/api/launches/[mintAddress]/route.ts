@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server'
+import { getLaunchByMint, updateLaunch } from '../../../../db/queries';
+import { requireWallet } from '../../../../lib/auth';
+import { HttpError, httpErrorResponse } from '../../../../lib/errors';
+import { getOwnedLaunch } from '../../../../lib/launches';
+import { launchStatusSchema, parseBody } from '../../../../lib/validation';
+import { z } from 'zod';
+
+// A launch can only be closed; reopening would let the step log go stale
+const updateLaunchSchema = z.object({
+  status: launchStatusSchema.exclude(['IN_PROGRESS']),
+});
+
+export async function GET(
+  request: Request,
+  { params }: { params: { mintAddress: string } }
+) {
+  try {
+    const walletAddress = await requireWallet(request)
+    const launch = await getOwnedLaunch(params.mintAddress, walletAddress)
+    return NextResponse.json(launch)
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
+    console.error('Error fetching launch:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch launch' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function PATCH(
+  request: Request,
+  { params }: { params: { mintAddress: string } }
+) {
+  try {
+    const walletAddress = await requireWallet(request)
+    const { status } = await parseBody(request, updateLaunchSchema)
+    const launch = await getOwnedLaunch(params.mintAddress, walletAddress)
+
+    await updateLaunch(launch.id, { status });
+
+    return NextResponse.json(await getLaunchByMint(params.mintAddress))
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
+    console.error('Error updating launch:', error)
+    return NextResponse.json(
+      { error: 'Failed to update launch' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,156 @@
+import { NextResponse } from 'next/server'
+import { PublicKey } from '@solana/web3.js'
+import { unpackMint } from '@solana/spl-token'
+import { createLaunchStep, getLaunchByMint, updateLaunch } from '../../../../../db/queries';
+import { requireWallet } from '../../../../../lib/auth';
+import { HttpError, UnprocessableError, httpErrorResponse } from '../../../../../lib/errors';
+import { getOwnedLaunch } from '../../../../../lib/launches';
+import { getServerConnection } from '../../../../../lib/solana';
+import { TransactionMismatchError, verifyStepTransaction } from '../../../../../lib/transactionVerification';
+import { parseBody } from '../../../../../lib/validation';
+import { getMetadataAddress } from '../../../../../utils/metadataUtils';
+import {
+  CLEANUP_STEPS,
+  LAUNCH_STATUS,
+  LAUNCH_STEPS,
+  PROGRESS_STEPS,
+  STEPS_WITHOUT_TRANSACTION,
+  getOpenLookupTables,
+} from '../../../../../utils/launchState';
+import { z } from 'zod';
+
+const stepValues = Object.values(LAUNCH_STEPS) as [string, ...string[]];
+
+const recordStepSchema = z.object({
+  step: z.enum(stepValues),
+  txSignature: z.string().min(64).max(128).optional(),
+  detail: z.record(z.unknown()).optional(),
+  // Merged into launch.progress, e.g. { tokensMinted } after a mint chunk
+  progress: z.record(z.unknown()).optional(),
+});
+
+/**
+ * The account a step's transaction must reference, so a signature from some
+ * other launch cannot complete this one. Most steps touch the mint; the
+ * metadata steps touch its metadata account, SECURE_LP the LP mint and the
+ * lookup table cleanup steps the table. Fee, table creation and listing
+ * transactions only move SOL or create accounts, so they are only checked
+ * for the creator's signature.
+ */
+function getStepAccount(step: string, mintAddress: string, detail?: Record<string, unknown>): string | null {
+  switch (step) {
+    case LAUNCH_STEPS.VERIFY_CREATOR:
+    case LAUNCH_STEPS.MAKE_IMMUTABLE:
+      return getMetadataAddress(new PublicKey(mintAddress)).toBase58()
+    case LAUNCH_STEPS.SECURE_LP:
+      if (typeof detail?.lpMint !== 'string') {
+        throw new UnprocessableError('SECURE_LP needs detail.lpMint', 'STEP_DETAIL_MISSING')
+      }
+      return detail.lpMint
+    case LAUNCH_STEPS.DEACTIVATE_LOOKUP_TABLE:
+    case LAUNCH_STEPS.CLOSE_LOOKUP_TABLE:
+      if (typeof detail?.address !== 'string') {
+        throw new UnprocessableError(`${step} needs detail.address`, 'STEP_DETAIL_MISSING')
+      }
+      return detail.address
+    case LAUNCH_STEPS.COLLECT_FEE:
+    case LAUNCH_STEPS.CREATE_LOOKUP_TABLE:
+    case LAUNCH_STEPS.LISTING_TRANSACTION:
+      return null
+    default:
+      return mintAddress
+  }
+}
+
+/**
+ * A step that normally sends a transaction may be logged without one when an
+ * earlier attempt already did its work: the mint exists, or the authorities
+ * the launch revokes are already gone. The chain has to agree; any other step
+ * needs the transaction that completed it.
+ */
+async function assertStepDoneOnChain(step: string, mintAddress: string, launchParams: unknown) {
+  if (step !== LAUNCH_STEPS.CREATE_MINT && step !== LAUNCH_STEPS.REVOKE_AUTHORITIES) {
+    throw new UnprocessableError(`${step} must be logged with the transaction that completed it`, 'STEP_SIGNATURE_REQUIRED')
+  }
+
+  const mint = new PublicKey(mintAddress)
+  const info = await getServerConnection().getAccountInfo(mint, 'confirmed')
+  if (!info) {
+    throw new UnprocessableError('The mint does not exist on chain yet', 'STEP_NOT_CONFIRMED')
+  }
+  if (step === LAUNCH_STEPS.REVOKE_AUTHORITIES) {
+    const { advancedOptions } = launchParams as { advancedOptions: { revokeMintAuthority: boolean; revokeFreezeAuthority: boolean } }
+    const { mintAuthority, freezeAuthority } = unpackMint(mint, info, info.owner)
+    if ((advancedOptions.revokeMintAuthority && mintAuthority) || (advancedOptions.revokeFreezeAuthority && freezeAuthority)) {
+      throw new UnprocessableError('The mint still has an authority this launch revokes', 'STEP_NOT_CONFIRMED')
+    }
+  }
+}
+
+export async function POST(
+  request: Request,
+  { params }: { params: { mintAddress: string } }
+) {
+  try {
+    const walletAddress = await requireWallet(request)
+    const { step, txSignature, detail, progress } = await parseBody(request, recordStepSchema)
+    const launch = await getOwnedLaunch(params.mintAddress, walletAddress)
+
+    // Lookup table rent is reclaimed after the launch is closed
+    if (launch.status !== LAUNCH_STATUS.IN_PROGRESS && !CLEANUP_STEPS.includes(step)) {
+      throw new UnprocessableError(`Launch is ${launch.status.toLowerCase()}`, 'LAUNCH_CLOSED')
+    }
+    if (CLEANUP_STEPS.includes(step) && !getOpenLookupTables(launch).some(({ address }) => address === detail?.address)) {
+      throw new UnprocessableError('The launch has no open lookup table at detail.address', 'STEP_DETAIL_MISSING')
+    }
+
+    // Only confirmed work is logged, otherwise a resume would skip a step that never landed
+    if (txSignature) {
+      let outcome
+      try {
+        outcome = await verifyStepTransaction(getServerConnection(), txSignature, {
+          wallet: walletAddress,
+          account: getStepAccount(step, launch.mintAddress, detail),
+        })
+      } catch (error) {
+        if (error instanceof TransactionMismatchError) {
+          throw new UnprocessableError(error.message, 'TRANSACTION_MISMATCH')
+        }
+        throw error
+      }
+      if (outcome.status !== 'SUCCESS') {
+        throw new UnprocessableError(
+          outcome.status === 'FAILED'
+            ? `Step transaction failed: ${outcome.error}`
+            : 'Step transaction is not confirmed yet',
+          'STEP_NOT_CONFIRMED'
+        )
+      }
+    } else if (!STEPS_WITHOUT_TRANSACTION.includes(step)) {
+      await assertStepDoneOnChain(step, launch.mintAddress, launch.params)
+    }
+
+    await createLaunchStep({
+      launchId: launch.id,
+      step,
+      txSignature,
+      detail,
+    });
+
+    await updateLaunch(launch.id, {
+      ...(!PROGRESS_STEPS.includes(step) && { lastStep: step }),
+      ...(progress && { progress: { ...(launch.progress as object), ...progress } }),
+    });
+
+    return NextResponse.json(await getLaunchByMint(params.mintAddress))
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
+    console.error('Error recording launch step:', error)
+    return NextResponse.json(
+      { error: 'Failed to record launch step' },
+      { status: 500 }
+    )
+  }
+}
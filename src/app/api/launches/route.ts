@@ -0,0 +1,131 @@
+import { NextResponse } from 'next/server'
+import { createLaunch, getLaunchByMint, getLaunchesByCreator } from '../../../db/queries';
+import { requireWallet } from '../../../lib/auth';
+import { ConflictError, HttpError, httpErrorResponse } from '../../../lib/errors';
+import {
+  launchStatusSchema,
+  maxSupplyForDecimals,
+  parseBody,
+  parseQuery,
+  publicKeySchema,
+  tokenDecimalsSchema,
+  tokenNameSchema,
+  tokenProgramSchema,
+  tokenSymbolSchema,
+} from '../../../lib/validation';
+import { LISTING_VENUES, LP_HANDLING } from '../../../utils/launchState';
+import { MARKET_SIZE_PRESETS } from '../../../utils/openbookMarketSize';
+import { z } from 'zod';
+
+const lpHandlingValues = Object.values(LP_HANDLING) as [string, ...string[]];
+const venueValues = Object.values(LISTING_VENUES) as [string, ...string[]];
+const marketSizeValues = Object.keys(MARKET_SIZE_PRESETS) as [string, ...string[]];
+
+// Everything needed to finish the launch without the original form state
+const launchParamsSchema = z.object({
+  name: tokenNameSchema,
+  symbol: tokenSymbolSchema,
+  // Whole tokens as a decimal string, so params round-trip through jsonb exactly
+  supply: z.string().regex(/^[1-9]\d*$/, 'Must be a positive integer'),
+  decimals: tokenDecimalsSchema.default(9),
+  tokenProgram: tokenProgramSchema.default('spl-token'),
+  description: z.string().max(1000).default(''),
+  website: z.string().max(200).default(''),
+  twitter: z.string().max(200).default(''),
+  telegram: z.string().max(200).default(''),
+  discord: z.string().max(200).default(''),
+  retentionPercentage: z.number().min(0).max(100),
+  liquidityAmount: z.number().nonnegative(),
+  advancedOptions: z.object({
+    revokeMintAuthority: z.boolean(),
+    revokeFreezeAuthority: z.boolean(),
+    makeImmutable: z.boolean(),
+  }),
+  venue: z.enum(venueValues).default(LISTING_VENUES.RAYDIUM),
+  // OpenBook only: the capacity preset the market is created with
+  marketSize: z.enum(marketSizeValues).optional(),
+  lpHandling: z.enum(lpHandlingValues).default(LP_HANDLING.KEEP),
+  // Unix seconds; required when the LP tokens are locked
+  lpUnlockAt: z.number().int().positive().nullable().default(null),
+  imageUri: z.string().max(500).default(''),
+  metadataUri: z.string().max(500),
+  metadataIpfsHash: z.string().max(200).optional(),
+  transferFee: z
+    .object({
+      basisPoints: z.number().int().min(0).max(10000),
+      maxFee: z.number().int().positive(),
+      withdrawAuthority: publicKeySchema.nullable(),
+    })
+    .nullable()
+    .default(null),
+}).refine(
+  (params) => !params.transferFee || params.tokenProgram === 'token-2022',
+  { message: 'Transfer fees require Token-2022', path: ['transferFee'] }
+).refine(
+  (params) => params.lpHandling !== LP_HANDLING.LOCK || params.lpUnlockAt !== null,
+  { message: 'Locked LP tokens need an unlock time', path: ['lpUnlockAt'] }
+).refine(
+  (params) => BigInt(params.supply) <= maxSupplyForDecimals(params.decimals),
+  { message: 'Supply is too large for this many decimals', path: ['supply'] }
+);
+
+const createLaunchSchema = z.object({
+  mintAddress: publicKeySchema,
+  params: launchParamsSchema,
+});
+
+const getLaunchesQuerySchema = z.object({
+  status: launchStatusSchema.optional(),
+});
+
+export async function POST(request: Request) {
+  try {
+    const walletAddress = await requireWallet(request)
+    const { mintAddress, params } = await parseBody(request, createLaunchSchema)
+
+    // A retried request gets the launch it already created; mint addresses are unique
+    const existing = await getLaunchByMint(mintAddress)
+    if (existing) {
+      if (existing.creatorWallet !== walletAddress) {
+        throw new ConflictError('A launch for this mint already exists', 'LAUNCH_EXISTS')
+      }
+      return NextResponse.json(existing)
+    }
+
+    await createLaunch({
+      mintAddress,
+      creatorWallet: walletAddress,
+      params,
+    });
+
+    return NextResponse.json(await getLaunchByMint(mintAddress))
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
+    console.error('Error creating launch:', error)
+    return NextResponse.json(
+      { error: 'Failed to create launch' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function GET(request: Request) {
+  try {
+    const walletAddress = await requireWallet(request)
+    const { status } = parseQuery(request, getLaunchesQuerySchema)
+
+    const result = await getLaunchesByCreator(walletAddress, status);
+    return NextResponse.json(result)
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
+    console.error('Error fetching launches:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch launches' },
+      { status: 500 }
+    )
+  }
+}
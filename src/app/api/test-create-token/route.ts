@@ -13,9 +13,13 @@ import {
   createMintToInstruction,
   getAssociatedTokenAddress,
   createAssociatedTokenAccountInstruction,
+  ExtensionType,
+  LENGTH_SIZE,
+  TOKEN_2022_PROGRAM_ID,
   TOKEN_PROGRAM_ID,
-  MINT_SIZE,
+  TYPE_SIZE,
 } from '@solana/spl-token';
+import { pack } from '@solana/spl-token-metadata';
 import { Buffer } from 'buffer';
 
 // Token metadata program ID
@@ -179,6 +183,13 @@ export async function GET(request: NextRequest) {
     if (!walletAddress) {
       return NextResponse.json({ error: 'Wallet address is required' }, { status: 400 });
     }
+
+    // ?program=token-2022 plans a Token-2022 mint with in-line metadata
+    const tokenProgram = searchParams.get('program') || 'spl-token';
+    if (tokenProgram !== 'spl-token' && tokenProgram !== 'token-2022') {
+      return NextResponse.json({ error: 'program must be spl-token or token-2022' }, { status: 400 });
+    }
+    const isToken2022 = tokenProgram === 'token-2022';
     
     // Generate a test token with fixed parameters for quick testing
     const userPublicKey = new PublicKey(walletAddress);
@@ -196,11 +207,23 @@ export async function GET(request: NextRequest) {
     const mintKeypair = Keypair.generate();
     console.log('Generated mint:', mintKeypair.publicKey.toString());
     
-    // Calculate the creation instructions
-    const lamports = await connection.getMinimumBalanceForRentExemption(MINT_SIZE);
-    
     // Create a dummy IPFS URI for metadata
     const metadataUri = `https://arweave.net/placeholder_metadata_uri`;
+
+    // Size the mint for its extensions; Token-2022 also pre-funds the metadata entry
+    const extensions = isToken2022 ? [ExtensionType.MetadataPointer] : [];
+    const mintLen = getMintLen(extensions);
+    const metadataLen = isToken2022
+      ? TYPE_SIZE + LENGTH_SIZE + pack({
+        mint: mintKeypair.publicKey,
+        updateAuthority: userPublicKey,
+        name,
+        symbol,
+        uri: metadataUri,
+        additionalMetadata: [],
+      }).length
+      : 0;
+    const lamports = await connection.getMinimumBalanceForRentExemption(mintLen + metadataLen);
     
     return NextResponse.json({
       success: true,
@@ -213,17 +236,32 @@ export async function GET(request: NextRequest) {
         bondingCurveSupply,
         mintAddress: mintKeypair.publicKey.toString(),
         metadataUri,
+        tokenProgram,
+        programId: (isToken2022 ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID).toString(),
+        mintSpace: mintLen,
+        mintRentLamports: lamports,
       },
-      instructions: [
-        `To create this token, send these transactions. This is for testing/debugging purposes only.`,
-        `1. First create a new mint account for the token`,
-        `2. Initialize the mint with decimals = 9`,
-        `3. Create an Associated Token Account (ATA) for the wallet`,
-        `4. Mint ${creatorRetention} tokens to the creator's wallet`,
-        `5. Mint ${bondingCurveSupply} tokens to be sent to the OpenBook market`,
-        `6. Create token metadata with the name, symbol, and URI`,
-        `7. Verify the creator to finalize the token`
-      ]
+      instructions: isToken2022
+        ? [
+          `To create this token, send these transactions. This is for testing/debugging purposes only.`,
+          `1. Create a ${mintLen}-byte mint account owned by Token-2022, funded for the metadata entry`,
+          `2. Initialize the metadata pointer to the mint itself`,
+          `3. Initialize the mint with decimals = 9`,
+          `4. Initialize token metadata with the name, symbol, and URI`,
+          `5. Create an Associated Token Account (ATA) for the wallet`,
+          `6. Mint ${creatorRetention} tokens to the creator's wallet`,
+          `7. Mint ${bondingCurveSupply} tokens to be sent to the OpenBook market`
+        ]
+        : [
+          `To create this token, send these transactions. This is for testing/debugging purposes only.`,
+          `1. First create a new mint account for the token`,
+          `2. Initialize the mint with decimals = 9`,
+          `3. Create an Associated Token Account (ATA) for the wallet`,
+          `4. Mint ${creatorRetention} tokens to the creator's wallet`,
+          `5. Mint ${bondingCurveSupply} tokens to be sent to the OpenBook market`,
+          `6. Create token metadata with the name, symbol, and URI`,
+          `7. Verify the creator to finalize the token`
+        ]
     });
   } catch (error) {
     console.error('Error in test-create-token:', error);
@@ -3,15 +3,69 @@ import { createToken } from '../../../db/queries';
 import { db } from '../../../db';
 import { tokens } from '../../../db/schema';
 import { and, eq, or } from 'drizzle-orm';
+import { requireWallet } from '../../../lib/auth';
+import { ForbiddenError, HttpError, httpErrorResponse } from '../../../lib/errors';
+import {
+  U64_MAX,
+  boundedAmountSchema,
+  maxSupplyForDecimals,
+  metadataUriSchema,
+  parseBody,
+  parseQuery,
+  publicKeySchema,
+  tokenDecimalsSchema,
+  tokenModeSchema,
+  tokenNameSchema,
+  tokenStatusSchema,
+  tokenSymbolSchema,
+} from '../../../lib/validation';
+import { z } from 'zod';
+
+const createTokenSchema = z.object({
+  mintAddress: publicKeySchema,
+  creatorWallet: publicKeySchema,
+  name: tokenNameSchema,
+  symbol: tokenSymbolSchema,
+  description: z.string().max(1000),
+  imageUrl: z.string().max(500),
+  totalSupply: boundedAmountSchema(BigInt(1), U64_MAX),
+  decimals: tokenDecimalsSchema,
+  metadataUri: metadataUriSchema,
+  openBookMarket: publicKeySchema.optional(),
+  status: tokenStatusSchema.optional(),
+  // CURVE for tokens launched on the bonding curve; they graduate to POOL
+  mode: tokenModeSchema.optional(),
+}).refine(
+  (body) => body.totalSupply <= maxSupplyForDecimals(body.decimals),
+  { message: 'Supply is too large for this many decimals', path: ['totalSupply'] }
+);
+
+const getTokensQuerySchema = z.object({
+  mintAddress: publicKeySchema.optional(),
+  creatorWallet: publicKeySchema.optional(),
+});
 
 export const runtime = 'edge'
 
 export async function POST(request: Request) {
   try {
-    const body = await request.json()
-    const token = await createToken(body);
+    const walletAddress = await requireWallet(request)
+    const body = await parseBody(request, createTokenSchema)
+
+    // Launch records can only be created by the wallet that launched the token
+    if (body.creatorWallet !== walletAddress) {
+      throw new ForbiddenError('creatorWallet must match the authenticated wallet')
+    }
+
+    const token = await createToken({
+      ...body,
+      totalSupply: body.totalSupply.toString(),
+    });
     return NextResponse.json(token)
   } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
     console.error('Error creating token:', error)
     return NextResponse.json(
       { error: 'Failed to create token' },
@@ -22,9 +76,7 @@ export async function POST(request: Request) {
 
 export async function GET(request: Request) {
   try {
-    const { searchParams } = new URL(request.url)
-    const mintAddress = searchParams.get('mintAddress')
-    const creatorWallet = searchParams.get('creatorWallet')
+    const { mintAddress, creatorWallet } = parseQuery(request, getTokensQuerySchema)
 
     const conditions = [];
     
@@ -45,6 +97,9 @@ export async function GET(request: Request) {
 
     return NextResponse.json(result)
   } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
     console.error('Error fetching tokens:', error)
     return NextResponse.json(
       { error: 'Failed to fetch tokens' },
@@ -1,20 +1,108 @@
 import { NextResponse } from 'next/server'
-import { createTransaction, getTransactionsByOptions } from '../../../db/queries';
-import { db } from '../../../db';
-import { transactions } from '../../../db/schema';
-import { eq } from 'drizzle-orm';
+import {
+  createTransaction,
+  getTokenById,
+  getTransactionById,
+  getTransactionsByOptions,
+  updateTransaction,
+} from '../../../db/queries';
+import { requireWallet } from '../../../lib/auth';
+import {
+  ForbiddenError,
+  HttpError,
+  NotFoundError,
+  UnprocessableError,
+  httpErrorResponse,
+} from '../../../lib/errors';
+import { getServerConnection } from '../../../lib/solana';
+import { TransactionMismatchError, verifyTransaction } from '../../../lib/transactionVerification';
+import {
+  U64_MAX,
+  boundedAmountSchema,
+  parseBody,
+  parseQuery,
+  publicKeySchema,
+  transactionStatusSchema,
+  transactionTypeSchema,
+} from '../../../lib/validation';
+import { z } from 'zod';
 
-export const runtime = 'edge'
+// Solana signatures are 64 bytes, which is 87 or 88 base58 characters
+const txSignatureSchema = z.string().regex(/^[1-9A-HJ-NP-Za-km-z]{64,88}$/, 'Must be a base58 transaction signature');
+
+// type, toWallet and amount are only hints: once the signature is visible on
+// chain they are replaced by values derived from the parsed instructions
+const createTransactionSchema = z.object({
+  tokenId: z.string().min(1),
+  type: transactionTypeSchema,
+  fromWallet: publicKeySchema,
+  toWallet: publicKeySchema.optional(),
+  amount: boundedAmountSchema(BigInt(0), U64_MAX).optional(),
+  txSignature: txSignatureSchema,
+});
+
+const getTransactionsQuerySchema = z.object({
+  tokenId: z.string().min(1).optional(),
+  fromWallet: publicKeySchema.optional(),
+  status: transactionStatusSchema.optional(),
+});
+
+// Clients can only report a submission failure; SUCCESS comes from the chain
+const updateTransactionSchema = z.object({
+  id: z.string().min(1),
+  status: transactionStatusSchema.optional(),
+  error: z.string().max(2000).optional(),
+});
+
+async function verifyAgainstChain(txSignature: string, mintAddress: string, fromWallet: string) {
+  try {
+    return await verifyTransaction(getServerConnection(), txSignature, { mintAddress, fromWallet })
+  } catch (error) {
+    if (error instanceof TransactionMismatchError) {
+      throw new UnprocessableError(error.message, 'TRANSACTION_MISMATCH')
+    }
+    throw error
+  }
+}
+
+// numeric columns take decimal strings, which keeps u64 amounts exact
+function toStoredAmount(amount: bigint | undefined) {
+  return amount === undefined ? undefined : amount.toString()
+}
 
 export async function POST(request: Request) {
   try {
-    const data = await request.json()
-    
+    const walletAddress = await requireWallet(request)
+    const data = await parseBody(request, createTransactionSchema)
+
+    if (data.fromWallet !== walletAddress) {
+      throw new ForbiddenError('fromWallet must match the authenticated wallet')
+    }
+
+    const token = await getTokenById(data.tokenId);
+    if (!token) {
+      throw new NotFoundError('Token not found')
+    }
+
+    const verified = await verifyAgainstChain(data.txSignature, token.mintAddress, data.fromWallet)
+
     // Create new transaction
-    const transaction = await createTransaction(data);
+    const transaction = await createTransaction({
+      tokenId: data.tokenId,
+      fromWallet: data.fromWallet,
+      txSignature: data.txSignature,
+      type: verified.type ?? data.type,
+      toWallet: verified.toWallet ?? data.toWallet,
+      amount: toStoredAmount(verified.amount ?? data.amount),
+      status: verified.status,
+      error: verified.error,
+    });
     
     return NextResponse.json(transaction)
   } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
     console.error('Error creating transaction:', error)
     return NextResponse.json(
       { error: 'Failed to create transaction' },
@@ -25,14 +113,17 @@ export async function POST(request: Request) {
 
 export async function GET(request: Request) {
   try {
-    const { searchParams } = new URL(request.url)
-    const tokenId = searchParams.get('tokenId')
-    const fromWallet = searchParams.get('fromWallet')
-    const status = searchParams.get('status')
+    const walletAddress = await requireWallet(request)
+    const { tokenId, fromWallet, status } = parseQuery(request, getTransactionsQuerySchema)
+
+    // Transaction history is private to the wallet that sent it
+    if (fromWallet && fromWallet !== walletAddress) {
+      throw new ForbiddenError('Cannot read another wallet\'s transactions')
+    }
 
     const options = {
+      fromWallet: walletAddress,
       ...(tokenId && { tokenId }),
-      ...(fromWallet && { fromWallet }),
       ...(status && { status })
     };
 
@@ -40,6 +131,9 @@ export async function GET(request: Request) {
 
     return NextResponse.json(transactions)
   } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
     console.error('Error fetching transactions:', error)
     return NextResponse.json(
       { error: 'Failed to fetch transactions' },
@@ -50,17 +144,41 @@ export async function GET(request: Request) {
 
 export async function PATCH(request: Request) {
   try {
-    const body = await request.json()
-    const result = await db.update(transactions)
-      .set({
-        status: body.status as any,
-        error: body.error
-      })
-      .where(eq(transactions.id, body.id))
-      .returning();
-    
-    return NextResponse.json(result[0])
+    const walletAddress = await requireWallet(request)
+    const body = await parseBody(request, updateTransactionSchema)
+
+    // Only the wallet that sent a transaction may change its recorded status
+    const existing = await getTransactionById(body.id);
+    if (!existing) {
+      throw new NotFoundError('Transaction not found')
+    }
+    if (existing.fromWallet !== walletAddress) {
+      throw new ForbiddenError('Only the sending wallet can update this transaction')
+    }
+
+    const token = await getTokenById(existing.tokenId);
+    if (!token) {
+      throw new NotFoundError('Token not found')
+    }
+
+    const verified = await verifyAgainstChain(existing.txSignature, token.mintAddress, existing.fromWallet)
+
+    // A transaction the chain has never seen may be marked FAILED by its sender
+    const clientReportedFailure = verified.status === 'PENDING' && body.status === 'FAILED'
+
+    const result = await updateTransaction(body.id, {
+      status: clientReportedFailure ? 'FAILED' : verified.status,
+      error: clientReportedFailure ? body.error : verified.error,
+      ...(verified.type && { type: verified.type }),
+      ...(verified.toWallet && { toWallet: verified.toWallet }),
+      ...(verified.amount !== undefined && { amount: toStoredAmount(verified.amount) }),
+    });
+
+    return NextResponse.json(result)
   } catch (error) {
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
+    }
     console.error('Error updating transaction:', error)
     return NextResponse.json(
       { error: 'Failed to update transaction' },
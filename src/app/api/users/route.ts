@@ -1,52 +1,32 @@
 import { NextResponse } from 'next/server'
-import { createUser, getUserByWalletAddress, getAllUsers } from '../../../db/queries';
-
-export async function POST(request: Request) {
+import { getUserByWalletAddress } from '../../../db/queries';
+import { requireWallet } from '../../../lib/auth'
+import { ForbiddenError, HttpError, httpErrorResponse } from '../../../lib/errors'
+import { parseQuery, publicKeySchema } from '../../../lib/validation'
+import { z } from 'zod'
+
+const getUserQuerySchema = z.object({
+  walletAddress: publicKeySchema.optional(),
+})
+
+// There is no POST: /api/auth/verify creates the user on first sign-in, before
+// any authenticated request can reach this route
+export async function GET(request: Request) {
   try {
-    const { walletAddress, email } = await request.json()
+    const walletAddress = await requireWallet(request)
+    const { walletAddress: requestedWallet } = parseQuery(request, getUserQuerySchema)
 
-    // Check if user already exists
-    const existingUser = await getUserByWalletAddress(walletAddress);
-
-    if (existingUser) {
-      return NextResponse.json(
-        { error: 'User already exists' },
-        { status: 400 }
-      )
+    // Users may only read their own record
+    if (requestedWallet && requestedWallet !== walletAddress) {
+      throw new ForbiddenError('Cannot read another wallet\'s profile')
     }
 
-    // Create new user
-    const user = await createUser({
-      walletAddress,
-      email,
-      lastLogin: new Date(),
-      tokensCreated: 0,
-      isVerified: false
-    });
-
+    const user = await getUserByWalletAddress(walletAddress);
     return NextResponse.json(user)
   } catch (error) {
-    console.error('Error creating user:', error)
-    return NextResponse.json(
-      { error: 'Internal server error' },
-      { status: 500 }
-    )
-  }
-}
-
-export async function GET(request: Request) {
-  try {
-    const { searchParams } = new URL(request.url)
-    const walletAddress = searchParams.get('walletAddress')
-
-    if (walletAddress) {
-      const user = await getUserByWalletAddress(walletAddress);
-      return NextResponse.json(user)
+    if (error instanceof HttpError) {
+      return httpErrorResponse(error)
     }
-
-    const users = await getAllUsers();
-    return NextResponse.json(users)
-  } catch (error) {
     console.error('Error fetching users:', error)
     return NextResponse.json(
       { error: 'Internal server error' },
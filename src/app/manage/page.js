@@ -1,3 +1,13 @@
+"use client";
+
+import TransferFeeManager from '@/components/TransferFeeManager';
+import LiquidityManager from '@/components/LiquidityManager';
+
 export default function ManagePage() {
-  return <div>Manage Coin Page Content</div>;
-} 
\ No newline at end of file
+  return (
+    <div style={{ maxWidth: '800px', margin: '0 auto', padding: '20px' }}>
+      <TransferFeeManager />
+      <LiquidityManager />
+    </div>
+  );
+}
@@ -5,6 +5,7 @@ import { useConnection } from '@solana/wallet-adapter-react';
 import { PublicKey, Connection } from '@solana/web3.js';
 import { getTokenMetadata, getTokenSupply, getTokenBalance, calculateBondingCurveProgress } from '../utils/tokenUtils';
 import { getPoolInfo } from '../utils/raydiumPool';
+import { getToken } from '../utils/api';
 import { Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -17,6 +18,9 @@ import {
   Legend
 } from 'chart.js';
 import Image from 'next/image';
+import TradePanel from './TradePanel';
+import LpLockBadge from './LpLockBadge';
+import OpenBookMarket from './OpenBookMarket';
 
 ChartJS.register(
   CategoryScale,
@@ -34,6 +38,7 @@ const CoinInfo = ({ externalConnection }) => {
   const [tokenInfo, setTokenInfo] = useState(null);
   const [poolInfo, setPoolInfo] = useState(null);
   const [bondingCurveInfo, setBondingCurveInfo] = useState(null);
+  const [openBookMarket, setOpenBookMarket] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
@@ -76,8 +81,10 @@ const CoinInfo = ({ externalConnection }) => {
         // Fetch token supply
         const supply = await getTokenSupply(conn, tokenPubkey);
         
-        // Fetch pool information
-        const pool = await getPoolInfo(conn, tokenPubkey);
+        // Fetch pool information, from the pool the token graduated to when it has one
+        const { data: records } = await getToken(tokenAddress).catch(() => ({ data: [] }));
+        const record = Array.isArray(records) && records.length > 0 ? records[0] : null;
+        const pool = await getPoolInfo(conn, tokenPubkey, { poolAddress: record?.poolAddress });
         
         setTokenInfo({
           ...metadata,
@@ -85,6 +92,7 @@ const CoinInfo = ({ externalConnection }) => {
           decimals: supply.decimals
         });
         setPoolInfo(pool);
+        setOpenBookMarket(record?.openBookMarket || null);
         
         // Calculate bonding curve information
         const totalSupply = Number(supply.amount);
@@ -298,6 +306,16 @@ const CoinInfo = ({ externalConnection }) => {
           </Paper>
         </Grid>
 
+        {/* Trade */}
+        <Grid item xs={12} md={6}>
+          <TradePanel
+            connection={connection}
+            tokenAddress={tokenAddress}
+            decimals={tokenInfo.decimals}
+            symbol={tokenInfo.symbol}
+          />
+        </Grid>
+
         {/* Pool Information */}
         {poolInfo && (
           <Grid item xs={12}>
@@ -328,10 +346,23 @@ const CoinInfo = ({ externalConnection }) => {
                   <Typography variant="subtitle2" color="text.secondary">Price</Typography>
                   <Typography>{poolInfo.price?.toFixed(8) || 0} SOL</Typography>
                 </Grid>
+                {poolInfo.lpMint && (
+                  <Grid item xs={12}>
+                    <Typography variant="subtitle2" color="text.secondary" gutterBottom>Liquidity Lock</Typography>
+                    <LpLockBadge connection={connection} poolAddress={poolInfo.address} />
+                  </Grid>
+                )}
               </Grid>
             </Paper>
           </Grid>
         )}
+
+        {/* OpenBook Market */}
+        {openBookMarket && (
+          <Grid item xs={12}>
+            <OpenBookMarket connection={connection} marketAddress={openBookMarket} symbol={tokenInfo.symbol} />
+          </Grid>
+        )}
       </Grid>
     </Box>
   );
@@ -23,46 +23,54 @@ import {
   Slider,
   InputAdornment,
   IconButton,
-  LinearProgress
+  LinearProgress,
+  MenuItem
 } from '@mui/material';
 import { 
   Connection, 
   PublicKey, 
-  Keypair, 
-  SystemProgram, 
-  Transaction,
-  TransactionInstruction,
   sendAndConfirmTransaction,
   LAMPORTS_PER_SOL,
   SYSVAR_RENT_PUBKEY
 } from '@solana/web3.js';
 import { 
   getMintLen,
-  createInitializeMintInstruction,
-  createMintToInstruction,
-  getAssociatedTokenAddress,
-  createAssociatedTokenAccountInstruction,
-  TOKEN_PROGRAM_ID,
-  MINT_SIZE,
-  createSetAuthorityInstruction,
-  AuthorityType
+  MAX_FEE_BASIS_POINTS
 } from '@solana/spl-token';
 import { WalletContext } from '@/context/WalletContext';
 import axios from 'axios';
 import imageCompression from 'browser-image-compression';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
-import { createRaydiumPool } from '@/utils/raydiumPool';
-import { createMetadataTransaction, createVerifyCreatorTransaction, createUpdateMetadataTransaction, validateAndFormatUri } from '@/utils/metadataUtils';
+import { createUpdateMetadataTransaction, validateAndFormatUri } from '@/utils/metadataUtils';
 import Link from 'next/link';
 import BN from 'bn.js';
 import dynamic from 'next/dynamic';
 import { useRouter } from 'next/navigation';
 import Image from 'next/image';
-import { Buffer } from 'buffer';
 import { useConnection, useWallet } from '@solana/wallet-adapter-react';
 import { PINATA_JWT } from '../config/apiKeys';
 import { getSafePublicKey, isValidPublicKey } from '@/utils/walletUtils';
-import { normalizeIpfsHash, prefetchIpfsContent, getIpfsUrl } from '@/utils/ipfsUtils';
+import { prefetchIpfsContent } from '@/utils/ipfsUtils';
+import { createLaunch, createToken, getActiveLaunches, getLaunches, recordLaunchStep, updateLaunchStatus } from '@/utils/api';
+import { LAUNCH_STATUS, LAUNCH_STEPS, LISTING_VENUES, LP_HANDLING, MINT_RECOVERY_DECISIONS, getNextStep, getOpenLookupTables, getStepLabel, isStepComplete } from '@/utils/launchState';
+import {
+  TOKEN_DECIMALS,
+  TOKEN_PROGRAMS,
+  buildTokenMetadataJson,
+  getTokenProgramId,
+  reclaimLookupTableRent,
+  splitSupply,
+  usesInlineMetadata
+} from '@/utils/launchPipeline';
+import { LAUNCH_OUTCOMES, LAUNCH_PROGRESS, ListingError, runLaunch } from '@/utils/launchRunner';
+import { MAX_TOKEN_DECIMALS, maxSupplyForDecimals, parseWholeTokens, toRawAmount } from '@/utils/amounts';
+import { PRIORITY_LEVELS } from '@/utils/priorityFees';
+import MintRecoveryDialog from '@/components/MintRecoveryDialog';
+import PreflightDialog from '@/components/PreflightDialog';
+import PriorityFeeSelect from '@/components/PriorityFeeSelect';
+import VenueComparison from '@/components/VenueComparison';
+import { DEFAULT_MARKET_SIZE } from '@/utils/openbookMarketSize';
+import { getVenue } from '@/utils/venues';
 
 // Fee constants - competitive with Slerf
 const BASE_MINT_FEE = 0.02; // Base fee for token creation
@@ -85,8 +93,6 @@ const RAYDIUM_POOL_RENT = RAYDIUM_POOL_STATE_RENT +
   RAYDIUM_QUOTE_VAULT_RENT +
   RAYDIUM_LP_MINT_RENT;
 
-const TOKEN_METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
-
 // Define constants locally since they're not exported
 const TYPE_SIZE = 1; // Size of the type discriminator
 const LENGTH_SIZE = 4; // Size of the length prefix
@@ -112,7 +118,9 @@ function CreateCoinForm() {
   const [formData, setFormData] = useState({
     name: '',
     symbol: '',
-    supply: 1000000,
+    // Whole tokens as a digit string; BigInt keeps it exact past 2^53
+    supply: '1000000',
+    decimals: TOKEN_DECIMALS,
     description: '',
     website: '',
     twitter: '',
@@ -133,9 +141,27 @@ function CreateCoinForm() {
     revokeFreezeAuthority: true,
     makeImmutable: true
   });
+
+  // SPL Token or Token-2022 (metadata lives in the mint via metadata-pointer)
+  const [tokenProgram, setTokenProgram] = useState(TOKEN_PROGRAMS.SPL_TOKEN);
+
+  // Transfer "tax" via the Token-2022 TransferFeeConfig extension; maxFee is in whole tokens
+  const [transferFee, setTransferFee] = useState({
+    enabled: false,
+    basisPoints: 100,
+    maxFee: 1000,
+    withdrawAuthority: ''
+  });
+
+  // Priority fee preset applied to every launch transaction
+  const [priorityLevel, setPriorityLevel] = useState(PRIORITY_LEVELS.MEDIUM);
   
   // New state variables for supply retention dialog
   const [showRetentionDialog, setShowRetentionDialog] = useState(false);
+  // Simulated launch awaiting the user's go-ahead, with the resolver of requestPreflightApproval
+  const [preflight, setPreflight] = useState(null);
+  // Interrupted bonding-curve mint awaiting the user's decision, with the resolver of requestMintRecovery
+  const [mintRecovery, setMintRecovery] = useState(null);
   const [retentionPercentage, setRetentionPercentage] = useState(20);
   const [retentionFee, setRetentionFee] = useState(0);
   const [baseFee, setBaseFee] = useState(BASE_MINT_FEE);
@@ -150,12 +176,29 @@ function CreateCoinForm() {
   
   // Add state for liquidity amount - start at a minimum of 0.2 SOL
   const [liquidityAmount, setLiquidityAmount] = useState(0.2);
+
+  // What happens to the pool's LP tokens; lpUnlockDate (YYYY-MM-DD) is only used to lock them
+  const [lpHandling, setLpHandling] = useState(LP_HANDLING.KEEP);
+  const [lpUnlockDate, setLpUnlockDate] = useState('');
+
+  // Where the bonding-curve supply is listed; openBookMarketSize only applies to OpenBook
+  const [listingVenue, setListingVenue] = useState(LISTING_VENUES.RAYDIUM);
+  const [openBookMarketSize, setOpenBookMarketSize] = useState(DEFAULT_MARKET_SIZE);
+
+  // Unfinished launch for the connected wallet, offered for resume
+  const [pendingLaunch, setPendingLaunch] = useState(null);
+
+  // Closed launches whose lookup tables still hold the creator's rent
+  const [reclaimableLaunches, setReclaimableLaunches] = useState([]);
+  const [reclaimStatus, setReclaimStatus] = useState('');
   
   // Get wallet address from context  
   const { 
     walletAddress: contextWalletAddress, 
     connectWallet,
-    isVerified
+    isVerified,
+    isAuthenticated,
+    signIn
   } = useContext(WalletContext) || {};
   
   const router = useRouter();
@@ -198,6 +241,41 @@ function CreateCoinForm() {
     checkAndConnectWallet();
   }, [walletAddress, connectWallet]);
 
+  // Look for a launch this wallet started but never finished
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setPendingLaunch(null);
+      return;
+    }
+
+    getActiveLaunches().then((response) => {
+      if (response.error) {
+        console.warn("Could not check for unfinished launches:", response.error);
+        return;
+      }
+      setPendingLaunch(response.data[0] || null);
+    });
+  }, [isAuthenticated, contextWalletAddress]);
+
+  // Lookup tables are closed a few minutes after they are deactivated, so a
+  // finished launch can leave rent behind for a later visit to reclaim
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setReclaimableLaunches([]);
+      return;
+    }
+
+    getLaunches().then((response) => {
+      if (response.error) {
+        console.warn("Could not check for lookup table rent to reclaim:", response.error);
+        return;
+      }
+      setReclaimableLaunches(response.data.filter((launch) =>
+        launch.status !== LAUNCH_STATUS.IN_PROGRESS && getOpenLookupTables(launch).length > 0
+      ));
+    });
+  }, [isAuthenticated, contextWalletAddress]);
+
   // Load test parameters if coming from test page
   useEffect(() => {
     try {
@@ -210,7 +288,8 @@ function CreateCoinForm() {
         setFormData({
           name: parsedParams.name || '',
           symbol: parsedParams.symbol || '',
-          supply: parsedParams.supply || 1000000,
+          supply: String(parsedParams.supply || '1000000'),
+          decimals: parsedParams.decimals ?? TOKEN_DECIMALS,
           description: 'Test token created via test page',
           website: '',
           twitter: '',
@@ -220,7 +299,7 @@ function CreateCoinForm() {
         
         // Set retention percentage based on the test parameters
         if (parsedParams.supply && parsedParams.creatorRetention) {
-          const percentage = Math.round((parsedParams.creatorRetention / parsedParams.supply) * 100);
+          const percentage = Number((BigInt(parsedParams.creatorRetention) * BigInt(100)) / BigInt(parsedParams.supply));
           setRetentionPercentage(percentage);
           
           // Calculate retention fee based on the percentage
@@ -257,11 +336,14 @@ function CreateCoinForm() {
     if (advancedOptions.makeImmutable) {
       fee += ADVANCED_OPTION_FEE;
     }
+    if (transferFee.enabled) {
+      fee += ADVANCED_OPTION_FEE;
+    }
     
     // Always include createLiquidityPool cost in baseFee (will be shown separately in dialog)
     setBaseFee(fee);
     setTotalFee(fee + retentionFee);
-  }, [advancedOptions, retentionFee]);
+  }, [advancedOptions, transferFee.enabled, retentionFee]);
 
   // Calculate retention fee based on percentage
   const calculateRetentionFee = (percentage) => {
@@ -302,9 +384,15 @@ function CreateCoinForm() {
 
   const handleChange = (e) => {
     const { name, value } = e.target;
+    let nextValue = value;
+    if (name === 'supply') {
+      nextValue = value.replace(/[^\d]/g, '');
+    } else if (name === 'decimals') {
+      nextValue = Number(value);
+    }
     setFormData({
       ...formData,
-      [name]: name === 'supply' ? Number(value) : value
+      [name]: nextValue
     });
   };
 
@@ -408,18 +496,96 @@ function CreateCoinForm() {
     setRetentionFee(calculateRetentionFee(20));
   };
 
-  const handleMintToken = async () => {
+  // Resolves true once the user approves the preflight report, false if they cancel
+  const requestPreflightApproval = (report) => new Promise((resolve) => {
+    setPreflight({ ...report, resolve });
+  });
+
+  const closePreflight = (approved) => {
+    preflight?.resolve(approved);
+    setPreflight(null);
+  };
+
+  // Resolves with { decision, retentionPercentage } once the user picks a MINT_RECOVERY_DECISIONS option
+  const requestMintRecovery = (details) => new Promise((resolve) => {
+    setMintRecovery({ ...details, resolve });
+  });
+
+  const closeMintRecovery = (decision, newRetentionPercentage) => {
+    mintRecovery?.resolve({ decision, retentionPercentage: newRetentionPercentage });
+    setMintRecovery(null);
+  };
+
+  const handleMintToken = async (resumeLaunch = null) => {
     if (!window.solana) {
       setError("Please install a Solana wallet like Phantom!");
       return;
     }
 
+    if (!resumeLaunch) {
+      const supply = parseWholeTokens(formData.supply || 0);
+      if (supply === BigInt(0)) {
+        setError("Supply must be at least 1 token.");
+        return;
+      }
+      if (supply > maxSupplyForDecimals(formData.decimals)) {
+        setError(`Supply is too large for ${formData.decimals} decimals. The most you can mint is ${maxSupplyForDecimals(formData.decimals).toLocaleString()} tokens.`);
+        return;
+      }
+    }
+
+    // Only Raydium pools mint LP tokens to burn or lock
+    const effectiveLpHandling = listingVenue === LISTING_VENUES.RAYDIUM ? lpHandling : LP_HANDLING.KEEP;
+    // Locks end at the start of the chosen day, UTC
+    const lpUnlockAt = effectiveLpHandling === LP_HANDLING.LOCK && lpUnlockDate
+      ? Math.floor(Date.parse(`${lpUnlockDate}T00:00:00Z`) / 1000)
+      : null;
+    if (!resumeLaunch && effectiveLpHandling === LP_HANDLING.LOCK && !(lpUnlockAt > Date.now() / 1000)) {
+      setError("Choose a future date to lock the liquidity until.");
+      return;
+    }
+
+    if (!resumeLaunch && transferFee.enabled) {
+      if (!Number.isInteger(transferFee.basisPoints) || transferFee.basisPoints < 0 || transferFee.basisPoints > MAX_FEE_BASIS_POINTS) {
+        setError(`Transfer fee must be between 0 and ${MAX_FEE_BASIS_POINTS} basis points.`);
+        return;
+      }
+      if (!Number.isInteger(transferFee.maxFee) || transferFee.maxFee <= 0) {
+        setError("Maximum transfer fee must be a whole number of tokens greater than zero.");
+        return;
+      }
+      if (transferFee.withdrawAuthority && !isValidPublicKey(transferFee.withdrawAuthority)) {
+        setError("Withdraw authority must be a valid Solana address.");
+        return;
+      }
+    }
+
     setLoading(true);
     setError("");
     setSuccessMessage("");
     setProgressStep(0);
     setStatusUpdate("Initializing...");
 
+    // A resumed launch replays the inputs it was started with, not the current form
+    const launchParams = resumeLaunch?.params || {
+      ...formData,
+      retentionPercentage,
+      liquidityAmount,
+      advancedOptions,
+      venue: listingVenue,
+      ...(listingVenue === LISTING_VENUES.OPENBOOK && { marketSize: openBookMarketSize }),
+      lpHandling: effectiveLpHandling,
+      lpUnlockAt,
+      tokenProgram,
+      transferFee: transferFee.enabled
+        ? {
+          basisPoints: transferFee.basisPoints,
+          maxFee: transferFee.maxFee,
+          withdrawAuthority: transferFee.withdrawAuthority || null,
+        }
+        : null,
+    };
+
     try {
       console.log("Starting token creation process with Raydium V3 pool...");
       setStatusUpdate("Starting token creation process. This may take 1-2 minutes.");
@@ -493,6 +659,9 @@ function CreateCoinForm() {
         setLoading(false);
         return;
       }
+
+      // Every launch transaction is signed by the injected Phantom provider
+      const walletSigner = window.solana;
       
       // Verify the key is actually valid by attempting to convert to base58
       try {
@@ -504,6 +673,13 @@ function CreateCoinForm() {
         setLoading(false);
         return;
       }
+
+      // Launch progress is stored against the wallet's session
+      if (!isAuthenticated && !(await signIn())) {
+        setError("Please sign the sign-in message so your launch progress can be saved.");
+        setLoading(false);
+        return;
+      }
       
       // Using QuickNode exclusively
       const quicknodeRpcUrl = process.env.NEXT_PUBLIC_RPC_ENDPOINT;
@@ -521,307 +697,165 @@ function CreateCoinForm() {
       // Log the RPC endpoint for debugging
       console.log("Using RPC endpoint:", connection.rpcEndpoint);
 
-      // Calculate fee in lamports - now includes retention fee and liquidity amount
-      const finalLiquidityAmount = liquidityAmount * LAMPORTS_PER_SOL;
-      const totalCost = totalFee * LAMPORTS_PER_SOL + finalLiquidityAmount;
-      console.log(`Total cost: ${totalCost / LAMPORTS_PER_SOL} SOL (including ${liquidityAmount} SOL for liquidity)`);
+      const { liquidityAmount, advancedOptions } = launchParams;
+      const formData = launchParams;
+
+      // A resumed launch has already paid for the steps it completed
+      if (!resumeLaunch) {
+        // Calculate fee in lamports - now includes retention fee and liquidity amount
+        const finalLiquidityAmount = liquidityAmount * LAMPORTS_PER_SOL;
+        const totalCost = totalFee * LAMPORTS_PER_SOL + finalLiquidityAmount;
+        console.log(`Total cost: ${totalCost / LAMPORTS_PER_SOL} SOL (including ${liquidityAmount} SOL for liquidity)`);
       
-      // Note: The fees will appear in Phantom as separate line items:
-      // - Base Fee: 0.02 SOL
-      // - Supply Retention (xx%): x.xxxx SOL
-      // - Revoke Mint Authority: 0.0100 SOL (if selected)
-      // - Revoke Freeze Authority: 0.0100 SOL (if selected)
-      // - Make Immutable: 0.0100 SOL (if selected)
-      // Liquidity amount will be shown separately in the transaction
-
-      // Check user's SOL balance with a safety margin for transaction fees
-      const userBalance = await connection.getBalance(userPublicKey);
-      console.log(`User balance: ${userBalance / LAMPORTS_PER_SOL} SOL`);
+        // Note: The fees will appear in Phantom as separate line items:
+        // - Base Fee: 0.02 SOL
+        // - Supply Retention (xx%): x.xxxx SOL
+        // - Revoke Mint Authority: 0.0100 SOL (if selected)
+        // - Revoke Freeze Authority: 0.0100 SOL (if selected)
+        // - Make Immutable: 0.0100 SOL (if selected)
+        // Liquidity amount will be shown separately in the transaction
+
+        // Check user's SOL balance with a safety margin for transaction fees
+        const userBalance = await connection.getBalance(userPublicKey);
+        console.log(`User balance: ${userBalance / LAMPORTS_PER_SOL} SOL`);
       
-      // Add a small buffer for transaction fees (0.01 SOL)
-      const requiredBalance = totalCost + (0.01 * LAMPORTS_PER_SOL);
+        // Add a small buffer for transaction fees (0.01 SOL)
+        const requiredBalance = totalCost + (0.01 * LAMPORTS_PER_SOL);
       
-      if (userBalance < requiredBalance) {
-        setError(`Insufficient SOL balance. You need at least ${(totalCost / LAMPORTS_PER_SOL) + 0.01} SOL to create this token, but your wallet has ${(userBalance / LAMPORTS_PER_SOL).toFixed(4)} SOL.`);
-        setLoading(false);
-        return;
+        if (userBalance < requiredBalance) {
+          setError(`Insufficient SOL balance. You need at least ${(totalCost / LAMPORTS_PER_SOL) + 0.01} SOL to create this token, but your wallet has ${(userBalance / LAMPORTS_PER_SOL).toFixed(4)} SOL.`);
+          setLoading(false);
+          return;
+        }
       }
 
-      // Image and metadata uploads
-      setStatusUpdate("Uploading token image and metadata to IPFS...");
-      setProgressStep(2);
-
-      // Define Pinata API endpoint and headers
-      const pinataUrl = 'https://api.pinata.cloud/pinning/pinFileToIPFS';
-      const pinataHeaders = {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-          pinata_api_key: process.env.NEXT_PUBLIC_PINATA_API_KEY,
-          pinata_secret_api_key: process.env.NEXT_PUBLIC_PINATA_SECRET_API_KEY,
-        },
-      };
+      // A resumed launch reuses the metadata uploaded when it was started
+      let imageUri = launchParams.imageUri || '';
+      let metadataUri = launchParams.metadataUri;
+      let metadataIpfsHash = launchParams.metadataIpfsHash;
+
+      if (!resumeLaunch) {
+        // Image and metadata uploads
+        setStatusUpdate("Uploading token image and metadata to IPFS...");
+        setProgressStep(2);
+
+        // Define Pinata API endpoint and headers
+        const pinataUrl = 'https://api.pinata.cloud/pinning/pinFileToIPFS';
+        const pinataHeaders = {
+          headers: {
+            'Content-Type': 'multipart/form-data',
+            pinata_api_key: process.env.NEXT_PUBLIC_PINATA_API_KEY,
+            pinata_secret_api_key: process.env.NEXT_PUBLIC_PINATA_SECRET_API_KEY,
+          },
+        };
 
-      // Step 0: Upload image to IPFS using Pinata (if provided)
-      let imageUri = '';
-      if (imageFile) {
-        console.log("Step 0: Uploading image to IPFS using Pinata...");
-        setStatusUpdate("Uploading image to IPFS...");
-        setProgressStep(1);
+        // Step 0: Upload image to IPFS using Pinata (if provided)
+        if (imageFile) {
+          console.log("Step 0: Uploading image to IPFS using Pinata...");
+          setStatusUpdate("Uploading image to IPFS...");
+          setProgressStep(1);
 
-        const formData = new FormData();
-        formData.append('file', imageFile);
+          const formData = new FormData();
+          formData.append('file', imageFile);
 
-        const imageResponse = await axios.post(pinataUrl, formData, pinataHeaders);
-        const imageIpfsHash = imageResponse.data.IpfsHash;
-        imageUri = `https://ipfs.io/ipfs/${imageIpfsHash}`;
-        console.log("Image uploaded to IPFS:", imageUri);
-      }
+          const imageResponse = await axios.post(pinataUrl, formData, pinataHeaders);
+          const imageIpfsHash = imageResponse.data.IpfsHash;
+          imageUri = `https://ipfs.io/ipfs/${imageIpfsHash}`;
+          console.log("Image uploaded to IPFS:", imageUri);
+        }
 
-      // Step 0.5: Upload metadata JSON to IPFS with better error handling
-      // Enhanced metadata format with social links and description
-      const metadataJson = {
-        name: formData.name,
-        symbol: formData.symbol,
-        description: formData.description,
-        image: imageUri,
-        attributes: [],
-        properties: {
-          files: [{ uri: imageUri, type: "image/png" }],
-          // Use standard format for external URLs
-          external_url: formData.website || "",
-          // Include all socials in a standard format
-          links: {
-            website: formData.website || "",
-            twitter: formData.twitter ? (formData.twitter.startsWith('https://') ? formData.twitter : `https://twitter.com/${formData.twitter.replace('@', '')}`) : "",
-            telegram: formData.telegram || "",
-            discord: formData.discord || ""
-          }
-        },
-        // Add these fields explicitly for better compatibility
-        seller_fee_basis_points: 0,
-        creators: [{ address: userPublicKey.toString(), share: 100, verified: true }],
-        collection: null,
-        uses: null
-      };
+        // Step 0.5: Upload metadata JSON to IPFS with better error handling
+        // Enhanced metadata format with social links and description
+        const metadataJson = buildTokenMetadataJson({
+          ...formData,
+          imageUri,
+          creator: userPublicKey
+        });
 
-      // Convert metadata to JSON and upload to Pinata with timeout and retry logic
-      const metadataBlob = new Blob([JSON.stringify(metadataJson)], { type: 'application/json' });
-      const metadataFile = new File([metadataBlob], 'metadata.json');
+        // Convert metadata to JSON and upload to Pinata with timeout and retry logic
+        const metadataBlob = new Blob([JSON.stringify(metadataJson)], { type: 'application/json' });
+        const metadataFile = new File([metadataBlob], 'metadata.json');
 
-      let metadataIpfsHash;
-      let metadataUri;
-      
-      try {
-        // Set timeout for Pinata uploads
-        const uploadTimeout = 15000; // 15 seconds
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), uploadTimeout);
+        try {
+          // Set timeout for Pinata uploads
+          const uploadTimeout = 15000; // 15 seconds
+          const controller = new AbortController();
+          const timeoutId = setTimeout(() => controller.abort(), uploadTimeout);
         
-        // Create form data
-        const metadataFormData = new FormData();
-        metadataFormData.append('file', metadataFile);
+          // Create form data
+          const metadataFormData = new FormData();
+          metadataFormData.append('file', metadataFile);
         
-        // Try the upload with a timeout
-        const metadataResponse = await axios.post(pinataUrl, metadataFormData, {
-          ...pinataHeaders,
-          signal: controller.signal
-        });
+          // Try the upload with a timeout
+          const metadataResponse = await axios.post(pinataUrl, metadataFormData, {
+            ...pinataHeaders,
+            signal: controller.signal
+          });
         
-        // Clear the timeout
-        clearTimeout(timeoutId);
+          // Clear the timeout
+          clearTimeout(timeoutId);
         
-        metadataIpfsHash = metadataResponse.data.IpfsHash;
-        metadataUri = `https://ipfs.io/ipfs/${metadataIpfsHash}`;
-        console.log("Metadata uploaded to IPFS:", metadataUri);
-      } catch (pinataError) {
-        console.error("Error uploading to Pinata:", pinataError);
+          metadataIpfsHash = metadataResponse.data.IpfsHash;
+          metadataUri = `https://ipfs.io/ipfs/${metadataIpfsHash}`;
+          console.log("Metadata uploaded to IPFS:", metadataUri);
+        } catch (pinataError) {
+          console.error("Error uploading to Pinata:", pinataError);
         
-        // Fallback to a different IPFS provider or a direct API endpoint
-        try {
-          console.log("Attempting fallback metadata upload...");
+          // Fallback to a different IPFS provider or a direct API endpoint
+          try {
+            console.log("Attempting fallback metadata upload...");
           
-          // Here we could implement a fallback to a different IPFS service
-          // For now, we'll just retry Pinata once more with different options
-          const retryFormData = new FormData();
-          retryFormData.append('file', metadataFile);
+            // Here we could implement a fallback to a different IPFS service
+            // For now, we'll just retry Pinata once more with different options
+            const retryFormData = new FormData();
+            retryFormData.append('file', metadataFile);
           
-          const retryResponse = await axios.post(pinataUrl, retryFormData, {
-            ...pinataHeaders,
-            timeout: 20000 // Longer timeout for retry
-          });
+            const retryResponse = await axios.post(pinataUrl, retryFormData, {
+              ...pinataHeaders,
+              timeout: 20000 // Longer timeout for retry
+            });
           
-          metadataIpfsHash = retryResponse.data.IpfsHash;
-          metadataUri = `https://ipfs.io/ipfs/${metadataIpfsHash}`;
-          console.log("Metadata uploaded to IPFS via fallback:", metadataUri);
-        } catch (fallbackError) {
-          console.error("Fallback upload also failed:", fallbackError);
+            metadataIpfsHash = retryResponse.data.IpfsHash;
+            metadataUri = `https://ipfs.io/ipfs/${metadataIpfsHash}`;
+            console.log("Metadata uploaded to IPFS via fallback:", metadataUri);
+          } catch (fallbackError) {
+            console.error("Fallback upload also failed:", fallbackError);
           
-          // If all else fails, generate a mock IPFS hash for testing
-          // This allows token creation to continue even if IPFS is down
-          const mockHash = `QmTest${Math.random().toString(36).substring(2, 10)}`;
-          metadataIpfsHash = mockHash;
-          metadataUri = `https://ipfs.io/ipfs/${mockHash}`;
-          console.warn("Using mock metadata URI to continue token creation:", metadataUri);
+            // If all else fails, generate a mock IPFS hash for testing
+            // This allows token creation to continue even if IPFS is down
+            const mockHash = `QmTest${Math.random().toString(36).substring(2, 10)}`;
+            metadataIpfsHash = mockHash;
+            metadataUri = `https://ipfs.io/ipfs/${mockHash}`;
+            console.warn("Using mock metadata URI to continue token creation:", metadataUri);
+          }
         }
-      }
-
-      // Try to preload/warm up the metadata via our proxy for faster access later
-      try {
-        console.log("Preloading metadata to improve reliability...");
-        
-        // Use our utility function to prefetch IPFS content
-        prefetchIpfsContent(metadataIpfsHash);
-        
-        console.log("Metadata preloading initiated");
-      } catch (preloadError) {
-        // Non-fatal error, just log it
-        console.warn("Could not preload metadata:", preloadError.message);
-      }
-
-      // Step 1: Create the token using standard SPL Token program
-      console.log("Step 1: Creating token with metadata using standard SPL Token program...");
-      setStatusUpdate("Creating token and setting up metadata...");
-      setProgressStep(3);
 
-      // Generate a keypair for the mint
-      const mintKeypair = Keypair.generate();
-      
-      // Log for debugging
-      console.log("Generated mint keypair with public key:", mintKeypair.publicKey.toString());
-      
-      // Following pump.fun's approach: Create a token with the standard Token Program first
-      const lamports = await connection.getMinimumBalanceForRentExemption(MINT_SIZE);
-      const createMintAccountInstruction = SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: mintKeypair.publicKey,
-        space: MINT_SIZE,
-        lamports,
-        programId: TOKEN_PROGRAM_ID,
-      });
-      
-      // Initialize mint instruction
-      const initializeMintInstruction = createInitializeMintInstruction(
-        mintKeypair.publicKey,
-        9, // decimals
-        userPublicKey,
-        userPublicKey,
-        TOKEN_PROGRAM_ID
-      );
-      
-      // Create associated token account for the user
-      const associatedTokenAddress = await getAssociatedTokenAddress(
-        mintKeypair.publicKey,
-        userPublicKey,
-        false,
-        TOKEN_PROGRAM_ID
-      );
-      
-      const createATAInstruction = createAssociatedTokenAccountInstruction(
-        userPublicKey,
-        associatedTokenAddress,
-        userPublicKey,
-        mintKeypair.publicKey,
-        TOKEN_PROGRAM_ID
-      );
-      
-      // Calculate how many tokens to keep for the creator and how many for the bonding curve
-      const totalSupply = formData.supply;
-      const creatorRetention = Math.floor(totalSupply * (retentionPercentage / 100));
-      let bondingCurveSupply = totalSupply - creatorRetention;
-      
-      console.log(`Creator retention: ${creatorRetention} tokens (${retentionPercentage}%)`);
-      console.log(`Bonding curve supply: ${bondingCurveSupply} tokens (${100 - retentionPercentage}%)`);
-      
-      // Now mint tokens to the associated token account (only creator's share)
-      const mintToInstruction = createMintToInstruction(
-        mintKeypair.publicKey,
-        associatedTokenAddress,
-        userPublicKey,
-        BigInt(creatorRetention * Math.pow(10, 9)), // Only mint creator's share
-        [],
-        TOKEN_PROGRAM_ID
-      );
-      
-      // Create transaction with mint setup instructions
-      const setupTx = new Transaction().add(
-        createMintAccountInstruction,
-        initializeMintInstruction,
-        createATAInstruction,
-        mintToInstruction
-      );
-      
-      setupTx.feePayer = userPublicKey;
-      setupTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-      
-      // Need to partially sign with the mint keypair
-      setupTx.partialSign(mintKeypair);
-      
-      // Send transaction to set up the token
-      console.log("Sending transaction to create token and mint supply...");
-      const { signature: setupSig } = await window.solana.signAndSendTransaction(setupTx);
-      console.log("Token setup transaction signature:", setupSig);
-      
-      // Add longer timeout and retry logic for confirmations
-      console.log("Confirming transaction with extended timeout...");
-      try {
-        // First try with longer timeout
-        await confirmTransactionWithRetry(connection, setupSig, 'confirmed', 60000);
-      } catch (confirmError) {
-        console.warn("Initial confirmation timed out, checking transaction status...");
+        // Try to preload/warm up the metadata via our proxy for faster access later
+        try {
+          console.log("Preloading metadata to improve reliability...");
         
-        // If initial confirmation fails, check if the transaction actually succeeded
-        const status = await checkTransactionStatus(connection, setupSig);
-        if (!status) {
-          console.error("Transaction failed or not found:", setupSig);
-          throw new Error(`Token creation transaction failed. Please check signature ${setupSig} on Solana Explorer.`);
-        } else {
-          console.log("Transaction was actually successful despite timeout!");
-        }
-      }
-      
-      console.log("Token created and supply minted successfully!");
-      
-      // Verify that the mint account exists and is initialized correctly
-      try {
-        const mintInfo = await connection.getAccountInfo(mintKeypair.publicKey);
-        console.log("Mint account exists:", !!mintInfo);
-        if (mintInfo) {
-          console.log("Mint account size:", mintInfo.data.length);
-        }
+          // Use our utility function to prefetch IPFS content
+          prefetchIpfsContent(metadataIpfsHash);
         
-        // Verify that the token account exists
-        const tokenAccountInfo = await connection.getAccountInfo(associatedTokenAddress);
-        console.log("Token account exists:", !!tokenAccountInfo);
-        if (tokenAccountInfo) {
-          console.log("Token account data size:", tokenAccountInfo.data.length);
+          console.log("Metadata preloading initiated");
+        } catch (preloadError) {
+          // Non-fatal error, just log it
+          console.warn("Could not preload metadata:", preloadError.message);
         }
-      } catch (verificationError) {
-        console.error("Error verifying accounts:", verificationError);
       }
-      
-      // Before mint bonding curve supply, NOW ADD METADATA FIRST
-      // IMPORTANT: Add metadata BEFORE revoking authorities or creating the Raydium V3 pool
-      console.log("Adding metadata to token...");
-      setStatusUpdate("Creating token metadata...");
-      
-      try {
-        // Use standard V3 metadata format
-        console.log("Creating metadata with V3 format:", {
-          uri: metadataUri,
-          name: formData.name,
-          symbol: formData.symbol,
-          mintAddress: mintKeypair.publicKey.toString(),
-        });
-        
+
+      // Token-2022 mints carry their metadata, so only Metaplex metadata needs the URI reachable
+      // (launches saved before Token-2022 support have no tokenProgram)
+      if (!usesInlineMetadata(getTokenProgramId(launchParams.tokenProgram)) && !isStepComplete(resumeLaunch, LAUNCH_STEPS.CREATE_METADATA)) {
         // Verify first that the URI is accessible before creating metadata
         try {
           console.log("Verifying IPFS URI is accessible...");
-          
+        
           // Use our proxy API to avoid CORS issues with x-metadata-required header
           const proxyUrl = metadataUri.includes('/ipfs/') 
             ? `/api/ipfs/${metadataUri.split('/ipfs/')[1]}`
             : metadataUri;
-          
+        
           // Set a short timeout for this verification check
           const verifyPromise = fetch(proxyUrl, { 
             cache: 'no-store',
@@ -832,714 +866,59 @@ function CreateCoinForm() {
           const timeoutPromise = new Promise((_, reject) => 
             setTimeout(() => reject(new Error('IPFS URI fetch timeout')), 5000)
           );
-          
+        
           // Race the fetch against a timeout
           await Promise.race([verifyPromise, timeoutPromise]);
           console.log("IPFS URI check completed successfully");
         } catch (uriError) {
-          // This is a top-level error in the URI check itself
+          // Metadata creation should not be blocked by this check
           console.warn("IPFS URI verification had an unexpected error:", uriError.message);
-          // Continue anyway - metadata creation should not be blocked by this check
-          console.log("Continuing with metadata creation despite URI check error");
         }
-        
-        // Create metadata transaction with our utility
-        const { transaction: metadataTx, metadataAddress } = await createMetadataTransaction({
-          mint: mintKeypair.publicKey,
-          mintAuthority: userPublicKey,
-          payer: userPublicKey,
-          name: formData.name,
-          symbol: formData.symbol,
-          uri: metadataUri,
-          creators: [{
-              address: userPublicKey,
-              share: 100,
-            verified: false // Set this to false since we'll verify in the next step
-          }],
-          sellerFeeBasisPoints: 0,
-          updateAuthority: userPublicKey,
-          isMutable: true,
-          tokenStandard: 0 // Add explicit token standard: 0 = Fungible Asset
-        });
-        
-        // Log the metadata PDA for debugging
-        console.log("Metadata PDA:", metadataAddress.toString());
-        console.log("Metadata transaction data:", metadataTx.instructions[0].data.toString('hex').substring(0, 64) + "...");
-        
-        // Set transaction properties
-        metadataTx.feePayer = userPublicKey;
-        metadataTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-        
-        // Send the transaction with proper wallet flow
-        console.log("Sending metadata transaction...");
-        
-        const result = await window.solana.signAndSendTransaction(metadataTx);
-        const metadataSig = result.signature;
-        console.log("Metadata transaction signature:", metadataSig);
-        setStatusUpdate("Waiting for metadata transaction confirmation...");
-        
-        try {
-          // Wait for confirmation with retry logic
-          await confirmTransactionWithRetry(connection, metadataSig, 'confirmed', 60000, 3);
-          console.log("Metadata created successfully!");
-          
-          // Verify that the metadata account exists and has the correct data
-          try {
-            console.log("Verifying metadata account is properly created...");
-            
-            // Find the metadata account address
-            const [metadataAddress] = await PublicKey.findProgramAddress(
-              [
-                Buffer.from("metadata"),
-                TOKEN_METADATA_PROGRAM_ID.toBuffer(),
-                mintKeypair.publicKey.toBuffer(),
-              ],
-              TOKEN_METADATA_PROGRAM_ID
-            );
-            
-            // Get metadata account info
-            const metadataAccountInfo = await connection.getAccountInfo(metadataAddress);
-            if (!metadataAccountInfo) {
-              console.error("Metadata account not found despite successful transaction!");
-            } else {
-              console.log("Metadata account exists with size:", metadataAccountInfo.data.length);
-              
-              // Verify that the IPFS URI is accessible - with better error handling
-              try {
-                console.log("Verifying final IPFS URI is accessible to wallets...");
-                
-                // Create a safe verification function that won't block the process
-                const verifyMetadataUri = async () => {
-                  try {
-                    // Use our utility to get a clean hash and proper URL
-                    const hash = normalizeIpfsHash(metadataUri);
-                    const proxyUrl = getIpfsUrl(hash);
-                    
-                    console.log(`Verifying IPFS URI via proxy: ${proxyUrl}`);
-                    
-                    // Set a shorter timeout (3 seconds)
-                    const controller = new AbortController();
-                    const timeoutId = setTimeout(() => controller.abort(), 3000);
-                    
-                    try {
-                      // Use a special header to get immediate response
-                      const response = await fetch(proxyUrl, { 
-                        method: 'GET',
-                        cache: 'no-store',
-                        signal: controller.signal,
-                        headers: {
-                          'x-metadata-required': 'true', // Signal for immediate response
-                          'Cache-Control': 'no-cache'
-                        }
-                      });
-                      
-                      // Clear the timeout
-                      clearTimeout(timeoutId);
-                      
-                      // We don't actually need to check the content, just that we got a response
-                      console.log("IPFS verification successful - metadata accessible");
-                      return true;
-                    } catch (proxyError) {
-                      console.warn("Proxy verification failed:", proxyError.message);
-                      // It's ok if verification fails, we still continue with token creation
-                      return false;
-                    }
-                  } catch (error) {
-                    console.warn("IPFS URI verification error:", error);
-                    return false;
-                  }
-                };
-                
-                // Start verification but don't wait for it - continue with token creation regardless
-                // This prevents the process from getting stuck on IPFS timeouts
-                setTimeout(() => {
-                  verifyMetadataUri().catch(e => console.warn("Verification process failed:", e));
-                }, 100);
-              } catch (uriVerificationError) {
-                console.warn("Warning: IPFS URI verification failed:", uriVerificationError.message);
-                console.log("Proceeding with token creation regardless of verification failure");
-              }
-            }
-          } catch (verificationError) {
-            console.warn("Error verifying metadata:", verificationError);
-            // Non-fatal, continue execution
-          }
-        } catch (confirmError) {
-          console.error("Error confirming metadata transaction:", confirmError);
-          // Check if the transaction was actually successful despite confirmation timeout
-          const status = await checkTransactionStatus(connection, metadataSig);
-          if (!status) {
-            throw new Error(`Metadata transaction failed: ${confirmError.message}. Please try again.`);
-          }
-          console.log("Metadata transaction succeeded despite confirmation issues.");
-        }
-          
-        // Allow a brief pause before verification
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Create verify creator transaction
-        console.log("Creating verification transaction...");
-        const { transaction: verifyTx } = await createVerifyCreatorTransaction({
-          mint: mintKeypair.publicKey,
-          creator: userPublicKey,
-          payer: userPublicKey
-        });
-        
-        verifyTx.feePayer = userPublicKey;
-        verifyTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-        
-        // Send verify transaction
-        console.log("Sending verification transaction...");
-        const { signature: verifySig } = await window.solana.signAndSendTransaction(verifyTx);
-        console.log("Verification signature:", verifySig);
-        
-        // Wait for confirmation
-        await confirmTransactionWithRetry(connection, verifySig, 'confirmed', 30000, 2);
-          console.log("Creator verified successfully!");
-
-        // The metadata is now created, proceed to apply advanced options AFTER metadata creation:
+      }
 
-      // Apply advanced options if selected
-      if (advancedOptions.revokeMintAuthority || advancedOptions.revokeFreezeAuthority || advancedOptions.makeImmutable) {
-        console.log("Applying advanced options...");
-        setStatusUpdate("Applying advanced token security options...");
-        setProgressStep(5);
-        
-        try {
-          // Check if the mint and freeze authorities are already revoked by reading the mint account
-          const mintInfoAccount = await connection.getAccountInfo(mintKeypair.publicKey);
-          if (!mintInfoAccount) {
-            throw new Error("Could not find mint account");
-          }
-          
-          // Simple check - we know the authority fields are in the first few bytes
-          const isAuthorityNull = (offset) => {
-            // Check if the 32 bytes at this offset are all zeros (indicating null)
-            const authorityBytes = mintInfoAccount.data.slice(offset, offset + 32);
-            return authorityBytes.every(byte => byte === 0);
-          };
-          
-          const mintAuthorityNull = isAuthorityNull(0); // Mint authority is at the beginning
-          const freezeAuthorityNull = isAuthorityNull(36); // Freeze authority is after mint authority (4 bytes for option)
-          
-          console.log("Current mint authority status:", mintAuthorityNull ? "Already revoked" : "Active");
-          console.log("Current freeze authority status:", freezeAuthorityNull ? "Already revoked" : "Active");
-          
-            // Important: If user selected to revoke authorities, ensure they are actually revoked
-            // Rather than handling individually, let's create a single transaction to revoke both if needed
-            const revokeAuthoritiesTx = new Transaction();
-          
-            // If revoke mint authority is selected and not already revoked, add to transaction
-          if (advancedOptions.revokeMintAuthority && !mintAuthorityNull) {
-              console.log("Adding instruction to revoke mint authority...");
-              revokeAuthoritiesTx.add(
-              createSetAuthorityInstruction(
-                mintKeypair.publicKey,
-                userPublicKey,
-                AuthorityType.MintTokens,
-                null, // Setting to null revokes the authority
-                [],
-                TOKEN_PROGRAM_ID
-              )
-            );
-            }
-            
-            // If revoke freeze authority is selected and not already revoked, add to transaction
-          if (advancedOptions.revokeFreezeAuthority && !freezeAuthorityNull) {
-              console.log("Adding instruction to revoke freeze authority...");
-              revokeAuthoritiesTx.add(
-              createSetAuthorityInstruction(
-                mintKeypair.publicKey,
-                userPublicKey,
-                AuthorityType.FreezeAccount,
-                null, // Setting to null revokes the authority
-                [],
-                TOKEN_PROGRAM_ID
-              )
-            );
-            }
-            
-            // If there are any revocation instructions, send the transaction
-            if (revokeAuthoritiesTx.instructions.length > 0) {
-              revokeAuthoritiesTx.feePayer = userPublicKey;
-              revokeAuthoritiesTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-              
-              console.log("Sending transaction to revoke authorities...");
-              const { signature: revokeAuthoritiesSig } = await window.solana.signAndSendTransaction(revokeAuthoritiesTx);
-              console.log("Authority revocation transaction signature:", revokeAuthoritiesSig);
-              
-              try {
-                await confirmTransactionWithRetry(connection, revokeAuthoritiesSig, 'confirmed', 30000);
-                console.log("Token authorities revoked successfully!");
-                
-                // Verify that authorities were actually revoked
-                const updatedMintInfo = await connection.getAccountInfo(mintKeypair.publicKey);
-                if (updatedMintInfo) {
-                  const updatedMintAuthorityNull = updatedMintInfo.data.slice(0, 32).every(byte => byte === 0);
-                  const updatedFreezeAuthorityNull = updatedMintInfo.data.slice(36, 68).every(byte => byte === 0);
-                  
-                  console.log("Updated mint authority status:", updatedMintAuthorityNull ? "Revoked" : "Still active");
-                  console.log("Updated freeze authority status:", updatedFreezeAuthorityNull ? "Revoked" : "Still active");
-                  
-                  if (advancedOptions.revokeMintAuthority && !updatedMintAuthorityNull) {
-                    console.warn("Failed to revoke mint authority despite successful transaction!");
-                  }
-                  
-                  if (advancedOptions.revokeFreezeAuthority && !updatedFreezeAuthorityNull) {
-                    console.warn("Failed to revoke freeze authority despite successful transaction!");
-                  }
-                }
-              } catch (confirmError) {
-                console.warn("Authority revocation transaction confirmation failed, but transaction may have succeeded:", confirmError.message);
-              }
-            } else {
-              console.log("No authorities need to be revoked - skipping revocation transaction");
+      // The steps themselves run in launchRunner; this component only supplies the dialogs
+      const result = await runLaunch(connection, walletSigner, {
+        params: { ...launchParams, imageUri, metadataUri, metadataIpfsHash },
+        launch: resumeLaunch,
+        store: { createLaunch, recordLaunchStep, createToken, updateLaunchStatus },
+        createLiquidityPool,
+        priorityLevel,
+        onStatus: (message, progress) => {
+          setStatusUpdate(message);
+          if (progress !== undefined) {
+            setProgressStep(progress);
           }
-          
-          // If make immutable is selected, update the metadata account to be immutable
-          if (advancedOptions.makeImmutable) {
-            console.log("Making token metadata immutable...");
-            
-            try {
-              // Find the metadata account address
-              const [metadataAddress] = await PublicKey.findProgramAddress(
-                [
-                  Buffer.from("metadata"),
-                  TOKEN_METADATA_PROGRAM_ID.toBuffer(),
-                  mintKeypair.publicKey.toBuffer(),
-                ],
-                TOKEN_METADATA_PROGRAM_ID
-              );
-              
-              console.log("Metadata address:", metadataAddress.toString());
-              
-              // Create a new update authority - set to null to make it immutable
-              const newUpdateAuthority = null;
-              
-              // Using a simpler approach - create a very minimal UpdateMetadata instruction
-              // Instruction layout: [1 (discriminator), 0 (data option), 1 (update authority option), 0 (primary sale option)]
-              const buffer = Buffer.from([1, 0, 1, 0]); 
-              
-              // Add the instruction with minimal data - only indicating we're updating the update authority
-              const immutableIx = new TransactionInstruction({
-                keys: [
-                  { pubkey: metadataAddress, isSigner: false, isWritable: true },
-                  { pubkey: userPublicKey, isSigner: true, isWritable: false },
-                ],
-                programId: TOKEN_METADATA_PROGRAM_ID,
-                data: buffer
-              });
-              
-              // Create a transaction 
-              const makeImmutableTx = new Transaction().add(immutableIx);
-              makeImmutableTx.feePayer = userPublicKey;
-              makeImmutableTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-              
-              // Sign and send the transaction
-              try {
-                const { signature: immutableSig } = await window.solana.signAndSendTransaction(makeImmutableTx);
-                console.log("Immutable transaction signature:", immutableSig);
-                
-                try {
-                  // Confirm transaction
-                  await confirmTransactionWithRetry(connection, immutableSig, 'confirmed', 30000, 2);
-                  console.log("Token metadata made immutable successfully");
-                } catch (confirmError) {
-                  console.warn("Immutable transaction confirmation error:", confirmError.message);
-                  console.log("Transaction may still succeed, continuing with process");
-                }
-              } catch (txError) {
-                // If user rejects, that's ok - token is still created
-                console.warn("Failed to make metadata immutable:", txError.message);
-                if (txError.message && (
-                  txError.message.includes("rejected") || 
-                  txError.message.includes("cancelled") ||
-                  txError.message.includes("canceled")
-                )) {
-                  console.log("User rejected immutable transaction - continuing with process");
-                } else {
-                  // For technical errors, we can try an alternate approach with different parameters
-                  console.log("Attempting alternate approach for making metadata immutable...");
-                  try {
-                    // Just try with simpler data - only the instruction discriminator
-                    const simpleBuffer = Buffer.from([1]);
-                    
-                    const simpleImmutableIx = new TransactionInstruction({
-                      keys: [
-                        { pubkey: metadataAddress, isSigner: false, isWritable: true },
-                        { pubkey: userPublicKey, isSigner: true, isWritable: false },
-                      ],
-                      programId: TOKEN_METADATA_PROGRAM_ID,
-                      data: simpleBuffer
-                    });
-                    
-                    const simpleImmutableTx = new Transaction().add(simpleImmutableIx);
-                    simpleImmutableTx.feePayer = userPublicKey;
-                    simpleImmutableTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-                    
-                    const { signature: simpleImmutableSig } = await window.solana.signAndSendTransaction(simpleImmutableTx);
-                    console.log("Simple immutable transaction signature:", simpleImmutableSig);
-                    
-                    try {
-                      await confirmTransactionWithRetry(connection, simpleImmutableSig, 'confirmed', 30000, 2);
-                      console.log("Token metadata made immutable (alternate approach succeeded)");
-                    } catch (altConfirmError) {
-                      console.warn("Alternate immutable transaction confirmation error:", altConfirmError.message);
-                    }
-                  } catch (altError) {
-                    console.warn("Alternate approach also failed:", altError.message);
-                    console.log("Continuing with process - token is still functional");
-                  }
-                }
-              }
-            } catch (metaplexError) {
-              console.error("Error making token metadata immutable:", metaplexError.message);
-              console.warn("Continuing with token creation despite metadata immutability error");
-              // Continue execution - token is still created
-            }
-          }
-          } catch (advancedOptionsError) {
-            console.error("Error applying advanced options:", advancedOptionsError.message);
-            // Continue execution since the token itself was created successfully
-          }
-        }
-      } catch (metadataError) {
-        console.error("Error creating token metadata:", metadataError);
-        console.error("Error details:", metadataError);
-        
-        // Check if user canceled this transaction
-        if (metadataError.message && (
-            metadataError.message.includes("rejected") || 
-            metadataError.message.includes("User rejected") ||
-            metadataError.message.includes("cancelled") ||
-            metadataError.message.includes("canceled")
-        )) {
-          console.log("User canceled the metadata creation. Token created but without metadata.");
-          
-          const mintAddress = mintKeypair.publicKey;
-          setMintAddress(mintAddress.toString());
-          
-          // Format a simple success message for base token
-          const solscanUrl = `https://solscan.io/token/${mintAddress.toString()}`;
-          const birdeyeUrl = `https://birdeye.so/token/${mintAddress.toString()}?chain=solana`;
-          const minimalSuccessMsg = `Token created but without metadata.
-
-Mint Address: ${mintAddress}
-Solscan: ${solscanUrl}
-Birdeye: ${birdeyeUrl}
-
-Your token was minted successfully, but does not have metadata.
-It will not display properly in wallets without metadata.
-`;
+        },
+        requestPreflightApproval,
+        requestMintRecovery
+      });
 
-          setSuccessMessage(minimalSuccessMsg);
-          setSuccess(true);
-          setLoading(false);
-          return; // Stop the process here
-              } else {
-          // For any other error, don't proceed - metadata is required for proper functionality
-          setError(`Metadata creation failed: ${metadataError.message}. The token was created but won't display properly in wallets. Please try again or contact support.`);
-          setLoading(false);
-          return; // Stop the process here - don't proceed with liquidity pool
-        }
+      if (result.outcome === LAUNCH_OUTCOMES.DECLINED) {
+        setStatusUpdate("");
+        setProgressStep(0);
+        setLoading(false);
+        return;
       }
 
-      // Move platform fee collection here, after metadata is complete
-      // ... rest of the code ...
+      const { mint: mintPublicKey, creatorRetention, bondingCurveSupply, decimals, venue } = result;
 
-      // Collect platform fee regardless of pool creation
-      try {
-        // Base platform fee + 10% of the liquidity amount
-        const basePlatformFee = 20000000; // 0.02 SOL
-        const liquidityFeePercentage = 0.1; // 10% of the liquidity amount
-        const liquidityFee = Math.floor(liquidityAmount * LAMPORTS_PER_SOL * liquidityFeePercentage);
-        const totalPlatformFee = basePlatformFee + liquidityFee;
-        
-        console.log(`Collecting platform fee (${basePlatformFee / LAMPORTS_PER_SOL} SOL base + ${liquidityFee / LAMPORTS_PER_SOL} SOL from liquidity)...`);
-        
-        const platformFeeTx = new Transaction();
-        platformFeeTx.add(
-          SystemProgram.transfer({
-            fromPubkey: userPublicKey,
-            toPubkey: new PublicKey(process.env.NEXT_PUBLIC_PLATFORM_FEE_ADDRESS),
-            lamports: totalPlatformFee
-          })
-        );
-        platformFeeTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-        platformFeeTx.feePayer = userPublicKey;
-        
-        const { signature: platformFeeSig } = await window.solana.signAndSendTransaction(platformFeeTx);
-        console.log('Platform fee collected:', platformFeeSig);
-      } catch (feeError) {
-              // Check if this is a user rejection
-        if (feeError.message && (
-            feeError.message.includes("rejected") || 
-            feeError.message.includes("User rejected") ||
-            feeError.message.includes("cancelled") ||
-            feeError.message.includes("canceled")
-        )) {
-          console.log("User canceled the platform fee transaction.");
-          console.warn("Platform fee transaction was canceled, but token was created.");
-              } else {
-          console.warn("Failed to collect platform fee, but token was created:", feeError.message);
-        }
-      }
-      
-      // Now mint bonding curve tokens and create Raydium V3 pool
-      if (createLiquidityPool) {
-        console.log(`Minting bonding curve supply (${bondingCurveSupply} tokens) for the market...`);
-        setStatusUpdate(`Minting ${bondingCurveSupply.toLocaleString()} tokens for liquidity pool...`);
-        setProgressStep(5);
-        
-        try {
-          // CRITICAL FIX: Use much smaller chunks and better transaction structure
-          // Define max tokens per transaction - SIGNIFICANTLY reduced to ensure transactions go through
-          const MAX_TOKENS_PER_TX = 100000; // 100k tokens per transaction - extremely reduced from previous 1M
-          
-          // Calculate how many tokens we've minted so far
-          let tokensMinted = 0;
-          
-          // Keep minting in chunks until we've minted all bonding curve tokens
-          while (tokensMinted < bondingCurveSupply) {
-            // Calculate tokens for this chunk (either the max or remaining amount)
-            const tokensThisChunk = Math.min(MAX_TOKENS_PER_TX, bondingCurveSupply - tokensMinted);
-            
-            console.log(`Minting chunk ${Math.ceil(tokensMinted/MAX_TOKENS_PER_TX) + 1} of ${Math.ceil(bondingCurveSupply/MAX_TOKENS_PER_TX)}: ${tokensThisChunk.toLocaleString()} tokens`);
-            setStatusUpdate(`Minting tokens for pool: ${Math.round((tokensMinted / bondingCurveSupply) * 100)}% complete...`);
-            
-            // Create a separate, clean transaction for each chunk with minimal instructions
-            const mintChunkTx = new Transaction();
-            
-            // Add compute budget instructions to increase transaction success rate
-            try {
-              const { ComputeBudgetProgram } = await import('@solana/web3.js');
-              mintChunkTx.add(
-                ComputeBudgetProgram.setComputeUnitPrice({
-                  microLamports: 500000 // Much higher priority fee (5x increase)
-                }),
-                ComputeBudgetProgram.setComputeUnitLimit({
-                  units: 200000 // Set reasonable compute unit limit
-                })
-              );
-            } catch (computeError) {
-              console.warn("Failed to set compute budget:", computeError.message);
-            }
-            
-            // Just the essential mint instruction - nothing else to reduce transaction size
-            const mintChunkIx = createMintToInstruction(
-              mintKeypair.publicKey,
-              associatedTokenAddress,
-              userPublicKey,
-              BigInt(tokensThisChunk * Math.pow(10, 9)), // Convert to raw token amount
-              [],
-              TOKEN_PROGRAM_ID
-            );
-            
-            mintChunkTx.add(mintChunkIx);
-            
-            // Get fresh blockhash for each transaction
-            mintChunkTx.feePayer = userPublicKey;
-            const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('finalized');
-            mintChunkTx.recentBlockhash = blockhash;
-            
-            // Declare chunkSig outside the try block
-            let chunkSig;
-            
-            // Sign and send this chunk's transaction
-            try {
-              console.log(`Sending transaction to mint chunk of ${tokensThisChunk.toLocaleString()} tokens...`);
-              const result = await window.solana.signAndSendTransaction(mintChunkTx);
-              chunkSig = result.signature;
-              console.log(`Chunk mint transaction sent: ${chunkSig}`);
-              
-              // Wait for confirmation
-              const confirmation = await connection.confirmTransaction({
-                signature: chunkSig,
-                blockhash: blockhash,
-                lastValidBlockHeight: lastValidBlockHeight
-              }, 'confirmed');
-              
-              if (confirmation.value.err) {
-                throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
-              }
-              
-              console.log(`Successfully minted chunk of ${tokensThisChunk.toLocaleString()} tokens`);
-              
-              // Only update progress after successful minting
-              tokensMinted += tokensThisChunk;
-              setStatusUpdate(`Minting tokens for pool: ${Math.round((tokensMinted / bondingCurveSupply) * 100)}% complete...`);
-              
-              // Add a small delay between transactions to avoid rate limits
-              await new Promise(resolve => setTimeout(resolve, 1500));
-            } catch (chunkError) {
-              console.error(`Error minting chunk: ${chunkError.message}`);
-              
-              // Check if this was a user rejection
-              if (chunkError.message && (
-                  chunkError.message.includes("rejected") || 
-                  chunkError.message.includes("User rejected") ||
-                  chunkError.message.includes("cancelled") ||
-                  chunkError.message.includes("canceled")
-              )) {
-                throw new Error("Token minting was canceled by user. Please try again and approve all transactions.");
-              }
-              
-              // For transaction errors, let's use a different approach - MINT ALL AT ONCE
-              if (bondingCurveSupply > 100000) {
-                console.log("Chunked minting failed, attempting single transaction with higher retention...");
-                
-                // Let's increase the retention percentage to reduce bonding curve supply
-                // For example, if the retention was 20%, let's raise it to 80%
-                const newRetentionPercentage = Math.min(retentionPercentage + 30, 95);
-                
-                // Recalculate token supply distribution
-                const newCreatorRetention = Math.floor(formData.supply * (newRetentionPercentage / 100));
-                const newBondingCurveSupply = formData.supply - newCreatorRetention;
-                
-                console.log(`Adjusted retention to ${newRetentionPercentage}% - Creator: ${newCreatorRetention}, Bonding curve: ${newBondingCurveSupply}`);
-                
-                // Create a new transaction to mint the entire (smaller) bonding curve supply
-                const singleMintTx = new Transaction();
-                
-                try {
-                  const { ComputeBudgetProgram } = await import('@solana/web3.js');
-                  singleMintTx.add(
-                    ComputeBudgetProgram.setComputeUnitPrice({
-                      microLamports: 1000000 // Very high priority fee
-                    }),
-                    ComputeBudgetProgram.setComputeUnitLimit({
-                      units: 200000
-                    })
-                  );
-                } catch (computeError) {
-                  console.warn("Failed to set compute budget:", computeError.message);
-                }
-                
-                singleMintTx.add(
-                  createMintToInstruction(
-                    mintKeypair.publicKey,
-                    associatedTokenAddress,
-                    userPublicKey,
-                    BigInt(newBondingCurveSupply * Math.pow(10, 9)),
-                    [],
-                    TOKEN_PROGRAM_ID
-                  )
-                );
-                
-                const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('finalized');
-                singleMintTx.recentBlockhash = blockhash;
-                singleMintTx.feePayer = userPublicKey;
-                
-                console.log("Sending single transaction with adjusted supply...");
-                const singleResult = await window.solana.signAndSendTransaction(singleMintTx);
-                await connection.confirmTransaction({
-                  signature: singleResult.signature,
-                  blockhash,
-                  lastValidBlockHeight
-                }, 'confirmed');
-                
-                console.log("Successfully minted with adjusted retention ratio");
-                
-                // Update our bonding curve supply to match what we actually minted
-                bondingCurveSupply = newBondingCurveSupply;
-                tokensMinted = newBondingCurveSupply;
-                
-                // Break the loop since we've minted everything
-                break;
-          } else {
-                // For small supply, we can just retry with higher fees
-                console.log("Retrying with higher fees...");
-                continue;
-              }
-            }
-          }
-          
-          // Verify the final token balance after minting all chunks
-          console.log("Verifying final token balance...");
-          
-          try {
-            const finalBalance = await connection.getTokenAccountBalance(associatedTokenAddress);
-            console.log(`Final token balance: ${finalBalance.value.uiAmount}`);
-            const expectedTotal = creatorRetention + bondingCurveSupply;
-            
-            if (finalBalance.value.uiAmount < expectedTotal * 0.99) { // Allow 1% tolerance
-              console.warn(`WARNING: Final token balance (${finalBalance.value.uiAmount}) is less than expected (${expectedTotal})`);
-              // Continue anyway since we got most of the tokens
-            } else {
-              console.log(`Successfully minted all ${bondingCurveSupply.toLocaleString()} tokens for the bonding curve!`);
-            }
-          } catch (balanceError) {
-            console.warn("Error checking final token balance:", balanceError.message);
-            // Continue anyway - we'll assume minting was successful
-          }
-          
-          console.log('Creating Raydium V3 liquidity pool for trading...');
-          setStatusUpdate(`Creating liquidity pool with ${liquidityAmount} SOL...`);
-          setProgressStep(6);
-          
-          // Define a function to sign transactions with the wallet
-          const signTransaction = async (tx) => window.solana.signTransaction(tx);
-          
-          // Use user-selected liquidity amount
-          const poolCreationFee = liquidityAmount * LAMPORTS_PER_SOL; // Use the amount chosen by the user
-          console.log(`Using user-selected pool creation fee of ${poolCreationFee / LAMPORTS_PER_SOL} SOL for Raydium pool creation`);
-          
-          // Create the Raydium V3 liquidity pool using our updated implementation
-          const poolResult = await createRaydiumPool({
-            connection,
-            userPublicKey,
-            mintKeypair,
-            tokenDecimals: 9,
-            tokenAmount: BigInt(bondingCurveSupply * Math.pow(10, 9)),
-            solAmount: poolCreationFee,
-            signTransaction
-          });
-          
-          if (!poolResult.success) {
-            // CRITICAL ERROR: Cannot continue without liquidity pool
-            const errorMsg = poolResult.error || "Unknown error creating liquidity pool";
-            console.error("Liquidity pool creation failed:", errorMsg);
-            
-            // Fail with detailed error message - suggest a fixed small increment
-            throw new Error(`Liquidity pool creation failed: ${errorMsg}. Try again with ${Math.min(liquidityAmount + 0.05, 0.5)} SOL for liquidity.`);
-          }
-          
-          console.log("Liquidity pool created successfully!");
-          console.log("Pool ID:", poolResult.poolId);
-          setStatusUpdate("Liquidity pool created successfully! Finalizing token creation...");
-          setProgressStep(7);
-          
-        } catch (poolError) {
-          // ALL errors are critical if pool creation is required
-          console.error("Error in pool creation process:", poolError);
-          
-          // Check if this is a user rejection/cancellation
-          if (poolError.message && (
-              poolError.message.includes("rejected") || 
-              poolError.message.includes("User rejected") ||
-              poolError.message.includes("cancelled") ||
-              poolError.message.includes("canceled")
-          )) {
-            console.log("User canceled the pool creation process. Terminating token creation.");
-            setError("Token creation canceled by user during pool creation. Please try again and approve all transactions to complete the process.");
-            setLoading(false);
-            return; // Exit immediately
-          } else {
-            // For other errors, terminate with clear error message - use a consistent suggestion
-            setError(`${poolError.message}. Please try again with a slightly higher liquidity amount (${(liquidityAmount + 0.05).toFixed(2)} SOL should be sufficient).`);
-            setLoading(false);
-            return; // Exit immediately
-          }
-        }
-      } else {
-        console.log("Skipping liquidity pool creation as per user preference");
+      if (result.outcome === LAUNCH_OUTCOMES.PAUSED) {
+        setStatusUpdate(`Minting stopped at ${result.tokensMinted.toLocaleString()} of ${bondingCurveSupply.toLocaleString()} tokens. They stay in your wallet and the launch can be resumed later.`);
+        setPendingLaunch(result.launch);
+        setLoading(false);
+        return;
       }
+      setPendingLaunch(null);
 
       // Store the mint address
-      console.log("Final Mint Address:", mintKeypair.publicKey.toString());
-      setMintAddress(mintKeypair.publicKey.toString());
+      setMintAddress(mintPublicKey.toString());
       setStatusUpdate("Token successfully created! Redirecting to token details...");
-      setProgressStep(8);
+      setProgressStep(LAUNCH_PROGRESS.DONE);
+
+      // A resplit leaves the tokens it dropped from the curve unminted, so the
+      // saved token and the message use the minted split rather than formData.supply
+      const { totalSupply } = result;
+      const creatorSharePercent = Number((creatorRetention * BigInt(10000)) / totalSupply) / 100;
 
       // Save token information to localStorage for display on homepage
       try {
@@ -1549,11 +928,11 @@ It will not display properly in wallets without metadata.
         
         // Create token object with essential display information
         const newToken = {
-          mintAddress: mintKeypair.publicKey.toString(),
+          mintAddress: mintPublicKey.toString(),
           name: formData.name,
           symbol: formData.symbol,
           imageUri: imageUri,
-          totalSupply: formData.supply,
+          totalSupply: totalSupply.toString(),
           createdAt: new Date().toISOString(),
         };
         
@@ -1569,28 +948,28 @@ It will not display properly in wallets without metadata.
       }
 
       // Format success message (update to include the new info)
-      const solscanUrl = `https://solscan.io/token/${mintKeypair.publicKey.toString()}`;
-      const birdeyeUrl = `https://birdeye.so/token/${mintKeypair.publicKey.toString()}?chain=solana`;
+      const solscanUrl = `https://solscan.io/token/${mintPublicKey.toString()}`;
+      const birdeyeUrl = `https://birdeye.so/token/${mintPublicKey.toString()}?chain=solana`;
       const successMsg = `Success! Your token "${formData.name}" has been created with the ticker "${formData.symbol}".
 
-Mint Address: ${mintKeypair.publicKey.toString()}
+Mint Address: ${mintPublicKey.toString()}
 Solscan: ${solscanUrl}
 Birdeye: ${birdeyeUrl}
 
 Token Details:
 - Name: ${formData.name}
 - Symbol: ${formData.symbol}
-- Total Supply: ${formData.supply.toLocaleString()} ${formData.symbol}
-- Creator Supply: ${creatorRetention} ${formData.symbol} (${retentionPercentage}%)
-- Bonding Curve Supply: ${bondingCurveSupply} ${formData.symbol} (${100 - retentionPercentage}%)
-- Decimals: 9
+- Total Supply: ${totalSupply.toLocaleString()} ${formData.symbol}
+- Creator Supply: ${creatorRetention.toLocaleString()} ${formData.symbol} (${creatorSharePercent}%)
+- Bonding Curve Supply: ${bondingCurveSupply.toLocaleString()} ${formData.symbol} (${Math.round((100 - creatorSharePercent) * 100) / 100}%)
+- Decimals: ${decimals}
 ${formData.description ? `- Description: ${formData.description}` : ''}
 ${formData.website ? `- Website: ${formData.website}` : ''}
 ${formData.twitter ? `- Twitter: ${formData.twitter}` : ''}
 ${formData.telegram ? `- Telegram: ${formData.telegram}` : ''}
 ${formData.discord ? `- Discord: ${formData.discord}` : ''}
 ${advancedOptions.makeImmutable ? '- Token has been permanently made immutable' : ''}
-${createLiquidityPool ? '- Liquidity pool has been created with Raydium V3' : '- No liquidity pool was created (you can create one later)'}
+${createLiquidityPool ? `- Listed on ${venue.name}` : '- No liquidity pool was created (you can create one later)'}
 
 Visibility Status:
 - ✅ Your token has been fully verified with creator signature
@@ -1612,9 +991,21 @@ View on Birdeye: ${birdeyeUrl}`;
       setLoading(false);
 
       // Redirect to token info page
-      router.push(`/token/${mintKeypair.publicKey.toString()}`);
+      router.push(`/token/${mintPublicKey.toString()}`);
 
     } catch (error) {
+      // All listing errors are critical, since the pool is what the launch is for
+      if (error instanceof ListingError) {
+        if (error.cancelled) {
+          console.log("User canceled the pool creation process. Terminating token creation.");
+          setError("Token creation canceled by user during pool creation. Please try again and approve all transactions to complete the process.");
+        } else {
+          setError(`${error.message}. Please try again with a slightly higher liquidity amount (${(launchParams.liquidityAmount + 0.05).toFixed(2)} SOL should be sufficient).`);
+        }
+        setLoading(false);
+        return;
+      }
+
       console.error("Error creating token:", {
         message: error.message,
         stack: error.stack,
@@ -1625,7 +1016,9 @@ View on Birdeye: ${birdeyeUrl}`;
       // Handle different types of errors with more useful messages
       let errorMessage = error.message;
       
-      if (error.name === 'WalletConnectionError') {
+      if (error.name === 'PreflightError') {
+        errorMessage = `${error.message} Your wallet was not asked to sign it.`;
+      } else if (error.name === 'WalletConnectionError') {
         errorMessage = 'Wallet connection error. Please make sure your wallet is unlocked and try again.';
       } else if (error.name === 'TransactionExpiredTimeoutError' || error.message.includes('timeout')) {
         errorMessage = 'Transaction timed out. The network might be congested. Your transaction might still complete - check your wallet for updates.';
@@ -1645,6 +1038,67 @@ View on Birdeye: ${birdeyeUrl}`;
     }
   };
 
+  const handleResumeLaunch = () => {
+    handleMintToken(pendingLaunch);
+  };
+
+  // Abandoned launches stay in the log but are no longer offered for resume
+  const handleDiscardLaunch = async () => {
+    const response = await updateLaunchStatus(pendingLaunch.mintAddress, LAUNCH_STATUS.ABANDONED);
+    if (response.error) {
+      setError(`Could not discard the unfinished launch: ${response.error}`);
+      return;
+    }
+    setPendingLaunch(null);
+  };
+
+  // Deactivates or closes each open table; ones still cooling down are left for next time
+  const handleReclaimRent = async () => {
+    const connection = new Connection(process.env.NEXT_PUBLIC_RPC_ENDPOINT, { commitment: 'confirmed' });
+    const totals = { closed: 0, coolingDown: 0 };
+    try {
+      for (const launch of reclaimableLaunches) {
+        const record = (step) => async (address, signature) => {
+          const response = await recordLaunchStep(launch.mintAddress, {
+            step,
+            txSignature: signature,
+            detail: { address: address.toString() },
+          });
+          if (response.error) {
+            console.warn(`Could not record launch step ${step}:`, response.error);
+          }
+        };
+        setReclaimStatus(`Approve the lookup table transactions for ${launch.params?.symbol} in your wallet...`);
+        const summary = await reclaimLookupTableRent(
+          connection,
+          window.solana,
+          getOpenLookupTables(launch).map(({ address }) => new PublicKey(address)),
+          {
+            priorityLevel,
+            onDeactivated: record(LAUNCH_STEPS.DEACTIVATE_LOOKUP_TABLE),
+            onClosed: record(LAUNCH_STEPS.CLOSE_LOOKUP_TABLE)
+          }
+        );
+        totals.closed += summary.closed;
+        totals.coolingDown += summary.coolingDown + summary.deactivated;
+      }
+    } catch (reclaimError) {
+      console.error("Error reclaiming lookup table rent:", reclaimError);
+      setReclaimStatus(`Could not reclaim the rent: ${reclaimError.message}`);
+      return;
+    }
+
+    const refreshed = await getLaunches();
+    if (!refreshed.error) {
+      setReclaimableLaunches(refreshed.data.filter((launch) =>
+        launch.status !== LAUNCH_STATUS.IN_PROGRESS && getOpenLookupTables(launch).length > 0
+      ));
+    }
+    setReclaimStatus(totals.coolingDown > 0
+      ? `Closed ${totals.closed} lookup table(s). ${totals.coolingDown} can be closed in a few minutes.`
+      : `Closed ${totals.closed} lookup table(s); the rent is back in your wallet.`);
+  };
+
   // Function to copy mint address to clipboard
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text)
@@ -1664,67 +1118,33 @@ View on Birdeye: ${birdeyeUrl}`;
     });
   };
 
-  // Helper function to confirm transaction with retries
-  const confirmTransactionWithRetry = async (connection, signature, commitment, timeoutMs = 60000, retries = 3) => {
-    let retryCount = 0;
-    
-    while (retryCount < retries) {
-      try {
-        const result = await connection.confirmTransaction(
-          { signature, blockhash: (await connection.getLatestBlockhash()).blockhash },
-          commitment
-        );
-        
-        if (result.value.err) {
-          throw new Error(`Transaction ${signature} failed: ${JSON.stringify(result.value.err)}`);
-        }
-        
-        return result;
-      } catch (error) {
-        console.warn(`Confirmation attempt ${retryCount + 1} failed:`, error.message);
-        retryCount++;
-        
-        if (retryCount >= retries) {
-          throw error;
-        }
-        
-        // Add exponential backoff
-        await new Promise(resolve => setTimeout(resolve, 2000 * Math.pow(2, retryCount)));
-      }
+  // Transfer fees only exist on Token-2022, so the two options move together
+  const handleTokenProgramChange = (useToken2022) => {
+    setTokenProgram(useToken2022 ? TOKEN_PROGRAMS.TOKEN_2022 : TOKEN_PROGRAMS.SPL_TOKEN);
+    if (!useToken2022) {
+      setTransferFee({ ...transferFee, enabled: false });
     }
   };
-  
-  // Helper function to check if a transaction succeeded even if confirmation timed out
-  const checkTransactionStatus = async (connection, signature) => {
-    try {
-      const status = await connection.getSignatureStatus(signature, {
-        searchTransactionHistory: true,
-      });
-      
-      console.log("Transaction status:", status);
-      
-      // If null, transaction not found
-      if (!status || !status.value) {
-        return false;
-      }
-      
-      // If has error, transaction failed
-      if (status.value && status.value.err) {
-        return false;
-      }
-      
-      // If confirmations > 0 or status is 'confirmed'/'finalized', transaction succeeded
-      return (
-        status.value.confirmationStatus === 'confirmed' ||
-        status.value.confirmationStatus === 'finalized' ||
-        (status.value.confirmations !== null && status.value.confirmations > 0)
-      );
-    } catch (error) {
-      console.error("Error checking transaction status:", error);
-      return false;
+
+  const handleTransferFeeChange = (field, value) => {
+    const next = { ...transferFee, [field]: value };
+    setTransferFee(next);
+    if (field === 'enabled' && value) {
+      setTokenProgram(TOKEN_PROGRAMS.TOKEN_2022);
     }
   };
 
+  // What the retention dialog shows for the current supply and slider
+  const supplyPreview = splitSupply(formData.supply || 0, retentionPercentage);
+  // Raw supply for pricing listing venues, or null until a valid supply is entered
+  let venueSupply = null;
+  try {
+    const wholeSupply = parseWholeTokens(formData.supply || 0);
+    venueSupply = wholeSupply > BigInt(0) ? toRawAmount(wholeSupply, formData.decimals) : null;
+  } catch (supplyError) {
+    venueSupply = null;
+  }
+
   return (
     <Container maxWidth="md" sx={{ py: 4 }}>
       <Box sx={{ 
@@ -1746,6 +1166,40 @@ View on Birdeye: ${birdeyeUrl}`;
         <Alert severity="info" sx={{ mb: 3, backgroundColor: 'rgba(0, 114, 229, 0.1)', color: 'white', '& .MuiAlert-icon': { color: '#0072e5' } }}>
           New! Your token will be automatically listed on Birdeye and other DEXes - no extra steps required!
         </Alert>
+
+        {pendingLaunch && !loading && (
+          <Alert
+            severity="warning"
+            sx={{ mb: 3, backgroundColor: 'rgba(237, 108, 2, 0.1)', color: 'white', '& .MuiAlert-icon': { color: '#ed6c02' } }}
+            action={
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button size="small" variant="contained" onClick={handleResumeLaunch} sx={{ backgroundColor: 'lime', color: 'black', '&:hover': { backgroundColor: '#c0ff00' } }}>
+                  Resume
+                </Button>
+                <Button size="small" onClick={handleDiscardLaunch} sx={{ color: 'white' }}>
+                  Discard
+                </Button>
+              </Box>
+            }
+          >
+            You have an unfinished launch for {pendingLaunch.params?.name} ({pendingLaunch.params?.symbol}).
+            {getNextStep(pendingLaunch) && ` Next step: ${getStepLabel(getNextStep(pendingLaunch))}.`}
+          </Alert>
+        )}
+
+        {(reclaimableLaunches.length > 0 || reclaimStatus) && !loading && (
+          <Alert
+            severity="info"
+            sx={{ mb: 3, backgroundColor: 'rgba(0, 114, 229, 0.1)', color: 'white', '& .MuiAlert-icon': { color: '#0072e5' } }}
+            action={reclaimableLaunches.length > 0 && (
+              <Button size="small" variant="contained" onClick={handleReclaimRent} sx={{ backgroundColor: 'lime', color: 'black', '&:hover': { backgroundColor: '#c0ff00' } }}>
+                Reclaim
+              </Button>
+            )}
+          >
+            {reclaimStatus || `${reclaimableLaunches.length} of your launches left an address lookup table open. Reclaim its rent to get the SOL back.`}
+          </Alert>
+        )}
         
         <Grid container spacing={3}>
           <Grid item xs={12} md={6}>
@@ -1860,15 +1314,17 @@ View on Birdeye: ${birdeyeUrl}`;
                 />
               </Grid>
               
-              <Grid item xs={12}>
+              <Grid item xs={12} sm={8}>
                 <TextField
                   required
                   fullWidth
                   name="supply"
                   label="Initial Supply"
-                  type="number"
+                  inputProps={{ inputMode: 'numeric' }}
                   value={formData.supply}
                   onChange={handleChange}
+                  helperText={formData.supply ? `${parseWholeTokens(formData.supply).toLocaleString()} tokens` : ' '}
+                  FormHelperTextProps={{ sx: { color: 'rgba(255, 255, 255, 0.5)' } }}
                   variant="outlined"
                   sx={{ 
                     input: { color: 'white' }, 
@@ -1882,6 +1338,33 @@ View on Birdeye: ${birdeyeUrl}`;
                 />
               </Grid>
 
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  select
+                  fullWidth
+                  name="decimals"
+                  label="Decimals"
+                  value={formData.decimals}
+                  onChange={handleChange}
+                  helperText="9 is standard on Solana"
+                  FormHelperTextProps={{ sx: { color: 'rgba(255, 255, 255, 0.5)' } }}
+                  variant="outlined"
+                  sx={{ 
+                    '& .MuiSelect-select': { color: 'white' },
+                    label: { color: 'rgba(255, 255, 255, 0.7)' },
+                    '& .MuiOutlinedInput-root': {
+                      '& fieldset': { borderColor: 'rgba(255, 255, 255, 0.3)' },
+                      '&:hover fieldset': { borderColor: 'rgba(255, 255, 255, 0.5)' },
+                      '&.Mui-focused fieldset': { borderColor: 'lime' }
+                    }
+                  }}
+                >
+                  {Array.from({ length: MAX_TOKEN_DECIMALS + 1 }, (_, value) => (
+                    <MenuItem key={value} value={value}>{value}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+
               <Grid item xs={12}>
                 <TextField
                   fullWidth
@@ -2074,6 +1557,101 @@ View on Birdeye: ${birdeyeUrl}`;
                   />
                 </Paper>
               </Grid>
+
+              <Grid item xs={12} sm={6} md={4}>
+                <Paper sx={{ p: 2, backgroundColor: 'rgba(255, 255, 255, 0.05)' }}>
+                  <FormControlLabel
+                    control={
+                      <Checkbox 
+                        checked={tokenProgram === TOKEN_PROGRAMS.TOKEN_2022}
+                        onChange={(e) => handleTokenProgramChange(e.target.checked)}
+                        sx={{ 
+                          color: 'lime',
+                          '&.Mui-checked': { color: 'lime' }
+                        }}
+                      />
+                    }
+                    label={
+                      <Tooltip title="Launch on the Token-2022 program. Name, symbol and URI are stored in the mint itself (metadata-pointer extension) instead of a separate Metaplex account">
+                        <Typography component="div" sx={{ color: 'white' }}>
+                          Use Token-2022
+                        </Typography>
+                      </Tooltip>
+                    }
+                  />
+                </Paper>
+              </Grid>
+
+              <Grid item xs={12} sm={6} md={4}>
+                <Paper sx={{ p: 2, backgroundColor: 'rgba(255, 255, 255, 0.05)' }}>
+                  <FormControlLabel
+                    control={
+                      <Checkbox 
+                        checked={transferFee.enabled}
+                        onChange={(e) => handleTransferFeeChange('enabled', e.target.checked)}
+                        sx={{ 
+                          color: 'lime',
+                          '&.Mui-checked': { color: 'lime' }
+                        }}
+                      />
+                    }
+                    label={
+                      <Tooltip title="Withhold a percentage of every transfer (a &quot;tax&quot;) that the withdraw authority can collect later from the Manage page. Requires Token-2022">
+                        <Typography component="div" sx={{ color: 'white' }}>
+                          Transfer Fee (+{ADVANCED_OPTION_FEE} SOL)
+                        </Typography>
+                      </Tooltip>
+                    }
+                  />
+                </Paper>
+              </Grid>
+
+              {transferFee.enabled && (
+                <Grid item xs={12}>
+                  <Paper sx={{ p: 2, backgroundColor: 'rgba(255, 255, 255, 0.05)' }}>
+                    <Grid container spacing={2}>
+                      <Grid item xs={12} sm={4}>
+                        <TextField
+                          fullWidth
+                          type="number"
+                          label="Fee (basis points)"
+                          value={transferFee.basisPoints}
+                          onChange={(e) => handleTransferFeeChange('basisPoints', Number(e.target.value))}
+                          inputProps={{ min: 0, max: MAX_FEE_BASIS_POINTS, step: 1 }}
+                          helperText={`${(transferFee.basisPoints / 100).toFixed(2)}% of each transfer`}
+                          sx={{ input: { color: 'white' }, label: { color: 'rgba(255, 255, 255, 0.7)' } }}
+                        />
+                      </Grid>
+                      <Grid item xs={12} sm={4}>
+                        <TextField
+                          fullWidth
+                          type="number"
+                          label="Maximum fee (tokens)"
+                          value={transferFee.maxFee}
+                          onChange={(e) => handleTransferFeeChange('maxFee', Number(e.target.value))}
+                          inputProps={{ min: 1, step: 1 }}
+                          helperText="Cap on the fee for a single transfer"
+                          sx={{ input: { color: 'white' }, label: { color: 'rgba(255, 255, 255, 0.7)' } }}
+                        />
+                      </Grid>
+                      <Grid item xs={12} sm={4}>
+                        <TextField
+                          fullWidth
+                          label="Withdraw authority (optional)"
+                          value={transferFee.withdrawAuthority}
+                          onChange={(e) => handleTransferFeeChange('withdrawAuthority', e.target.value.trim())}
+                          helperText="Defaults to your wallet"
+                          sx={{ input: { color: 'white' }, label: { color: 'rgba(255, 255, 255, 0.7)' } }}
+                        />
+                      </Grid>
+                    </Grid>
+                  </Paper>
+                </Grid>
+              )}
+
+              <Grid item xs={12} sm={6} md={4}>
+                <PriorityFeeSelect value={priorityLevel} onChange={setPriorityLevel} disabled={loading} />
+              </Grid>
             </Grid>
             
             <Divider sx={{ my: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
@@ -2082,7 +1660,7 @@ View on Birdeye: ${birdeyeUrl}`;
               You will mint a Fungible Asset token that will display in Phantom Wallet with:
               {formData.name && <div>• Name: <strong>{formData.name}</strong></div>}
               {formData.symbol && <div>• Symbol: <strong>{formData.symbol}</strong></div>}
-              {formData.supply && <div>• Supply: <strong>{formData.supply}</strong> tokens</div>}
+              {formData.supply && <div>• Supply: <strong>{parseWholeTokens(formData.supply).toLocaleString()}</strong> tokens ({formData.decimals} decimals)</div>}
               {imageFile && <div>• Image: The uploaded image will be shown in your wallet</div>}
               {formData.description && <div>• Description: <strong>{formData.description}</strong></div>}
               {formData.website && <div>• Website: <strong>{formData.website}</strong></div>}
@@ -2093,6 +1671,7 @@ View on Birdeye: ${birdeyeUrl}`;
               {advancedOptions.revokeMintAuthority && <div>• Mint authority has been revoked</div>}
               {advancedOptions.revokeFreezeAuthority && <div>• Freeze authority has been revoked</div>}
               {advancedOptions.makeImmutable && <div>• Token has been permanently made immutable</div>}
+              {transferFee.enabled && <div>• Transfers carry a {(transferFee.basisPoints / 100).toFixed(2)}% fee (max {transferFee.maxFee} tokens)</div>}
               <div>• Initial liquidity will be added with a bonding curve</div>
             </Typography>
           </Grid>
@@ -2109,6 +1688,7 @@ View on Birdeye: ${birdeyeUrl}`;
                 {advancedOptions.revokeMintAuthority && <><br />• Revoke Mint Authority: <strong>{ADVANCED_OPTION_FEE.toFixed(4)} SOL</strong></>}
                 {advancedOptions.revokeFreezeAuthority && <><br />• Revoke Freeze Authority: <strong>{ADVANCED_OPTION_FEE.toFixed(4)} SOL</strong></>}
                 {advancedOptions.makeImmutable && <><br />• Make Immutable: <strong>{ADVANCED_OPTION_FEE.toFixed(4)} SOL</strong></>}
+                {transferFee.enabled && <><br />• Transfer Fee: <strong>{ADVANCED_OPTION_FEE.toFixed(4)} SOL</strong></>}
               </Typography>
               
               <Divider sx={{ my: 1, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
@@ -2165,7 +1745,7 @@ View on Birdeye: ${birdeyeUrl}`;
               Your token has been created and should be visible in compatible Solana wallets.
             </Typography>
             <Typography variant="body2" paragraph>
-              <strong>Note:</strong> Your token has been created with a Raydium V3 liquidity pool. You can check your token&apos;s status on Birdeye or Raydium.
+              <strong>Note:</strong> Your token has been listed on {getVenue(listingVenue).name}. You can check your token&apos;s status on Birdeye.
             </Typography>
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
               <Typography variant="body1" sx={{ mr: 1 }}>
@@ -2330,11 +1910,23 @@ View on Birdeye: ${birdeyeUrl}`;
                   Starting at just 0.15 SOL! More competitive than other token creators. Higher values (0.2-0.3 SOL) improve liquidity depth.
                 </Typography>
               </Grid>
+
+              <Grid item xs={12}>
+                <VenueComparison
+                  venue={listingVenue}
+                  onVenueChange={setListingVenue}
+                  marketSize={openBookMarketSize}
+                  onMarketSizeChange={setOpenBookMarketSize}
+                  solAmount={Math.round(liquidityAmount * LAMPORTS_PER_SOL)}
+                  supply={venueSupply}
+                  decimals={formData.decimals}
+                />
+              </Grid>
               
               <Grid item xs={12} sm={6}>
                 <TextField
                   label="You Keep"
-                  value={Math.floor(formData.supply * (retentionPercentage / 100)).toLocaleString()}
+                  value={supplyPreview.creatorRetention.toLocaleString()}
                   InputProps={{
                     readOnly: true,
                     endAdornment: <InputAdornment position="end">{formData.symbol || 'tokens'}</InputAdornment>,
@@ -2357,7 +1949,7 @@ View on Birdeye: ${birdeyeUrl}`;
               <Grid item xs={12} sm={6}>
                 <TextField
                   label="Bonding Curve Gets"
-                  value={Math.floor(formData.supply * ((100 - retentionPercentage) / 100)).toLocaleString()}
+                  value={supplyPreview.bondingCurveSupply.toLocaleString()}
                   InputProps={{
                     readOnly: true,
                     endAdornment: <InputAdornment position="end">{formData.symbol || 'tokens'}</InputAdornment>,
@@ -2376,6 +1968,43 @@ View on Birdeye: ${birdeyeUrl}`;
                   }}
                 />
               </Grid>
+
+              {listingVenue === LISTING_VENUES.RAYDIUM && (
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    select
+                    fullWidth
+                    label="LP tokens"
+                    value={lpHandling}
+                    onChange={(e) => setLpHandling(e.target.value)}
+                    helperText={
+                      lpHandling === LP_HANDLING.BURN ? 'Burned: the liquidity can never be withdrawn'
+                        : lpHandling === LP_HANDLING.LOCK ? 'Locked on chain until the date you choose'
+                          : 'Kept in your wallet'
+                    }
+                    sx={{ '& .MuiInputBase-root': { color: 'white' }, label: { color: 'rgba(255, 255, 255, 0.7)' } }}
+                  >
+                    <MenuItem value={LP_HANDLING.BURN}>Burn</MenuItem>
+                    <MenuItem value={LP_HANDLING.LOCK}>Lock until a date</MenuItem>
+                    <MenuItem value={LP_HANDLING.KEEP}>Keep</MenuItem>
+                  </TextField>
+                </Grid>
+              )}
+
+              {listingVenue === LISTING_VENUES.RAYDIUM && lpHandling === LP_HANDLING.LOCK && (
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth
+                    type="date"
+                    label="Locked until"
+                    value={lpUnlockDate}
+                    onChange={(e) => setLpUnlockDate(e.target.value)}
+                    InputLabelProps={{ shrink: true }}
+                    helperText="Unlocks at 00:00 UTC on this day"
+                    sx={{ input: { color: 'white' }, label: { color: 'rgba(255, 255, 255, 0.7)' } }}
+                  />
+                </Grid>
+              )}
             </Grid>
           </Box>
           
@@ -2390,6 +2019,7 @@ View on Birdeye: ${birdeyeUrl}`;
               {advancedOptions.revokeMintAuthority && <><br />• Revoke Mint Authority: <strong>{ADVANCED_OPTION_FEE.toFixed(4)} SOL</strong></>}
               {advancedOptions.revokeFreezeAuthority && <><br />• Revoke Freeze Authority: <strong>{ADVANCED_OPTION_FEE.toFixed(4)} SOL</strong></>}
               {advancedOptions.makeImmutable && <><br />• Make Immutable: <strong>{ADVANCED_OPTION_FEE.toFixed(4)} SOL</strong></>}
+              {transferFee.enabled && <><br />• Transfer Fee: <strong>{ADVANCED_OPTION_FEE.toFixed(4)} SOL</strong></>}
             </Typography>
             
             <Divider sx={{ my: 1, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
@@ -2443,6 +2073,19 @@ View on Birdeye: ${birdeyeUrl}`;
           </Button>
         </DialogActions>
       </Dialog>
+
+      <PreflightDialog
+        preflight={preflight}
+        onConfirm={() => closePreflight(true)}
+        onCancel={() => closePreflight(false)}
+      />
+
+      <MintRecoveryDialog
+        recovery={mintRecovery}
+        onRetry={() => closeMintRecovery(MINT_RECOVERY_DECISIONS.RETRY)}
+        onCancel={() => closeMintRecovery(MINT_RECOVERY_DECISIONS.CANCEL)}
+        onResplit={(newRetentionPercentage) => closeMintRecovery(MINT_RECOVERY_DECISIONS.RESPLIT, newRetentionPercentage)}
+      />
     </Container>
   );
 } 
\ No newline at end of file
@@ -0,0 +1,277 @@
+"use client";
+
+import { useContext, useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Paper,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Connection, PublicKey } from '@solana/web3.js';
+import { NATIVE_MINT } from '@solana/spl-token';
+import { WalletContext } from '@/context/WalletContext';
+import { isValidPublicKey } from '@/utils/walletUtils';
+import { formatTokenAmount, parseDecimalAmount, percentOf } from '@/utils/amounts';
+import { getToken } from '@/utils/api';
+import { PRIORITY_LEVELS } from '@/utils/priorityFees';
+import { fetchCpSwapPoolForMint } from '@/utils/raydiumPoolState';
+import {
+  addRaydiumLiquidity,
+  getLpPosition,
+  quoteCpSwapDeposit,
+  quoteCpSwapWithdraw,
+  removeRaydiumLiquidity
+} from '@/utils/raydiumLiquidity';
+import PriorityFeeSelect from '@/components/PriorityFeeSelect';
+
+const SOL_DECIMALS = 9;
+const SLIPPAGE_BASIS_POINTS = 100;
+
+const fieldSx = { input: { color: 'white' }, label: { color: 'rgba(255, 255, 255, 0.7)' } };
+const buttonSx = { backgroundColor: 'lime', color: 'black', '&:hover': { backgroundColor: '#b2ff59' } };
+
+// Token and SOL amounts of a quote or position, whichever side the token is on
+function splitSides(pool, { amount0, amount1 }) {
+  const solIsToken0 = pool.token0Mint.equals(NATIVE_MINT);
+  return {
+    sol: solIsToken0 ? amount0 : amount1,
+    tokens: solIsToken0 ? amount1 : amount0,
+    tokenDecimals: solIsToken0 ? pool.mint1Decimals : pool.mint0Decimals
+  };
+}
+
+/**
+ * Add and remove liquidity in a token's Raydium pool, and show the connected
+ * wallet's LP position in it.
+ */
+export default function LiquidityManager() {
+  const { walletAddress } = useContext(WalletContext);
+  const [mintInput, setMintInput] = useState('');
+  const [pool, setPool] = useState(null);
+  const [position, setPosition] = useState(null);
+  const [depositSol, setDepositSol] = useState('');
+  const [withdrawPercent, setWithdrawPercent] = useState('100');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [priorityLevel, setPriorityLevel] = useState(PRIORITY_LEVELS.MEDIUM);
+
+  const getConnection = () => new Connection(
+    process.env.NEXT_PUBLIC_RPC_ENDPOINT || 'https://api.mainnet-beta.solana.com',
+    'confirmed'
+  );
+
+  const loadPosition = async () => {
+    if (!isValidPublicKey(mintInput)) {
+      setError('Enter a valid token mint address');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setStatus('');
+    try {
+      const connection = getConnection();
+      const mint = new PublicKey(mintInput);
+      // Tokens launched here know their pool; others are looked up on chain
+      const { data } = await getToken(mintInput).catch(() => ({ data: [] }));
+      const record = Array.isArray(data) && data.length > 0 ? data[0] : null;
+
+      const loaded = await fetchCpSwapPoolForMint(connection, mint, { poolAddress: record?.poolAddress });
+      if (!loaded) {
+        throw new Error('No Raydium pool pairs this token with SOL');
+      }
+      setPool(loaded);
+      setPosition(walletAddress ? await getLpPosition(connection, loaded, new PublicKey(walletAddress)) : null);
+    } catch (err) {
+      console.error('Error loading liquidity position:', err);
+      setPool(null);
+      setPosition(null);
+      setError(err.message || 'Failed to load the pool');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const { depositQuote, depositError } = useMemo(() => {
+    if (!pool || !depositSol) {
+      return { depositQuote: null, depositError: null };
+    }
+    try {
+      const lamports = parseDecimalAmount(depositSol, SOL_DECIMALS);
+      return { depositQuote: quoteCpSwapDeposit(pool, NATIVE_MINT, lamports, SLIPPAGE_BASIS_POINTS), depositError: null };
+    } catch (err) {
+      return { depositQuote: null, depositError: err.message };
+    }
+  }, [pool, depositSol]);
+
+  const { withdrawQuote, withdrawError } = useMemo(() => {
+    if (!pool || !position || !withdrawPercent) {
+      return { withdrawQuote: null, withdrawError: null };
+    }
+    const percent = Number(withdrawPercent);
+    if (!Number.isInteger(percent) || percent < 1 || percent > 100) {
+      return { withdrawQuote: null, withdrawError: 'Enter a whole percentage from 1 to 100' };
+    }
+    const lpAmount = percentOf(position.lpBalance, percent);
+    return { withdrawQuote: quoteCpSwapWithdraw(pool, lpAmount, SLIPPAGE_BASIS_POINTS), withdrawError: null };
+  }, [pool, position, withdrawPercent]);
+
+  const sendLiquidity = async (send, label) => {
+    if (!window.solana || !walletAddress) {
+      setError('Connect your wallet first');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setStatus(`${label}...`);
+    try {
+      const connection = getConnection();
+      const owner = new PublicKey(walletAddress);
+      const result = await send({
+        connection,
+        owner,
+        pool,
+        signTransaction: async (tx) => window.solana.signTransaction(tx),
+        priorityLevel
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      setStatus(`${label} confirmed. Signature: ${result.txid}`);
+      setDepositSol('');
+      const refreshed = await fetchCpSwapPoolForMint(connection, new PublicKey(mintInput), { poolAddress: pool.address });
+      setPool(refreshed);
+      setPosition(await getLpPosition(connection, refreshed, owner));
+    } catch (err) {
+      console.error(`${label} failed:`, err);
+      setError(err.message || `${label} failed`);
+      setStatus('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeposit = () => sendLiquidity(
+    (params) => addRaydiumLiquidity({ ...params, quote: depositQuote }),
+    'Adding liquidity'
+  );
+
+  const handleWithdraw = () => sendLiquidity(
+    (params) => removeRaydiumLiquidity({ ...params, quote: withdrawQuote }),
+    'Removing liquidity'
+  );
+
+  const held = pool && position && splitSides(pool, position);
+  const deposit = pool && depositQuote && splitSides(pool, { amount0: depositQuote.limit0, amount1: depositQuote.limit1 });
+  const withdrawal = pool && withdrawQuote && splitSides(pool, { amount0: withdrawQuote.limit0, amount1: withdrawQuote.limit1 });
+
+  return (
+    <Paper sx={{ p: 3, mt: 3, backgroundColor: 'rgba(255, 255, 255, 0.05)' }}>
+      <Typography variant="h6" sx={{ color: 'white', mb: 2 }}>
+        Liquidity
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <TextField
+          fullWidth
+          label="Token mint address"
+          value={mintInput}
+          onChange={(e) => setMintInput(e.target.value.trim())}
+          variant="outlined"
+          sx={fieldSx}
+        />
+        <Button variant="outlined" onClick={loadPosition} disabled={loading || !mintInput}>
+          Check
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {status && <Alert severity="info" sx={{ mb: 2 }}>{status}</Alert>}
+
+      {pool && (
+        <Box sx={{ color: 'white' }}>
+          <Typography>
+            Pool: <strong>{pool.address.toString()}</strong>
+          </Typography>
+
+          {!position ? (
+            <Typography sx={{ mt: 1 }}>Connect your wallet to see your LP position.</Typography>
+          ) : (
+            <>
+              <Typography sx={{ mt: 1 }}>
+                Your LP tokens: <strong>{formatTokenAmount(position.lpBalance, pool.lpMintDecimals)}</strong>
+                {' '}of {formatTokenAmount(position.lpSupply, pool.lpMintDecimals)}
+                {' '}(<strong>{(position.shareBasisPoints / 100).toFixed(2)}%</strong> of the pool)
+              </Typography>
+              <Typography>
+                Withdraws: <strong>{formatTokenAmount(held.tokens, held.tokenDecimals)}</strong> tokens and{' '}
+                <strong>{formatTokenAmount(held.sol, SOL_DECIMALS)}</strong> SOL
+              </Typography>
+            </>
+          )}
+
+          <Box sx={{ mt: 2, maxWidth: 320 }}>
+            <PriorityFeeSelect value={priorityLevel} onChange={setPriorityLevel} disabled={loading} />
+          </Box>
+
+          <Typography variant="subtitle1" sx={{ mt: 3 }}>Add liquidity</Typography>
+          <TextField
+            fullWidth
+            label="SOL to deposit"
+            value={depositSol}
+            onChange={(e) => setDepositSol(e.target.value)}
+            inputProps={{ inputMode: 'decimal' }}
+            error={!!depositError}
+            helperText={
+              depositError ||
+              (deposit && `Up to ${formatTokenAmount(deposit.sol, SOL_DECIMALS)} SOL and ${formatTokenAmount(deposit.tokens, deposit.tokenDecimals)} tokens, for ${formatTokenAmount(depositQuote.lpAmount, pool.lpMintDecimals)} LP tokens`)
+            }
+            sx={{ ...fieldSx, mt: 1 }}
+          />
+          <Button
+            variant="contained"
+            onClick={handleDeposit}
+            disabled={loading || !depositQuote || depositQuote.lpAmount <= BigInt(0)}
+            sx={{ ...buttonSx, mt: 1 }}
+          >
+            {loading ? <CircularProgress size={24} /> : 'Add Liquidity'}
+          </Button>
+
+          {position && position.lpBalance > BigInt(0) && (
+            <>
+              <Typography variant="subtitle1" sx={{ mt: 3 }}>Remove liquidity</Typography>
+              <TextField
+                fullWidth
+                label="Share of your LP tokens (%)"
+                type="number"
+                value={withdrawPercent}
+                onChange={(e) => setWithdrawPercent(e.target.value)}
+                inputProps={{ min: 1, max: 100, step: 1 }}
+                error={!!withdrawError}
+                helperText={
+                  withdrawError ||
+                  (withdrawal && `At least ${formatTokenAmount(withdrawal.tokens, withdrawal.tokenDecimals)} tokens and ${formatTokenAmount(withdrawal.sol, SOL_DECIMALS)} SOL`)
+                }
+                sx={{ ...fieldSx, mt: 1 }}
+              />
+              <Button
+                variant="contained"
+                onClick={handleWithdraw}
+                disabled={loading || !withdrawQuote || withdrawQuote.lpAmount <= BigInt(0)}
+                sx={{ ...buttonSx, mt: 1 }}
+              >
+                {loading ? <CircularProgress size={24} /> : 'Remove Liquidity'}
+              </Button>
+            </>
+          )}
+        </Box>
+      )}
+    </Paper>
+  );
+}
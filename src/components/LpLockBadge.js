@@ -0,0 +1,137 @@
+"use client";
+
+import { useContext, useEffect, useState } from 'react';
+import { Alert, Box, Button, Chip, CircularProgress, Link, Typography } from '@mui/material';
+import { PublicKey } from '@solana/web3.js';
+import { WalletContext } from '@/context/WalletContext';
+import { confirmLaunchTransaction, sendLaunchTransaction } from '@/utils/launchPipeline';
+import { buildUnlockLpTransaction, getLpStatus } from '@/utils/lpLock';
+import { fetchCpSwapPool } from '@/utils/raydiumPoolState';
+
+// Shares below this are shown as "partly" burned or locked
+const FULL_SHARE_BASIS_POINTS = 9900;
+
+const shareOf = (amount, total) => (total > BigInt(0) ? Number((amount * BigInt(10000)) / total) : 0);
+const formatShare = (basisPoints) => `${(basisPoints / 100).toFixed(basisPoints % 100 === 0 ? 0 : 2)}%`;
+const formatDate = (unixSeconds) => new Date(unixSeconds * 1000).toLocaleDateString();
+
+function getBadge(status) {
+  const burnedShare = shareOf(status.burned, status.lpSupply);
+  const lockedShare = shareOf(status.locked, status.lpSupply);
+  const firstUnlock = status.locks.length > 0 ? Math.min(...status.locks.map((lock) => lock.unlockAt)) : null;
+
+  if (burnedShare >= FULL_SHARE_BASIS_POINTS) {
+    return { label: `LP burned (${formatShare(burnedShare)})`, color: 'success' };
+  }
+  if (burnedShare + lockedShare >= FULL_SHARE_BASIS_POINTS) {
+    const burned = burnedShare > 0 ? `, ${formatShare(burnedShare)} burned` : '';
+    return { label: `LP locked until ${formatDate(firstUnlock)} (${formatShare(lockedShare)}${burned})`, color: 'success' };
+  }
+  if (burnedShare > 0 || lockedShare > 0) {
+    return {
+      label: `${formatShare(burnedShare)} LP burned, ${formatShare(lockedShare)} locked`,
+      color: 'warning'
+    };
+  }
+  return { label: 'LP not locked', color: 'error' };
+}
+
+/**
+ * Whether a Raydium pool's LP tokens are burned, locked or held, read from
+ * the chain on every load. The owner of an expired lock can claim it here.
+ */
+export default function LpLockBadge({ connection, poolAddress }) {
+  const { walletAddress, phantom } = useContext(WalletContext);
+  const [status, setStatus] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [claiming, setClaiming] = useState(false);
+  const [claimError, setClaimError] = useState(null);
+  // Bumped after a claim so the locks are read again
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    if (!connection || !poolAddress) {
+      return undefined;
+    }
+    let cancelled = false;
+
+    fetchCpSwapPool(connection, new PublicKey(poolAddress))
+      .then((pool) => getLpStatus(connection, pool))
+      .then((loaded) => {
+        if (!cancelled) {
+          setStatus(loaded);
+          setLoadError(null);
+        }
+      })
+      .catch((err) => {
+        console.warn('Could not read LP status:', err.message);
+        if (!cancelled) {
+          setLoadError('LP status unavailable');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [connection, poolAddress, refreshKey]);
+
+  if (loadError) {
+    return <Chip label={loadError} variant="outlined" size="small" />;
+  }
+  if (!status) {
+    return <CircularProgress size={20} />;
+  }
+
+  const badge = getBadge(status);
+  const now = Date.now() / 1000;
+  const claimable = walletAddress
+    ? status.locks.filter((lock) => lock.owner.toBase58() === walletAddress && lock.unlockAt <= now)
+    : [];
+
+  const handleClaim = async (lock) => {
+    setClaiming(true);
+    setClaimError(null);
+    try {
+      const signature = await sendLaunchTransaction(
+        connection,
+        phantom,
+        await buildUnlockLpTransaction(connection, { lock }),
+        { label: 'Unlock LP tokens' }
+      );
+      await confirmLaunchTransaction(connection, signature);
+      setRefreshKey((key) => key + 1);
+    } catch (err) {
+      console.error('Unlocking LP tokens failed:', err);
+      setClaimError(err.message || 'Unlocking LP tokens failed');
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Chip label={badge.label} color={badge.color} variant="outlined" />
+      {status.locks.map((lock) => (
+        <Typography key={lock.address.toBase58()} variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          <Link href={`https://solscan.io/account/${lock.address.toBase58()}`} target="_blank" rel="noopener noreferrer">
+            Lock {lock.address.toBase58().substring(0, 8)}...
+          </Link>
+          {' '}{lock.unlockAt <= now ? 'unlocked since' : 'until'} {formatDate(lock.unlockAt)}
+        </Typography>
+      ))}
+      {claimable.map((lock) => (
+        <Button
+          key={lock.address.toBase58()}
+          variant="outlined"
+          size="small"
+          onClick={() => handleClaim(lock)}
+          disabled={claiming || !phantom}
+          sx={{ mt: 1, mr: 1 }}
+        >
+          {claiming ? <CircularProgress size={20} /> : 'Unlock and claim LP tokens'}
+        </Button>
+      ))}
+      {claimError && <Alert severity="error" sx={{ mt: 1 }}>{claimError}</Alert>}
+    </Box>
+  );
+}
@@ -0,0 +1,147 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  Slider,
+  Typography
+} from '@mui/material';
+import { planResplit } from '@/utils/launchPipeline';
+
+const sliderSx = {
+  color: 'lime',
+  '& .MuiSlider-thumb': { backgroundColor: 'lime' },
+  '& .MuiSlider-track': { backgroundColor: 'lime' },
+  '& .MuiSlider-rail': { backgroundColor: 'rgba(255, 255, 255, 0.3)' },
+};
+
+function Row({ label, children }) {
+  return (
+    <Typography variant="body2" component="div" sx={{ display: 'flex', justifyContent: 'space-between' }}>
+      <span>{label}</span>
+      <strong>{children}</strong>
+    </Typography>
+  );
+}
+
+/**
+ * Shown when minting the bonding-curve supply fails part way. The creator
+ * picks how to go on; nothing about the supply split changes unless they
+ * accept a new one here.
+ * `recovery` is `{ supply, creatorRetention, bondingCurveSupply, tokensMinted,
+ * retentionPercentage, symbol, error }`, with token amounts as whole-token
+ * bigints.
+ */
+export default function MintRecoveryDialog({ recovery, onRetry, onCancel, onResplit }) {
+  const [newRetention, setNewRetention] = useState(95);
+
+  useEffect(() => {
+    if (recovery) {
+      setNewRetention(Math.min(recovery.retentionPercentage + 30, 95));
+    }
+  }, [recovery]);
+
+  if (!recovery) {
+    return null;
+  }
+
+  const { supply, creatorRetention, bondingCurveSupply, tokensMinted, retentionPercentage, symbol, error } = recovery;
+  const unit = symbol || 'tokens';
+  const percentMinted = Number((tokensMinted * BigInt(10000)) / bondingCurveSupply) / 100;
+  const resplit = planResplit({ supply, creatorRetention, tokensMinted, retentionPercentage: newRetention });
+
+  return (
+    <Dialog
+      open
+      disableEscapeKeyDown
+      PaperProps={{
+        style: {
+          backgroundColor: '#121212',
+          color: 'white',
+          border: '1px solid rgba(255, 255, 255, 0.2)',
+          maxWidth: '600px',
+          width: '100%'
+        }
+      }}
+    >
+      <DialogTitle sx={{ borderBottom: '1px solid rgba(255, 255, 255, 0.1)', color: 'lime' }}>
+        Bonding Curve Mint Interrupted
+      </DialogTitle>
+      <DialogContent sx={{ mt: 2 }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+        )}
+
+        <Box sx={{ mb: 2, p: 2, backgroundColor: 'rgba(255, 255, 255, 0.05)', borderRadius: '4px' }}>
+          <Row label="Minted to the bonding curve">
+            {tokensMinted.toLocaleString()} of {bondingCurveSupply.toLocaleString()} {unit} ({percentMinted}%)
+          </Row>
+          <Row label="Still to mint">
+            {(bondingCurveSupply - tokensMinted).toLocaleString()} {unit}
+          </Row>
+          <Row label="Your share (already minted)">
+            {creatorRetention.toLocaleString()} {unit} ({retentionPercentage}%)
+          </Row>
+        </Box>
+
+        <Typography variant="body2" component="div" sx={{ mb: 2 }}>
+          <strong>Retry</strong> sends the remaining chunks again with the split you agreed to.{' '}
+          <strong>Stop</strong> keeps the tokens minted so far in your wallet; the launch stays unfinished and can be
+          resumed from this page later.
+        </Typography>
+
+        <Divider sx={{ borderColor: 'rgba(255, 255, 255, 0.1)', my: 2 }} />
+
+        <Typography variant="subtitle1" sx={{ color: 'lime', fontWeight: 'bold' }}>
+          Or accept a new split: you keep {newRetention}%
+        </Typography>
+        <Slider
+          value={newRetention}
+          onChange={(e, value) => setNewRetention(value)}
+          min={Math.min(retentionPercentage + 1, 99)}
+          max={99}
+          valueLabelDisplay="auto"
+          sx={sliderSx}
+        />
+        <Row label="Bonding curve supply">
+          {resplit.bondingCurveSupply.toLocaleString()} {unit}
+        </Row>
+        <Row label="Minted now in one transaction">
+          {resplit.remaining.toLocaleString()} {unit}
+        </Row>
+        <Row label="Never minted">
+          {resplit.unminted.toLocaleString()} {unit}
+        </Row>
+        <Row label="Total supply">
+          {resplit.totalSupply.toLocaleString()} {unit} (was {supply.toLocaleString()})
+        </Row>
+      </DialogContent>
+      <DialogActions sx={{ borderTop: '1px solid rgba(255, 255, 255, 0.1)', p: 2 }}>
+        <Button onClick={onCancel} sx={{ color: 'white' }}>
+          Stop
+        </Button>
+        <Button onClick={() => onResplit(newRetention)} variant="outlined" sx={{ color: 'lime', borderColor: 'lime' }}>
+          Accept New Split
+        </Button>
+        <Button
+          onClick={onRetry}
+          variant="contained"
+          sx={{
+            backgroundColor: 'lime',
+            color: 'black',
+            '&:hover': { backgroundColor: '#c0ff00' }
+          }}
+        >
+          Retry Remaining
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,155 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Chip,
+  CircularProgress,
+  Grid,
+  Link,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { describeOpenBookMarket, fetchOrderBook, loadOpenBookMarket } from '@/utils/openbookMarket';
+
+// The book is read again this often while the page is open
+const REFRESH_INTERVAL_MS = 10000;
+
+const formatPrice = (price) => (price === null ? '-' : `${price.toPrecision(6)} SOL`);
+const formatSize = (size) => size.toLocaleString(undefined, { maximumFractionDigits: 6 });
+
+function LevelTable({ title, levels, color }) {
+  return (
+    <>
+      <Typography variant="subtitle2" color="text.secondary">{title}</Typography>
+      {levels.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>No orders</Typography>
+      ) : (
+        <Table size="small" sx={{ mb: 2 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Price</TableCell>
+              <TableCell align="right">Size</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {levels.map((level) => (
+              <TableRow key={level.price}>
+                <TableCell sx={{ color }}>{formatPrice(level.price)}</TableCell>
+                <TableCell align="right">{formatSize(level.size)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </>
+  );
+}
+
+/**
+ * Live order book and recent fills of the OpenBook market a token was listed
+ * on, decoded straight from the market's accounts.
+ */
+export default function OpenBookMarket({ connection, marketAddress, symbol }) {
+  const [market, setMarket] = useState(null);
+  const [book, setBook] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!connection || !marketAddress) {
+      return undefined;
+    }
+    let cancelled = false;
+    let loaded = null;
+
+    const refresh = async () => {
+      try {
+        loaded = loaded || await loadOpenBookMarket(connection, marketAddress);
+        const snapshot = await fetchOrderBook(connection, loaded);
+        if (!cancelled) {
+          setMarket(describeOpenBookMarket(loaded));
+          setBook(snapshot);
+          setError(null);
+        }
+      } catch (err) {
+        console.warn('Could not read OpenBook market:', err.message);
+        if (!cancelled) {
+          setError('OpenBook market unavailable');
+        }
+      }
+    };
+
+    refresh();
+    const intervalId = setInterval(refresh, REFRESH_INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+    };
+  }, [connection, marketAddress]);
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="h6" gutterBottom>OpenBook Market</Typography>
+      <Typography variant="body2" sx={{ mb: 2 }}>
+        <Link href={`https://solscan.io/account/${marketAddress}`} target="_blank" rel="noopener noreferrer">
+          {marketAddress.substring(0, 8)}...{marketAddress.substring(marketAddress.length - 8)}
+        </Link>
+      </Typography>
+
+      {error && <Alert severity="warning">{error}</Alert>}
+      {!error && !book && <CircularProgress size={24} />}
+
+      {book && market && (
+        <>
+          <Box display="flex" gap={1} flexWrap="wrap" sx={{ mb: 2 }}>
+            <Chip size="small" variant="outlined" label={`Bid ${formatPrice(book.bestBid)}`} />
+            <Chip size="small" variant="outlined" label={`Ask ${formatPrice(book.bestAsk)}`} />
+            <Chip size="small" variant="outlined" label={`Tick ${market.tickSize} SOL`} />
+            <Chip size="small" variant="outlined" label={`Min order ${market.minOrderSize} ${symbol || ''}`.trim()} />
+          </Box>
+
+          <Grid container spacing={2}>
+            <Grid item xs={12} md={6}>
+              <LevelTable title="Asks" levels={[...book.asks].reverse()} color="error.main" />
+              <LevelTable title="Bids" levels={book.bids} color="success.main" />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle2" color="text.secondary">Recent fills</Typography>
+              {book.fills.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">No fills yet</Typography>
+              ) : (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Side</TableCell>
+                      <TableCell>Price</TableCell>
+                      <TableCell align="right">Size</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {book.fills.map((fill, index) => (
+                      <TableRow key={index}>
+                        <TableCell sx={{ color: fill.side === 'buy' ? 'success.main' : 'error.main' }}>
+                          {fill.side === 'buy' ? 'Buy' : 'Sell'}{fill.maker ? ' (maker)' : ''}
+                        </TableCell>
+                        <TableCell>{formatPrice(fill.price)}</TableCell>
+                        <TableCell align="right">{formatSize(fill.size)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </Grid>
+          </Grid>
+        </>
+      )}
+    </Paper>
+  );
+}
@@ -0,0 +1,153 @@
+"use client";
+
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  Typography
+} from '@mui/material';
+import { formatSol } from '@/utils/preflight';
+
+const shortAddress = (address) => `${address.slice(0, 4)}…${address.slice(-4)}`;
+
+function StepReport({ report }) {
+  return (
+    <Box sx={{ mb: 2, p: 2, backgroundColor: 'rgba(255, 255, 255, 0.05)', borderRadius: '4px' }}>
+      <Typography variant="subtitle1" sx={{ color: report.ok ? 'lime' : '#ff5252', fontWeight: 'bold' }}>
+        {report.ok ? '✓' : '✗'} {report.label}
+      </Typography>
+
+      {report.error && (
+        <Alert severity="error" sx={{ my: 1 }}>{report.error}</Alert>
+      )}
+
+      {report.accountsCreated.map((account) => (
+        <Typography key={account.address} variant="body2" component="div">
+          • Creates account {shortAddress(account.address)} ({account.space} bytes), rent <strong>{formatSol(account.lamports)}</strong>
+        </Typography>
+      ))}
+
+      {report.transfers.map((transfer, index) => (
+        <Typography key={`${transfer.to}-${index}`} variant="body2" component="div">
+          • Sends <strong>{formatSol(transfer.lamports)}</strong> to {transfer.isPlatformFee ? 'the platform fee address' : shortAddress(transfer.to)}
+        </Typography>
+      ))}
+
+      <Typography variant="body2" component="div" sx={{ color: 'rgba(255, 255, 255, 0.7)', mt: 0.5 }}>
+        {report.computeUnits !== null && `${report.computeUnits.toLocaleString()} compute units`}
+        {report.networkFee !== null && ` · network fee ${formatSol(report.networkFee)}`}
+      </Typography>
+    </Box>
+  );
+}
+
+/**
+ * Shows the simulated launch transactions before the first wallet prompt.
+ * `preflight` is `{ reports, laterSteps, extraLamports, balance }`: the
+ * simulated steps, labels of the steps that are only checked right before
+ * they are signed, SOL committed outside the simulated steps (the pool
+ * deposit) and the wallet balance.
+ */
+export default function PreflightDialog({ preflight, onConfirm, onCancel }) {
+  if (!preflight) {
+    return null;
+  }
+
+  const { reports, laterSteps, extraLamports, balance } = preflight;
+  const failed = reports.filter((report) => !report.ok);
+  const simulatedCost = reports.reduce(
+    (sum, report) => sum + (report.payerCost ?? 0) + (report.networkFee ?? 0),
+    0
+  );
+  const estimatedTotal = simulatedCost + extraLamports;
+  const shortfall = balance !== null && balance < estimatedTotal;
+
+  return (
+    <Dialog
+      open
+      onClose={onCancel}
+      PaperProps={{
+        style: {
+          backgroundColor: '#121212',
+          color: 'white',
+          border: '1px solid rgba(255, 255, 255, 0.2)',
+          maxWidth: '600px',
+          width: '100%'
+        }
+      }}
+    >
+      <DialogTitle sx={{ borderBottom: '1px solid rgba(255, 255, 255, 0.1)', color: 'lime' }}>
+        Review Before Signing
+      </DialogTitle>
+      <DialogContent sx={{ mt: 2 }}>
+        <Typography variant="body2" component="div" sx={{ mb: 2 }}>
+          These transactions were simulated against the network. Nothing has been signed yet.
+        </Typography>
+
+        {reports.map((report) => (
+          <StepReport key={report.label} report={report} />
+        ))}
+
+        {laterSteps.length > 0 && (
+          <Typography variant="body2" component="div" sx={{ mb: 2, color: 'rgba(255, 255, 255, 0.7)' }}>
+            Also in this launch: {laterSteps.join(', ')}. They depend on the steps before them, so they are
+            approved together and packed into as few transactions as fit; the network checks each one
+            before it lands and the launch stops at the first that would fail.
+          </Typography>
+        )}
+
+        <Divider sx={{ borderColor: 'rgba(255, 255, 255, 0.1)', my: 2 }} />
+
+        <Typography variant="body2" component="div">
+          Simulated steps: <strong>{formatSol(simulatedCost)}</strong>
+        </Typography>
+        {extraLamports > 0 && (
+          <Typography variant="body2" component="div">
+            Liquidity pool deposit: <strong>{formatSol(extraLamports)}</strong>
+          </Typography>
+        )}
+        <Typography variant="h6" component="div" sx={{ color: 'lime', mt: 1 }}>
+          Estimated total: {formatSol(estimatedTotal)}
+        </Typography>
+        {balance !== null && (
+          <Typography variant="body2" component="div" sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+            Wallet balance: {formatSol(balance)}
+          </Typography>
+        )}
+
+        {failed.length > 0 && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {failed.length === 1 ? 'A step' : `${failed.length} steps`} would fail, so the launch cannot continue.
+          </Alert>
+        )}
+        {failed.length === 0 && shortfall && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            Your wallet does not hold enough SOL for the whole launch.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ borderTop: '1px solid rgba(255, 255, 255, 0.1)', p: 2 }}>
+        <Button onClick={onCancel} sx={{ color: 'white' }}>
+          Cancel
+        </Button>
+        <Button
+          onClick={onConfirm}
+          variant="contained"
+          disabled={failed.length > 0 || shortfall}
+          sx={{
+            backgroundColor: 'lime',
+            color: 'black',
+            '&:hover': { backgroundColor: '#c0ff00' }
+          }}
+        >
+          Sign & Launch
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,71 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { MenuItem, TextField } from '@mui/material';
+import { Connection } from '@solana/web3.js';
+import { PRIORITY_LEVELS, estimatePriorityFeeLevels } from '@/utils/priorityFees';
+
+const LEVEL_LABELS = {
+  [PRIORITY_LEVELS.LOW]: 'Low',
+  [PRIORITY_LEVELS.MEDIUM]: 'Medium',
+  [PRIORITY_LEVELS.HIGH]: 'High',
+};
+
+/**
+ * Low/medium/high priority fee preset. Shows the current network-wide
+ * estimate for each level; the fee actually paid is re-estimated for each
+ * transaction's own accounts when it is sent.
+ */
+export default function PriorityFeeSelect({ value, onChange, disabled = false }) {
+  const [estimates, setEstimates] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const connection = new Connection(
+      process.env.NEXT_PUBLIC_RPC_ENDPOINT || 'https://api.mainnet-beta.solana.com',
+      'confirmed'
+    );
+
+    estimatePriorityFeeLevels(connection)
+      .then((levels) => {
+        if (!cancelled) {
+          setEstimates(levels);
+        }
+      })
+      .catch((err) => console.warn('Could not estimate priority fees:', err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <TextField
+      select
+      fullWidth
+      label="Transaction priority"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      helperText="Higher priority lands faster when the network is busy"
+      FormHelperTextProps={{ sx: { color: 'rgba(255, 255, 255, 0.5)' } }}
+      variant="outlined"
+      sx={{
+        '& .MuiSelect-select': { color: 'white' },
+        label: { color: 'rgba(255, 255, 255, 0.7)' },
+        '& .MuiOutlinedInput-root': {
+          '& fieldset': { borderColor: 'rgba(255, 255, 255, 0.3)' },
+          '&:hover fieldset': { borderColor: 'rgba(255, 255, 255, 0.5)' },
+          '&.Mui-focused fieldset': { borderColor: 'lime' }
+        }
+      }}
+    >
+      {Object.values(PRIORITY_LEVELS).map((level) => (
+        <MenuItem key={level} value={level}>
+          {LEVEL_LABELS[level]}
+          {estimates && ` (~${estimates[level].toLocaleString()} µLamports/CU)`}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+}
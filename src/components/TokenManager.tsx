@@ -8,7 +8,7 @@ interface NewToken {
   symbol: string
   description: string
   imageUrl: string
-  totalSupply: number
+  totalSupply: string
   decimals: number
 }
 
@@ -28,7 +28,7 @@ export function TokenManager() {
     symbol: '',
     description: '',
     imageUrl: '',
-    totalSupply: 0,
+    totalSupply: '',
     decimals: 9,
   })
 
@@ -41,7 +41,7 @@ export function TokenManager() {
       symbol: newToken.symbol,
       description: newToken.description,
       imageUrl: newToken.imageUrl,
-      totalSupply: BigInt(newToken.totalSupply),
+      totalSupply: BigInt(newToken.totalSupply || 0),
       decimals: newToken.decimals,
       metadataUri: '', // This would be set in a real implementation
       creatorWallet: publicKey.toString(),
@@ -55,7 +55,7 @@ export function TokenManager() {
         type: 'CREATION',
         fromWallet: publicKey.toString(),
         toWallet: publicKey.toString(),
-        amount: BigInt(newToken.totalSupply),
+        amount: BigInt(newToken.totalSupply || 0),
         txSignature: 'pending', // This would be the actual transaction signature
       }
       
@@ -121,10 +121,11 @@ export function TokenManager() {
             className="p-2 border rounded"
           />
           <input
-            type="number"
+            type="text"
+            inputMode="numeric"
             placeholder="Total Supply"
             value={newToken.totalSupply}
-            onChange={(e) => setNewToken({ ...newToken, totalSupply: Number(e.target.value) })}
+            onChange={(e) => setNewToken({ ...newToken, totalSupply: e.target.value.replace(/\D/g, '') })}
             className="p-2 border rounded"
           />
           <input
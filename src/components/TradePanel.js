@@ -0,0 +1,422 @@
+"use client";
+
+import { useContext, useEffect, useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Link,
+  Paper,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+import { PublicKey } from '@solana/web3.js';
+import { NATIVE_MINT } from '@solana/spl-token';
+import { WalletContext } from '@/context/WalletContext';
+import { createTransaction, getToken } from '@/utils/api';
+import { formatTokenAmount, parseDecimalAmount } from '@/utils/amounts';
+import { quoteBuy, quoteSell } from '@/utils/bondingCurve';
+import { buildBuyTransaction, buildSellTransaction, fetchBondingCurve } from '@/utils/bondingCurveProgram';
+import { confirmLaunchTransaction, sendLaunchTransaction } from '@/utils/launchPipeline';
+import { fetchCpSwapPool } from '@/utils/raydiumPoolState';
+import { buildCpSwapTransaction, quoteCpSwap } from '@/utils/raydiumSwap';
+import { getTokenBalance } from '@/utils/tokenUtils';
+
+const SIDES = {
+  BUY: 'BUY',
+  SELL: 'SELL'
+};
+
+const VENUES = {
+  CURVE: 'CURVE',
+  POOL: 'POOL'
+};
+
+const SOL_DECIMALS = 9;
+
+// Price impact above this is shown as a warning
+const HIGH_IMPACT_BASIS_POINTS = 500;
+
+/**
+ * Where the token trades: its bonding curve until it completes, then the
+ * Raydium pool it graduated to. `record` is the tokens row, when there is
+ * one; trades are only recorded for tokens launched here.
+ */
+async function loadVenue(connection, mint) {
+  const { data } = await getToken(mint.toBase58());
+  const record = Array.isArray(data) && data.length > 0 ? data[0] : null;
+
+  if (!record || record.mode === 'CURVE') {
+    const curve = await fetchBondingCurve(connection, mint);
+    if (curve && !curve.complete) {
+      const mintAccount = await connection.getAccountInfo(mint);
+      return { kind: VENUES.CURVE, curve, tokenProgramId: mintAccount.owner, record };
+    }
+    if (curve) {
+      return { kind: null, graduating: true, record };
+    }
+  }
+
+  if (record && record.poolAddress) {
+    const pool = await fetchCpSwapPool(connection, new PublicKey(record.poolAddress));
+    return { kind: VENUES.POOL, pool, record };
+  }
+
+  return { kind: null, record };
+}
+
+/**
+ * Quote for `amountText` of the input side (SOL for buys, the token for
+ * sells), with amounts as raw bigints. `tokenAmount` is the token side of
+ * the trade, as recorded in the transactions table.
+ */
+function getTradeQuote(venue, mint, side, amountText, slippageBasisPoints, decimals) {
+  const amountIn = parseDecimalAmount(amountText, side === SIDES.BUY ? SOL_DECIMALS : decimals);
+  if (amountIn <= BigInt(0)) {
+    return null;
+  }
+
+  if (venue.kind === VENUES.CURVE) {
+    if (side === SIDES.BUY) {
+      const quote = quoteBuy(venue.curve, amountIn, slippageBasisPoints);
+      return {
+        amountIn,
+        amountOut: quote.tokensOut,
+        minimumReceived: quote.minimumReceived,
+        maxCost: quote.maxSolCost,
+        fee: quote.fee,
+        feeInSol: true,
+        priceImpactBasisPoints: quote.priceImpactBasisPoints,
+        tokenAmount: quote.tokensOut,
+        solLimit: quote.maxSolCost
+      };
+    }
+    const quote = quoteSell(venue.curve, amountIn, slippageBasisPoints);
+    return {
+      amountIn,
+      amountOut: quote.solOut,
+      minimumReceived: quote.minimumReceived,
+      fee: quote.fee,
+      feeInSol: true,
+      priceImpactBasisPoints: quote.priceImpactBasisPoints,
+      tokenAmount: amountIn,
+      solLimit: quote.minimumReceived
+    };
+  }
+
+  const inputMint = side === SIDES.BUY ? NATIVE_MINT : mint;
+  const quote = quoteCpSwap(venue.pool, inputMint, amountIn, slippageBasisPoints);
+  return {
+    amountIn,
+    amountOut: quote.amountOut,
+    minimumReceived: quote.minimumReceived,
+    fee: quote.fee,
+    feeInSol: side === SIDES.BUY,
+    priceImpactBasisPoints: quote.priceImpactBasisPoints,
+    tokenAmount: side === SIDES.BUY ? quote.amountOut : amountIn,
+    inputMint
+  };
+}
+
+function buildTrade(connection, venue, trader, side, quote) {
+  if (venue.kind === VENUES.CURVE) {
+    const build = side === SIDES.BUY ? buildBuyTransaction : buildSellTransaction;
+    return build(connection, {
+      trader,
+      curve: venue.curve,
+      tokenAmount: quote.tokenAmount,
+      solLimit: quote.solLimit,
+      tokenProgramId: venue.tokenProgramId
+    });
+  }
+  return buildCpSwapTransaction({
+    owner: trader,
+    pool: venue.pool,
+    inputMint: quote.inputMint,
+    amountIn: quote.amountIn,
+    minimumAmountOut: quote.minimumReceived
+  });
+}
+
+function Row({ label, children, color }) {
+  return (
+    <Typography variant="body2" component="div" sx={{ display: 'flex', justifyContent: 'space-between', color }}>
+      <span>{label}</span>
+      <strong>{children}</strong>
+    </Typography>
+  );
+}
+
+/**
+ * Buy and sell panel for the token page. Quotes against the token's bonding
+ * curve or Raydium pool, sends the trade with the connected Phantom wallet
+ * and records it as a BUY or SELL transaction.
+ */
+export default function TradePanel({ connection, tokenAddress, decimals, symbol }) {
+  const { walletAddress, phantom, connectWallet, isAuthenticated, signIn } = useContext(WalletContext);
+  const [venue, setVenue] = useState(null);
+  const [loadingVenue, setLoadingVenue] = useState(true);
+  const [side, setSide] = useState(SIDES.BUY);
+  const [amount, setAmount] = useState('');
+  const [slippage, setSlippage] = useState('1');
+  const [balances, setBalances] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [lastSignature, setLastSignature] = useState(null);
+  // Bumped after each trade so reserves and balances are read again
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const mint = useMemo(() => new PublicKey(tokenAddress), [tokenAddress]);
+  const unit = symbol || 'tokens';
+
+  useEffect(() => {
+    if (!connection) {
+      return undefined;
+    }
+    let cancelled = false;
+    setLoadingVenue(true);
+
+    loadVenue(connection, mint)
+      .then((loaded) => {
+        if (!cancelled) {
+          setVenue(loaded);
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading trading venue:', err);
+        if (!cancelled) {
+          setVenue({ kind: null, error: err.message });
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoadingVenue(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [connection, mint, refreshKey]);
+
+  useEffect(() => {
+    if (!connection || !walletAddress) {
+      setBalances(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const owner = new PublicKey(walletAddress);
+
+    Promise.all([connection.getBalance(owner), getTokenBalance(connection, mint, owner)])
+      .then(([lamports, tokenBalance]) => {
+        if (!cancelled) {
+          setBalances({ lamports: BigInt(lamports), tokens: BigInt(tokenBalance.amount) });
+        }
+      })
+      .catch((err) => console.warn('Could not load balances:', err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [connection, mint, walletAddress, refreshKey]);
+
+  const slippageBasisPoints = Math.round(Number(slippage) * 100);
+
+  const { quote, quoteError } = useMemo(() => {
+    if (!venue || !venue.kind || !amount) {
+      return { quote: null, quoteError: null };
+    }
+    try {
+      return {
+        quote: getTradeQuote(venue, mint, side, amount, slippageBasisPoints, decimals),
+        quoteError: null
+      };
+    } catch (err) {
+      return { quote: null, quoteError: err.message };
+    }
+  }, [venue, mint, side, amount, slippageBasisPoints, decimals]);
+
+  const inputDecimals = side === SIDES.BUY ? SOL_DECIMALS : decimals;
+  const outputDecimals = side === SIDES.BUY ? decimals : SOL_DECIMALS;
+  const inputUnit = side === SIDES.BUY ? 'SOL' : unit;
+  const outputUnit = side === SIDES.BUY ? unit : 'SOL';
+  const inputBalance = balances && (side === SIDES.BUY ? balances.lamports : balances.tokens);
+  const exceedsBalance = quote && inputBalance !== null && (quote.maxCost || quote.amountIn) > inputBalance;
+
+  const handleTrade = async () => {
+    if (!walletAddress || !phantom) {
+      await connectWallet();
+      return;
+    }
+
+    setError(null);
+    setNotice(null);
+    setLastSignature(null);
+
+    // Trades are recorded against the wallet's session
+    if (venue.record && !isAuthenticated && !(await signIn())) {
+      setError('Please sign the sign-in message so your trade can be recorded.');
+      return;
+    }
+
+    setSending(true);
+    try {
+      const trader = new PublicKey(walletAddress);
+      const built = await buildTrade(connection, venue, trader, side, quote);
+      const signature = await sendLaunchTransaction(connection, phantom, built, {
+        label: side === SIDES.BUY ? `Buy ${unit}` : `Sell ${unit}`
+      });
+      await confirmLaunchTransaction(connection, signature);
+      setLastSignature(signature);
+      setAmount('');
+
+      if (venue.record) {
+        const recorded = await createTransaction({
+          tokenId: venue.record.id,
+          type: side,
+          fromWallet: walletAddress,
+          amount: quote.tokenAmount,
+          txSignature: signature
+        });
+        if (recorded.error) {
+          console.warn('Trade confirmed but not recorded:', recorded.error);
+          setNotice('Your trade went through, but it could not be added to your history.');
+        }
+      }
+    } catch (err) {
+      console.error('Trade failed:', err);
+      setError(err.message || 'Trade failed');
+    } finally {
+      setSending(false);
+      setRefreshKey((key) => key + 1);
+    }
+  };
+
+  const renderBody = () => {
+    if (loadingVenue && !venue) {
+      return (
+        <Box display="flex" justifyContent="center" py={3}>
+          <CircularProgress size={28} />
+        </Box>
+      );
+    }
+
+    if (!venue || !venue.kind) {
+      return (
+        <Typography color="text.secondary">
+          {venue && venue.graduating
+            ? 'The bonding curve is complete. Trading reopens once liquidity moves to Raydium.'
+            : (venue && venue.error) || 'This token has no bonding curve or Raydium pool to trade against yet.'}
+        </Typography>
+      );
+    }
+
+    const impactColor = quote && quote.priceImpactBasisPoints > HIGH_IMPACT_BASIS_POINTS ? 'warning.main' : undefined;
+
+    return (
+      <>
+        <ToggleButtonGroup
+          exclusive
+          fullWidth
+          value={side}
+          onChange={(e, value) => value && setSide(value)}
+          sx={{ mb: 2 }}
+        >
+          <ToggleButton value={SIDES.BUY}>Buy</ToggleButton>
+          <ToggleButton value={SIDES.SELL}>Sell</ToggleButton>
+        </ToggleButtonGroup>
+
+        <TextField
+          fullWidth
+          label={`Amount (${inputUnit})`}
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          inputProps={{ inputMode: 'decimal' }}
+          error={!!quoteError || !!exceedsBalance}
+          helperText={
+            quoteError ||
+            (exceedsBalance && 'More than your balance') ||
+            (inputBalance !== null && `Balance: ${formatTokenAmount(inputBalance, inputDecimals)} ${inputUnit}`)
+          }
+          sx={{ mb: 2 }}
+        />
+
+        <TextField
+          fullWidth
+          label="Slippage tolerance (%)"
+          type="number"
+          value={slippage}
+          onChange={(e) => setSlippage(e.target.value)}
+          inputProps={{ min: 0, max: 50, step: 0.1 }}
+          sx={{ mb: 2 }}
+        />
+
+        {quote && (
+          <Box sx={{ mb: 2, p: 2, backgroundColor: 'rgba(255, 255, 255, 0.05)', borderRadius: '4px' }}>
+            <Row label="You receive (estimated)">
+              {formatTokenAmount(quote.amountOut, outputDecimals)} {outputUnit}
+            </Row>
+            <Row label="Minimum received">
+              {formatTokenAmount(quote.minimumReceived, outputDecimals)} {outputUnit}
+            </Row>
+            {quote.maxCost !== undefined && (
+              <Row label="Maximum cost">
+                {formatTokenAmount(quote.maxCost, SOL_DECIMALS)} SOL
+              </Row>
+            )}
+            <Row label="Fee">
+              {quote.feeInSol
+                ? `${formatTokenAmount(quote.fee, SOL_DECIMALS)} SOL`
+                : `${formatTokenAmount(quote.fee, decimals)} ${unit}`}
+            </Row>
+            <Row label="Price impact" color={impactColor}>
+              {(quote.priceImpactBasisPoints / 100).toFixed(2)}%
+            </Row>
+            <Typography variant="caption" color="text.secondary">
+              Trading on the {venue.kind === VENUES.CURVE ? 'bonding curve' : 'Raydium pool'}
+            </Typography>
+          </Box>
+        )}
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {notice && <Alert severity="warning" sx={{ mb: 2 }}>{notice}</Alert>}
+        {lastSignature && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            Trade confirmed.{' '}
+            <Link href={`https://solscan.io/tx/${lastSignature}`} target="_blank" rel="noopener noreferrer">
+              View transaction
+            </Link>
+          </Alert>
+        )}
+
+        <Button
+          fullWidth
+          variant="contained"
+          onClick={handleTrade}
+          disabled={sending || (walletAddress && (!quote || quote.amountOut <= BigInt(0) || exceedsBalance))}
+        >
+          {sending ? (
+            <CircularProgress size={24} />
+          ) : !walletAddress ? (
+            'Connect Wallet'
+          ) : side === SIDES.BUY ? (
+            `Buy ${unit}`
+          ) : (
+            `Sell ${unit}`
+          )}
+        </Button>
+      </>
+    );
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="h6" gutterBottom>Trade</Typography>
+      {renderBody()}
+    </Paper>
+  );
+}
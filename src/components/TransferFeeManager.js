@@ -0,0 +1,164 @@
+"use client";
+
+import { useContext, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Paper,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Connection, PublicKey } from '@solana/web3.js';
+import { WalletContext } from '@/context/WalletContext';
+import { isValidPublicKey } from '@/utils/walletUtils';
+import { formatTokenAmount } from '@/utils/amounts';
+import { PRIORITY_LEVELS } from '@/utils/priorityFees';
+import { confirmLaunchTransaction, sendLaunchTransaction } from '@/utils/launchPipeline';
+import {
+  buildHarvestWithheldTransactions,
+  buildWithdrawWithheldTransaction,
+  getWithheldFees
+} from '@/utils/transferFees';
+import PriorityFeeSelect from '@/components/PriorityFeeSelect';
+
+export default function TransferFeeManager() {
+  const { walletAddress } = useContext(WalletContext);
+  const [mintInput, setMintInput] = useState('');
+  const [fees, setFees] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [priorityLevel, setPriorityLevel] = useState(PRIORITY_LEVELS.MEDIUM);
+
+  const getConnection = () => new Connection(
+    process.env.NEXT_PUBLIC_RPC_ENDPOINT || 'https://api.mainnet-beta.solana.com',
+    'confirmed'
+  );
+
+  const loadFees = async () => {
+    if (!isValidPublicKey(mintInput)) {
+      setError('Enter a valid token mint address');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setStatus('');
+    try {
+      setFees(await getWithheldFees(getConnection(), new PublicKey(mintInput)));
+    } catch (err) {
+      console.error('Error loading withheld fees:', err);
+      setFees(null);
+      setError(err.message || 'Failed to load transfer fees');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleHarvestAndWithdraw = async () => {
+    if (!window.solana || !walletAddress) {
+      setError('Connect your wallet first');
+      return;
+    }
+
+    const mint = new PublicKey(mintInput);
+    const authority = new PublicKey(walletAddress);
+    if (!fees.withdrawWithheldAuthority || !fees.withdrawWithheldAuthority.equals(authority)) {
+      setError('The connected wallet is not the withdraw authority for this token');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const connection = getConnection();
+
+      // Harvest first so the withdraw sweeps fees from every account, not just the mint
+      const harvestTxs = buildHarvestWithheldTransactions({ payer: authority, mint, sources: fees.sources });
+      for (let i = 0; i < harvestTxs.length; i++) {
+        setStatus(`Harvesting withheld fees (${i + 1} of ${harvestTxs.length})...`);
+        const harvestSig = await sendLaunchTransaction(connection, window.solana, harvestTxs[i], { priorityLevel });
+        await confirmLaunchTransaction(connection, harvestSig);
+      }
+
+      setStatus('Withdrawing fees to your wallet...');
+      const withdrawSig = await sendLaunchTransaction(
+        connection,
+        window.solana,
+        await buildWithdrawWithheldTransaction({ authority, mint }),
+        { priorityLevel }
+      );
+      await confirmLaunchTransaction(connection, withdrawSig);
+
+      setStatus(`Fees withdrawn. Signature: ${withdrawSig}`);
+      setFees(await getWithheldFees(connection, mint));
+    } catch (err) {
+      console.error('Error withdrawing withheld fees:', err);
+      setError(err.message || 'Failed to withdraw fees');
+      setStatus('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const totalWithheld = fees ? fees.withheldInMint + fees.withheldInAccounts : BigInt(0);
+
+  return (
+    <Paper sx={{ p: 3, backgroundColor: 'rgba(255, 255, 255, 0.05)' }}>
+      <Typography variant="h6" sx={{ color: 'white', mb: 2 }}>
+        Transfer Fees
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <TextField
+          fullWidth
+          label="Token mint address"
+          value={mintInput}
+          onChange={(e) => setMintInput(e.target.value.trim())}
+          variant="outlined"
+          sx={{ input: { color: 'white' }, label: { color: 'rgba(255, 255, 255, 0.7)' } }}
+        />
+        <Button variant="outlined" onClick={loadFees} disabled={loading || !mintInput}>
+          Check
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {status && <Alert severity="info" sx={{ mb: 2 }}>{status}</Alert>}
+
+      {fees && (
+        <Box sx={{ color: 'white' }}>
+          <Typography>
+            Fee: <strong>{(fees.basisPoints / 100).toFixed(2)}%</strong> per transfer, capped at{' '}
+            <strong>{formatTokenAmount(fees.maxFee, fees.decimals)}</strong> tokens
+          </Typography>
+          <Typography>
+            Withdraw authority: <strong>{fees.withdrawWithheldAuthority ? fees.withdrawWithheldAuthority.toString() : 'None'}</strong>
+          </Typography>
+          <Typography sx={{ mt: 1 }}>
+            Withheld in holder accounts: <strong>{formatTokenAmount(fees.withheldInAccounts, fees.decimals)}</strong>
+            {' '}({fees.sources.length} accounts)
+          </Typography>
+          <Typography>
+            Already harvested to the mint: <strong>{formatTokenAmount(fees.withheldInMint, fees.decimals)}</strong>
+          </Typography>
+
+          <Box sx={{ mt: 2, maxWidth: 320 }}>
+            <PriorityFeeSelect value={priorityLevel} onChange={setPriorityLevel} disabled={loading} />
+          </Box>
+
+          <Button
+            variant="contained"
+            onClick={handleHarvestAndWithdraw}
+            disabled={loading || totalWithheld === BigInt(0)}
+            sx={{ mt: 2, backgroundColor: 'lime', color: 'black', '&:hover': { backgroundColor: '#b2ff59' } }}
+          >
+            {loading ? <CircularProgress size={24} /> : 'Harvest & Withdraw'}
+          </Button>
+        </Box>
+      )}
+    </Paper>
+  );
+}
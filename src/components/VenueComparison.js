@@ -0,0 +1,148 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  CircularProgress,
+  MenuItem,
+  Radio,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Connection, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { LISTING_VENUES } from '@/utils/launchState';
+import { MARKET_SIZE_PRESETS } from '@/utils/openbookMarketSize';
+import { VENUE_LIST, quoteVenueCosts } from '@/utils/venues';
+
+// Quotes wait for the inputs to settle, e.g. while the liquidity slider moves
+const QUOTE_DEBOUNCE_MS = 400;
+
+const formatSol = (lamports) => `${(lamports / LAMPORTS_PER_SOL).toFixed(4)} SOL`;
+
+const cellSx = { color: 'white', borderColor: 'rgba(255, 255, 255, 0.1)' };
+
+/**
+ * Prices every listing venue for the current supply and liquidity and lets
+ * the creator pick one. The OpenBook quote follows the chosen market size.
+ */
+export default function VenueComparison({ venue, onVenueChange, marketSize, onMarketSizeChange, solAmount, supply, decimals }) {
+  const [quotes, setQuotes] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (supply === null) {
+      return undefined;
+    }
+    let cancelled = false;
+    const timeoutId = setTimeout(() => {
+      const connection = new Connection(
+        process.env.NEXT_PUBLIC_RPC_ENDPOINT || 'https://api.mainnet-beta.solana.com',
+        'confirmed'
+      );
+      quoteVenueCosts(connection, { solAmount, supply, decimals, marketSize })
+        .then((loaded) => {
+          if (!cancelled) {
+            setQuotes(loaded);
+            setError(null);
+          }
+        })
+        .catch((err) => {
+          console.warn('Could not price listing venues:', err.message);
+          if (!cancelled) {
+            setError('Listing costs unavailable');
+          }
+        });
+    }, QUOTE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [solAmount, supply, decimals, marketSize]);
+
+  return (
+    <Box>
+      <Typography gutterBottom>Listing venue</Typography>
+      {error && <Alert severity="warning" sx={{ mb: 1 }}>{error}</Alert>}
+      {supply === null && (
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+          Enter a supply to compare listing costs.
+        </Typography>
+      )}
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell sx={cellSx} />
+            <TableCell sx={cellSx}>Venue</TableCell>
+            <TableCell sx={cellSx} align="right">Cost</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {VENUE_LIST.map((candidate) => {
+            const quote = quotes?.[candidate.id];
+            return (
+              <TableRow
+                key={candidate.id}
+                hover
+                selected={venue === candidate.id}
+                onClick={() => onVenueChange(candidate.id)}
+                sx={{ cursor: 'pointer' }}
+              >
+                <TableCell sx={cellSx} padding="checkbox">
+                  <Radio checked={venue === candidate.id} size="small" sx={{ color: 'lime', '&.Mui-checked': { color: 'lime' } }} />
+                </TableCell>
+                <TableCell sx={cellSx}>
+                  <Typography variant="body2" fontWeight="bold">{candidate.name}</Typography>
+                  <Typography variant="caption" sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+                    {candidate.description}
+                  </Typography>
+                  {quote?.cost?.details.map((detail) => (
+                    <Typography key={detail} variant="caption" display="block" sx={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+                      {detail}
+                    </Typography>
+                  ))}
+                </TableCell>
+                <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }} align="right">
+                  {!quotes && supply !== null && !error && <CircularProgress size={16} />}
+                  {quote?.error && <Typography variant="caption" color="error">{quote.error}</Typography>}
+                  {quote?.cost && (
+                    <Tooltip title={quote.cost.items.map((item) => (
+                      <div key={item.label}>{item.label}: {formatSol(item.lamports)}</div>
+                    ))}>
+                      <span>{formatSol(quote.cost.total)}</span>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+
+      {venue === LISTING_VENUES.OPENBOOK && (
+        <TextField
+          select
+          fullWidth
+          label="Market size"
+          value={marketSize}
+          onChange={(e) => onMarketSizeChange(e.target.value)}
+          helperText="Larger markets hold more resting orders and unsettled fills, and cost more rent"
+          FormHelperTextProps={{ sx: { color: 'rgba(255, 255, 255, 0.5)' } }}
+          sx={{ mt: 2, '& .MuiInputBase-root': { color: 'white' }, label: { color: 'rgba(255, 255, 255, 0.7)' } }}
+        >
+          {Object.entries(MARKET_SIZE_PRESETS).map(([key, preset]) => (
+            <MenuItem key={key} value={key}>{preset.label}</MenuItem>
+          ))}
+        </TextField>
+      )}
+    </Box>
+  );
+}
@@ -3,6 +3,8 @@
 import { createContext, useState, useEffect, useCallback } from 'react';
 import { detectPhantomWallet, formatWalletError, getPhantomInstallUrl } from '@/utils/walletUtils';
 import { waitForPhantom, initializeWallet, connectWithDelay } from '@/utils/phantomInit';
+import { getSession, logout, requestSignInNonce, verifySignIn } from '@/utils/api';
+import { buildSiwsMessage, SESSION_TTL_MS, SIWS_CHAIN_ID, SIWS_STATEMENT, SIWS_VERSION } from '@/utils/siws';
 
 // Define the Phantom wallet interface
 export const WalletContext = createContext();
@@ -14,6 +16,23 @@ export const WalletProvider = ({ children }) => {
   const [phantomReady, setPhantomReady] = useState(false);
   const [lastError, setLastError] = useState(null);
   const [walletStatus, setWalletStatus] = useState({ isInstalled: false, isConnected: false });
+  // Server session from Sign-In-With-Solana: { walletAddress, expiresAt } or null
+  const [session, setSession] = useState(null);
+
+  // Restore an existing session cookie on load
+  useEffect(() => {
+    let mounted = true;
+
+    getSession().then((response) => {
+      if (mounted && response.data) {
+        setSession(response.data);
+      }
+    });
+
+    return () => {
+      mounted = false;
+    };
+  }, []);
 
   // Update the useEffect for wallet detection
   useEffect(() => {
@@ -179,6 +198,64 @@ export const WalletProvider = ({ children }) => {
     }
   }, [phantom, phantomReady]);
   
+  // Sign in with a single wallet signature; API calls then ride on the session cookie
+  const signIn = useCallback(async () => {
+    setLastError(null);
+
+    if (!phantom || !walletAddress) {
+      setLastError('Connect your wallet before signing in.');
+      return null;
+    }
+
+    try {
+      const nonceResponse = await requestSignInNonce(walletAddress);
+      if (!nonceResponse.data) {
+        throw new Error(nonceResponse.error || 'Failed to start sign-in');
+      }
+
+      const issuedAt = Date.now();
+      const message = buildSiwsMessage({
+        domain: window.location.host,
+        address: walletAddress,
+        statement: SIWS_STATEMENT,
+        uri: window.location.origin,
+        version: SIWS_VERSION,
+        chainId: SIWS_CHAIN_ID,
+        nonce: nonceResponse.data.nonce,
+        issuedAt: new Date(issuedAt).toISOString(),
+        // The session's lifetime; the server separately rejects the nonce once it expires
+        expirationTime: new Date(issuedAt + SESSION_TTL_MS).toISOString()
+      });
+
+      const { signature } = await phantom.signMessage(new TextEncoder().encode(message), 'utf8');
+      const encodedSignature = btoa(String.fromCharCode(...signature));
+
+      const response = await verifySignIn(message, encodedSignature);
+      if (!response.data) {
+        throw new Error(response.error || 'Sign-in failed');
+      }
+
+      setSession(response.data);
+      return response.data;
+    } catch (err) {
+      console.error('Error signing in:', err);
+      setLastError(formatWalletError(err));
+      return null;
+    }
+  }, [phantom, walletAddress]);
+
+  const signOut = useCallback(async () => {
+    setSession(null);
+    await logout();
+  }, []);
+
+  // A session belongs to one wallet; drop it when the user switches accounts
+  useEffect(() => {
+    if (session && walletAddress && session.walletAddress !== walletAddress) {
+      signOut();
+    }
+  }, [session, walletAddress, signOut]);
+
   // Disconnect method with error handling
   const disconnectWallet = useCallback(async () => {
     if (!phantom) return;
@@ -191,11 +268,12 @@ export const WalletProvider = ({ children }) => {
       
       setWalletAddress(null);
       setIsVerified(false);
+      await signOut();
     } catch (err) {
       console.error('Error disconnecting wallet:', err);
       setLastError(formatWalletError(err));
     }
-  }, [phantom]);
+  }, [phantom, signOut]);
 
   return (
     <WalletContext.Provider value={{ 
@@ -208,6 +286,10 @@ export const WalletProvider = ({ children }) => {
       phantomReady,
       lastError,
       walletStatus,
+      session,
+      isAuthenticated: !!session && session.walletAddress === walletAddress,
+      signIn,
+      signOut,
       clearError: () => setLastError(null)
     }}>
       {children}
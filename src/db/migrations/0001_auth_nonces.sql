@@ -0,0 +1,7 @@
+CREATE TABLE "auth_nonces" (
+	"id" text PRIMARY KEY NOT NULL,
+	"wallet_address" text NOT NULL,
+	"nonce" text NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "auth_nonces_wallet_address_nonce_unique" UNIQUE("wallet_address","nonce")
+);
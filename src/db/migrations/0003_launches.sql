@@ -0,0 +1,25 @@
+CREATE TYPE "public"."launch_status" AS ENUM('IN_PROGRESS', 'COMPLETED', 'ABANDONED');--> statement-breakpoint
+CREATE TABLE "launches" (
+	"id" text PRIMARY KEY NOT NULL,
+	"mint_address" text NOT NULL,
+	"creator_wallet" text NOT NULL,
+	"status" "launch_status" DEFAULT 'IN_PROGRESS' NOT NULL,
+	"last_step" text,
+	"params" jsonb NOT NULL,
+	"progress" jsonb DEFAULT '{}'::jsonb NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "launches_mint_address_unique" UNIQUE("mint_address")
+);
+--> statement-breakpoint
+CREATE TABLE "launch_steps" (
+	"id" text PRIMARY KEY NOT NULL,
+	"launch_id" text NOT NULL,
+	"step" text NOT NULL,
+	"tx_signature" text,
+	"detail" jsonb,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "launches" ADD CONSTRAINT "launches_creator_wallet_users_wallet_address_fk" FOREIGN KEY ("creator_wallet") REFERENCES "public"."users"("wallet_address") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "launch_steps" ADD CONSTRAINT "launch_steps_launch_id_launches_id_fk" FOREIGN KEY ("launch_id") REFERENCES "public"."launches"("id") ON DELETE no action ON UPDATE no action;
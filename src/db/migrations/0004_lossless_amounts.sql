@@ -0,0 +1,2 @@
+ALTER TABLE "tokens" ALTER COLUMN "total_supply" SET DATA TYPE numeric(20, 0);--> statement-breakpoint
+ALTER TABLE "transactions" ALTER COLUMN "amount" SET DATA TYPE numeric(20, 0);
@@ -0,0 +1,6 @@
+CREATE TYPE "public"."token_mode" AS ENUM('CURVE', 'POOL');--> statement-breakpoint
+CREATE TYPE "public"."graduation_status" AS ENUM('PENDING', 'WITHDRAWN', 'POOL_CREATED', 'COMPLETED');--> statement-breakpoint
+ALTER TABLE "tokens" ADD COLUMN "mode" "token_mode" DEFAULT 'POOL' NOT NULL;--> statement-breakpoint
+ALTER TABLE "tokens" ADD COLUMN "pool_address" text;--> statement-breakpoint
+ALTER TABLE "tokens" ADD COLUMN "graduation_status" "graduation_status";--> statement-breakpoint
+ALTER TABLE "tokens" ADD COLUMN "graduation" jsonb;
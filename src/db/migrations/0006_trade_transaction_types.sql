@@ -0,0 +1,2 @@
+ALTER TYPE "public"."transaction_type" ADD VALUE 'BUY';--> statement-breakpoint
+ALTER TYPE "public"."transaction_type" ADD VALUE 'SELL';
\ No newline at end of file
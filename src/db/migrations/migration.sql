@@ -1,7 +1,9 @@
 -- Create enums
 CREATE TYPE token_status AS ENUM ('ACTIVE', 'PENDING', 'FAILED');
-CREATE TYPE transaction_type AS ENUM ('CREATION', 'TRANSFER', 'MARKET_CREATION');
+CREATE TYPE transaction_type AS ENUM ('CREATION', 'TRANSFER', 'MARKET_CREATION', 'BUY', 'SELL');
 CREATE TYPE transaction_status AS ENUM ('SUCCESS', 'FAILED', 'PENDING');
+CREATE TYPE token_mode AS ENUM ('CURVE', 'POOL');
+CREATE TYPE graduation_status AS ENUM ('PENDING', 'WITHDRAWN', 'POOL_CREATED', 'COMPLETED');
 
 -- Create users table
 CREATE TABLE IF NOT EXISTS users (
@@ -23,12 +25,16 @@ CREATE TABLE IF NOT EXISTS tokens (
   symbol TEXT NOT NULL,
   description TEXT NOT NULL,
   image_url TEXT NOT NULL,
-  total_supply BIGINT NOT NULL,
+  total_supply NUMERIC(20, 0) NOT NULL,
   decimals INTEGER NOT NULL,
   open_book_market TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
   status token_status DEFAULT 'ACTIVE' NOT NULL,
   metadata_uri TEXT NOT NULL,
+  mode token_mode DEFAULT 'POOL' NOT NULL,
+  pool_address TEXT,
+  graduation_status graduation_status,
+  graduation JSONB,
   FOREIGN KEY (creator_wallet) REFERENCES users(wallet_address)
 );
 
@@ -39,11 +45,68 @@ CREATE TABLE IF NOT EXISTS transactions (
   type transaction_type NOT NULL,
   from_wallet TEXT NOT NULL,
   to_wallet TEXT,
-  amount BIGINT,
+  amount NUMERIC(20, 0),
   tx_signature TEXT NOT NULL,
   status transaction_status DEFAULT 'PENDING' NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
   error TEXT,
   FOREIGN KEY (token_id) REFERENCES tokens(id),
   FOREIGN KEY (from_wallet) REFERENCES users(wallet_address)
-); 
\ No newline at end of file
+); 
+-- Create auth_nonces table
+CREATE TABLE IF NOT EXISTS auth_nonces (
+  id TEXT PRIMARY KEY,
+  wallet_address TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  UNIQUE (wallet_address, nonce)
+);
+
+-- Create sign_in_nonces table
+CREATE TABLE IF NOT EXISTS sign_in_nonces (
+  id TEXT PRIMARY KEY,
+  nonce TEXT UNIQUE NOT NULL,
+  wallet_address TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  consumed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Create sessions table
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  wallet_address TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  FOREIGN KEY (wallet_address) REFERENCES users(wallet_address)
+);
+
+-- Create launch_status enum
+CREATE TYPE launch_status AS ENUM ('IN_PROGRESS', 'COMPLETED', 'ABANDONED');
+
+-- Create launches table
+CREATE TABLE IF NOT EXISTS launches (
+  id TEXT PRIMARY KEY,
+  mint_address TEXT UNIQUE NOT NULL,
+  creator_wallet TEXT NOT NULL,
+  status launch_status DEFAULT 'IN_PROGRESS' NOT NULL,
+  last_step TEXT,
+  params JSONB NOT NULL,
+  progress JSONB DEFAULT '{}'::jsonb NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  FOREIGN KEY (creator_wallet) REFERENCES users(wallet_address)
+);
+
+-- Create launch_steps table
+CREATE TABLE IF NOT EXISTS launch_steps (
+  id TEXT PRIMARY KEY,
+  launch_id TEXT NOT NULL,
+  step TEXT NOT NULL,
+  tx_signature TEXT,
+  detail JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  FOREIGN KEY (launch_id) REFERENCES launches(id)
+);
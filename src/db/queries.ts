@@ -1,7 +1,17 @@
-import { and, eq, desc } from 'drizzle-orm';
+import { and, asc, eq, desc, lt, gt, isNull, ne, or } from 'drizzle-orm';
 import { db } from './index';
-import { users, tokens, transactions } from './schema';
-import type { NewUser, NewToken, NewTransaction } from './types';
+import { users, tokens, transactions, authNonces, signInNonces, sessions, launches, launchSteps } from './schema';
+import type {
+  NewUser,
+  NewToken,
+  NewTransaction,
+  NewSignInNonce,
+  NewSession,
+  NewLaunch,
+  NewLaunchStep,
+  Launch,
+  Token,
+} from './types';
 
 // User queries
 export const createUser = async (data: NewUser) => {
@@ -19,6 +29,14 @@ export const getUserByWalletAddress = async (walletAddress: string) => {
   });
 };
 
+export const updateUserLastLogin = async (walletAddress: string) => {
+  const result = await db.update(users)
+    .set({ lastLogin: new Date() })
+    .where(eq(users.walletAddress, walletAddress))
+    .returning();
+  return result[0];
+};
+
 export const getAllUsers = async () => {
   return await db.query.users.findMany({
     with: {
@@ -44,6 +62,45 @@ export const getTokenById = async (id: string) => {
   });
 };
 
+export const getPendingTokens = async (limit: number) => {
+  return await db.query.tokens.findMany({
+    where: eq(tokens.status, 'PENDING'),
+    orderBy: [asc(tokens.createdAt)],
+    limit,
+  });
+};
+
+export const updateTokenStatus = async (id: string, status: Token['status']) => {
+  const result = await db.update(tokens)
+    .set({ status })
+    .where(eq(tokens.id, id))
+    .returning();
+  return result[0];
+};
+
+// Curve-mode tokens that have not finished graduating, oldest first
+export const getGraduatingTokens = async (limit: number) => {
+  return await db.query.tokens.findMany({
+    where: and(
+      eq(tokens.mode, 'CURVE'),
+      or(isNull(tokens.graduationStatus), ne(tokens.graduationStatus, 'COMPLETED'))
+    ),
+    orderBy: [asc(tokens.createdAt)],
+    limit,
+  });
+};
+
+export const updateTokenGraduation = async (
+  id: string,
+  data: Partial<Pick<NewToken, 'mode' | 'poolAddress' | 'graduationStatus' | 'graduation'>>
+) => {
+  const result = await db.update(tokens)
+    .set(data)
+    .where(eq(tokens.id, id))
+    .returning();
+  return result[0];
+};
+
 export const getTokensByCreator = async (creatorWallet: string) => {
   return await db.query.tokens.findMany({
     where: eq(tokens.creatorWallet, creatorWallet),
@@ -59,6 +116,34 @@ export const createTransaction = async (data: NewTransaction) => {
   return result[0];
 };
 
+export const getTransactionById = async (id: string) => {
+  return await db.query.transactions.findFirst({
+    where: eq(transactions.id, id),
+  });
+};
+
+export const updateTransaction = async (
+  id: string,
+  data: Partial<Omit<NewTransaction, 'id'>>
+) => {
+  const result = await db.update(transactions)
+    .set(data)
+    .where(eq(transactions.id, id))
+    .returning();
+  return result[0];
+};
+
+export const getPendingTransactions = async (limit: number) => {
+  return await db.query.transactions.findMany({
+    where: eq(transactions.status, 'PENDING'),
+    with: {
+      token: true,
+    },
+    orderBy: [asc(transactions.createdAt)],
+    limit,
+  });
+};
+
 export const getTransactionsByToken = async (tokenId: string) => {
   return await db.query.transactions.findMany({
     where: eq(transactions.tokenId, tokenId),
@@ -106,4 +191,112 @@ export const getTransactionsByOptions = async (options: {
     },
     orderBy: [desc(transactions.createdAt)],
   });
-}; 
\ No newline at end of file
+}; 
+
+// Auth nonce queries
+// Records a nonce for a wallet; returns false when it had already been used
+export const consumeAuthNonce = async (walletAddress: string, nonce: string) => {
+  const result = await db.insert(authNonces)
+    .values({ walletAddress, nonce })
+    .onConflictDoNothing()
+    .returning();
+  return result.length > 0;
+};
+
+export const deleteAuthNoncesBefore = async (walletAddress: string, before: Date) => {
+  await db.delete(authNonces)
+    .where(and(
+      eq(authNonces.walletAddress, walletAddress),
+      lt(authNonces.createdAt, before)
+    ));
+};
+
+// Sign-in nonce queries
+export const createSignInNonce = async (data: NewSignInNonce) => {
+  const result = await db.insert(signInNonces).values(data).returning();
+  return result[0];
+};
+
+// Marks a nonce as used; returns undefined if it is unknown, expired, already used
+// or was issued to a different wallet
+export const consumeSignInNonce = async (nonce: string, walletAddress: string) => {
+  const result = await db.update(signInNonces)
+    .set({ consumedAt: new Date() })
+    .where(and(
+      eq(signInNonces.nonce, nonce),
+      eq(signInNonces.walletAddress, walletAddress),
+      isNull(signInNonces.consumedAt),
+      gt(signInNonces.expiresAt, new Date())
+    ))
+    .returning();
+  return result[0];
+};
+
+// Session queries
+export const createSession = async (data: NewSession) => {
+  const result = await db.insert(sessions).values(data).returning();
+  return result[0];
+};
+
+export const getActiveSessionByTokenHash = async (tokenHash: string) => {
+  return await db.query.sessions.findFirst({
+    where: and(
+      eq(sessions.tokenHash, tokenHash),
+      isNull(sessions.revokedAt),
+      gt(sessions.expiresAt, new Date())
+    ),
+  });
+};
+
+export const revokeSession = async (tokenHash: string) => {
+  await db.update(sessions)
+    .set({ revokedAt: new Date() })
+    .where(eq(sessions.tokenHash, tokenHash));
+};
+
+// Launch queries
+export const createLaunch = async (data: NewLaunch) => {
+  const result = await db.insert(launches).values(data).returning();
+  return result[0];
+};
+
+export const getLaunchByMint = async (mintAddress: string) => {
+  return await db.query.launches.findFirst({
+    where: eq(launches.mintAddress, mintAddress),
+    with: {
+      steps: {
+        orderBy: [asc(launchSteps.createdAt)],
+      },
+    },
+  });
+};
+
+export const getLaunchesByCreator = async (creatorWallet: string, status?: Launch['status']) => {
+  return await db.query.launches.findMany({
+    where: status
+      ? and(eq(launches.creatorWallet, creatorWallet), eq(launches.status, status))
+      : eq(launches.creatorWallet, creatorWallet),
+    with: {
+      steps: {
+        orderBy: [asc(launchSteps.createdAt)],
+      },
+    },
+    orderBy: [desc(launches.updatedAt)],
+  });
+};
+
+export const updateLaunch = async (
+  id: string,
+  data: Partial<Pick<NewLaunch, 'status' | 'lastStep' | 'progress'>>
+) => {
+  const result = await db.update(launches)
+    .set({ ...data, updatedAt: new Date() })
+    .where(eq(launches.id, id))
+    .returning();
+  return result[0];
+};
+
+export const createLaunchStep = async (data: NewLaunchStep) => {
+  const result = await db.insert(launchSteps).values(data).returning();
+  return result[0];
+};
@@ -1,10 +1,16 @@
-import { pgTable, text, timestamp, integer, boolean, bigint, pgEnum } from "drizzle-orm/pg-core";
+import { pgTable, text, timestamp, integer, boolean, numeric, pgEnum, unique, jsonb } from "drizzle-orm/pg-core";
+import { relations } from "drizzle-orm";
 import { createId } from '@paralleldrive/cuid2';
 
 // Enums
 export const tokenStatusEnum = pgEnum('token_status', ['ACTIVE', 'PENDING', 'FAILED']);
-export const transactionTypeEnum = pgEnum('transaction_type', ['CREATION', 'TRANSFER', 'MARKET_CREATION']);
+export const transactionTypeEnum = pgEnum('transaction_type', ['CREATION', 'TRANSFER', 'MARKET_CREATION', 'BUY', 'SELL']);
 export const transactionStatusEnum = pgEnum('transaction_status', ['SUCCESS', 'FAILED', 'PENDING']);
+export const launchStatusEnum = pgEnum('launch_status', ['IN_PROGRESS', 'COMPLETED', 'ABANDONED']);
+export const tokenModeEnum = pgEnum('token_mode', ['CURVE', 'POOL']);
+// Steps of moving a completed bonding curve into a Raydium pool, in order.
+// Each is recorded once it has confirmed so an interrupted run resumes there.
+export const graduationStatusEnum = pgEnum('graduation_status', ['PENDING', 'WITHDRAWN', 'POOL_CREATED', 'COMPLETED']);
 
 // Tables
 export const users = pgTable('users', {
@@ -25,12 +31,21 @@ export const tokens = pgTable('tokens', {
   symbol: text('symbol').notNull(),
   description: text('description').notNull(),
   imageUrl: text('image_url').notNull(),
-  totalSupply: bigint('total_supply', { mode: 'number' }).notNull(),
+  // Whole tokens. numeric(20, 0) holds any u64 exactly and is read back as a
+  // decimal string, so large supplies never pass through a JS number
+  totalSupply: numeric('total_supply', { precision: 20, scale: 0 }).notNull(),
   decimals: integer('decimals').notNull(),
   openBookMarket: text('open_book_market'),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   status: tokenStatusEnum('status').default('ACTIVE').notNull(),
   metadataUri: text('metadata_uri').notNull(),
+  // CURVE while trading on the memecoin_program bonding curve, POOL once it
+  // trades on Raydium (tokens launched straight into a pool start as POOL)
+  mode: tokenModeEnum('mode').default('POOL').notNull(),
+  poolAddress: text('pool_address'),
+  // Null until the curve completes; see src/lib/graduation.ts
+  graduationStatus: graduationStatusEnum('graduation_status'),
+  graduation: jsonb('graduation'),
 });
 
 export const transactions = pgTable('transactions', {
@@ -39,9 +54,102 @@ export const transactions = pgTable('transactions', {
   type: transactionTypeEnum('type').notNull(),
   fromWallet: text('from_wallet').notNull().references(() => users.walletAddress),
   toWallet: text('to_wallet'),
-  amount: bigint('amount', { mode: 'number' }),
+  // Raw base units, as a decimal string like tokens.totalSupply
+  amount: numeric('amount', { precision: 20, scale: 0 }),
   txSignature: text('tx_signature').notNull(),
   status: transactionStatusEnum('status').default('PENDING').notNull(),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   error: text('error'),
-}); 
\ No newline at end of file
+}); 
+
+// One row per token launch, keyed by mint address. `params` holds the launch
+// inputs (name, supply, retention, liquidity, options, metadata URIs) so an
+// interrupted launch can be resumed without the original form state.
+export const launches = pgTable('launches', {
+  id: text('id').primaryKey().notNull().$defaultFn(() => createId()),
+  mintAddress: text('mint_address').notNull().unique(),
+  creatorWallet: text('creator_wallet').notNull().references(() => users.walletAddress),
+  status: launchStatusEnum('status').default('IN_PROGRESS').notNull(),
+  lastStep: text('last_step'),
+  params: jsonb('params').notNull(),
+  progress: jsonb('progress').default({}).notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
+// Append-only log of confirmed launch steps. Step names live in
+// src/utils/launchState.js rather than an enum so new steps need no migration.
+export const launchSteps = pgTable('launch_steps', {
+  id: text('id').primaryKey().notNull().$defaultFn(() => createId()),
+  launchId: text('launch_id').notNull().references(() => launches.id),
+  step: text('step').notNull(),
+  txSignature: text('tx_signature'),
+  detail: jsonb('detail'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+});
+
+// Relations used by the relational queries in queries.ts
+export const usersRelations = relations(users, ({ many }) => ({
+  tokens: many(tokens),
+  transactions: many(transactions),
+}));
+
+export const tokensRelations = relations(tokens, ({ one, many }) => ({
+  creator: one(users, {
+    fields: [tokens.creatorWallet],
+    references: [users.walletAddress],
+  }),
+  transactions: many(transactions),
+}));
+
+export const transactionsRelations = relations(transactions, ({ one }) => ({
+  token: one(tokens, {
+    fields: [transactions.tokenId],
+    references: [tokens.id],
+  }),
+  user: one(users, {
+    fields: [transactions.fromWallet],
+    references: [users.walletAddress],
+  }),
+}));
+
+export const launchesRelations = relations(launches, ({ many }) => ({
+  steps: many(launchSteps),
+}));
+
+export const launchStepsRelations = relations(launchSteps, ({ one }) => ({
+  launch: one(launches, {
+    fields: [launchSteps.launchId],
+    references: [launches.id],
+  }),
+}));
+
+// Signed-request nonces already seen per wallet, used to reject replays
+export const authNonces = pgTable('auth_nonces', {
+  id: text('id').primaryKey().notNull().$defaultFn(() => createId()),
+  walletAddress: text('wallet_address').notNull(),
+  nonce: text('nonce').notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  walletNonceUnique: unique('auth_nonces_wallet_address_nonce_unique').on(table.walletAddress, table.nonce),
+}));
+
+// Server-issued Sign-In-With-Solana nonces; each may be redeemed once before it expires
+export const signInNonces = pgTable('sign_in_nonces', {
+  id: text('id').primaryKey().notNull().$defaultFn(() => createId()),
+  nonce: text('nonce').notNull().unique(),
+  walletAddress: text('wallet_address').notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  consumedAt: timestamp('consumed_at'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+});
+
+// Browser sessions created by a successful sign-in; only a hash of the cookie token is stored
+export const sessions = pgTable('sessions', {
+  id: text('id').primaryKey().notNull().$defaultFn(() => createId()),
+  tokenHash: text('token_hash').notNull().unique(),
+  walletAddress: text('wallet_address').notNull().references(() => users.walletAddress),
+  expiresAt: timestamp('expires_at').notNull(),
+  revokedAt: timestamp('revoked_at'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+});
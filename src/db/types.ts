@@ -1,5 +1,5 @@
 import { InferInsertModel, InferSelectModel } from 'drizzle-orm';
-import { users, tokens, transactions } from './schema';
+import { users, tokens, transactions, authNonces, signInNonces, sessions, launches, launchSteps } from './schema';
 
 // User types
 export type User = InferSelectModel<typeof users>;
@@ -11,4 +11,22 @@ export type NewToken = InferInsertModel<typeof tokens>;
 
 // Transaction types
 export type Transaction = InferSelectModel<typeof transactions>;
-export type NewTransaction = InferInsertModel<typeof transactions>; 
\ No newline at end of file
+export type NewTransaction = InferInsertModel<typeof transactions>; 
+
+// Auth nonce types
+export type AuthNonce = InferSelectModel<typeof authNonces>;
+export type NewAuthNonce = InferInsertModel<typeof authNonces>;
+
+// Sign-in nonce types
+export type SignInNonce = InferSelectModel<typeof signInNonces>;
+export type NewSignInNonce = InferInsertModel<typeof signInNonces>;
+
+// Session types
+export type Session = InferSelectModel<typeof sessions>;
+export type NewSession = InferInsertModel<typeof sessions>;
+
+// Launch types
+export type Launch = InferSelectModel<typeof launches>;
+export type NewLaunch = InferInsertModel<typeof launches>;
+export type LaunchStep = InferSelectModel<typeof launchSteps>;
+export type NewLaunchStep = InferInsertModel<typeof launchSteps>;
@@ -1,18 +1,26 @@
-import { useCallback, useState } from 'react'
-import { useWallet } from '@solana/wallet-adapter-react'
+import { useCallback, useContext, useState } from 'react'
 import * as api from '@/utils/api'
+import { WalletContext } from '@/context/WalletContext'
+
+interface WalletSession {
+  walletAddress: string | null
+  session: api.Session | null
+  isAuthenticated: boolean
+  signIn: () => Promise<api.Session | null>
+}
 
 export function useApi() {
-  const { publicKey, signMessage } = useWallet()
+  const { walletAddress, isAuthenticated, signIn } = (useContext(WalletContext) || {}) as WalletSession
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const [userTokens, setUserTokens] = useState<api.ApiResponse<api.Token[]> | null>(null)
 
-  const signAndRequest = useCallback(
+  // Runs an authenticated request, prompting a one-time sign-in when there is no session yet
+  const sessionRequest = useCallback(
     async <T>(
-      requestFn: (walletAddress: string, signature: string) => Promise<api.ApiResponse<T>>
+      requestFn: (walletAddress: string) => Promise<api.ApiResponse<T>>
     ) => {
-      if (!publicKey || !signMessage) {
+      if (!walletAddress) {
         setError('Wallet not connected')
         return { error: 'Wallet not connected' }
       }
@@ -21,17 +29,17 @@ export function useApi() {
       setError(null)
 
       try {
-        // Create a message to sign
-        const message = new TextEncoder().encode(
-          `Sign this message to authenticate with CoinMachine. Nonce: ${Date.now()}`
-        )
+        if (!isAuthenticated && !(await signIn())) {
+          setError('Sign-in required')
+          return { error: 'Sign-in required' }
+        }
 
-        // Sign the message
-        const signature = await signMessage(message)
-        const signatureString = Buffer.from(signature).toString('base64')
+        let response = await requestFn(walletAddress)
 
-        // Make the API request
-        const response = await requestFn(publicKey.toString(), signatureString)
+        // The session may have expired server-side; sign in again and retry once
+        if (response.code === 'UNAUTHORIZED' && isAuthenticated && (await signIn())) {
+          response = await requestFn(walletAddress)
+        }
 
         if (response.error) {
           setError(response.error)
@@ -46,40 +54,21 @@ export function useApi() {
         setLoading(false)
       }
     },
-    [publicKey, signMessage]
-  )
-
-  const createUser = useCallback(
-    async (email?: string) => {
-      if (!publicKey) {
-        setError('Wallet not connected')
-        return { error: 'Wallet not connected' }
-      }
-
-      return api.createUser(publicKey.toString(), email)
-    },
-    [publicKey]
+    [walletAddress, isAuthenticated, signIn]
   )
 
   const getUser = useCallback(
     async () => {
-      if (!publicKey) {
-        setError('Wallet not connected')
-        return { error: 'Wallet not connected' }
-      }
-
-      return api.getUser(publicKey.toString())
+      return sessionRequest(api.getUser)
     },
-    [publicKey]
+    [sessionRequest]
   )
 
   const createToken = useCallback(
-    async (tokenData: Parameters<typeof api.createToken>[2]) => {
-      return signAndRequest((walletAddress, signature) =>
-        api.createToken(walletAddress, signature, tokenData)
-      )
+    async (tokenData: Parameters<typeof api.createToken>[0]) => {
+      return sessionRequest(() => api.createToken(tokenData))
     },
-    [signAndRequest]
+    [sessionRequest]
   )
 
   const getToken = useCallback(
@@ -91,18 +80,16 @@ export function useApi() {
 
   const getUserTokens = useCallback(
     async () => {
-      return signAndRequest(api.getUserTokens)
+      return sessionRequest(api.getUserTokens)
     },
-    [signAndRequest]
+    [sessionRequest]
   )
 
   const createTransaction = useCallback(
-    async (transactionData: Parameters<typeof api.createTransaction>[2]) => {
-      return signAndRequest((walletAddress, signature) =>
-        api.createTransaction(walletAddress, signature, transactionData)
-      )
+    async (transactionData: Parameters<typeof api.createTransaction>[0]) => {
+      return sessionRequest(() => api.createTransaction(transactionData))
     },
-    [signAndRequest]
+    [sessionRequest]
   )
 
   const updateTransaction = useCallback(
@@ -111,25 +98,25 @@ export function useApi() {
       status: 'SUCCESS' | 'FAILED' | 'PENDING',
       error?: string
     ) => {
-      return signAndRequest((walletAddress, signature) =>
-        api.updateTransaction(walletAddress, signature, transactionId, status, error)
+      return sessionRequest(() =>
+        api.updateTransaction(transactionId, status, error)
       )
     },
-    [signAndRequest]
+    [sessionRequest]
   )
 
   const getUserTransactions = useCallback(
     async () => {
-      return signAndRequest(api.getUserTransactions)
+      return sessionRequest(api.getUserTransactions)
     },
-    [signAndRequest]
+    [sessionRequest]
   )
 
   const fetchUserTokens = useCallback(async (): Promise<void> => {
-    if (!publicKey) return;
+    if (!walletAddress) return;
     try {
       setLoading(true);
-      const response = await signAndRequest(api.getUserTokens) as api.ApiResponse<api.Token[]>;
+      const response = await sessionRequest(api.getUserTokens) as api.ApiResponse<api.Token[]>;
       if (response && response.data) {
         setUserTokens(response);
       }
@@ -138,12 +125,11 @@ export function useApi() {
     } finally {
       setLoading(false);
     }
-  }, [publicKey, signAndRequest, setLoading, setError, setUserTokens]);
+  }, [walletAddress, sessionRequest, setLoading, setError, setUserTokens]);
 
   return {
     loading,
     error,
-    createUser,
     getUser,
     createToken,
     getToken,
@@ -154,4 +140,4 @@ export function useApi() {
     fetchUserTokens,
     userTokens,
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,1484 @@
+// Generated by `anchor build` from programs/memecoin_program (target/types/memecoin_program.ts).
+// Do not edit by hand; rebuild the program and copy the file over instead.
+
+export type MemecoinProgram = {
+  "version": "0.1.0",
+  "name": "memecoin_program",
+  "docs": [
+    "Constant-product bonding curve for CoinMachine launches."
+  ],
+  "constants": [
+    {
+      "name": "BONDING_CURVE_SEED",
+      "type": "bytes",
+      "value": "[98, 111, 110, 100, 105, 110, 103, 95, 99, 117, 114, 118, 101]"
+    },
+    {
+      "name": "LP_LOCK_SEED",
+      "type": "bytes",
+      "value": "[108, 112, 95, 108, 111, 99, 107]"
+    },
+    {
+      "name": "MAX_FEE_BASIS_POINTS",
+      "type": "u16",
+      "value": "1_000"
+    }
+  ],
+  "instructions": [
+    {
+      "name": "initializeCurve",
+      "docs": [
+        "Opens the curve for a mint and moves the creator's bonding-curve",
+        "supply into it."
+      ],
+      "accounts": [
+        {
+          "name": "creator",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "authority",
+          "isMut": false,
+          "isSigner": false,
+          "docs": [
+            "Only recorded; must sign the withdrawal once the curve completes"
+          ]
+        },
+        {
+          "name": "feeRecipient",
+          "isMut": false,
+          "isSigner": false,
+          "docs": [
+            "Only recorded; receives trade fees"
+          ]
+        },
+        {
+          "name": "mint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "bondingCurve",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "curveTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "creatorTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "associatedTokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "systemProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": [
+        {
+          "name": "args",
+          "type": {
+            "defined": "InitializeCurveArgs"
+          }
+        }
+      ]
+    },
+    {
+      "name": "buy",
+      "docs": [
+        "Buys exactly `token_amount` tokens, paying at most `max_sol_cost`",
+        "lamports including the fee."
+      ],
+      "accounts": [
+        {
+          "name": "buyer",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "mint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "bondingCurve",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "curveTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "buyerTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "feeRecipient",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "associatedTokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "systemProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": [
+        {
+          "name": "tokenAmount",
+          "type": "u64"
+        },
+        {
+          "name": "maxSolCost",
+          "type": "u64"
+        }
+      ]
+    },
+    {
+      "name": "sell",
+      "docs": [
+        "Sells `token_amount` tokens for at least `min_sol_output` lamports",
+        "after the fee."
+      ],
+      "accounts": [
+        {
+          "name": "seller",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "mint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "bondingCurve",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "curveTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "sellerTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "feeRecipient",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": [
+        {
+          "name": "tokenAmount",
+          "type": "u64"
+        },
+        {
+          "name": "minSolOutput",
+          "type": "u64"
+        }
+      ]
+    },
+    {
+      "name": "withdraw",
+      "docs": [
+        "Hands a completed curve's SOL and tokens to its authority."
+      ],
+      "accounts": [
+        {
+          "name": "authority",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "mint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "bondingCurve",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "curveTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "authorityTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "associatedTokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "systemProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": []
+    },
+    {
+      "name": "lockLp",
+      "docs": [
+        "Moves `amount` LP tokens into a vault that only releases them to the",
+        "owner from `unlock_at` (unix seconds)."
+      ],
+      "accounts": [
+        {
+          "name": "owner",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "lpMint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "lpLock",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "lockTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "ownerTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "associatedTokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "systemProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": [
+        {
+          "name": "amount",
+          "type": "u64"
+        },
+        {
+          "name": "unlockAt",
+          "type": "i64"
+        }
+      ]
+    },
+    {
+      "name": "unlockLp",
+      "docs": [
+        "Returns an expired lock's LP tokens to its owner and closes it."
+      ],
+      "accounts": [
+        {
+          "name": "owner",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "lpMint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "lpLock",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "lockTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "ownerTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "associatedTokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "systemProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": []
+    }
+  ],
+  "accounts": [
+    {
+      "name": "bondingCurve",
+      "docs": [
+        "One curve per mint, at PDA `[\"bonding_curve\", mint]`. The curve owns the",
+        "token vault and holds the SOL it has raised as its own lamports."
+      ],
+      "type": {
+        "kind": "struct",
+        "fields": [
+          {
+            "name": "creator",
+            "type": "publicKey"
+          },
+          {
+            "name": "authority",
+            "docs": [
+              "Withdraws the reserves once the curve completes"
+            ],
+            "type": "publicKey"
+          },
+          {
+            "name": "mint",
+            "type": "publicKey"
+          },
+          {
+            "name": "feeRecipient",
+            "docs": [
+              "Receives the trade fee on every buy and sell"
+            ],
+            "type": "publicKey"
+          },
+          {
+            "name": "virtualSolReserves",
+            "docs": [
+              "Reserves the price is computed from; start above the real ones"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "virtualTokenReserves",
+            "type": "u64"
+          },
+          {
+            "name": "realSolReserves",
+            "docs": [
+              "SOL raised from buyers and still held by the curve"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "realTokenReserves",
+            "docs": [
+              "Tokens left in the vault to sell"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "graduationThreshold",
+            "docs": [
+              "Real SOL reserves at which the curve completes"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "feeBasisPoints",
+            "type": "u16"
+          },
+          {
+            "name": "complete",
+            "docs": [
+              "Set once the threshold is reached or the tokens run out; trading stops"
+            ],
+            "type": "bool"
+          },
+          {
+            "name": "bump",
+            "type": "u8"
+          }
+        ]
+      }
+    },
+    {
+      "name": "lpLock",
+      "docs": [
+        "LP tokens held until `unlock_at`, at PDA `[\"lp_lock\", lp_mint, owner]`.",
+        "The lock owns the vault; unlocking empties and closes both."
+      ],
+      "type": {
+        "kind": "struct",
+        "fields": [
+          {
+            "name": "owner",
+            "docs": [
+              "Locked the tokens and is the only one who can unlock them"
+            ],
+            "type": "publicKey"
+          },
+          {
+            "name": "lpMint",
+            "type": "publicKey"
+          },
+          {
+            "name": "amount",
+            "docs": [
+              "LP tokens the vault received"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "unlockAt",
+            "docs": [
+              "Unix timestamp from which the tokens can be unlocked"
+            ],
+            "type": "i64"
+          },
+          {
+            "name": "bump",
+            "type": "u8"
+          }
+        ]
+      }
+    }
+  ],
+  "types": [
+    {
+      "name": "InitializeCurveArgs",
+      "type": {
+        "kind": "struct",
+        "fields": [
+          {
+            "name": "virtualSolReserves",
+            "type": "u64"
+          },
+          {
+            "name": "virtualTokenReserves",
+            "type": "u64"
+          },
+          {
+            "name": "tokenAmount",
+            "docs": [
+              "Tokens moved from the creator into the curve's vault"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "graduationThreshold",
+            "type": "u64"
+          },
+          {
+            "name": "feeBasisPoints",
+            "type": "u16"
+          }
+        ]
+      }
+    }
+  ],
+  "events": [
+    {
+      "name": "TradeEvent",
+      "fields": [
+        {
+          "name": "mint",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "trader",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "isBuy",
+          "type": "bool",
+          "index": false
+        },
+        {
+          "name": "solAmount",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "tokenAmount",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "fee",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "virtualSolReserves",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "virtualTokenReserves",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "realSolReserves",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "realTokenReserves",
+          "type": "u64",
+          "index": false
+        }
+      ]
+    },
+    {
+      "name": "CurveCompleteEvent",
+      "fields": [
+        {
+          "name": "mint",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "realSolReserves",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "realTokenReserves",
+          "type": "u64",
+          "index": false
+        }
+      ]
+    },
+    {
+      "name": "WithdrawEvent",
+      "fields": [
+        {
+          "name": "mint",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "authority",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "solAmount",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "tokenAmount",
+          "type": "u64",
+          "index": false
+        }
+      ]
+    },
+    {
+      "name": "LpLockedEvent",
+      "fields": [
+        {
+          "name": "lpMint",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "owner",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "amount",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "unlockAt",
+          "type": "i64",
+          "index": false
+        }
+      ]
+    },
+    {
+      "name": "LpUnlockedEvent",
+      "fields": [
+        {
+          "name": "lpMint",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "owner",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "amount",
+          "type": "u64",
+          "index": false
+        }
+      ]
+    }
+  ],
+  "errors": [
+    {
+      "code": 6000,
+      "name": "InvalidReserves",
+      "msg": "Virtual reserves must be positive and exceed the tokens deposited"
+    },
+    {
+      "code": 6001,
+      "name": "InvalidGraduationThreshold",
+      "msg": "Graduation threshold must be greater than zero"
+    },
+    {
+      "code": 6002,
+      "name": "FeeTooHigh",
+      "msg": "Fee is above the maximum"
+    },
+    {
+      "code": 6003,
+      "name": "ZeroAmount",
+      "msg": "Amount must be greater than zero"
+    },
+    {
+      "code": 6004,
+      "name": "CurveComplete",
+      "msg": "The curve has completed and no longer trades"
+    },
+    {
+      "code": 6005,
+      "name": "CurveNotComplete",
+      "msg": "The curve has not completed yet"
+    },
+    {
+      "code": 6006,
+      "name": "InsufficientReserves",
+      "msg": "The curve does not hold enough reserves"
+    },
+    {
+      "code": 6007,
+      "name": "SlippageExceeded",
+      "msg": "Price moved beyond the slippage limit"
+    },
+    {
+      "code": 6008,
+      "name": "AlreadyWithdrawn",
+      "msg": "The curve's reserves were already withdrawn"
+    },
+    {
+      "code": 6009,
+      "name": "MathOverflow",
+      "msg": "Arithmetic overflow"
+    },
+    {
+      "code": 6010,
+      "name": "UnlockTimeInPast",
+      "msg": "Unlock time must be in the future"
+    },
+    {
+      "code": 6011,
+      "name": "StillLocked",
+      "msg": "The LP tokens are still locked"
+    }
+  ]
+};
+
+export const IDL: MemecoinProgram = {
+  "version": "0.1.0",
+  "name": "memecoin_program",
+  "docs": [
+    "Constant-product bonding curve for CoinMachine launches."
+  ],
+  "constants": [
+    {
+      "name": "BONDING_CURVE_SEED",
+      "type": "bytes",
+      "value": "[98, 111, 110, 100, 105, 110, 103, 95, 99, 117, 114, 118, 101]"
+    },
+    {
+      "name": "LP_LOCK_SEED",
+      "type": "bytes",
+      "value": "[108, 112, 95, 108, 111, 99, 107]"
+    },
+    {
+      "name": "MAX_FEE_BASIS_POINTS",
+      "type": "u16",
+      "value": "1_000"
+    }
+  ],
+  "instructions": [
+    {
+      "name": "initializeCurve",
+      "docs": [
+        "Opens the curve for a mint and moves the creator's bonding-curve",
+        "supply into it."
+      ],
+      "accounts": [
+        {
+          "name": "creator",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "authority",
+          "isMut": false,
+          "isSigner": false,
+          "docs": [
+            "Only recorded; must sign the withdrawal once the curve completes"
+          ]
+        },
+        {
+          "name": "feeRecipient",
+          "isMut": false,
+          "isSigner": false,
+          "docs": [
+            "Only recorded; receives trade fees"
+          ]
+        },
+        {
+          "name": "mint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "bondingCurve",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "curveTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "creatorTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "associatedTokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "systemProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": [
+        {
+          "name": "args",
+          "type": {
+            "defined": "InitializeCurveArgs"
+          }
+        }
+      ]
+    },
+    {
+      "name": "buy",
+      "docs": [
+        "Buys exactly `token_amount` tokens, paying at most `max_sol_cost`",
+        "lamports including the fee."
+      ],
+      "accounts": [
+        {
+          "name": "buyer",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "mint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "bondingCurve",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "curveTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "buyerTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "feeRecipient",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "associatedTokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "systemProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": [
+        {
+          "name": "tokenAmount",
+          "type": "u64"
+        },
+        {
+          "name": "maxSolCost",
+          "type": "u64"
+        }
+      ]
+    },
+    {
+      "name": "sell",
+      "docs": [
+        "Sells `token_amount` tokens for at least `min_sol_output` lamports",
+        "after the fee."
+      ],
+      "accounts": [
+        {
+          "name": "seller",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "mint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "bondingCurve",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "curveTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "sellerTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "feeRecipient",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": [
+        {
+          "name": "tokenAmount",
+          "type": "u64"
+        },
+        {
+          "name": "minSolOutput",
+          "type": "u64"
+        }
+      ]
+    },
+    {
+      "name": "withdraw",
+      "docs": [
+        "Hands a completed curve's SOL and tokens to its authority."
+      ],
+      "accounts": [
+        {
+          "name": "authority",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "mint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "bondingCurve",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "curveTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "authorityTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "associatedTokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "systemProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": []
+    },
+    {
+      "name": "lockLp",
+      "docs": [
+        "Moves `amount` LP tokens into a vault that only releases them to the",
+        "owner from `unlock_at` (unix seconds)."
+      ],
+      "accounts": [
+        {
+          "name": "owner",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "lpMint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "lpLock",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "lockTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "ownerTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "associatedTokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "systemProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": [
+        {
+          "name": "amount",
+          "type": "u64"
+        },
+        {
+          "name": "unlockAt",
+          "type": "i64"
+        }
+      ]
+    },
+    {
+      "name": "unlockLp",
+      "docs": [
+        "Returns an expired lock's LP tokens to its owner and closes it."
+      ],
+      "accounts": [
+        {
+          "name": "owner",
+          "isMut": true,
+          "isSigner": true
+        },
+        {
+          "name": "lpMint",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "lpLock",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "lockTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "ownerTokenAccount",
+          "isMut": true,
+          "isSigner": false
+        },
+        {
+          "name": "tokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "associatedTokenProgram",
+          "isMut": false,
+          "isSigner": false
+        },
+        {
+          "name": "systemProgram",
+          "isMut": false,
+          "isSigner": false
+        }
+      ],
+      "args": []
+    }
+  ],
+  "accounts": [
+    {
+      "name": "bondingCurve",
+      "docs": [
+        "One curve per mint, at PDA `[\"bonding_curve\", mint]`. The curve owns the",
+        "token vault and holds the SOL it has raised as its own lamports."
+      ],
+      "type": {
+        "kind": "struct",
+        "fields": [
+          {
+            "name": "creator",
+            "type": "publicKey"
+          },
+          {
+            "name": "authority",
+            "docs": [
+              "Withdraws the reserves once the curve completes"
+            ],
+            "type": "publicKey"
+          },
+          {
+            "name": "mint",
+            "type": "publicKey"
+          },
+          {
+            "name": "feeRecipient",
+            "docs": [
+              "Receives the trade fee on every buy and sell"
+            ],
+            "type": "publicKey"
+          },
+          {
+            "name": "virtualSolReserves",
+            "docs": [
+              "Reserves the price is computed from; start above the real ones"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "virtualTokenReserves",
+            "type": "u64"
+          },
+          {
+            "name": "realSolReserves",
+            "docs": [
+              "SOL raised from buyers and still held by the curve"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "realTokenReserves",
+            "docs": [
+              "Tokens left in the vault to sell"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "graduationThreshold",
+            "docs": [
+              "Real SOL reserves at which the curve completes"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "feeBasisPoints",
+            "type": "u16"
+          },
+          {
+            "name": "complete",
+            "docs": [
+              "Set once the threshold is reached or the tokens run out; trading stops"
+            ],
+            "type": "bool"
+          },
+          {
+            "name": "bump",
+            "type": "u8"
+          }
+        ]
+      }
+    },
+    {
+      "name": "lpLock",
+      "docs": [
+        "LP tokens held until `unlock_at`, at PDA `[\"lp_lock\", lp_mint, owner]`.",
+        "The lock owns the vault; unlocking empties and closes both."
+      ],
+      "type": {
+        "kind": "struct",
+        "fields": [
+          {
+            "name": "owner",
+            "docs": [
+              "Locked the tokens and is the only one who can unlock them"
+            ],
+            "type": "publicKey"
+          },
+          {
+            "name": "lpMint",
+            "type": "publicKey"
+          },
+          {
+            "name": "amount",
+            "docs": [
+              "LP tokens the vault received"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "unlockAt",
+            "docs": [
+              "Unix timestamp from which the tokens can be unlocked"
+            ],
+            "type": "i64"
+          },
+          {
+            "name": "bump",
+            "type": "u8"
+          }
+        ]
+      }
+    }
+  ],
+  "types": [
+    {
+      "name": "InitializeCurveArgs",
+      "type": {
+        "kind": "struct",
+        "fields": [
+          {
+            "name": "virtualSolReserves",
+            "type": "u64"
+          },
+          {
+            "name": "virtualTokenReserves",
+            "type": "u64"
+          },
+          {
+            "name": "tokenAmount",
+            "docs": [
+              "Tokens moved from the creator into the curve's vault"
+            ],
+            "type": "u64"
+          },
+          {
+            "name": "graduationThreshold",
+            "type": "u64"
+          },
+          {
+            "name": "feeBasisPoints",
+            "type": "u16"
+          }
+        ]
+      }
+    }
+  ],
+  "events": [
+    {
+      "name": "TradeEvent",
+      "fields": [
+        {
+          "name": "mint",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "trader",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "isBuy",
+          "type": "bool",
+          "index": false
+        },
+        {
+          "name": "solAmount",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "tokenAmount",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "fee",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "virtualSolReserves",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "virtualTokenReserves",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "realSolReserves",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "realTokenReserves",
+          "type": "u64",
+          "index": false
+        }
+      ]
+    },
+    {
+      "name": "CurveCompleteEvent",
+      "fields": [
+        {
+          "name": "mint",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "realSolReserves",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "realTokenReserves",
+          "type": "u64",
+          "index": false
+        }
+      ]
+    },
+    {
+      "name": "WithdrawEvent",
+      "fields": [
+        {
+          "name": "mint",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "authority",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "solAmount",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "tokenAmount",
+          "type": "u64",
+          "index": false
+        }
+      ]
+    },
+    {
+      "name": "LpLockedEvent",
+      "fields": [
+        {
+          "name": "lpMint",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "owner",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "amount",
+          "type": "u64",
+          "index": false
+        },
+        {
+          "name": "unlockAt",
+          "type": "i64",
+          "index": false
+        }
+      ]
+    },
+    {
+      "name": "LpUnlockedEvent",
+      "fields": [
+        {
+          "name": "lpMint",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "owner",
+          "type": "publicKey",
+          "index": false
+        },
+        {
+          "name": "amount",
+          "type": "u64",
+          "index": false
+        }
+      ]
+    }
+  ],
+  "errors": [
+    {
+      "code": 6000,
+      "name": "InvalidReserves",
+      "msg": "Virtual reserves must be positive and exceed the tokens deposited"
+    },
+    {
+      "code": 6001,
+      "name": "InvalidGraduationThreshold",
+      "msg": "Graduation threshold must be greater than zero"
+    },
+    {
+      "code": 6002,
+      "name": "FeeTooHigh",
+      "msg": "Fee is above the maximum"
+    },
+    {
+      "code": 6003,
+      "name": "ZeroAmount",
+      "msg": "Amount must be greater than zero"
+    },
+    {
+      "code": 6004,
+      "name": "CurveComplete",
+      "msg": "The curve has completed and no longer trades"
+    },
+    {
+      "code": 6005,
+      "name": "CurveNotComplete",
+      "msg": "The curve has not completed yet"
+    },
+    {
+      "code": 6006,
+      "name": "InsufficientReserves",
+      "msg": "The curve does not hold enough reserves"
+    },
+    {
+      "code": 6007,
+      "name": "SlippageExceeded",
+      "msg": "Price moved beyond the slippage limit"
+    },
+    {
+      "code": 6008,
+      "name": "AlreadyWithdrawn",
+      "msg": "The curve's reserves were already withdrawn"
+    },
+    {
+      "code": 6009,
+      "name": "MathOverflow",
+      "msg": "Arithmetic overflow"
+    },
+    {
+      "code": 6010,
+      "name": "UnlockTimeInPast",
+      "msg": "Unlock time must be in the future"
+    },
+    {
+      "code": 6011,
+      "name": "StillLocked",
+      "msg": "The LP tokens are still locked"
+    }
+  ]
+};
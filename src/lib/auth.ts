@@ -0,0 +1,153 @@
+import nacl from 'tweetnacl'
+import bs58 from 'bs58'
+import {
+  consumeAuthNonce,
+  deleteAuthNoncesBefore,
+  getActiveSessionByTokenHash,
+} from '../db/queries'
+import { AUTH_NONCE_TTL_MS, buildAuthMessage } from '../utils/authMessage'
+import { UnauthorizedError } from './errors'
+
+
+function decodeBase64(value: string): Uint8Array {
+  const binary = atob(value)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+export const SESSION_COOKIE = 'coinmachine_session'
+
+/**
+ * Checks that `signature` (base64) is a valid ed25519 signature by
+ * `walletAddress` over the UTF-8 bytes of `message`.
+ */
+export function verifyMessageSignature(
+  walletAddress: string,
+  message: string,
+  signature: string
+): boolean {
+  try {
+    const publicKey = bs58.decode(walletAddress)
+    const signatureBytes = decodeBase64(signature)
+    if (publicKey.length !== 32 || signatureBytes.length !== 64) {
+      return false
+    }
+
+    return nacl.sign.detached.verify(
+      new TextEncoder().encode(message),
+      signatureBytes,
+      publicKey
+    )
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Checks a per-request signature over the auth message for `nonce`.
+ */
+export function verifyWalletSignature(
+  walletAddress: string,
+  signature: string,
+  nonce: string
+): boolean {
+  return verifyMessageSignature(walletAddress, buildAuthMessage(nonce), signature)
+}
+
+/**
+ * Generates an opaque session token. Only its hash is persisted, so a
+ * leaked sessions table cannot be replayed as cookies.
+ */
+export function generateSessionToken(): string {
+  const bytes = new Uint8Array(32)
+  crypto.getRandomValues(bytes)
+  return bs58.encode(bytes)
+}
+
+export async function hashSessionToken(token: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token))
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+export function getSessionToken(request: Request): string | null {
+  const cookieHeader = request.headers.get('cookie')
+  if (!cookieHeader) return null
+
+  for (const part of cookieHeader.split(';')) {
+    const [name, ...value] = part.trim().split('=')
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='))
+    }
+  }
+  return null
+}
+
+/**
+ * Returns the wallet of the session cookie on `request`, or null when
+ * there is no cookie or the session is expired or revoked.
+ */
+export async function getSessionWallet(request: Request): Promise<string | null> {
+  const token = getSessionToken(request)
+  if (!token) return null
+
+  const session = await getActiveSessionByTokenHash(await hashSessionToken(token))
+  return session ? session.walletAddress : null
+}
+
+/**
+ * Authenticates a request signed by `authenticatedApiRequest`.
+ * Reads the x-wallet-address, x-signature and x-nonce headers, rejects
+ * nonces outside the allowed window or already used by that wallet, and
+ * returns the verified wallet address. Throws UnauthorizedError otherwise.
+ */
+export async function verifyWalletRequest(request: Request): Promise<string> {
+  const walletAddress = request.headers.get('x-wallet-address')
+  const signature = request.headers.get('x-signature')
+  const nonce = request.headers.get('x-nonce')
+
+  if (!walletAddress || !signature || !nonce) {
+    throw new UnauthorizedError('Missing authentication headers')
+  }
+
+  const issuedAt = Number(nonce)
+  if (!/^\d+$/.test(nonce) || Math.abs(Date.now() - issuedAt) > AUTH_NONCE_TTL_MS) {
+    throw new UnauthorizedError('Authentication nonce expired')
+  }
+
+  if (!verifyWalletSignature(walletAddress, signature, nonce)) {
+    throw new UnauthorizedError('Invalid wallet signature')
+  }
+
+  const isFresh = await consumeAuthNonce(walletAddress, nonce)
+  if (!isFresh) {
+    throw new UnauthorizedError('Authentication nonce already used')
+  }
+
+  // Nonces older than the window can never validate again, so drop them
+  await deleteAuthNoncesBefore(walletAddress, new Date(Date.now() - AUTH_NONCE_TTL_MS * 2))
+
+  return walletAddress
+}
+
+/**
+ * Resolves the wallet making `request`: a signed-in session cookie is
+ * preferred, with per-request signature headers as a fallback for clients
+ * that cannot hold cookies.
+ */
+export async function requireWallet(request: Request): Promise<string> {
+  const sessionWallet = await getSessionWallet(request)
+  if (sessionWallet) {
+    return sessionWallet
+  }
+
+  if (!request.headers.get('x-signature')) {
+    throw new UnauthorizedError('Not signed in')
+  }
+
+  return verifyWalletRequest(request)
+}
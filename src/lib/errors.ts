@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server'
+
+/**
+ * An error that maps directly onto an HTTP response. Routes throw these
+ * and convert them with `httpErrorResponse` in their catch block; the
+ * `code` is stable for clients to branch on, the message is for humans,
+ * and `details` carries per-field messages for validation failures.
+ */
+export class HttpError extends Error {
+  constructor(
+    public status: number,
+    public code: string,
+    message: string,
+    public details?: Record<string, string[]>
+  ) {
+    super(message)
+    this.name = 'HttpError'
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required') {
+    super(401, 'UNAUTHORIZED', message)
+    this.name = 'UnauthorizedError'
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message = 'You do not have access to this resource') {
+    super(403, 'FORBIDDEN', message)
+    this.name = 'ForbiddenError'
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = 'Resource not found') {
+    super(404, 'NOT_FOUND', message)
+    this.name = 'NotFoundError'
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(message = 'Resource already exists', code = 'CONFLICT') {
+    super(409, code, message)
+    this.name = 'ConflictError'
+  }
+}
+
+export function httpErrorResponse(error: HttpError) {
+  return NextResponse.json(
+    { error: error.message, code: error.code, ...(error.details && { details: error.details }) },
+    { status: error.status }
+  )
+}
+
+export class UnprocessableError extends HttpError {
+  constructor(message: string, code = 'UNPROCESSABLE') {
+    super(422, code, message)
+    this.name = 'UnprocessableError'
+  }
+}
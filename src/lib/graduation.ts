@@ -0,0 +1,260 @@
+import { createHash } from 'crypto'
+import bs58 from 'bs58'
+import {
+  TOKEN_PROGRAM_ID,
+  TokenAccountNotFoundError,
+  getAccount,
+  getAssociatedTokenAddressSync,
+} from '@solana/spl-token'
+import {
+  Keypair,
+  PublicKey,
+  VersionedTransaction,
+  sendAndConfirmTransaction,
+} from '@solana/web3.js'
+import type { Connection } from '@solana/web3.js'
+import { getGraduatingTokens, updateTokenGraduation } from '../db/queries'
+import type { Token } from '../db/types'
+import {
+  BuiltTransaction,
+  buildWithdrawTransaction,
+  fetchBondingCurve,
+  getCurveTokenAccount,
+} from '../utils/bondingCurveProgram'
+import { buildBurnLpTransaction } from '../utils/lpLock'
+import { PRIORITY_LEVELS } from '../utils/priorityFees'
+import { createRaydiumPool, getRaydiumPoolAddresses } from '../utils/raydiumPool'
+
+// Moves completed bonding curves into Raydium CP-Swap pools:
+//
+//   (null) --curve complete--> PENDING --withdraw--> WITHDRAWN
+//     --create pool--> POOL_CREATED --burn LP--> COMPLETED (mode POOL)
+//
+// A status is only written once its step has confirmed, and every step first
+// checks the chain for its own effect, so a run that dies between sending and
+// recording picks up where it left off without repeating the step.
+
+export interface GraduationDetail {
+  // Lamports raised by the curve, recorded before it is withdrawn
+  solAmount?: string
+  // Raw tokens received from the curve vault, deposited into the pool
+  tokenAmount?: string
+  withdrawSignature?: string
+  poolSignature?: string
+  lpMint?: string
+  lpBurned?: string
+  burnSignature?: string
+  // Last failure; cleared when a step succeeds
+  error?: string
+}
+
+export interface GraduationSummary {
+  checked: number
+  advanced: number
+  graduated: number
+  failed: number
+}
+
+type GraduationStatus = NonNullable<Token['graduationStatus']>
+
+const ZERO = BigInt(0)
+
+/**
+ * The server wallet curves are initialized with as their authority. It signs
+ * the withdrawal and pays for the pool, so it needs SOL beyond what it
+ * withdraws.
+ */
+export function getGraduationAuthority(): Keypair {
+  const secret = process.env.GRADUATION_AUTHORITY_SECRET_KEY
+  if (!secret) {
+    throw new Error('GRADUATION_AUTHORITY_SECRET_KEY is not set')
+  }
+  return Keypair.fromSecretKey(bs58.decode(secret))
+}
+
+// Same pool address on every attempt, so a pool that landed before a crash is
+// found instead of created twice
+function getPoolStateKeypair(authority: Keypair, mint: PublicKey): Keypair {
+  const seed = createHash('sha256')
+    .update('graduation-pool')
+    .update(authority.secretKey)
+    .update(mint.toBytes())
+    .digest()
+  return Keypair.fromSeed(Uint8Array.from(seed))
+}
+
+async function getTokenBalance(
+  connection: Connection,
+  address: PublicKey,
+  tokenProgramId: PublicKey
+): Promise<bigint> {
+  try {
+    return (await getAccount(connection, address, 'confirmed', tokenProgramId)).amount
+  } catch (error) {
+    if (error instanceof TokenAccountNotFoundError) {
+      return ZERO
+    }
+    throw error
+  }
+}
+
+function sendWithAuthority(connection: Connection, { transaction, signers }: BuiltTransaction, authority: Keypair) {
+  return sendAndConfirmTransaction(connection, transaction, [authority, ...signers], { commitment: 'confirmed' })
+}
+
+/**
+ * Advances one curve-mode token as far as it will go in this run.
+ * Returns the status it reached, or null while its curve is still trading.
+ */
+export async function graduateToken(
+  connection: Connection,
+  authority: Keypair,
+  token: Token
+): Promise<GraduationStatus | null> {
+  const mint = new PublicKey(token.mintAddress)
+  let status = token.graduationStatus
+  let detail = (token.graduation ?? {}) as GraduationDetail
+
+  const record = async (next: GraduationStatus, changes: GraduationDetail, extra: { poolAddress?: string } = {}) => {
+    detail = { ...detail, ...changes, error: undefined }
+    status = next
+    await updateTokenGraduation(token.id, {
+      graduationStatus: next,
+      graduation: detail,
+      ...extra,
+      ...(next === 'COMPLETED' ? { mode: 'POOL' as const } : {}),
+    })
+  }
+
+  try {
+    const mintAccount = await connection.getAccountInfo(mint)
+    if (!mintAccount) {
+      throw new Error('Mint account not found')
+    }
+    const tokenProgramId = mintAccount.owner
+    const authorityTokenAccount = getAssociatedTokenAddressSync(mint, authority.publicKey, false, tokenProgramId)
+
+    if (!status || status === 'PENDING') {
+      const curve = await fetchBondingCurve(connection, mint)
+      if (!curve) {
+        throw new Error('Token has no bonding curve')
+      }
+      if (!curve.complete) {
+        return null
+      }
+      if (!curve.authority.equals(authority.publicKey)) {
+        throw new Error(`Curve authority ${curve.authority.toBase58()} is not the graduation authority`)
+      }
+
+      if (!status) {
+        await record('PENDING', { solAmount: curve.realSolReserves.toString() })
+      }
+
+      // Withdrawing zeroes the SOL reserve and empties the vault
+      const vaultBalance = await getTokenBalance(connection, getCurveTokenAccount(mint, tokenProgramId), tokenProgramId)
+      let withdrawSignature: string | undefined
+      if (curve.realSolReserves > ZERO || vaultBalance > ZERO) {
+        withdrawSignature = await sendWithAuthority(
+          connection,
+          await buildWithdrawTransaction(connection, { curve, tokenProgramId }),
+          authority
+        )
+      }
+
+      // Read back rather than trusting the vault figure: Token-2022 transfer fees come off in transit
+      const tokenAmount = await getTokenBalance(connection, authorityTokenAccount, tokenProgramId)
+      await record('WITHDRAWN', { tokenAmount: tokenAmount.toString(), withdrawSignature })
+    }
+
+    const poolStateKeypair = getPoolStateKeypair(authority, mint)
+    const poolAddress = poolStateKeypair.publicKey.toBase58()
+
+    if (status === 'WITHDRAWN') {
+      let poolSignature: string | undefined
+      if (!(await connection.getAccountInfo(poolStateKeypair.publicKey))) {
+        const result = await createRaydiumPool({
+          connection,
+          userPublicKey: authority.publicKey,
+          mintPublicKey: mint,
+          tokenDecimals: token.decimals,
+          tokenAmount: BigInt(detail.tokenAmount ?? '0'),
+          solAmount: Number(detail.solAmount ?? '0'),
+          tokenProgramId,
+          signTransaction: async (transaction: VersionedTransaction) => {
+            transaction.sign([authority])
+            return transaction
+          },
+          priorityLevel: PRIORITY_LEVELS.HIGH,
+          poolStateKeypair,
+        })
+        if (!result.success) {
+          throw new Error(result.error)
+        }
+        poolSignature = result.txid
+      }
+      await record('POOL_CREATED', { poolSignature }, { poolAddress })
+    }
+
+    if (status === 'POOL_CREATED') {
+      const { lpMint } = await getRaydiumPoolAddresses({
+        poolState: poolStateKeypair.publicKey,
+        mintPublicKey: mint,
+        tokenProgramId,
+      })
+      // LP mints are always SPL Token, whatever program the base mint uses
+      const lpAccount = getAssociatedTokenAddressSync(lpMint, authority.publicKey)
+      const lpBalance = await getTokenBalance(connection, lpAccount, TOKEN_PROGRAM_ID)
+
+      // An empty LP account means an earlier run already burned it
+      let burnSignature = detail.burnSignature
+      if (lpBalance > ZERO) {
+        burnSignature = await sendWithAuthority(
+          connection,
+          buildBurnLpTransaction({ owner: authority.publicKey, lpMint, amount: lpBalance }),
+          authority
+        )
+      }
+      await record('COMPLETED', {
+        lpMint: lpMint.toBase58(),
+        lpBurned: (lpBalance > ZERO ? lpBalance : BigInt(detail.lpBurned ?? '0')).toString(),
+        burnSignature,
+      }, { poolAddress })
+    }
+
+    return status
+  } catch (error) {
+    detail = { ...detail, error: error instanceof Error ? error.message : String(error) }
+    await updateTokenGraduation(token.id, { graduation: detail })
+    throw error
+  }
+}
+
+export async function graduate(
+  connection: Connection,
+  { limit = 20 }: { limit?: number } = {}
+): Promise<GraduationSummary> {
+  const summary = { checked: 0, advanced: 0, graduated: 0, failed: 0 }
+  const tokens = await getGraduatingTokens(limit)
+  if (tokens.length === 0) {
+    return summary
+  }
+
+  const authority = getGraduationAuthority()
+  for (const token of tokens) {
+    summary.checked++
+    try {
+      const status = await graduateToken(connection, authority, token)
+      if (status === 'COMPLETED') {
+        summary.graduated++
+      } else if (status !== token.graduationStatus) {
+        summary.advanced++
+      }
+    } catch (error) {
+      // Left at its last recorded status for the next run to retry
+      console.error(`Graduation of ${token.mintAddress} failed:`, error)
+      summary.failed++
+    }
+  }
+
+  return summary
+}
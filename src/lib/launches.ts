@@ -0,0 +1,17 @@
+import { getLaunchByMint } from '../db/queries'
+import { ForbiddenError, NotFoundError } from './errors'
+
+/**
+ * Loads a launch with its step log, throwing NotFoundError when there is no
+ * launch for `mintAddress` and ForbiddenError when another wallet created it.
+ */
+export async function getOwnedLaunch(mintAddress: string, walletAddress: string) {
+  const launch = await getLaunchByMint(mintAddress)
+  if (!launch) {
+    throw new NotFoundError('Launch not found')
+  }
+  if (launch.creatorWallet !== walletAddress) {
+    throw new ForbiddenError('Only the creator can access this launch')
+  }
+  return launch
+}
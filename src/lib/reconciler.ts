@@ -0,0 +1,179 @@
+import { PublicKey } from '@solana/web3.js'
+import type { Connection } from '@solana/web3.js'
+import {
+  getPendingTokens,
+  getPendingTransactions,
+  updateTokenStatus,
+  updateTransaction,
+} from '../db/queries'
+import { TransactionMismatchError, verifyTransaction } from './transactionVerification'
+
+// A blockhash stays valid for 150 slots (~60-90s). Rows still unseen well past
+// that can never land, so they are expired instead of polled forever.
+export const BLOCKHASH_EXPIRY_MS = 3 * 60 * 1000
+
+// getSignatureStatuses and getMultipleAccountsInfo accept at most 256 / 100 keys
+const SIGNATURE_BATCH_SIZE = 256
+const ACCOUNT_BATCH_SIZE = 100
+
+export interface ReconcileSummary {
+  transactions: { checked: number; succeeded: number; failed: number; expired: number; errored: number }
+  tokens: { checked: number; activated: number; failed: number; errored: number }
+}
+
+function chunk<T>(items: T[], size: number): T[][] {
+  const chunks: T[][] = []
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size))
+  }
+  return chunks
+}
+
+function isExpired(createdAt: Date, now: number) {
+  return now - createdAt.getTime() > BLOCKHASH_EXPIRY_MS
+}
+
+type PendingTransaction = Awaited<ReturnType<typeof getPendingTransactions>>[number]
+type SignatureStatus = Awaited<ReturnType<Connection['getSignatureStatuses']>>['value'][number]
+
+// Settles one PENDING row from its signature status; null leaves it PENDING for a later run
+async function reconcileTransaction(
+  connection: Connection,
+  row: PendingTransaction,
+  status: SignatureStatus,
+  now: number
+): Promise<'succeeded' | 'failed' | 'expired' | null> {
+  if (!status) {
+    if (!isExpired(row.createdAt, now)) return null
+    await updateTransaction(row.id, {
+      status: 'FAILED',
+      error: 'Transaction expired before it was confirmed (blockhash no longer valid)',
+    })
+    return 'expired'
+  }
+
+  if (status.err) {
+    await updateTransaction(row.id, { status: 'FAILED', error: JSON.stringify(status.err) })
+    return 'failed'
+  }
+
+  // Still only processed; wait for a later run to see it confirmed
+  if (status.confirmationStatus === 'processed') {
+    return null
+  }
+
+  // Landed: run the same checks POST /api/transactions applies to fresh rows
+  try {
+    const verified = await verifyTransaction(connection, row.txSignature, {
+      mintAddress: row.token.mintAddress,
+      fromWallet: row.fromWallet,
+    })
+    if (verified.status === 'PENDING') return null
+
+    await updateTransaction(row.id, {
+      status: verified.status,
+      error: verified.error,
+      ...(verified.type && { type: verified.type }),
+      ...(verified.toWallet && { toWallet: verified.toWallet }),
+      ...(verified.amount !== undefined && { amount: verified.amount.toString() }),
+    })
+    return verified.status === 'SUCCESS' ? 'succeeded' : 'failed'
+  } catch (error) {
+    if (!(error instanceof TransactionMismatchError)) throw error
+    await updateTransaction(row.id, { status: 'FAILED', error: error.message })
+    return 'failed'
+  }
+}
+
+export async function reconcilePendingTransactions(
+  connection: Connection,
+  { limit = 500, now = Date.now() }: { limit?: number; now?: number } = {}
+): Promise<ReconcileSummary['transactions']> {
+  const summary = { checked: 0, succeeded: 0, failed: 0, expired: 0, errored: 0 }
+  const pending = await getPendingTransactions(limit)
+
+  for (const batch of chunk(pending, SIGNATURE_BATCH_SIZE)) {
+    let statuses
+    try {
+      ({ value: statuses } = await connection.getSignatureStatuses(
+        batch.map((row) => row.txSignature),
+        { searchTransactionHistory: true }
+      ))
+    } catch (error) {
+      console.error(`Could not fetch ${batch.length} pending signatures:`, error)
+      summary.checked += batch.length
+      summary.errored += batch.length
+      continue
+    }
+
+    for (let index = 0; index < batch.length; index++) {
+      const row = batch[index]
+      summary.checked++
+
+      // An RPC or database error on one row must not stop the rest; it stays PENDING for the next run
+      try {
+        const outcome = await reconcileTransaction(connection, row, statuses[index], now)
+        if (outcome) summary[outcome]++
+      } catch (error) {
+        console.error(`Could not reconcile transaction ${row.id}:`, error)
+        summary.errored++
+      }
+    }
+  }
+
+  return summary
+}
+
+/**
+ * Activates PENDING tokens whose mint account now exists on chain and fails
+ * those whose mint never appeared within the blockhash expiry window.
+ */
+export async function reconcilePendingTokens(
+  connection: Connection,
+  { limit = 500, now = Date.now() }: { limit?: number; now?: number } = {}
+): Promise<ReconcileSummary['tokens']> {
+  const summary = { checked: 0, activated: 0, failed: 0, errored: 0 }
+  const pending = await getPendingTokens(limit)
+
+  for (const batch of chunk(pending, ACCOUNT_BATCH_SIZE)) {
+    let accounts
+    try {
+      accounts = await connection.getMultipleAccountsInfo(
+        batch.map((token) => new PublicKey(token.mintAddress))
+      )
+    } catch (error) {
+      console.error(`Could not fetch ${batch.length} pending mints:`, error)
+      summary.checked += batch.length
+      summary.errored += batch.length
+      continue
+    }
+
+    for (let index = 0; index < batch.length; index++) {
+      const token = batch[index]
+      summary.checked++
+
+      // As for transactions, a database error on one token leaves it PENDING without stopping the rest
+      try {
+        if (accounts[index]) {
+          await updateTokenStatus(token.id, 'ACTIVE')
+          summary.activated++
+        } else if (isExpired(token.createdAt, now)) {
+          await updateTokenStatus(token.id, 'FAILED')
+          summary.failed++
+        }
+      } catch (error) {
+        console.error(`Could not reconcile token ${token.id}:`, error)
+        summary.errored++
+      }
+    }
+  }
+
+  return summary
+}
+
+export async function reconcile(connection: Connection): Promise<ReconcileSummary> {
+  return {
+    transactions: await reconcilePendingTransactions(connection),
+    tokens: await reconcilePendingTokens(connection),
+  }
+}
@@ -0,0 +1,18 @@
+import { Connection, clusterApiUrl } from '@solana/web3.js'
+
+let connection: Connection | null = null
+
+/**
+ * Shared server-side RPC connection. SOLANA_RPC_ENDPOINT lets the server use a
+ * private endpoint without exposing it to the browser bundle.
+ */
+export function getServerConnection(): Connection {
+  if (!connection) {
+    const endpoint =
+      process.env.SOLANA_RPC_ENDPOINT ||
+      process.env.NEXT_PUBLIC_RPC_ENDPOINT ||
+      clusterApiUrl('mainnet-beta')
+    connection = new Connection(endpoint, 'confirmed')
+  }
+  return connection
+}
@@ -0,0 +1,238 @@
+import type {
+  Connection,
+  ParsedInstruction,
+  ParsedTransactionWithMeta,
+  PartiallyDecodedInstruction,
+  TokenBalance,
+} from '@solana/web3.js'
+import bs58 from 'bs58'
+import type { Transaction } from '../db/types'
+import { MEMECOIN_PROGRAM_ID } from '../utils/bondingCurveProgram'
+
+// Programs whose presence marks a market/pool creation rather than a token move
+const MARKET_PROGRAM_IDS = new Set([
+  'srmqPvymJeFKQ4zGQed1GFppgkRHL9kaELCbyksJtPX', // OpenBook v1
+  'opnb2LAfJYbRMAHHvqjCwQxanZn7ReEHp1k81EohpZb', // OpenBook v2
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK', // Raydium CP-Swap
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM v4
+])
+
+const TOKEN_PROGRAMS = new Set(['spl-token', 'spl-token-2022'])
+
+// Swap instructions by program, as hex Anchor discriminators
+const TRADE_INSTRUCTIONS = new Map([
+  [MEMECOIN_PROGRAM_ID.toBase58(), new Set(['66063d1201daebea', '33e685a4017f83ad'])], // buy, sell
+  ['CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK', new Set(['8fbe5adac41e33de', '37d96256a34ab4ad'])], // swap_base_input, swap_base_output
+])
+
+export interface VerifiedTransaction {
+  status: Transaction['status']
+  type?: Transaction['type']
+  amount?: bigint
+  toWallet?: string
+  error?: string
+}
+
+export class TransactionMismatchError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'TransactionMismatchError'
+  }
+}
+
+type AnyInstruction = ParsedInstruction | PartiallyDecodedInstruction
+
+function allInstructions(tx: ParsedTransactionWithMeta): AnyInstruction[] {
+  const inner = (tx.meta?.innerInstructions || []).flatMap((set) => set.instructions)
+  return [...tx.transaction.message.instructions, ...inner]
+}
+
+function isParsed(ix: AnyInstruction): ix is ParsedInstruction {
+  return 'parsed' in ix
+}
+
+function isTradeInstruction(ix: AnyInstruction): boolean {
+  const discriminators = TRADE_INSTRUCTIONS.get(ix.programId.toBase58())
+  if (!discriminators || isParsed(ix)) return false
+  return discriminators.has(Buffer.from(bs58.decode(ix.data).subarray(0, 8)).toString('hex'))
+}
+
+// Net change in `owner`'s balance of `mintAddress` across the transaction
+function ownerBalanceChange(tx: ParsedTransactionWithMeta, mintAddress: string, owner: string): bigint {
+  const total = (balances: TokenBalance[] | null | undefined) =>
+    (balances || [])
+      .filter((balance) => balance.mint === mintAddress && balance.owner === owner)
+      .reduce((sum, balance) => sum + BigInt(balance.uiTokenAmount.amount), BigInt(0))
+  return total(tx.meta?.postTokenBalances) - total(tx.meta?.preTokenBalances)
+}
+
+function isSignedBy(tx: ParsedTransactionWithMeta, wallet: string): boolean {
+  return tx.transaction.message.accountKeys.some(
+    (key) => key.signer && key.pubkey.toBase58() === wallet
+  )
+}
+
+// Account keys include addresses loaded from lookup tables; a mint can also show up only in token balances
+function referencesAccount(tx: ParsedTransactionWithMeta, address: string): boolean {
+  return (
+    tx.transaction.message.accountKeys.some((key) => key.pubkey.toBase58() === address) ||
+    (tx.meta?.postTokenBalances || []).some((balance) => balance.mint === address)
+  )
+}
+
+/**
+ * Works out what a confirmed transaction did to `mintAddress`: creating the
+ * mint or minting supply is a CREATION, a bonding-curve or pool swap is a
+ * BUY or SELL by which way `fromWallet`'s balance moved, touching a DEX
+ * program otherwise is a MARKET_CREATION, and anything else that moves the
+ * token is a TRANSFER.
+ */
+export function classifyTransaction(
+  tx: ParsedTransactionWithMeta,
+  mintAddress: string,
+  fromWallet: string
+): Pick<VerifiedTransaction, 'type' | 'amount' | 'toWallet'> {
+  // Token accounts holding this mint, and who owns them
+  const accountKeys = tx.transaction.message.accountKeys
+  const mintAccountOwners = new Map<string, string | undefined>()
+  for (const balance of [...(tx.meta?.preTokenBalances || []), ...(tx.meta?.postTokenBalances || [])]) {
+    if (balance.mint === mintAddress) {
+      mintAccountOwners.set(accountKeys[balance.accountIndex].pubkey.toBase58(), balance.owner)
+    }
+  }
+
+  let createsMint = false
+  let touchesMarket = false
+  let trades = false
+  let minted = BigInt(0)
+  let transferred = BigInt(0)
+  let destination: string | undefined
+
+  for (const ix of allInstructions(tx)) {
+    if (MARKET_PROGRAM_IDS.has(ix.programId.toBase58())) {
+      touchesMarket = true
+    }
+    if (isTradeInstruction(ix)) {
+      trades = true
+    }
+    if (!isParsed(ix) || !TOKEN_PROGRAMS.has(ix.program)) continue
+
+    const { type, info } = ix.parsed
+    switch (type) {
+      case 'initializeMint':
+      case 'initializeMint2':
+        if (info.mint === mintAddress) createsMint = true
+        break
+      case 'mintTo':
+        if (info.mint === mintAddress) minted += BigInt(info.amount)
+        break
+      case 'mintToChecked':
+        if (info.mint === mintAddress) minted += BigInt(info.tokenAmount.amount)
+        break
+      case 'transfer':
+        if (mintAccountOwners.has(info.source)) {
+          transferred += BigInt(info.amount)
+          destination = info.destination
+        }
+        break
+      case 'transferChecked':
+        if (info.mint === mintAddress) {
+          transferred += BigInt(info.tokenAmount.amount)
+          destination = info.destination
+        }
+        break
+    }
+  }
+
+  if (createsMint || minted > BigInt(0)) {
+    return { type: 'CREATION', amount: minted }
+  }
+  if (trades) {
+    const change = ownerBalanceChange(tx, mintAddress, fromWallet)
+    if (change !== BigInt(0)) {
+      return change > BigInt(0)
+        ? { type: 'BUY', amount: change }
+        : { type: 'SELL', amount: -change }
+    }
+  }
+  if (touchesMarket) {
+    return { type: 'MARKET_CREATION' }
+  }
+  if (transferred > BigInt(0)) {
+    return {
+      type: 'TRANSFER',
+      amount: transferred,
+      toWallet: destination && (mintAccountOwners.get(destination) || destination),
+    }
+  }
+
+  throw new TransactionMismatchError('Transaction does not create, mint or move this token')
+}
+
+/**
+ * Fetches `signature` from RPC and checks it against the record being
+ * written: it must be signed by `fromWallet` and reference `mintAddress`.
+ * Returns PENDING when the RPC does not know the signature yet, FAILED with
+ * the RPC error when it landed but failed, and SUCCESS with the derived type
+ * and amount otherwise. Throws TransactionMismatchError when the transaction
+ * exists but does not belong to this wallet or token.
+ */
+export async function verifyTransaction(
+  connection: Connection,
+  signature: string,
+  { mintAddress, fromWallet }: { mintAddress: string; fromWallet: string }
+): Promise<VerifiedTransaction> {
+  const tx = await connection.getParsedTransaction(signature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0,
+  })
+
+  if (!tx) {
+    return { status: 'PENDING' }
+  }
+
+  if (!isSignedBy(tx, fromWallet)) {
+    throw new TransactionMismatchError('Transaction was not signed by fromWallet')
+  }
+  if (!referencesAccount(tx, mintAddress)) {
+    throw new TransactionMismatchError('Transaction does not reference this token\'s mint')
+  }
+
+  if (tx.meta?.err) {
+    return { status: 'FAILED', error: JSON.stringify(tx.meta.err) }
+  }
+
+  return { status: 'SUCCESS', ...classifyTransaction(tx, mintAddress, fromWallet) }
+}
+
+/**
+ * Checks a launch step's transaction before it goes in the step log: it must
+ * be signed by `wallet` and, when `account` is given, reference it. Returns
+ * PENDING when the RPC does not know the signature yet and FAILED with the
+ * RPC error when it landed but failed. Throws TransactionMismatchError when
+ * the transaction belongs to another wallet or launch.
+ */
+export async function verifyStepTransaction(
+  connection: Connection,
+  signature: string,
+  { wallet, account }: { wallet: string; account: string | null }
+): Promise<VerifiedTransaction> {
+  const tx = await connection.getParsedTransaction(signature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0,
+  })
+
+  if (!tx) {
+    return { status: 'PENDING' }
+  }
+  if (!isSignedBy(tx, wallet)) {
+    throw new TransactionMismatchError('Step transaction was not signed by the launch creator')
+  }
+  if (account && !referencesAccount(tx, account)) {
+    throw new TransactionMismatchError(`Step transaction does not reference ${account}`)
+  }
+  if (tx.meta?.err) {
+    return { status: 'FAILED', error: JSON.stringify(tx.meta.err) }
+  }
+  return { status: 'SUCCESS' }
+}
@@ -0,0 +1,96 @@
+import { z } from 'zod'
+import bs58 from 'bs58'
+import { launchStatusEnum, tokenModeEnum, tokenStatusEnum, transactionStatusEnum, transactionTypeEnum } from '../db/schema'
+import { MAX_NAME_LENGTH, MAX_SYMBOL_LENGTH, MAX_URI_LENGTH } from '../utils/metadataUtils'
+import { MAX_TOKEN_DECIMALS, U64_MAX, maxSupplyForDecimals } from '../utils/amounts'
+import { HttpError } from './errors'
+
+// Amount limits live with the bigint helpers so client code can share them
+export { U64_MAX, maxSupplyForDecimals }
+
+export type FieldErrors = Record<string, string[]>
+
+export class ValidationError extends HttpError {
+  constructor(details: FieldErrors, message = 'Invalid request') {
+    super(400, 'VALIDATION_ERROR', message, details)
+    this.name = 'ValidationError'
+  }
+}
+
+export const publicKeySchema = z.string().refine((value) => {
+  try {
+    return bs58.decode(value).length === 32
+  } catch {
+    return false
+  }
+}, 'Must be a base58-encoded public key')
+
+export const tokenNameSchema = z.string().trim().min(1, 'Name is required').max(MAX_NAME_LENGTH)
+export const tokenSymbolSchema = z.string().trim().min(1, 'Symbol is required').max(MAX_SYMBOL_LENGTH)
+export const metadataUriSchema = z.string().max(MAX_URI_LENGTH)
+
+// Accepts a bigint, an integer number or a decimal string and yields a bigint
+export const integerAmountSchema = z
+  .union([
+    z.bigint(),
+    z.number().int().nonnegative(),
+    z.string().regex(/^\d+$/, 'Must be a non-negative integer'),
+  ])
+  .transform((value) => BigInt(value))
+
+export const tokenDecimalsSchema = z.number().int().min(0).max(MAX_TOKEN_DECIMALS)
+
+export function boundedAmountSchema(min: bigint, max: bigint) {
+  return integerAmountSchema.refine(
+    (value) => value >= min && value <= max,
+    `Must be between ${min} and ${max}`
+  )
+}
+
+export const tokenStatusSchema = z.enum(tokenStatusEnum.enumValues)
+export const tokenModeSchema = z.enum(tokenModeEnum.enumValues)
+export const transactionStatusSchema = z.enum(transactionStatusEnum.enumValues)
+export const transactionTypeSchema = z.enum(transactionTypeEnum.enumValues)
+export const launchStatusSchema = z.enum(launchStatusEnum.enumValues)
+
+// Names match TOKEN_PROGRAMS in utils/launchPipeline
+export const tokenProgramSchema = z.enum(['spl-token', 'token-2022'])
+
+function toFieldErrors(error: z.ZodError): FieldErrors {
+  const details: FieldErrors = {}
+  for (const issue of error.issues) {
+    const path = issue.path.length > 0 ? issue.path.join('.') : '_root'
+    details[path] = [...(details[path] || []), issue.message]
+  }
+  return details
+}
+
+export function parseWith<T extends z.ZodTypeAny>(schema: T, input: unknown): z.output<T> {
+  const result = schema.safeParse(input)
+  if (!result.success) {
+    throw new ValidationError(toFieldErrors(result.error))
+  }
+  return result.data
+}
+
+/**
+ * Parses a JSON request body against `schema`, throwing ValidationError
+ * (400 with field-level details) on malformed JSON or invalid fields.
+ */
+export async function parseBody<T extends z.ZodTypeAny>(
+  request: Request,
+  schema: T
+): Promise<z.output<T>> {
+  let body: unknown
+  try {
+    body = await request.json()
+  } catch {
+    throw new ValidationError({ _root: ['Request body must be valid JSON'] })
+  }
+  return parseWith(schema, body)
+}
+
+export function parseQuery<T extends z.ZodTypeAny>(request: Request, schema: T): z.output<T> {
+  const { searchParams } = new URL(request.url)
+  return parseWith(schema, Object.fromEntries(searchParams.entries()))
+}
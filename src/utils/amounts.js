@@ -0,0 +1,109 @@
+/**
+ * Exact token amount arithmetic.
+ *
+ * Supplies are whole-token integers kept as bigint (or decimal strings when
+ * they cross JSON or the database); raw amounts are base units, i.e. whole
+ * tokens * 10^decimals. A JS number stops being exact at 2^53, which a
+ * 1B supply at 9 decimals already exceeds, so nothing here uses floats.
+ */
+
+// Largest amount an SPL token account can hold
+export const U64_MAX = BigInt('18446744073709551615');
+
+export const MAX_TOKEN_DECIMALS = 9;
+
+/**
+ * Parses a whole-token amount typed by the user or read back from JSON.
+ * @param {bigint|number|string} value - A non-negative integer
+ * @returns {bigint}
+ */
+export function parseWholeTokens(value) {
+  if (typeof value === 'bigint') {
+    if (value < BigInt(0)) {
+      throw new Error('Amount must not be negative');
+    }
+    return value;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`Amount must be a whole number below 2^53, got ${value}`);
+    }
+    return BigInt(value);
+  }
+  const text = String(value).trim().replace(/,/g, '');
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Amount must be a whole number, got "${value}"`);
+  }
+  return BigInt(text);
+}
+
+/**
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint} 10^decimals
+ */
+export function unitsPerToken(decimals) {
+  return BigInt(10) ** BigInt(decimals);
+}
+
+/**
+ * Largest whole-token supply whose raw amount still fits in a u64.
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint}
+ */
+export function maxSupplyForDecimals(decimals) {
+  return U64_MAX / unitsPerToken(decimals);
+}
+
+/**
+ * Parses a decimal amount typed by the user (e.g. "0.25" SOL) into raw base
+ * units, without going through a float.
+ * @param {string} value - Non-negative decimal with at most `decimals` fraction digits
+ * @param {number} decimals - Mint decimals (9 for SOL)
+ * @returns {bigint}
+ */
+export function parseDecimalAmount(value, decimals) {
+  const text = String(value).trim().replace(/,/g, '');
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(`Amount must be a number, got "${value}"`);
+  }
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw new Error(`Amount has more than ${decimals} decimal places`);
+  }
+  return BigInt(whole || '0') * unitsPerToken(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+}
+
+/**
+ * Converts whole tokens to raw base units.
+ * @param {bigint|number|string} tokens - Whole tokens
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint}
+ */
+export function toRawAmount(tokens, decimals) {
+  return parseWholeTokens(tokens) * unitsPerToken(decimals);
+}
+
+/**
+ * Share of `amount` for an integer percentage, rounded down.
+ * @param {bigint} amount
+ * @param {number} percentage - 0 to 100
+ * @returns {bigint}
+ */
+export function percentOf(amount, percentage) {
+  return (amount * BigInt(Math.round(percentage))) / BigInt(100);
+}
+
+/**
+ * Raw base units to a display string with thousands separators, keeping any
+ * fractional part exactly.
+ * @param {bigint} raw
+ * @param {number} decimals
+ * @returns {string}
+ */
+export function formatTokenAmount(raw, decimals) {
+  const base = unitsPerToken(decimals);
+  const whole = raw / base;
+  const fraction = (raw % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return fraction ? `${whole.toLocaleString()}.${fraction}` : whole.toLocaleString();
+}
@@ -3,10 +3,20 @@ import { Connection, PublicKey } from '@solana/web3.js'
 export interface ApiResponse<T> {
   data?: T
   error?: string
+  // Machine-readable error code from the server, e.g. UNAUTHORIZED or FORBIDDEN
+  code?: string
+  status?: number
+  // Per-field validation messages, keyed by field path (e.g. { symbol: ['...'] })
+  details?: Record<string, string[]>
 }
 
 export class ApiError extends Error {
-  constructor(public status: number, message: string) {
+  constructor(
+    public status: number,
+    message: string,
+    public code?: string,
+    public details?: Record<string, string[]>
+  ) {
     super(message)
     this.name = 'ApiError'
   }
@@ -28,55 +38,82 @@ export async function apiRequest<T>(
     const data = await response.json()
 
     if (!response.ok) {
-      throw new ApiError(response.status, data.error || 'API request failed')
+      throw new ApiError(response.status, data.error || 'API request failed', data.code, data.details)
     }
 
     return { data }
   } catch (error) {
     if (error instanceof ApiError) {
-      return { error: error.message }
+      return {
+        error: error.message,
+        code: error.code,
+        status: error.status,
+        details: error.details,
+      }
     }
     return { error: 'An unexpected error occurred' }
   }
 }
 
+// JSON.stringify cannot encode bigint; send amounts as decimal strings instead
+function stringifyBody(body: unknown): string {
+  return JSON.stringify(body, (_key, value) =>
+    typeof value === 'bigint' ? value.toString() : value
+  )
+}
+
+// Authenticated routes identify the caller from the HttpOnly session cookie
+// issued by /api/auth/verify, so no per-request signature is needed
 export async function authenticatedApiRequest<T>(
   endpoint: string,
-  walletAddress: string,
-  signature: string,
   options: RequestInit = {}
 ): Promise<ApiResponse<T>> {
   return apiRequest<T>(endpoint, {
     ...options,
-    headers: {
-      'x-wallet-address': walletAddress,
-      'x-signature': signature,
-      ...options.headers,
-    },
+    credentials: 'same-origin',
   })
 }
 
-// User API functions
-export async function createUser(walletAddress: string, email?: string) {
-  return authenticatedApiRequest('/api/users', walletAddress, '', {
+// Auth API functions
+export interface Session {
+  walletAddress: string
+  expiresAt: string
+}
+
+export async function requestSignInNonce(walletAddress: string) {
+  return apiRequest<{ nonce: string; expiresAt: string }>('/api/auth/nonce', {
     method: 'POST',
-    body: JSON.stringify({ walletAddress, email }),
+    body: JSON.stringify({ walletAddress }),
   })
 }
 
+export async function verifySignIn(message: string, signature: string) {
+  return authenticatedApiRequest<Session>('/api/auth/verify', {
+    method: 'POST',
+    body: JSON.stringify({ message, signature }),
+  })
+}
+
+export async function getSession() {
+  return authenticatedApiRequest<Session>('/api/auth/session', { method: 'GET' })
+}
+
+export async function logout() {
+  return authenticatedApiRequest<{ success: boolean }>('/api/auth/logout', {
+    method: 'POST',
+  })
+}
+
+// User API functions; the user record is created by /api/auth/verify on first sign-in
 export async function getUser(walletAddress: string) {
   return authenticatedApiRequest(
     `/api/users?walletAddress=${walletAddress}`,
-    walletAddress,
-    '',
     { method: 'GET' }
   )
 }
 
 // Token API functions
 export async function createToken(
-  walletAddress: string,
-  signature: string,
   tokenData: {
     mintAddress: string
     name: string
@@ -87,11 +124,14 @@ export async function createToken(
     decimals: number
     metadataUri: string
     creatorWallet: string
+    mode?: TokenMode
+    // Market address of an OpenBook listing
+    openBookMarket?: string
   }
 ) {
-  return authenticatedApiRequest<Token>('/api/tokens', walletAddress, signature, {
+  return authenticatedApiRequest<Token>('/api/tokens', {
     method: 'POST',
-    body: JSON.stringify(tokenData),
+    body: stringifyBody(tokenData),
   })
 }
 
@@ -101,15 +141,15 @@ export async function getToken(mintAddress: string) {
   })
 }
 
-export async function getUserTokens(walletAddress: string, signature: string) {
+export async function getUserTokens(walletAddress: string) {
   return authenticatedApiRequest(
     `/api/tokens?creatorWallet=${walletAddress}`,
-    walletAddress,
-    signature,
     { method: 'GET' }
   )
 }
 
+export type TokenMode = 'CURVE' | 'POOL'
+
 export interface Token {
   id: string
   mintAddress: string
@@ -117,20 +157,29 @@ export interface Token {
   symbol: string
   description: string
   imageUrl: string
-  totalSupply: bigint
+  // numeric columns come back as decimal strings; wrap in BigInt() for arithmetic
+  totalSupply: string
   decimals: number
   metadataUri: string
   creatorWallet: string
+  mode: TokenMode
+  // Set for tokens listed with listTokenWithOpenBook
+  openBookMarket: string | null
+  // Raydium pool state, set when the token graduates from its bonding curve
+  poolAddress: string | null
+  graduationStatus: 'PENDING' | 'WITHDRAWN' | 'POOL_CREATED' | 'COMPLETED' | null
 }
 
 // Transaction API functions
+export type TransactionType = 'CREATION' | 'TRANSFER' | 'MARKET_CREATION' | 'BUY' | 'SELL'
+
 export interface Transaction {
   id: string
   tokenId: string
-  type: 'CREATION' | 'TRANSFER' | 'MARKET_CREATION'
+  type: TransactionType
   fromWallet: string
   toWallet?: string
-  amount?: bigint
+  amount?: string
   txSignature: string
   status: 'SUCCESS' | 'FAILED' | 'PENDING'
   error?: string
@@ -138,7 +187,7 @@ export interface Transaction {
 
 export interface CreateTransactionParams {
   tokenId: string
-  type: 'CREATION' | 'TRANSFER' | 'MARKET_CREATION'
+  type: TransactionType
   fromWallet: string
   toWallet?: string
   amount?: bigint
@@ -146,24 +195,20 @@ export interface CreateTransactionParams {
 }
 
 export async function createTransaction(
-  walletAddress: string,
-  signature: string,
   transactionData: CreateTransactionParams
 ) {
-  return authenticatedApiRequest<Transaction>('/api/transactions', walletAddress, signature, {
+  return authenticatedApiRequest<Transaction>('/api/transactions', {
     method: 'POST',
-    body: JSON.stringify(transactionData),
+    body: stringifyBody(transactionData),
   })
 }
 
 export async function updateTransaction(
-  walletAddress: string,
-  signature: string,
   transactionId: string,
   status: 'SUCCESS' | 'FAILED' | 'PENDING',
   error?: string
 ) {
-  return authenticatedApiRequest('/api/transactions', walletAddress, signature, {
+  return authenticatedApiRequest('/api/transactions', {
     method: 'PATCH',
     body: JSON.stringify({
       id: transactionId,
@@ -173,14 +218,75 @@ export async function updateTransaction(
   })
 }
 
-export async function getUserTransactions(
-  walletAddress: string,
-  signature: string
-) {
+export async function getUserTransactions(walletAddress: string) {
   return authenticatedApiRequest(
     `/api/transactions?fromWallet=${walletAddress}`,
-    walletAddress,
-    signature,
     { method: 'GET' }
   )
-} 
\ No newline at end of file
+} 
+
+// Launch operations
+export type LaunchStatus = 'IN_PROGRESS' | 'COMPLETED' | 'ABANDONED'
+
+export interface LaunchStep {
+  id: string
+  launchId: string
+  step: string
+  txSignature?: string
+  detail?: Record<string, unknown>
+  createdAt: string
+}
+
+export interface Launch {
+  id: string
+  mintAddress: string
+  creatorWallet: string
+  status: LaunchStatus
+  lastStep?: string
+  params: Record<string, unknown>
+  progress: Record<string, unknown>
+  steps: LaunchStep[]
+  createdAt: string
+  updatedAt: string
+}
+
+export interface RecordLaunchStepParams {
+  step: string
+  txSignature?: string
+  detail?: Record<string, unknown>
+  progress?: Record<string, unknown>
+}
+
+export async function createLaunch(mintAddress: string, params: Record<string, unknown>) {
+  return authenticatedApiRequest<Launch>('/api/launches', {
+    method: 'POST',
+    body: stringifyBody({ mintAddress, params }),
+  })
+}
+
+export async function getActiveLaunches() {
+  return authenticatedApiRequest<Launch[]>('/api/launches?status=IN_PROGRESS', {
+    method: 'GET',
+  })
+}
+
+// Every launch of the signed-in wallet, e.g. to find lookup table rent left to reclaim
+export async function getLaunches() {
+  return authenticatedApiRequest<Launch[]>('/api/launches', {
+    method: 'GET',
+  })
+}
+
+export async function recordLaunchStep(mintAddress: string, stepData: RecordLaunchStepParams) {
+  return authenticatedApiRequest<Launch>(`/api/launches/${mintAddress}/steps`, {
+    method: 'POST',
+    body: stringifyBody(stepData),
+  })
+}
+
+export async function updateLaunchStatus(mintAddress: string, status: Exclude<LaunchStatus, 'IN_PROGRESS'>) {
+  return authenticatedApiRequest<Launch>(`/api/launches/${mintAddress}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ status }),
+  })
+}
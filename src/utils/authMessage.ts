@@ -0,0 +1,14 @@
+// Shared between the client that signs requests and the server that verifies them,
+// so both sides always agree on the exact bytes being signed.
+export const AUTH_MESSAGE_PREFIX = 'Sign this message to authenticate with CoinMachine. Nonce: '
+
+// How long a signed request stays valid after its nonce timestamp
+export const AUTH_NONCE_TTL_MS = 5 * 60 * 1000
+
+export function createAuthNonce(): string {
+  return Date.now().toString()
+}
+
+export function buildAuthMessage(nonce: string): string {
+  return `${AUTH_MESSAGE_PREFIX}${nonce}`
+}
@@ -0,0 +1,205 @@
+/**
+ * Buy and sell quotes for constant-product bonding curves priced off virtual
+ * reserves (pump.fun style), as run by programs/memecoin_program.
+ *
+ * The spot price is virtualSolReserves / virtualTokenReserves and each trade
+ * keeps their product constant. Amounts are bigint lamports and raw token
+ * base units, and every formula rounds the same way the program does
+ * (programs/memecoin_program/src/curve.rs): costs and fees up, proceeds
+ * down. A quote is therefore exactly what the program charges against the
+ * same reserves.
+ */
+
+export const BASIS_POINTS = 10000;
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const BPS = BigInt(BASIS_POINTS);
+
+/**
+ * @typedef {Object} CurveReserves
+ * @property {bigint} virtualSolReserves
+ * @property {bigint} virtualTokenReserves
+ * @property {bigint} realSolReserves - Lamports paid in by buyers; no sale can pay out more
+ * @property {bigint} realTokenReserves - Tokens left to sell
+ * @property {number} feeBasisPoints
+ */
+
+/**
+ * @typedef {Object} BuyQuote
+ * @property {bigint} tokensOut - Tokens the SOL buys; sent as the exact amount to buy
+ * @property {bigint} solCost - Lamports paid to the curve, before the fee
+ * @property {bigint} fee
+ * @property {bigint} totalCost - solCost + fee, never above the SOL in
+ * @property {bigint} maxSolCost - Spend limit sent with the buy, totalCost plus slippage
+ * @property {bigint} minimumReceived - Tokens received if the buy lands at all
+ * @property {number} priceImpactBasisPoints - Execution price above spot
+ * @property {CurveReserves} reservesAfter
+ */
+
+/**
+ * @typedef {Object} SellQuote
+ * @property {bigint} solOut - Lamports received after the fee
+ * @property {bigint} proceeds - Lamports paid out by the curve, before the fee
+ * @property {bigint} fee
+ * @property {bigint} minimumReceived - Lamport floor sent with the sell, solOut less slippage
+ * @property {number} priceImpactBasisPoints - Execution price below spot
+ * @property {CurveReserves} reservesAfter
+ */
+
+const ceilDiv = (numerator, denominator) => (numerator + denominator - ONE) / denominator;
+
+function assertSlippage(slippageBasisPoints) {
+  if (!Number.isInteger(slippageBasisPoints) || slippageBasisPoints < 0 || slippageBasisPoints > BASIS_POINTS) {
+    throw new Error(`Slippage must be a whole number of basis points from 0 to ${BASIS_POINTS}`);
+  }
+}
+
+/**
+ * Trade fee on `lamports`, rounded up.
+ * @param {bigint} lamports
+ * @param {number} feeBasisPoints
+ * @returns {bigint}
+ */
+export function getTradeFee(lamports, feeBasisPoints) {
+  return ceilDiv(lamports * BigInt(feeBasisPoints), BPS);
+}
+
+/**
+ * Lamports, before the fee, to take exactly `tokenAmount` out of the curve.
+ * @param {CurveReserves} reserves
+ * @param {bigint} tokenAmount
+ * @returns {bigint}
+ */
+export function getBuyCost({ virtualSolReserves, virtualTokenReserves }, tokenAmount) {
+  if (tokenAmount >= virtualTokenReserves) {
+    throw new Error('The curve does not hold that many tokens');
+  }
+  return ceilDiv(virtualSolReserves * tokenAmount, virtualTokenReserves - tokenAmount);
+}
+
+/**
+ * Lamports, before the fee, paid out for `tokenAmount` sold into the curve.
+ * @param {CurveReserves} reserves
+ * @param {bigint} tokenAmount
+ * @returns {bigint}
+ */
+export function getSellProceeds({ virtualSolReserves, virtualTokenReserves }, tokenAmount) {
+  return (virtualSolReserves * tokenAmount) / (virtualTokenReserves + tokenAmount);
+}
+
+// Difference between the execution price and spot, relative to spot
+function priceImpactBasisPoints({ virtualSolReserves, virtualTokenReserves }, tokenAmount, lamports) {
+  if (tokenAmount === ZERO) {
+    return 0;
+  }
+  const spotValue = tokenAmount * virtualSolReserves;
+  const executionValue = lamports * virtualTokenReserves;
+  const difference = executionValue > spotValue ? executionValue - spotValue : spotValue - executionValue;
+  return Number((difference * BPS) / spotValue);
+}
+
+/**
+ * Tokens out for `solIn` lamports, fee included: the most tokens whose cost
+ * plus fee fits in `solIn`, capped at what the curve has left.
+ * @param {CurveReserves} reserves
+ * @param {bigint} solIn - Lamports the buyer spends, fee included
+ * @param {number} [slippageBasisPoints] - How far above the quote the cost may move before the buy fails
+ * @returns {BuyQuote}
+ */
+export function quoteBuy(reserves, solIn, slippageBasisPoints = 100) {
+  assertSlippage(slippageBasisPoints);
+  const { virtualSolReserves, virtualTokenReserves, realSolReserves, realTokenReserves, feeBasisPoints } = reserves;
+
+  // Largest pre-fee spend whose fee still fits, then the tokens it buys
+  let budget = (solIn * BPS) / (BPS + BigInt(feeBasisPoints));
+  while (budget > ZERO && budget + getTradeFee(budget, feeBasisPoints) > solIn) {
+    budget -= ONE;
+  }
+  let tokensOut = (virtualTokenReserves * budget) / (virtualSolReserves + budget);
+  if (tokensOut > realTokenReserves) {
+    tokensOut = realTokenReserves;
+  }
+  // getBuyCost rounds up, so the last token can cost a lamport more than the budget
+  while (tokensOut > ZERO && getBuyCost(reserves, tokensOut) > budget) {
+    tokensOut -= ONE;
+  }
+
+  const solCost = tokensOut > ZERO ? getBuyCost(reserves, tokensOut) : ZERO;
+  const fee = getTradeFee(solCost, feeBasisPoints);
+  const totalCost = solCost + fee;
+
+  return {
+    tokensOut,
+    solCost,
+    fee,
+    totalCost,
+    maxSolCost: totalCost + ceilDiv(totalCost * BigInt(slippageBasisPoints), BPS),
+    minimumReceived: tokensOut,
+    priceImpactBasisPoints: priceImpactBasisPoints(reserves, tokensOut, solCost),
+    reservesAfter: {
+      ...reserves,
+      virtualSolReserves: virtualSolReserves + solCost,
+      virtualTokenReserves: virtualTokenReserves - tokensOut,
+      realSolReserves: realSolReserves + solCost,
+      realTokenReserves: realTokenReserves - tokensOut,
+    },
+  };
+}
+
+/**
+ * SOL out for selling `tokenAmount` into the curve. Throws when the curve
+ * would pay out more than its real SOL reserves, which the program rejects.
+ * @param {CurveReserves} reserves
+ * @param {bigint} tokenAmount - Tokens the seller puts in
+ * @param {number} [slippageBasisPoints] - How far below the quote the proceeds may move before the sell fails
+ * @returns {SellQuote}
+ */
+export function quoteSell(reserves, tokenAmount, slippageBasisPoints = 100) {
+  assertSlippage(slippageBasisPoints);
+  const { virtualSolReserves, virtualTokenReserves, realSolReserves, realTokenReserves, feeBasisPoints } = reserves;
+
+  const proceeds = getSellProceeds(reserves, tokenAmount);
+  if (proceeds > realSolReserves) {
+    throw new Error('The curve does not hold enough SOL to buy that many tokens');
+  }
+  const fee = getTradeFee(proceeds, feeBasisPoints);
+  const solOut = proceeds - fee;
+
+  return {
+    solOut,
+    proceeds,
+    fee,
+    minimumReceived: (solOut * BigInt(BASIS_POINTS - slippageBasisPoints)) / BPS,
+    priceImpactBasisPoints: priceImpactBasisPoints(reserves, tokenAmount, proceeds),
+    reservesAfter: {
+      ...reserves,
+      virtualSolReserves: virtualSolReserves - proceeds,
+      virtualTokenReserves: virtualTokenReserves + tokenAmount,
+      realSolReserves: realSolReserves - proceeds,
+      realTokenReserves: realTokenReserves + tokenAmount,
+    },
+  };
+}
+
+/**
+ * Spot price in SOL per whole token, for display only.
+ * @param {CurveReserves} reserves
+ * @param {number} decimals - Mint decimals
+ * @returns {number}
+ */
+export function getSpotPrice({ virtualSolReserves, virtualTokenReserves }, decimals) {
+  return (Number(virtualSolReserves) / Number(virtualTokenReserves)) * 10 ** (decimals - 9);
+}
+
+/**
+ * How far the curve is towards graduation, by SOL raised.
+ * @param {{realSolReserves: bigint, graduationThreshold: bigint, complete: boolean}} curve
+ * @returns {number} 0-100, with two decimals
+ */
+export function getGraduationProgress({ realSolReserves, graduationThreshold, complete }) {
+  if (complete || realSolReserves >= graduationThreshold) {
+    return 100;
+  }
+  return Number((realSolReserves * BigInt(10000)) / graduationThreshold) / 100;
+}
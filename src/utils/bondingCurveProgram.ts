@@ -0,0 +1,209 @@
+// Client for the memecoin_program bonding curve (programs/memecoin_program),
+// typed from its generated IDL. Builders return the same { transaction,
+// signers } shape as the launch pipeline, so they go through
+// sendLaunchTransaction like every other step.
+
+import { BN, Program, Provider } from '@project-serum/anchor'
+import { TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } from '@solana/spl-token'
+import { Connection, Keypair, PublicKey, Transaction, TransactionInstruction } from '@solana/web3.js'
+import { IDL, MemecoinProgram } from '../idl/memecoin_program'
+
+export const MEMECOIN_PROGRAM_ID = new PublicKey(
+  process.env.NEXT_PUBLIC_BONDING_CURVE_PROGRAM_ID || 'CZ2ahgRazrYcP3f4W3AmAfuLzseXXkTMR31DNFqxcZC8'
+)
+
+const BONDING_CURVE_SEED = 'bonding_curve'
+
+export interface BondingCurveState {
+  address: PublicKey
+  creator: PublicKey
+  authority: PublicKey
+  mint: PublicKey
+  feeRecipient: PublicKey
+  // Lamports and raw token amounts
+  virtualSolReserves: bigint
+  virtualTokenReserves: bigint
+  realSolReserves: bigint
+  realTokenReserves: bigint
+  graduationThreshold: bigint
+  feeBasisPoints: number
+  complete: boolean
+}
+
+export interface BuiltTransaction {
+  transaction: Transaction
+  signers: Keypair[]
+}
+
+// Builds instructions only, so no wallet is needed
+export function getBondingCurveProgram(connection: Connection): Program<MemecoinProgram> {
+  const provider: Provider = { connection }
+  return new Program<MemecoinProgram>(IDL, MEMECOIN_PROGRAM_ID, provider)
+}
+
+export function getBondingCurveAddress(mint: PublicKey): PublicKey {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from(BONDING_CURVE_SEED), mint.toBuffer()],
+    MEMECOIN_PROGRAM_ID
+  )[0]
+}
+
+// The curve's token vault is its associated token account
+export function getCurveTokenAccount(mint: PublicKey, tokenProgramId: PublicKey = TOKEN_PROGRAM_ID): PublicKey {
+  return getAssociatedTokenAddressSync(mint, getBondingCurveAddress(mint), true, tokenProgramId)
+}
+
+const toBN = (amount: bigint | number) => new BN(amount.toString())
+const toBigInt = (amount: BN) => BigInt(amount.toString())
+
+export function toBuilt(payer: PublicKey, instruction: TransactionInstruction): BuiltTransaction {
+  const transaction = new Transaction().add(instruction)
+  transaction.feePayer = payer
+  return { transaction, signers: [] }
+}
+
+// Null when the mint has no curve
+export async function fetchBondingCurve(
+  connection: Connection,
+  mint: PublicKey
+): Promise<BondingCurveState | null> {
+  const address = getBondingCurveAddress(mint)
+  const account = await getBondingCurveProgram(connection).account.bondingCurve.fetchNullable(address)
+  if (!account) {
+    return null
+  }
+  return {
+    address,
+    creator: account.creator,
+    authority: account.authority,
+    mint: account.mint,
+    feeRecipient: account.feeRecipient,
+    virtualSolReserves: toBigInt(account.virtualSolReserves),
+    virtualTokenReserves: toBigInt(account.virtualTokenReserves),
+    realSolReserves: toBigInt(account.realSolReserves),
+    realTokenReserves: toBigInt(account.realTokenReserves),
+    graduationThreshold: toBigInt(account.graduationThreshold),
+    feeBasisPoints: account.feeBasisPoints,
+    complete: account.complete,
+  }
+}
+
+export interface InitializeCurveParams {
+  creator: PublicKey
+  mint: PublicKey
+  // Creator's token account the curve supply is moved out of
+  creatorTokenAccount: PublicKey
+  tokenAmount: bigint
+  virtualSolReserves: bigint
+  virtualTokenReserves: bigint
+  graduationThreshold: bigint
+  feeBasisPoints: number
+  feeRecipient: PublicKey
+  // Signs the withdrawal at graduation; defaults to the creator
+  authority?: PublicKey
+  tokenProgramId?: PublicKey
+}
+
+export async function buildInitializeCurveTransaction(
+  connection: Connection,
+  {
+    creator,
+    mint,
+    creatorTokenAccount,
+    tokenAmount,
+    virtualSolReserves,
+    virtualTokenReserves,
+    graduationThreshold,
+    feeBasisPoints,
+    feeRecipient,
+    authority = creator,
+    tokenProgramId = TOKEN_PROGRAM_ID,
+  }: InitializeCurveParams
+): Promise<BuiltTransaction> {
+  const instruction = await getBondingCurveProgram(connection).methods
+    .initializeCurve({
+      virtualSolReserves: toBN(virtualSolReserves),
+      virtualTokenReserves: toBN(virtualTokenReserves),
+      tokenAmount: toBN(tokenAmount),
+      graduationThreshold: toBN(graduationThreshold),
+      feeBasisPoints,
+    })
+    .accounts({
+      creator,
+      authority,
+      feeRecipient,
+      mint,
+      bondingCurve: getBondingCurveAddress(mint),
+      curveTokenAccount: getCurveTokenAccount(mint, tokenProgramId),
+      creatorTokenAccount,
+      tokenProgram: tokenProgramId,
+    })
+    .instruction()
+  return toBuilt(creator, instruction)
+}
+
+export interface TradeParams {
+  trader: PublicKey
+  curve: BondingCurveState
+  tokenAmount: bigint
+  // Buys: most lamports to pay including the fee. Sells: least to receive after it
+  solLimit: bigint
+  tokenProgramId?: PublicKey
+}
+
+export async function buildBuyTransaction(
+  connection: Connection,
+  { trader, curve, tokenAmount, solLimit, tokenProgramId = TOKEN_PROGRAM_ID }: TradeParams
+): Promise<BuiltTransaction> {
+  const instruction = await getBondingCurveProgram(connection).methods
+    .buy(toBN(tokenAmount), toBN(solLimit))
+    .accounts({
+      buyer: trader,
+      mint: curve.mint,
+      bondingCurve: curve.address,
+      curveTokenAccount: getCurveTokenAccount(curve.mint, tokenProgramId),
+      buyerTokenAccount: getAssociatedTokenAddressSync(curve.mint, trader, false, tokenProgramId),
+      feeRecipient: curve.feeRecipient,
+      tokenProgram: tokenProgramId,
+    })
+    .instruction()
+  return toBuilt(trader, instruction)
+}
+
+export async function buildSellTransaction(
+  connection: Connection,
+  { trader, curve, tokenAmount, solLimit, tokenProgramId = TOKEN_PROGRAM_ID }: TradeParams
+): Promise<BuiltTransaction> {
+  const instruction = await getBondingCurveProgram(connection).methods
+    .sell(toBN(tokenAmount), toBN(solLimit))
+    .accounts({
+      seller: trader,
+      mint: curve.mint,
+      bondingCurve: curve.address,
+      curveTokenAccount: getCurveTokenAccount(curve.mint, tokenProgramId),
+      sellerTokenAccount: getAssociatedTokenAddressSync(curve.mint, trader, false, tokenProgramId),
+      feeRecipient: curve.feeRecipient,
+      tokenProgram: tokenProgramId,
+    })
+    .instruction()
+  return toBuilt(trader, instruction)
+}
+
+// Moves a completed curve's SOL and tokens to its authority
+export async function buildWithdrawTransaction(
+  connection: Connection,
+  { curve, tokenProgramId = TOKEN_PROGRAM_ID }: { curve: BondingCurveState; tokenProgramId?: PublicKey }
+): Promise<BuiltTransaction> {
+  const instruction = await getBondingCurveProgram(connection).methods
+    .withdraw()
+    .accounts({
+      authority: curve.authority,
+      mint: curve.mint,
+      bondingCurve: curve.address,
+      curveTokenAccount: getCurveTokenAccount(curve.mint, tokenProgramId),
+      authorityTokenAccount: getAssociatedTokenAddressSync(curve.mint, curve.authority, false, tokenProgramId),
+      tokenProgram: tokenProgramId,
+    })
+    .instruction()
+  return toBuilt(curve.authority, instruction)
+}
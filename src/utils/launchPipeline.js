@@ -0,0 +1,815 @@
+/**
+ * Token launch pipeline shared by the create form, /api/create-token and
+ * scripts/test-token-creation.js.
+ *
+ * Each build* function returns `{ transaction, signers }`: an unsigned legacy
+ * Transaction with its fee payer set, plus any extra keypairs (a new mint, a
+ * pool state account) that have to co-sign it. Nothing here touches React,
+ * `window` or the database. Sending goes through sendLaunchTransaction, or
+ * sendLaunchBatch for several dependent steps, with an injected signer, so
+ * the caller decides how the wallet signs. Both send v0 transactions.
+ * launchRunner.js runs these steps in order for the create form.
+ *
+ * Relative imports carry their extension so Node can load this module
+ * directly from the CLI scripts.
+ */
+
+import {
+  LAMPORTS_PER_SOL,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction
+} from '@solana/web3.js';
+import {
+  AuthorityType,
+  ExtensionType,
+  LENGTH_SIZE,
+  MAX_FEE_BASIS_POINTS,
+  MINT_SIZE,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  TYPE_SIZE,
+  createAssociatedTokenAccountInstruction,
+  createInitializeMetadataPointerInstruction,
+  createInitializeMintInstruction,
+  createInitializeTransferFeeConfigInstruction,
+  createMintToInstruction,
+  createSetAuthorityInstruction,
+  getAssociatedTokenAddress,
+  getMintLen
+} from '@solana/spl-token';
+import {
+  createInitializeInstruction as createInitializeTokenMetadataInstruction,
+  createUpdateAuthorityInstruction,
+  pack as packTokenMetadata
+} from '@solana/spl-token-metadata';
+import { Buffer } from 'buffer';
+import { parseWholeTokens, percentOf, toRawAmount } from './amounts.js';
+import {
+  TOKEN_METADATA_PROGRAM_ID,
+  createMetadataTransaction,
+  createVerifyCreatorTransaction,
+  getMetadataAddress
+} from './metadataUtils.js';
+import { assertTransactionWillSucceed } from './preflight.js';
+import {
+  DEFAULT_COMPUTE_UNIT_LIMIT,
+  MAX_COMPUTE_UNIT_LIMIT,
+  PRIORITY_LEVELS,
+  applyPriorityFee
+} from './priorityFees.js';
+import { buildRaydiumPoolTransaction } from './raydiumPool.js';
+import { confirmLaunchTransaction } from './transactionStatus.js';
+import {
+  LOOKUP_TABLE_STATUS,
+  buildCloseLookupTableTransaction,
+  buildDeactivateLookupTableTransaction,
+  buildLookupTableTransaction,
+  compileVersionedTransaction,
+  getLookupTableStatus,
+  getRecurringAddresses,
+  packTransactions,
+  waitForLookupTable
+} from './versionedTransactions.js';
+
+// Confirmation helpers live in transactionStatus.js, where the DEX modules can
+// use them without importing the pipeline
+export { checkTransactionStatus, confirmLaunchTransaction, confirmTransactionWithRetry } from './transactionStatus.js';
+
+// Default mint decimals; the create form lets the creator pick 0-9
+export const TOKEN_DECIMALS = 9;
+
+// Kept small so each mint chunk lands even when the network is congested
+export const MAX_TOKENS_PER_MINT_TX = 100000;
+
+// Chunks sent per wallet approval; several pack into each transaction
+export const MINT_CHUNKS_PER_BATCH = 120;
+
+// Blocks left on a batch's blockhash at which its presigned transactions are abandoned
+const BLOCKHASH_EXPIRY_MARGIN = 30;
+
+// Platform fee: 0.02 SOL base plus 10% of the SOL put into the pool
+export const BASE_PLATFORM_FEE_LAMPORTS = 20000000;
+export const LIQUIDITY_FEE_RATE = 0.1;
+
+// Stored in launch params.tokenProgram. Not the jsonParsed `program` names:
+// RPC parses Token-2022 instructions as 'spl-token-2022'
+export const TOKEN_PROGRAMS = {
+  SPL_TOKEN: 'spl-token',
+  TOKEN_2022: 'token-2022',
+};
+
+// Token-2022 mints carry their metadata in the mint account itself
+const TOKEN_2022_MINT_EXTENSIONS = [ExtensionType.MetadataPointer];
+
+/**
+ * @param {string} [tokenProgram] - One of TOKEN_PROGRAMS
+ * @returns {PublicKey}
+ */
+export function getTokenProgramId(tokenProgram = TOKEN_PROGRAMS.SPL_TOKEN) {
+  if (tokenProgram === TOKEN_PROGRAMS.TOKEN_2022) {
+    return TOKEN_2022_PROGRAM_ID;
+  }
+  if (tokenProgram === TOKEN_PROGRAMS.SPL_TOKEN) {
+    return TOKEN_PROGRAM_ID;
+  }
+  throw new Error(`Unknown token program: ${tokenProgram}`);
+}
+
+/**
+ * Whether the mint stores its metadata in-line (Token-2022 token-metadata
+ * extension) rather than in a separate Metaplex account.
+ * @param {PublicKey} tokenProgramId
+ */
+export function usesInlineMetadata(tokenProgramId) {
+  return tokenProgramId.equals(TOKEN_2022_PROGRAM_ID);
+}
+
+/**
+ * @typedef {Object} LaunchSigner
+ * @property {PublicKey} publicKey - Wallet that pays for and signs every step
+ * @property {(tx: VersionedTransaction) => Promise<VersionedTransaction>} signTransaction
+ * @property {(tx: VersionedTransaction) => Promise<{signature: string}>} [signAndSendTransaction] - Preferred when the wallet offers it (Phantom)
+ * @property {(txs: VersionedTransaction[]) => Promise<VersionedTransaction[]>} [signAllTransactions] - Lets sendLaunchBatch ask for one approval
+ */
+
+/**
+ * @typedef {Object} BuiltTransaction
+ * @property {Transaction} transaction - Unsigned transaction with feePayer set
+ * @property {Keypair[]} signers - Extra keypairs that must co-sign
+ * @property {string} [label] - Step name for preflight errors; callers may attach more
+ */
+
+/**
+ * Splits the total supply between the creator and the bonding curve.
+ * @param {bigint|number|string} supply - Total supply in whole tokens
+ * @param {number} retentionPercentage - Share kept by the creator (0-100)
+ * @returns {{creatorRetention: bigint, bondingCurveSupply: bigint}}
+ */
+export function splitSupply(supply, retentionPercentage) {
+  const total = parseWholeTokens(supply);
+  const creatorRetention = percentOf(total, retentionPercentage);
+  return { creatorRetention, bondingCurveSupply: total - creatorRetention };
+}
+
+/**
+ * @param {number} liquiditySol - SOL the creator is putting into the pool
+ * @returns {number} Platform fee in lamports
+ */
+export function calculatePlatformFee(liquiditySol) {
+  const liquidityFee = Math.floor(liquiditySol * LAMPORTS_PER_SOL * LIQUIDITY_FEE_RATE);
+  return BASE_PLATFORM_FEE_LAMPORTS + liquidityFee;
+}
+
+/**
+ * Sizes of the mint transactions still needed to reach `total`, skipping what
+ * an earlier attempt already minted.
+ * @param {bigint|number|string} total - Bonding-curve supply in whole tokens
+ * @param {bigint|number|string} [alreadyMinted] - Tokens already minted
+ * @param {number} [maxPerTx] - Largest chunk per transaction
+ * @returns {bigint[]}
+ */
+export function planMintChunks(total, alreadyMinted = 0, maxPerTx = MAX_TOKENS_PER_MINT_TX) {
+  const target = parseWholeTokens(total);
+  const step = BigInt(maxPerTx);
+  const chunks = [];
+  for (let minted = parseWholeTokens(alreadyMinted); minted < target; minted += step) {
+    const remaining = target - minted;
+    chunks.push(remaining < step ? remaining : step);
+  }
+  return chunks;
+}
+
+/**
+ * What accepting a new retention split means once part of the bonding curve
+ * is minted. The creator's share was minted with the mint, so a higher
+ * retention shrinks the curve supply and the tokens it drops are never
+ * minted; the curve never shrinks below what is already minted.
+ * @param {Object} params
+ * @param {bigint|number|string} params.supply - Total supply the launch started with
+ * @param {bigint} params.creatorRetention - Creator share already minted
+ * @param {bigint} params.tokensMinted - Bonding-curve tokens already minted
+ * @param {number} params.retentionPercentage - Newly accepted creator share (0-100)
+ * @returns {{bondingCurveSupply: bigint, remaining: bigint, unminted: bigint, totalSupply: bigint}}
+ */
+export function planResplit({ supply, creatorRetention, tokensMinted, retentionPercentage }) {
+  const { bondingCurveSupply: splitCurveSupply } = splitSupply(supply, retentionPercentage);
+  const bondingCurveSupply = splitCurveSupply > tokensMinted ? splitCurveSupply : tokensMinted;
+  const totalSupply = creatorRetention + bondingCurveSupply;
+  return {
+    bondingCurveSupply,
+    remaining: bondingCurveSupply - tokensMinted,
+    unminted: parseWholeTokens(supply) - totalSupply,
+    totalSupply,
+  };
+}
+
+/**
+ * Off-chain metadata JSON uploaded to IPFS and referenced by the on-chain
+ * metadata URI.
+ */
+export function buildTokenMetadataJson({
+  name,
+  symbol,
+  description = '',
+  imageUri = '',
+  website = '',
+  twitter = '',
+  telegram = '',
+  discord = '',
+  creator
+}) {
+  return {
+    name,
+    symbol,
+    description,
+    image: imageUri,
+    attributes: [],
+    properties: {
+      files: [{ uri: imageUri, type: "image/png" }],
+      // Use standard format for external URLs
+      external_url: website || "",
+      // Include all socials in a standard format
+      links: {
+        website: website || "",
+        twitter: twitter ? (twitter.startsWith('https://') ? twitter : `https://twitter.com/${twitter.replace('@', '')}`) : "",
+        telegram: telegram || "",
+        discord: discord || ""
+      }
+    },
+    // Add these fields explicitly for better compatibility
+    seller_fee_basis_points: 0,
+    creators: [{ address: creator.toString(), share: 100, verified: true }],
+    collection: null,
+    uses: null
+  };
+}
+
+/**
+ * Step CREATE_MINT: creates the mint account, initialises it with the payer
+ * as mint and freeze authority, creates the payer's token account and mints
+ * the creator's share into it.
+ *
+ * On Token-2022 the mint is sized with getMintLen for its extensions and the
+ * same transaction points the metadata pointer at the mint and initialises
+ * the token-metadata fields, so CREATE_METADATA and VERIFY_CREATOR are not
+ * needed afterwards. A `transferFee` adds the TransferFeeConfig extension,
+ * with the payer as the fee config authority.
+ * @param {Connection} connection
+ * @param {Object} params
+ * @param {PublicKey} params.payer
+ * @param {Keypair} params.mintKeypair - New mint; returned in `signers`
+ * @param {bigint} params.creatorAmount - Raw amount minted to the payer
+ * @param {number} [params.decimals]
+ * @param {PublicKey} [params.tokenProgramId] - TOKEN_PROGRAM_ID or TOKEN_2022_PROGRAM_ID
+ * @param {{name: string, symbol: string, uri: string}} [params.metadata] - Required on Token-2022
+ * @param {Object} [params.transferFee] - Token-2022 only
+ * @param {number} params.transferFee.basisPoints - Fee per transfer, 0 to MAX_FEE_BASIS_POINTS
+ * @param {bigint} params.transferFee.maxFee - Cap per transfer in raw units
+ * @param {PublicKey} [params.transferFee.withdrawWithheldAuthority] - Defaults to the payer
+ * @returns {Promise<BuiltTransaction & {associatedTokenAddress: PublicKey}>}
+ */
+export async function buildSetupTransaction(connection, {
+  payer,
+  mintKeypair,
+  creatorAmount,
+  decimals = TOKEN_DECIMALS,
+  tokenProgramId = TOKEN_PROGRAM_ID,
+  metadata,
+  transferFee
+}) {
+  const mint = mintKeypair.publicKey;
+  const inlineMetadata = usesInlineMetadata(tokenProgramId);
+  if (inlineMetadata && !metadata) {
+    throw new Error("Token-2022 mints need their metadata at creation");
+  }
+  if (transferFee) {
+    if (!inlineMetadata) {
+      throw new Error("Transfer fees require a Token-2022 mint");
+    }
+    if (!Number.isInteger(transferFee.basisPoints) || transferFee.basisPoints < 0 || transferFee.basisPoints > MAX_FEE_BASIS_POINTS) {
+      throw new Error(`Transfer fee must be between 0 and ${MAX_FEE_BASIS_POINTS} basis points`);
+    }
+  }
+
+  const tokenMetadata = inlineMetadata && {
+    mint,
+    updateAuthority: payer,
+    name: metadata.name,
+    symbol: metadata.symbol,
+    uri: metadata.uri,
+    additionalMetadata: [],
+  };
+
+  // The account is allocated at its extension size; the token-metadata
+  // initialize reallocs it, so rent for the metadata entry is paid up front
+  const extensions = transferFee
+    ? [...TOKEN_2022_MINT_EXTENSIONS, ExtensionType.TransferFeeConfig]
+    : TOKEN_2022_MINT_EXTENSIONS;
+  const space = inlineMetadata ? getMintLen(extensions) : MINT_SIZE;
+  const metadataSpace = inlineMetadata ? TYPE_SIZE + LENGTH_SIZE + packTokenMetadata(tokenMetadata).length : 0;
+  const lamports = await connection.getMinimumBalanceForRentExemption(space + metadataSpace);
+  const associatedTokenAddress = await getAssociatedTokenAddress(mint, payer, false, tokenProgramId);
+
+  const transaction = new Transaction().add(
+    SystemProgram.createAccount({
+      fromPubkey: payer,
+      newAccountPubkey: mint,
+      space,
+      lamports,
+      programId: tokenProgramId,
+    })
+  );
+
+  if (inlineMetadata) {
+    transaction.add(createInitializeMetadataPointerInstruction(mint, payer, mint, tokenProgramId));
+  }
+
+  // Extensions must be initialised before the mint itself
+  if (transferFee) {
+    transaction.add(
+      createInitializeTransferFeeConfigInstruction(
+        mint,
+        payer,
+        transferFee.withdrawWithheldAuthority || payer,
+        transferFee.basisPoints,
+        transferFee.maxFee,
+        tokenProgramId
+      )
+    );
+  }
+
+  transaction.add(createInitializeMintInstruction(mint, decimals, payer, payer, tokenProgramId));
+
+  if (inlineMetadata) {
+    transaction.add(
+      createInitializeTokenMetadataInstruction({
+        programId: tokenProgramId,
+        metadata: mint,
+        updateAuthority: payer,
+        mint,
+        mintAuthority: payer,
+        name: tokenMetadata.name,
+        symbol: tokenMetadata.symbol,
+        uri: tokenMetadata.uri,
+      })
+    );
+  }
+
+  transaction.add(
+    createAssociatedTokenAccountInstruction(payer, associatedTokenAddress, payer, mint, tokenProgramId)
+  );
+
+  if (creatorAmount > BigInt(0)) {
+    transaction.add(
+      createMintToInstruction(mint, associatedTokenAddress, payer, creatorAmount, [], tokenProgramId)
+    );
+  }
+
+  transaction.feePayer = payer;
+  return { transaction, signers: [mintKeypair], associatedTokenAddress };
+}
+
+/**
+ * Step CREATE_METADATA: Metaplex metadata account with the payer as an
+ * unverified creator (buildVerifyCreatorTransaction verifies it next).
+ * @returns {Promise<BuiltTransaction & {metadataAddress: PublicKey}>}
+ */
+export async function buildMetadataTransaction({ payer, mint, name, symbol, uri }) {
+  const { transaction, metadataAddress } = await createMetadataTransaction({
+    mint,
+    mintAuthority: payer,
+    payer,
+    name,
+    symbol,
+    uri,
+    creators: [{
+      address: payer,
+      share: 100,
+      verified: false
+    }],
+    sellerFeeBasisPoints: 0,
+    updateAuthority: payer,
+    isMutable: true,
+  });
+
+  transaction.feePayer = payer;
+  return { transaction, signers: [], metadataAddress };
+}
+
+/**
+ * Step VERIFY_CREATOR
+ * @returns {Promise<BuiltTransaction>}
+ */
+export async function buildVerifyCreatorTransaction({ payer, mint }) {
+  const { transaction } = await createVerifyCreatorTransaction({
+    mint,
+    creator: payer,
+    payer
+  });
+
+  transaction.feePayer = payer;
+  return { transaction, signers: [] };
+}
+
+/**
+ * Step REVOKE_AUTHORITIES: revokes whichever of the requested authorities
+ * are still set on the mint. Resolves to null when there is nothing left to
+ * revoke. With `mintPending` the mint is created earlier in the same batch,
+ * so both authorities are known to be set and the chain is not read.
+ * @returns {Promise<BuiltTransaction|null>}
+ */
+export async function buildRevokeAuthoritiesTransaction(connection, {
+  payer,
+  mint,
+  revokeMintAuthority,
+  revokeFreezeAuthority,
+  tokenProgramId = TOKEN_PROGRAM_ID,
+  mintPending = false
+}) {
+  const mintAccount = mintPending ? null : await connection.getAccountInfo(mint);
+  if (!mintPending && !mintAccount) {
+    throw new Error("Could not find mint account");
+  }
+
+  // Both programs share the base mint layout. A COption<Pubkey> whose 32 key bytes are all zero is unset
+  const isAuthorityNull = (offset) => !mintPending && mintAccount.data.slice(offset, offset + 32).every(byte => byte === 0);
+  const mintAuthorityNull = isAuthorityNull(0);
+  const freezeAuthorityNull = isAuthorityNull(36);
+
+  const transaction = new Transaction();
+  if (revokeMintAuthority && !mintAuthorityNull) {
+    transaction.add(
+      createSetAuthorityInstruction(mint, payer, AuthorityType.MintTokens, null, [], tokenProgramId)
+    );
+  }
+  if (revokeFreezeAuthority && !freezeAuthorityNull) {
+    transaction.add(
+      createSetAuthorityInstruction(mint, payer, AuthorityType.FreezeAccount, null, [], tokenProgramId)
+    );
+  }
+
+  if (transaction.instructions.length === 0) {
+    return null;
+  }
+
+  transaction.feePayer = payer;
+  return { transaction, signers: [] };
+}
+
+/**
+ * Step MAKE_IMMUTABLE: UpdateMetadataAccount clearing the update authority.
+ * `minimal` sends only the instruction discriminator, which some RPCs accept
+ * when the full layout is rejected. Token-2022 mints clear the update
+ * authority of their in-line token metadata instead.
+ * @returns {BuiltTransaction}
+ */
+export function buildMakeImmutableTransaction({ payer, mint, minimal = false, tokenProgramId = TOKEN_PROGRAM_ID }) {
+  if (usesInlineMetadata(tokenProgramId)) {
+    const transaction = new Transaction().add(
+      createUpdateAuthorityInstruction({
+        programId: tokenProgramId,
+        metadata: mint,
+        oldAuthority: payer,
+        newAuthority: null,
+      })
+    );
+    transaction.feePayer = payer;
+    return { transaction, signers: [] };
+  }
+
+  // [discriminator, no data, update authority option, no primary sale]
+  const data = minimal ? Buffer.from([1]) : Buffer.from([1, 0, 1, 0]);
+
+  const transaction = new Transaction().add(
+    new TransactionInstruction({
+      keys: [
+        { pubkey: getMetadataAddress(mint), isSigner: false, isWritable: true },
+        { pubkey: payer, isSigner: true, isWritable: false },
+      ],
+      programId: TOKEN_METADATA_PROGRAM_ID,
+      data
+    })
+  );
+
+  transaction.feePayer = payer;
+  return { transaction, signers: [] };
+}
+
+/**
+ * Step COLLECT_FEE
+ * @param {Object} params
+ * @param {PublicKey} params.payer
+ * @param {PublicKey} params.feeAddress - Platform treasury
+ * @param {number} params.lamports - Usually calculatePlatformFee(liquiditySol)
+ * @returns {BuiltTransaction}
+ */
+export function buildPlatformFeeTransaction({ payer, feeAddress, lamports }) {
+  const transaction = new Transaction().add(
+    SystemProgram.transfer({
+      fromPubkey: payer,
+      toPubkey: feeAddress,
+      lamports
+    })
+  );
+
+  transaction.feePayer = payer;
+  return { transaction, signers: [] };
+}
+
+/**
+ * Step MINT_CHUNK: mints one chunk of the bonding-curve supply.
+ * @returns {BuiltTransaction}
+ */
+export function buildMintChunkTransaction({
+  payer,
+  mint,
+  destination,
+  tokens,
+  decimals = TOKEN_DECIMALS,
+  tokenProgramId = TOKEN_PROGRAM_ID
+}) {
+  const transaction = new Transaction().add(
+    createMintToInstruction(mint, destination, payer, toRawAmount(tokens, decimals), [], tokenProgramId)
+  );
+
+  transaction.feePayer = payer;
+  return { transaction, signers: [] };
+}
+
+/**
+ * Step CREATE_POOL: Raydium CP-Swap pool seeded with the bonding-curve supply.
+ * @returns {Promise<BuiltTransaction & {poolId: string, baseVault: string, quoteVault: string}>}
+ */
+export async function buildPoolTransaction(connection, {
+  payer,
+  mint,
+  tokenAmount,
+  solLamports,
+  decimals = TOKEN_DECIMALS,
+  tokenProgramId = TOKEN_PROGRAM_ID
+}) {
+  return buildRaydiumPoolTransaction(connection, {
+    userPublicKey: payer,
+    mintPublicKey: mint,
+    tokenAmount,
+    solAmount: solLamports,
+    tokenProgramId,
+    tokenDecimals: decimals
+  });
+}
+
+/**
+ * Signs a compiled transaction with the wallet and submits it. Uses
+ * signAndSendTransaction when the wallet has it.
+ */
+async function submitVersionedTransaction(connection, signer, transaction) {
+  if (signer.signAndSendTransaction) {
+    const { signature } = await signer.signAndSendTransaction(transaction);
+    return signature;
+  }
+
+  const signed = await signer.signTransaction(transaction);
+  return connection.sendRawTransaction(signed.serialize());
+}
+
+/**
+ * Compiles a built transaction to v0 with a fresh blockhash, adds the
+ * co-signers and hands it to `signer`.
+ *
+ * A priority fee and compute unit limit are set from the current fee market
+ * and a simulation of the transaction (see priorityFees.js). The transaction
+ * is then simulated again as it will be signed; if it would fail,
+ * PreflightError is thrown and the wallet is never prompted.
+ * @param {Connection} connection
+ * @param {LaunchSigner} signer
+ * @param {BuiltTransaction} built
+ * @param {Object} [options]
+ * @param {string} [options.label] - Step name used in the preflight error
+ * @param {boolean} [options.skipPreflight] - Send without simulating first
+ * @param {string} [options.priorityLevel] - One of PRIORITY_LEVELS
+ * @param {AddressLookupTableAccount[]} [options.lookupTables] - Active tables to compile against
+ * @param {number} [options.defaultComputeUnits] - Compute limit if the transaction cannot be simulated
+ * @returns {Promise<string>} Transaction signature
+ */
+export async function sendLaunchTransaction(connection, signer, built, {
+  label,
+  skipPreflight = false,
+  priorityLevel = PRIORITY_LEVELS.MEDIUM,
+  lookupTables = [],
+  defaultComputeUnits
+} = {}) {
+  const { transaction } = built;
+  transaction.feePayer = transaction.feePayer || signer.publicKey;
+  const { blockhash } = await connection.getLatestBlockhash();
+  transaction.recentBlockhash = blockhash;
+  await applyPriorityFee(connection, built, { level: priorityLevel, defaultComputeUnits, lookupTables });
+
+  if (!skipPreflight) {
+    await assertTransactionWillSucceed(connection, built, { label, lookupTables });
+  }
+
+  return submitVersionedTransaction(
+    connection,
+    signer,
+    compileVersionedTransaction(built, { blockhash, lookupTables })
+  );
+}
+
+/**
+ * Sends launch steps that depend on each other, in order, in as few v0
+ * transactions as they pack into. Each transaction is confirmed before the
+ * next is sent, and `onConfirmed` is told which steps it carried, so a batch
+ * that fails part-way leaves an accurate step log behind.
+ *
+ * When a lookup table of the accounts the steps share (plus
+ * `lookupAddresses`) lets them pack into fewer transactions, even counting
+ * the one that creates the table, the table is created first and the rest
+ * are compiled against it.
+ *
+ * The table transaction is signed and sent on its own. Once the table is
+ * live, the steps are priced and simulated against it, and wallets with
+ * signAllTransactions approve them all at once on one fresh blockhash; the
+ * others are asked once per transaction. If a long batch gets within
+ * BLOCKHASH_EXPIRY_MARGIN blocks of that blockhash expiring, the remaining
+ * transactions are signed one at a time instead. Only the first step can be
+ * simulated before signing, since the rest need its effects; the RPC still
+ * rejects any later one that would fail before it lands.
+ *
+ * Once every step has landed the table is deactivated, unless the caller
+ * keeps it for later steps, so reclaimLookupTableRent can close it and
+ * return its rent after the cooldown. A failed deactivation is only logged.
+ * @param {Connection} connection
+ * @param {LaunchSigner} signer
+ * @param {BuiltTransaction[]} builts - Steps in the order they must run
+ * @param {Object} [options]
+ * @param {string} [options.priorityLevel] - One of PRIORITY_LEVELS
+ * @param {PublicKey[]} [options.lookupAddresses] - Accounts of later steps to put in the table
+ * @param {boolean} [options.skipPreflight]
+ * @param {(parts: BuiltTransaction[], signature: string) => Promise<void>} [options.onConfirmed]
+ * @param {(address: PublicKey, signature: string) => Promise<void>} [options.onLookupTableCreated]
+ * @param {boolean} [options.keepLookupTable] - Leave the table active for steps sent after the batch
+ * @param {(address: PublicKey, signature: string) => Promise<void>} [options.onLookupTableDeactivated]
+ * @returns {Promise<{signatures: string[], lookupTable: AddressLookupTableAccount|null}>}
+ */
+export async function sendLaunchBatch(connection, signer, builts, {
+  priorityLevel = PRIORITY_LEVELS.MEDIUM,
+  lookupAddresses = [],
+  skipPreflight = false,
+  onConfirmed = async () => {},
+  onLookupTableCreated = async () => {},
+  keepLookupTable = false,
+  onLookupTableDeactivated = async () => {}
+} = {}) {
+  builts.forEach(({ transaction }) => {
+    transaction.feePayer = transaction.feePayer || signer.publicKey;
+  });
+
+  let lookupTable = null;
+  let packed = packTransactions(builts);
+  const addresses = packed.length > 1 ? getRecurringAddresses(builts, lookupAddresses) : [];
+  if (addresses.length > 0) {
+    const candidate = buildLookupTableTransaction({
+      payer: signer.publicKey,
+      recentSlot: await connection.getSlot('finalized'),
+      addresses
+    });
+    const packedWithTable = packTransactions(builts, { lookupTables: [candidate.account] });
+    if (packedWithTable.length + 1 < packed.length) {
+      lookupTable = { ...candidate, label: 'Create address lookup table' };
+      packed = packedWithTable;
+    }
+  }
+
+  const labelOf = (built) => built.label || built.parts.map((part) => part.label).filter(Boolean).join(' + ');
+  const signatures = [];
+  let lookupTables = [];
+
+  if (lookupTable) {
+    await applyPriorityFee(connection, lookupTable, { level: priorityLevel });
+    if (!skipPreflight) {
+      await assertTransactionWillSucceed(connection, lookupTable, { label: lookupTable.label });
+    }
+    const { blockhash } = await connection.getLatestBlockhash();
+    const signature = await submitVersionedTransaction(
+      connection,
+      signer,
+      compileVersionedTransaction(lookupTable, { blockhash })
+    );
+    await confirmLaunchTransaction(connection, signature);
+    signatures.push(signature);
+
+    // The rest are estimated, simulated and signed against the live table
+    lookupTables = [await waitForLookupTable(connection, lookupTable.account.key)];
+    await onLookupTableCreated(lookupTable.account.key, signature);
+  }
+
+  for (const built of packed) {
+    await applyPriorityFee(connection, built, {
+      level: priorityLevel,
+      lookupTables,
+      defaultComputeUnits: Math.min(MAX_COMPUTE_UNIT_LIMIT, DEFAULT_COMPUTE_UNIT_LIMIT * built.parts.length)
+    });
+  }
+
+  if (!skipPreflight) {
+    await assertTransactionWillSucceed(connection, packed[0], { label: labelOf(packed[0]), lookupTables });
+  }
+
+  let presigned = null;
+  let lastValidBlockHeight = 0;
+  if (signer.signAllTransactions) {
+    const latest = await connection.getLatestBlockhash();
+    lastValidBlockHeight = latest.lastValidBlockHeight;
+    presigned = await signer.signAllTransactions(
+      packed.map((built) => compileVersionedTransaction(built, { blockhash: latest.blockhash, lookupTables }))
+    );
+  }
+
+  for (let i = 0; i < packed.length; i++) {
+    const built = packed[i];
+    if (presigned && await connection.getBlockHeight() > lastValidBlockHeight - BLOCKHASH_EXPIRY_MARGIN) {
+      console.warn("Batch signatures are about to expire; signing the remaining transactions one at a time");
+      presigned = null;
+    }
+
+    let signature;
+    if (presigned) {
+      signature = await connection.sendRawTransaction(presigned[i].serialize());
+    } else {
+      const { blockhash } = await connection.getLatestBlockhash();
+      signature = await submitVersionedTransaction(
+        connection,
+        signer,
+        compileVersionedTransaction(built, { blockhash, lookupTables })
+      );
+    }
+    await confirmLaunchTransaction(connection, signature);
+    signatures.push(signature);
+    await onConfirmed(built.parts, signature);
+  }
+
+  if (lookupTable && !keepLookupTable) {
+    try {
+      const signature = await deactivateLookupTable(connection, signer, lookupTable.account.key, { priorityLevel });
+      await onLookupTableDeactivated(lookupTable.account.key, signature);
+    } catch (deactivateError) {
+      console.warn("Could not deactivate the batch lookup table:", deactivateError.message);
+    }
+  }
+
+  return { signatures, lookupTable: lookupTables[0] || null };
+}
+
+async function deactivateLookupTable(connection, signer, lookupTable, { priorityLevel }) {
+  const signature = await sendLaunchTransaction(
+    connection,
+    signer,
+    buildDeactivateLookupTableTransaction({ authority: signer.publicKey, lookupTable }),
+    { label: 'Deactivate address lookup table', priorityLevel }
+  );
+  await confirmLaunchTransaction(connection, signature);
+  return signature;
+}
+
+/**
+ * Moves each lookup table a launch created one step closer to returning its
+ * rent: active tables are deactivated and tables past their cooldown are
+ * closed, with the rent going back to the signer. Tables still cooling down
+ * or already closed are left alone, so this can be run again later.
+ * @param {Connection} connection
+ * @param {LaunchSigner} signer - The tables' authority, i.e. the launch creator
+ * @param {PublicKey[]} addresses
+ * @param {Object} [options]
+ * @param {string} [options.priorityLevel] - One of PRIORITY_LEVELS
+ * @param {(address: PublicKey, signature: string) => Promise<void>} [options.onDeactivated]
+ * @param {(address: PublicKey, signature: string) => Promise<void>} [options.onClosed]
+ * @returns {Promise<{deactivated: number, closed: number, coolingDown: number}>}
+ */
+export async function reclaimLookupTableRent(connection, signer, addresses, {
+  priorityLevel = PRIORITY_LEVELS.MEDIUM,
+  onDeactivated = async () => {},
+  onClosed = async () => {}
+} = {}) {
+  const summary = { deactivated: 0, closed: 0, coolingDown: 0 };
+  for (const lookupTable of addresses) {
+    const status = await getLookupTableStatus(connection, lookupTable);
+    if (status === LOOKUP_TABLE_STATUS.ACTIVE) {
+      await onDeactivated(lookupTable, await deactivateLookupTable(connection, signer, lookupTable, { priorityLevel }));
+      summary.deactivated++;
+    } else if (status === LOOKUP_TABLE_STATUS.CLOSABLE) {
+      const signature = await sendLaunchTransaction(
+        connection,
+        signer,
+        buildCloseLookupTableTransaction({ authority: signer.publicKey, lookupTable }),
+        { label: 'Close address lookup table', priorityLevel }
+      );
+      await confirmLaunchTransaction(connection, signature);
+      await onClosed(lookupTable, signature);
+      summary.closed++;
+    } else if (status === LOOKUP_TABLE_STATUS.COOLING_DOWN) {
+      summary.coolingDown++;
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,723 @@
+/**
+ * Runs a token launch step by step with the launch pipeline's builders and
+ * senders: the order the steps go in, which of them are batched, what is
+ * logged after each one lands and how a resumed launch skips what an earlier
+ * attempt finished.
+ *
+ * The caller supplies the wallet signer, a store for the launch log (the
+ * /api/launches client in the create form) and callbacks for anything that
+ * needs the user: status updates, preflight approval and the mint recovery
+ * decision. Unlike launchPipeline.js this module is only bundled for the
+ * browser, since SECURE_LP uses the memecoin_program client in lpLock.
+ */
+
+import { Keypair, LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+import { getAssociatedTokenAddress } from '@solana/spl-token';
+import { parseWholeTokens, toRawAmount } from './amounts.js';
+import {
+  LAUNCH_STATUS,
+  LAUNCH_STEPS,
+  LISTING_VENUES,
+  LP_HANDLING,
+  MINT_RECOVERY_DECISIONS,
+  getLaunchSteps,
+  getOpenLookupTables,
+  getStepDetail,
+  getStepLabel,
+  isStepComplete
+} from './launchState.js';
+import {
+  BASE_PLATFORM_FEE_LAMPORTS,
+  MAX_TOKENS_PER_MINT_TX,
+  MINT_CHUNKS_PER_BATCH,
+  TOKEN_DECIMALS,
+  buildMakeImmutableTransaction,
+  buildMetadataTransaction,
+  buildMintChunkTransaction,
+  buildPlatformFeeTransaction,
+  buildRevokeAuthoritiesTransaction,
+  buildSetupTransaction,
+  buildVerifyCreatorTransaction,
+  calculatePlatformFee,
+  confirmLaunchTransaction,
+  getTokenProgramId,
+  planMintChunks,
+  planResplit,
+  reclaimLookupTableRent,
+  sendLaunchBatch,
+  sendLaunchTransaction,
+  splitSupply,
+  usesInlineMetadata
+} from './launchPipeline.js';
+import { buildBurnLpTransaction, buildLockLpTransaction } from './lpLock';
+import { getMetadataAddress } from './metadataUtils.js';
+import { getPlatformFeeAddress, simulateLaunchTransaction } from './preflight.js';
+import { PRIORITY_LEVELS, applyPriorityFee } from './priorityFees.js';
+import { getRaydiumPoolAddresses } from './raydiumPool.js';
+import { getVenue } from './venues/index.js';
+
+// runLaunch results
+export const LAUNCH_OUTCOMES = {
+  COMPLETED: 'COMPLETED',
+  // The creator turned the launch down at the preflight review; nothing was sent
+  DECLINED: 'DECLINED',
+  // The creator stopped a failing bonding-curve mint; the launch can be resumed
+  PAUSED: 'PAUSED',
+};
+
+// Progress through the launch, for the form's progress bar
+export const LAUNCH_PROGRESS = {
+  CREATING: 3,
+  CONFIGURING: 4,
+  MINTING: 5,
+  LISTING: 6,
+  FINALIZING: 7,
+  DONE: 8,
+};
+
+/**
+ * Thrown when minting the bonding-curve supply, listing it or securing the LP
+ * tokens fails. The steps confirmed before the failure stay logged.
+ */
+export class ListingError extends Error {
+  /**
+   * @param {string} message
+   * @param {boolean} cancelled - The creator rejected a transaction in their wallet
+   */
+  constructor(message, cancelled) {
+    super(message);
+    this.name = 'ListingError';
+    this.cancelled = cancelled;
+  }
+}
+
+/**
+ * @typedef {Object} LaunchStore
+ * Persists the launch log. Each method resolves with `{ data, error }`, like
+ * the /api client functions of the same name.
+ * @property {(mintAddress: string, params: Object) => Promise<{data?: Object, error?: string}>} createLaunch
+ * @property {(mintAddress: string, stepData: Object) => Promise<{data?: Object, error?: string}>} recordLaunchStep
+ * @property {(tokenData: Object) => Promise<{data?: Object, error?: string}>} createToken
+ * @property {(mintAddress: string, status: string) => Promise<{data?: Object, error?: string}>} updateLaunchStatus
+ */
+
+/**
+ * @typedef {Object} LaunchResult
+ * @property {string} outcome - One of LAUNCH_OUTCOMES
+ * @property {Object|null} launch - The launch with its step log
+ * @property {PublicKey} [mint]
+ * @property {bigint} [creatorRetention]
+ * @property {bigint} [bondingCurveSupply] - After any resplit
+ * @property {bigint} [tokensMinted] - Bonding-curve tokens minted, when PAUSED
+ * @property {bigint} [totalSupply] - What was minted, which a resplit leaves below params.supply
+ * @property {number} [decimals]
+ * @property {import('./venues/index.js').ListingVenue} [venue]
+ */
+
+function isCancellation(error) {
+  return !!error.message && (
+    error.message.includes("rejected") ||
+    error.message.includes("User rejected") ||
+    error.message.includes("cancelled") ||
+    error.message.includes("canceled")
+  );
+}
+
+/**
+ * Runs a new launch, or resumes one from the first step its log does not
+ * have. A new launch is simulated and offered for approval before anything
+ * is sent, then saved so an interruption can be resumed.
+ * @param {Connection} connection
+ * @param {LaunchSigner} signer - Creator's wallet; pays for and signs every step
+ * @param {Object} options
+ * @param {Object} options.params - Launch params, with the uploaded imageUri and metadataUri
+ * @param {Object|null} [options.launch] - Persisted launch to resume
+ * @param {LaunchStore} options.store
+ * @param {boolean} [options.createLiquidityPool]
+ * @param {string} [options.priorityLevel] - One of PRIORITY_LEVELS
+ * @param {(message: string, progress?: number) => void} [options.onStatus] - progress is one of LAUNCH_PROGRESS
+ * @param {(report: Object) => Promise<boolean>} [options.requestPreflightApproval]
+ * @param {(details: Object) => Promise<{decision: string, retentionPercentage?: number}>} options.requestMintRecovery
+ * @returns {Promise<LaunchResult>}
+ */
+export async function runLaunch(connection, signer, {
+  params: launchParams,
+  launch: resumeLaunch = null,
+  store,
+  createLiquidityPool = true,
+  priorityLevel = PRIORITY_LEVELS.MEDIUM,
+  onStatus = () => {},
+  requestPreflightApproval = async () => true,
+  requestMintRecovery
+}) {
+  const userPublicKey = signer.publicKey;
+  const { retentionPercentage, liquidityAmount, advancedOptions } = launchParams;
+  const { imageUri, metadataUri } = launchParams;
+  // Launches saved before Token-2022 support have no tokenProgram
+  const tokenProgramId = getTokenProgramId(launchParams.tokenProgram);
+  const inlineMetadata = usesInlineMetadata(tokenProgramId);
+  // Launches saved before decimals were configurable all used the default
+  const decimals = launchParams.decimals ?? TOKEN_DECIMALS;
+  // Launches saved before venues existed listed on Raydium
+  const venue = getVenue(launchParams.venue);
+
+  console.log("Step 1: Creating token with metadata using standard SPL Token program...");
+  onStatus("Creating token and setting up metadata...", LAUNCH_PROGRESS.CREATING);
+
+  // Only a fresh launch has the mint keypair; a resumed one works from the
+  // persisted mint address, which is all any step after CREATE_MINT needs
+  let mintKeypair = null;
+  let mintPublicKey;
+  let setupTx = null;
+  let launch = resumeLaunch;
+
+  // Calculate how many tokens to keep for the creator and how many for the bonding curve
+  const supplySplit = splitSupply(launchParams.supply, retentionPercentage);
+  const creatorRetention = supplySplit.creatorRetention;
+
+  if (resumeLaunch) {
+    mintPublicKey = new PublicKey(resumeLaunch.mintAddress);
+    console.log("Resuming launch for mint:", mintPublicKey.toString());
+  } else {
+    mintKeypair = Keypair.generate();
+    mintPublicKey = mintKeypair.publicKey;
+    console.log("Generated mint keypair with public key:", mintPublicKey.toString());
+
+    // Following pump.fun's approach: Create a token with the standard Token Program first
+    setupTx = await buildSetupTransaction(connection, {
+      payer: userPublicKey,
+      mintKeypair,
+      creatorAmount: toRawAmount(creatorRetention, decimals), // Only mint creator's share
+      decimals,
+      tokenProgramId,
+      metadata: { name: launchParams.name, symbol: launchParams.symbol, uri: metadataUri },
+      transferFee: launchParams.transferFee && {
+        basisPoints: launchParams.transferFee.basisPoints,
+        maxFee: toRawAmount(launchParams.transferFee.maxFee, decimals),
+        withdrawWithheldAuthority: launchParams.transferFee.withdrawAuthority
+          ? new PublicKey(launchParams.transferFee.withdrawAuthority)
+          : userPublicKey
+      }
+    });
+
+    // Steps that do not depend on an earlier one landing are simulated now,
+    // so the user sees what they will sign before the first wallet prompt
+    onStatus("Simulating launch transactions...");
+    const platformFeeAddress = getPlatformFeeAddress();
+    // Priced as they will be sent, so the reported network fee includes the priority fee
+    await applyPriorityFee(connection, setupTx, { level: priorityLevel });
+    const preflightReports = [
+      await simulateLaunchTransaction(connection, setupTx, {
+        label: getStepLabel(LAUNCH_STEPS.CREATE_MINT),
+        platformFeeAddress
+      })
+    ];
+    if (platformFeeAddress) {
+      const platformFeeTx = buildPlatformFeeTransaction({
+        payer: userPublicKey,
+        feeAddress: platformFeeAddress,
+        lamports: calculatePlatformFee(liquidityAmount)
+      });
+      await applyPriorityFee(connection, platformFeeTx, { level: priorityLevel });
+      preflightReports.push(await simulateLaunchTransaction(connection, platformFeeTx, {
+        label: getStepLabel(LAUNCH_STEPS.COLLECT_FEE),
+        platformFeeAddress
+      }));
+    }
+    const simulatedSteps = [LAUNCH_STEPS.CREATE_MINT, LAUNCH_STEPS.COLLECT_FEE];
+    // What listing takes from the wallet; the chosen liquidity if the venue cannot be priced
+    let listingLamports = Math.round(liquidityAmount * LAMPORTS_PER_SOL);
+    if (createLiquidityPool) {
+      try {
+        const listingCost = await venue.quoteCost(connection, {
+          solAmount: listingLamports,
+          supply: toRawAmount(launchParams.supply, decimals),
+          decimals,
+          marketSize: launchParams.marketSize
+        });
+        listingLamports = listingCost.total;
+      } catch (quoteError) {
+        console.warn(`Could not price the ${venue.name} listing:`, quoteError.message);
+      }
+    }
+    const approved = await requestPreflightApproval({
+      reports: preflightReports,
+      laterSteps: getLaunchSteps({ params: launchParams })
+        .filter((step) => !simulatedSteps.includes(step))
+        .filter((step) => createLiquidityPool || ![LAUNCH_STEPS.MINT_BONDING_CURVE, LAUNCH_STEPS.CREATE_POOL, LAUNCH_STEPS.SECURE_LP].includes(step))
+        .map(getStepLabel),
+      extraLamports: createLiquidityPool ? listingLamports : 0,
+      balance: preflightReports[0].payerBalance
+    });
+    if (!approved) {
+      return { outcome: LAUNCH_OUTCOMES.DECLINED, launch: null };
+    }
+
+    // Persist the launch before anything is sent so an interruption can be resumed
+    const created = await store.createLaunch(mintPublicKey.toString(), launchParams);
+    if (created.error) {
+      throw new Error(`Could not save launch progress: ${created.error}`);
+    }
+    launch = created.data;
+  }
+
+  // Logging is best-effort: if the write fails the step is simply retried on resume
+  const recordStep = async (step, txSignature, extra = {}) => {
+    try {
+      const response = await store.recordLaunchStep(mintPublicKey.toString(), { step, txSignature, ...extra });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      launch = response.data;
+    } catch (recordError) {
+      console.warn(`Could not record launch step ${step}:`, recordError.message);
+    }
+  };
+  const recordLookupTableStep = (step) => (address, signature) => recordStep(step, signature, {
+    detail: { address: address.toString() },
+  });
+
+  // Create associated token account for the user
+  const associatedTokenAddress = await getAssociatedTokenAddress(
+    mintPublicKey,
+    userPublicKey,
+    false,
+    tokenProgramId
+  );
+
+  // A fallback mint in an earlier attempt may have shrunk the bonding-curve share
+  let bondingCurveSupply = launch?.progress?.bondingCurveSupply !== undefined
+    ? parseWholeTokens(launch.progress.bondingCurveSupply)
+    : supplySplit.bondingCurveSupply;
+
+  console.log(`Creator retention: ${creatorRetention} tokens (${retentionPercentage}%)`);
+  console.log(`Bonding curve supply: ${bondingCurveSupply} tokens (${100 - retentionPercentage}%)`);
+
+  // Every step up to the bonding-curve mint goes out as one batch of v0
+  // transactions, packed as tightly as they fit
+  const batchSteps = [];
+  const addBatchStep = (step, built, detail) => {
+    batchSteps.push({ ...built, label: getStepLabel(step), step, detail });
+  };
+
+  if (!isStepComplete(launch, LAUNCH_STEPS.CREATE_MINT)) {
+    if (!mintKeypair) {
+      // The setup transaction may have landed without its step being logged
+      const existingMint = await connection.getAccountInfo(mintPublicKey);
+      if (!existingMint) {
+        throw new Error("This launch never created its mint and the mint key is no longer available. Discard it and start a new launch.");
+      }
+      await recordStep(LAUNCH_STEPS.CREATE_MINT);
+    } else {
+      addBatchStep(LAUNCH_STEPS.CREATE_MINT, setupTx, { creatorRetention: creatorRetention.toString() });
+    }
+  }
+  // Later builders cannot read a mint that this batch has yet to create
+  const mintPending = batchSteps.length > 0;
+
+  // Token-2022 mints got their metadata in the setup transaction
+  if (inlineMetadata) {
+    console.log("Metadata stored in the Token-2022 mint - skipping Metaplex metadata");
+  }
+
+  if (!inlineMetadata && !isStepComplete(launch, LAUNCH_STEPS.CREATE_METADATA)) {
+    // The creator is verified by the next step
+    const metadataTx = await buildMetadataTransaction({
+      payer: userPublicKey,
+      mint: mintPublicKey,
+      name: launchParams.name,
+      symbol: launchParams.symbol,
+      uri: metadataUri
+    });
+    console.log("Metadata PDA:", metadataTx.metadataAddress.toString());
+    addBatchStep(LAUNCH_STEPS.CREATE_METADATA, metadataTx, { metadataAddress: metadataTx.metadataAddress.toString() });
+  }
+
+  if (!inlineMetadata && !isStepComplete(launch, LAUNCH_STEPS.VERIFY_CREATOR)) {
+    addBatchStep(LAUNCH_STEPS.VERIFY_CREATOR, await buildVerifyCreatorTransaction({
+      payer: userPublicKey,
+      mint: mintPublicKey
+    }));
+  }
+
+  if (advancedOptions.revokeMintAuthority || advancedOptions.revokeFreezeAuthority || advancedOptions.makeImmutable) {
+    if (!isStepComplete(launch, LAUNCH_STEPS.REVOKE_AUTHORITIES)) {
+      // Only authorities that are still set get a revoke instruction
+      const revokeAuthoritiesTx = await buildRevokeAuthoritiesTransaction(connection, {
+        payer: userPublicKey,
+        mint: mintPublicKey,
+        revokeMintAuthority: advancedOptions.revokeMintAuthority,
+        revokeFreezeAuthority: advancedOptions.revokeFreezeAuthority,
+        tokenProgramId,
+        mintPending
+      });
+      if (revokeAuthoritiesTx) {
+        addBatchStep(LAUNCH_STEPS.REVOKE_AUTHORITIES, revokeAuthoritiesTx);
+      } else {
+        console.log("No authorities need to be revoked - skipping revocation");
+        await recordStep(LAUNCH_STEPS.REVOKE_AUTHORITIES);
+      }
+    }
+
+    if (advancedOptions.makeImmutable && !isStepComplete(launch, LAUNCH_STEPS.MAKE_IMMUTABLE)) {
+      addBatchStep(
+        LAUNCH_STEPS.MAKE_IMMUTABLE,
+        buildMakeImmutableTransaction({ payer: userPublicKey, mint: mintPublicKey, tokenProgramId })
+      );
+    }
+  }
+
+  if (!isStepComplete(launch, LAUNCH_STEPS.COLLECT_FEE)) {
+    const platformFeeAddress = getPlatformFeeAddress();
+    if (platformFeeAddress) {
+      // Base platform fee + 10% of the liquidity amount
+      const totalPlatformFee = calculatePlatformFee(liquidityAmount);
+      console.log(`Platform fee: ${BASE_PLATFORM_FEE_LAMPORTS / LAMPORTS_PER_SOL} SOL base + ${(totalPlatformFee - BASE_PLATFORM_FEE_LAMPORTS) / LAMPORTS_PER_SOL} SOL from liquidity`);
+      addBatchStep(LAUNCH_STEPS.COLLECT_FEE, buildPlatformFeeTransaction({
+        payer: userPublicKey,
+        feeAddress: platformFeeAddress,
+        lamports: totalPlatformFee
+      }), { lamports: totalPlatformFee });
+    } else {
+      console.warn("NEXT_PUBLIC_PLATFORM_FEE_ADDRESS is not set - skipping the platform fee");
+    }
+  }
+
+  // The pool state is generated now so its vaults can go in the lookup table
+  const poolStateKeypair = createLiquidityPool && venue.id === LISTING_VENUES.RAYDIUM && !isStepComplete(launch, LAUNCH_STEPS.CREATE_POOL)
+    ? Keypair.generate()
+    : null;
+  let launchLookupTable = null;
+
+  if (batchSteps.length > 0) {
+    onStatus(`Approve ${batchSteps.map((batchStep) => batchStep.label.toLowerCase()).join(', ')} in your wallet...`, LAUNCH_PROGRESS.CONFIGURING);
+
+    const lookupAddresses = [mintPublicKey, associatedTokenAddress];
+    if (!inlineMetadata) {
+      lookupAddresses.push(getMetadataAddress(mintPublicKey));
+    }
+    if (poolStateKeypair) {
+      const { baseVault, quoteVault } = await getRaydiumPoolAddresses({
+        poolState: poolStateKeypair.publicKey,
+        mintPublicKey,
+        tokenProgramId
+      });
+      lookupAddresses.push(baseVault, quoteVault);
+    }
+
+    const { lookupTable } = await sendLaunchBatch(connection, signer, batchSteps, {
+      priorityLevel,
+      lookupAddresses,
+      // The Raydium listing is compiled against the table, so it is deactivated after that
+      keepLookupTable: !!poolStateKeypair,
+      onLookupTableCreated: recordLookupTableStep(LAUNCH_STEPS.CREATE_LOOKUP_TABLE),
+      onLookupTableDeactivated: recordLookupTableStep(LAUNCH_STEPS.DEACTIVATE_LOOKUP_TABLE),
+      onConfirmed: async (parts, signature) => {
+        console.log(`Confirmed ${parts.map((part) => part.label).join(' + ')}:`, signature);
+        for (const part of parts) {
+          await recordStep(part.step, signature, part.detail && { detail: part.detail });
+        }
+      }
+    });
+    launchLookupTable = lookupTable;
+    onStatus("Token created and configured.");
+  }
+
+  // Now mint bonding curve tokens and list them on the chosen venue
+  if (createLiquidityPool) {
+    console.log(`Minting bonding curve supply (${bondingCurveSupply} tokens) for the market...`);
+    onStatus(`Minting ${bondingCurveSupply.toLocaleString()} tokens for liquidity pool...`, LAUNCH_PROGRESS.MINTING);
+
+    try {
+      if (!isStepComplete(launch, LAUNCH_STEPS.MINT_BONDING_CURVE)) {
+        // Chunks confirmed during an earlier attempt are not minted again
+        let tokensMinted = parseWholeTokens(launch?.progress?.tokensMinted ?? 0);
+        const percentMinted = () => Number((tokensMinted * BigInt(100)) / bondingCurveSupply);
+
+        // Keep minting in chunks until we've minted all bonding curve tokens
+        while (tokensMinted < bondingCurveSupply) {
+          // Chunks are packed several to a transaction and approved together
+          const chunks = planMintChunks(bondingCurveSupply, tokensMinted).slice(0, MINT_CHUNKS_PER_BATCH);
+
+          console.log(`Minting ${chunks.length} chunks (${tokensMinted.toLocaleString()} of ${bondingCurveSupply.toLocaleString()} minted)`);
+          onStatus(`Minting tokens for pool: ${percentMinted()}% complete...`);
+
+          try {
+            await sendLaunchBatch(connection, signer, chunks.map((tokens) => ({
+              ...buildMintChunkTransaction({
+                payer: userPublicKey,
+                mint: mintPublicKey,
+                destination: associatedTokenAddress,
+                tokens,
+                decimals,
+                tokenProgramId
+              }),
+              label: getStepLabel(LAUNCH_STEPS.MINT_CHUNK),
+              tokens
+            })), {
+              priorityLevel,
+              // Only update progress once a transaction of chunks is confirmed
+              onConfirmed: async (parts, signature) => {
+                tokensMinted += parts.reduce((sum, part) => sum + part.tokens, BigInt(0));
+                await recordStep(LAUNCH_STEPS.MINT_CHUNK, signature, {
+                  progress: { tokensMinted: tokensMinted.toString(), bondingCurveSupply: bondingCurveSupply.toString() },
+                });
+                onStatus(`Minting tokens for pool: ${percentMinted()}% complete...`);
+              }
+            });
+          } catch (chunkError) {
+            console.error(`Error minting chunk: ${chunkError.message}`);
+
+            if (isCancellation(chunkError)) {
+              throw new Error("Token minting was canceled by user. Please try again and approve all transactions.");
+            }
+
+            // Larger supplies let the creator decide how to go on; the split never changes without their say
+            if (bondingCurveSupply > BigInt(MAX_TOKENS_PER_MINT_TX)) {
+              const { decision, retentionPercentage: newRetentionPercentage } = await requestMintRecovery({
+                supply: parseWholeTokens(launchParams.supply),
+                creatorRetention,
+                bondingCurveSupply,
+                tokensMinted,
+                retentionPercentage,
+                symbol: launchParams.symbol,
+                error: chunkError.message
+              });
+              const decisionDetail = {
+                decision,
+                error: chunkError.message,
+                tokensMinted: tokensMinted.toString(),
+                bondingCurveSupply: bondingCurveSupply.toString(),
+              };
+
+              if (decision === MINT_RECOVERY_DECISIONS.RETRY) {
+                await recordStep(LAUNCH_STEPS.MINT_RECOVERY, undefined, { detail: decisionDetail });
+                continue;
+              }
+
+              if (decision === MINT_RECOVERY_DECISIONS.CANCEL) {
+                await recordStep(LAUNCH_STEPS.MINT_RECOVERY, undefined, { detail: decisionDetail });
+                return {
+                  outcome: LAUNCH_OUTCOMES.PAUSED,
+                  launch,
+                  mint: mintPublicKey,
+                  creatorRetention,
+                  bondingCurveSupply,
+                  tokensMinted,
+                  decimals,
+                  venue
+                };
+              }
+
+              const resplit = planResplit({
+                supply: launchParams.supply,
+                creatorRetention,
+                tokensMinted,
+                retentionPercentage: newRetentionPercentage
+              });
+              console.log(`Accepted ${newRetentionPercentage}% retention - bonding curve: ${resplit.bondingCurveSupply}, never minted: ${resplit.unminted}`);
+              await recordStep(LAUNCH_STEPS.MINT_RECOVERY, undefined, {
+                detail: {
+                  ...decisionDetail,
+                  retentionPercentage: newRetentionPercentage,
+                  newBondingCurveSupply: resplit.bondingCurveSupply.toString(),
+                  unminted: resplit.unminted.toString(),
+                },
+                progress: { bondingCurveSupply: resplit.bondingCurveSupply.toString() },
+              });
+              bondingCurveSupply = resplit.bondingCurveSupply;
+
+              // The rest of the smaller curve supply goes out in one transaction at high priority
+              if (resplit.remaining > BigInt(0)) {
+                const singleMintSig = await sendLaunchTransaction(connection, signer, buildMintChunkTransaction({
+                  payer: userPublicKey,
+                  mint: mintPublicKey,
+                  destination: associatedTokenAddress,
+                  tokens: resplit.remaining,
+                  decimals,
+                  tokenProgramId
+                }), { label: getStepLabel(LAUNCH_STEPS.MINT_BONDING_CURVE), priorityLevel: PRIORITY_LEVELS.HIGH });
+                await confirmLaunchTransaction(connection, singleMintSig);
+
+                tokensMinted = bondingCurveSupply;
+                await recordStep(LAUNCH_STEPS.MINT_CHUNK, singleMintSig, {
+                  progress: { tokensMinted: tokensMinted.toString(), bondingCurveSupply: bondingCurveSupply.toString() },
+                });
+              }
+              break;
+            } else {
+              // For small supply, we can just retry with higher fees
+              console.log("Retrying with higher fees...");
+              continue;
+            }
+          }
+        }
+        await recordStep(LAUNCH_STEPS.MINT_BONDING_CURVE, undefined, {
+          detail: { bondingCurveSupply: bondingCurveSupply.toString() },
+        });
+      }
+
+      // Verify the final token balance after minting all chunks
+      console.log("Verifying final token balance...");
+
+      try {
+        const finalBalance = await connection.getTokenAccountBalance(associatedTokenAddress);
+        console.log(`Final token balance: ${finalBalance.value.uiAmountString}`);
+        const finalRawBalance = BigInt(finalBalance.value.amount);
+        const expectedRawTotal = toRawAmount(creatorRetention + bondingCurveSupply, decimals);
+
+        if (finalRawBalance * BigInt(100) < expectedRawTotal * BigInt(99)) { // Allow 1% tolerance
+          console.warn(`WARNING: Final token balance (${finalBalance.value.uiAmountString}) is less than expected (${(creatorRetention + bondingCurveSupply).toLocaleString()})`);
+          // Continue anyway since we got most of the tokens
+        } else {
+          console.log(`Successfully minted all ${bondingCurveSupply.toLocaleString()} tokens for the bonding curve!`);
+        }
+      } catch (balanceError) {
+        console.warn("Error checking final token balance:", balanceError.message);
+        // Continue anyway - we'll assume minting was successful
+      }
+
+      if (!isStepComplete(launch, LAUNCH_STEPS.CREATE_POOL)) {
+        console.log(`Listing on ${venue.name}...`);
+        onStatus(`Listing on ${venue.name} with ${liquidityAmount} SOL...`, LAUNCH_PROGRESS.LISTING);
+
+        // Accounts a listing interrupted part-way already created are left out of these
+        const listing = await venue.buildListingTransactions(connection, {
+          payer: userPublicKey,
+          mint: mintPublicKey,
+          tokenAmount: toRawAmount(bondingCurveSupply, decimals),
+          solAmount: Math.round(liquidityAmount * LAMPORTS_PER_SOL),
+          // What is on chain, which a resplit leaves below params.supply
+          supply: toRawAmount(creatorRetention + bondingCurveSupply, decimals),
+          decimals,
+          tokenProgramId,
+          marketSize: launchParams.marketSize,
+          poolStateKeypair: poolStateKeypair || undefined,
+          lookupTables: launchLookupTable ? [launchLookupTable] : []
+        });
+        // Each transaction is logged as it lands, so a resume shows how far the listing got
+        for (const built of listing.transactions) {
+          onStatus(`Approve "${built.label}" in your wallet...`);
+          const listingSig = await sendLaunchTransaction(connection, signer, built, {
+            label: built.label,
+            priorityLevel,
+            lookupTables: listing.lookupTables,
+            defaultComputeUnits: built.defaultComputeUnits
+          });
+          await confirmLaunchTransaction(connection, listingSig);
+          await recordStep(LAUNCH_STEPS.LISTING_TRANSACTION, listingSig, {
+            detail: { venue: venue.id, label: built.label, address: listing.address },
+          });
+        }
+
+        console.log(`Listed on ${venue.name}:`, listing.address);
+        onStatus(`Listed on ${venue.name}! Finalizing token creation...`, LAUNCH_PROGRESS.FINALIZING);
+        await recordStep(LAUNCH_STEPS.CREATE_POOL, undefined, {
+          detail: { venue: venue.id, poolId: listing.address },
+        });
+      }
+
+      if (getLaunchSteps({ params: launchParams }).includes(LAUNCH_STEPS.SECURE_LP) && !isStepComplete(launch, LAUNCH_STEPS.SECURE_LP)) {
+        const locking = launchParams.lpHandling === LP_HANDLING.LOCK;
+        onStatus(locking ? "Locking your LP tokens..." : "Burning your LP tokens...");
+
+        const poolDetail = getStepDetail(launch, LAUNCH_STEPS.CREATE_POOL);
+        const { lpMint } = await getRaydiumPoolAddresses({
+          poolState: new PublicKey(poolDetail.poolId),
+          mintPublicKey,
+          tokenProgramId
+        });
+        // Everything the pool minted to the creator, which is all of its LP bar CP-Swap's reserve
+        const lpAccount = await getAssociatedTokenAddress(lpMint, userPublicKey);
+        const lpAmount = BigInt((await connection.getTokenAccountBalance(lpAccount)).value.amount);
+
+        const secureLpTx = locking
+          ? await buildLockLpTransaction(connection, {
+            owner: userPublicKey,
+            lpMint,
+            amount: lpAmount,
+            unlockAt: launchParams.lpUnlockAt
+          })
+          : buildBurnLpTransaction({ owner: userPublicKey, lpMint, amount: lpAmount });
+        const secureLpSig = await sendLaunchTransaction(connection, signer, secureLpTx, {
+          label: getStepLabel(LAUNCH_STEPS.SECURE_LP),
+          priorityLevel
+        });
+        await confirmLaunchTransaction(connection, secureLpSig);
+        await recordStep(LAUNCH_STEPS.SECURE_LP, secureLpSig, {
+          detail: {
+            lpHandling: launchParams.lpHandling,
+            lpMint: lpMint.toString(),
+            lpAmount: lpAmount.toString(),
+            ...(locking && { unlockAt: launchParams.lpUnlockAt })
+          },
+        });
+      }
+    } catch (poolError) {
+      console.error("Error in pool creation process:", poolError);
+      throw new ListingError(poolError.message, isCancellation(poolError));
+    }
+  } else {
+    console.log("Skipping liquidity pool creation as per user preference");
+  }
+
+  // A resplit leaves the tokens it dropped from the curve unminted, so the
+  // token record uses the minted split rather than params.supply
+  const totalSupply = creatorRetention + bondingCurveSupply;
+
+  // Tables still active, i.e. kept for the listing or left by an interrupted
+  // attempt, are deactivated so their rent can be reclaimed later
+  const activeLookupTables = getOpenLookupTables(launch).filter(({ deactivated }) => !deactivated);
+  if (activeLookupTables.length > 0) {
+    try {
+      onStatus("Approve deactivating the launch's lookup table in your wallet...");
+      await reclaimLookupTableRent(connection, signer, activeLookupTables.map(({ address }) => new PublicKey(address)), {
+        priorityLevel,
+        onDeactivated: recordLookupTableStep(LAUNCH_STEPS.DEACTIVATE_LOOKUP_TABLE),
+        onClosed: recordLookupTableStep(LAUNCH_STEPS.CLOSE_LOOKUP_TABLE)
+      });
+    } catch (lookupTableError) {
+      console.warn("Non-critical error deactivating the lookup table:", lookupTableError.message);
+    }
+  }
+
+  // The token record is what the token page reads, e.g. the OpenBook market it shows
+  const listedPool = getStepDetail(launch, LAUNCH_STEPS.CREATE_POOL);
+  try {
+    const saved = await store.createToken({
+      mintAddress: mintPublicKey.toString(),
+      name: launchParams.name,
+      symbol: launchParams.symbol,
+      description: launchParams.description || '',
+      imageUrl: imageUri,
+      totalSupply,
+      decimals,
+      metadataUri,
+      creatorWallet: userPublicKey.toString(),
+      ...(listedPool?.venue === LISTING_VENUES.OPENBOOK && { openBookMarket: listedPool.poolId })
+    });
+    if (saved.error) {
+      throw new Error(saved.error);
+    }
+  } catch (tokenRecordError) {
+    console.error("Non-critical error saving the token record:", tokenRecordError.message);
+  }
+
+  // Close the launch so it is no longer offered for resume
+  const completed = await store.updateLaunchStatus(mintPublicKey.toString(), LAUNCH_STATUS.COMPLETED);
+  if (completed.error) {
+    console.warn("Could not mark launch as completed:", completed.error);
+  }
+
+  console.log("Final Mint Address:", mintPublicKey.toString());
+  return {
+    outcome: LAUNCH_OUTCOMES.COMPLETED,
+    launch: completed.data || launch,
+    mint: mintPublicKey,
+    creatorRetention,
+    bondingCurveSupply,
+    totalSupply,
+    decimals,
+    venue
+  };
+}
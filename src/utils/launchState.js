@@ -0,0 +1,190 @@
+/**
+ * Launch state machine shared by the create form and /api/launches.
+ *
+ * A launch moves through LAUNCH_STEP_ORDER; each step is written to the
+ * launch step log once its transaction is confirmed, so an interrupted
+ * launch can pick up at the first step that has no log entry.
+ */
+
+export const LAUNCH_STEPS = {
+  CREATE_MINT: 'CREATE_MINT',
+  CREATE_METADATA: 'CREATE_METADATA',
+  VERIFY_CREATOR: 'VERIFY_CREATOR',
+  REVOKE_AUTHORITIES: 'REVOKE_AUTHORITIES',
+  MAKE_IMMUTABLE: 'MAKE_IMMUTABLE',
+  COLLECT_FEE: 'COLLECT_FEE',
+  // Logged once per confirmed bonding-curve mint chunk; progress.tokensMinted tracks the total
+  MINT_CHUNK: 'MINT_CHUNK',
+  MINT_BONDING_CURVE: 'MINT_BONDING_CURVE',
+  CREATE_POOL: 'CREATE_POOL',
+  // Burns or locks the creator's LP tokens; only run when params.lpHandling asks for it
+  SECURE_LP: 'SECURE_LP',
+  // Logged when a batch of steps creates an address lookup table; detail.address is the table
+  CREATE_LOOKUP_TABLE: 'CREATE_LOOKUP_TABLE',
+  // Logged when that table is deactivated, and when it is closed and its rent
+  // returned to the creator; detail.address is the table
+  DEACTIVATE_LOOKUP_TABLE: 'DEACTIVATE_LOOKUP_TABLE',
+  CLOSE_LOOKUP_TABLE: 'CLOSE_LOOKUP_TABLE',
+  // Logged when the creator decides how to recover from a failed bonding-curve mint
+  MINT_RECOVERY: 'MINT_RECOVERY',
+  // Logged once per confirmed transaction of a CREATE_POOL listing; detail names the venue and transaction
+  LISTING_TRANSACTION: 'LISTING_TRANSACTION',
+};
+
+export const LAUNCH_STEP_ORDER = [
+  LAUNCH_STEPS.CREATE_MINT,
+  LAUNCH_STEPS.CREATE_METADATA,
+  LAUNCH_STEPS.VERIFY_CREATOR,
+  LAUNCH_STEPS.REVOKE_AUTHORITIES,
+  LAUNCH_STEPS.MAKE_IMMUTABLE,
+  LAUNCH_STEPS.COLLECT_FEE,
+  LAUNCH_STEPS.MINT_BONDING_CURVE,
+  LAUNCH_STEPS.CREATE_POOL,
+  LAUNCH_STEPS.SECURE_LP,
+];
+
+// Steps that are logged but do not advance lastStep
+export const PROGRESS_STEPS = [
+  LAUNCH_STEPS.MINT_CHUNK,
+  LAUNCH_STEPS.CREATE_LOOKUP_TABLE,
+  LAUNCH_STEPS.DEACTIVATE_LOOKUP_TABLE,
+  LAUNCH_STEPS.CLOSE_LOOKUP_TABLE,
+  LAUNCH_STEPS.MINT_RECOVERY,
+  LAUNCH_STEPS.LISTING_TRANSACTION,
+];
+
+// Rent reclaim steps, which can still be logged after the launch is closed:
+// a table can only be closed a few minutes after it is deactivated
+export const CLEANUP_STEPS = [
+  LAUNCH_STEPS.DEACTIVATE_LOOKUP_TABLE,
+  LAUNCH_STEPS.CLOSE_LOOKUP_TABLE,
+];
+
+// Steps logged without a transaction of their own: they close out progress
+// already logged under other steps, or record a decision
+export const STEPS_WITHOUT_TRANSACTION = [
+  LAUNCH_STEPS.MINT_BONDING_CURVE,
+  LAUNCH_STEPS.CREATE_POOL,
+  LAUNCH_STEPS.MINT_RECOVERY,
+];
+
+// MINT_RECOVERY detail.decision values
+export const MINT_RECOVERY_DECISIONS = {
+  RETRY: 'RETRY',
+  CANCEL: 'CANCEL',
+  RESPLIT: 'RESPLIT',
+};
+
+// params.lpHandling values: what happens to the LP tokens the pool mints to the creator
+export const LP_HANDLING = {
+  BURN: 'BURN',
+  // Held by memecoin_program until params.lpUnlockAt (unix seconds)
+  LOCK: 'LOCK',
+  KEEP: 'KEEP',
+};
+
+// params.venue values: where CREATE_POOL lists the token (see utils/venues)
+export const LISTING_VENUES = {
+  RAYDIUM: 'RAYDIUM',
+  OPENBOOK: 'OPENBOOK',
+  ORCA: 'ORCA',
+};
+
+// Token-2022 launches write their metadata in CREATE_MINT, so these never run
+const METAPLEX_METADATA_STEPS = [LAUNCH_STEPS.CREATE_METADATA, LAUNCH_STEPS.VERIFY_CREATOR];
+
+export const LAUNCH_STATUS = {
+  IN_PROGRESS: 'IN_PROGRESS',
+  COMPLETED: 'COMPLETED',
+  ABANDONED: 'ABANDONED',
+};
+
+const STEP_LABELS = {
+  [LAUNCH_STEPS.CREATE_MINT]: 'Create token mint',
+  [LAUNCH_STEPS.CREATE_METADATA]: 'Create metadata',
+  [LAUNCH_STEPS.VERIFY_CREATOR]: 'Verify creator',
+  [LAUNCH_STEPS.REVOKE_AUTHORITIES]: 'Revoke authorities',
+  [LAUNCH_STEPS.MAKE_IMMUTABLE]: 'Make metadata immutable',
+  [LAUNCH_STEPS.COLLECT_FEE]: 'Platform fee',
+  [LAUNCH_STEPS.MINT_CHUNK]: 'Mint bonding-curve chunk',
+  [LAUNCH_STEPS.MINT_BONDING_CURVE]: 'Mint bonding-curve supply',
+  [LAUNCH_STEPS.CREATE_POOL]: 'Create liquidity pool',
+  [LAUNCH_STEPS.SECURE_LP]: 'Burn or lock LP tokens',
+  [LAUNCH_STEPS.CREATE_LOOKUP_TABLE]: 'Create address lookup table',
+  [LAUNCH_STEPS.DEACTIVATE_LOOKUP_TABLE]: 'Deactivate address lookup table',
+  [LAUNCH_STEPS.CLOSE_LOOKUP_TABLE]: 'Close address lookup table',
+  [LAUNCH_STEPS.MINT_RECOVERY]: 'Mint recovery decision',
+  [LAUNCH_STEPS.LISTING_TRANSACTION]: 'Listing transaction',
+};
+
+export function getStepLabel(step) {
+  return STEP_LABELS[step] || step;
+}
+
+/**
+ * Whether `step` has a confirmed entry in the launch's step log.
+ * @param {Object|null} launch - Launch with its `steps` log, or null when nothing is persisted
+ * @param {string} step - One of LAUNCH_STEPS
+ * @returns {boolean}
+ */
+export function isStepComplete(launch, step) {
+  return !!launch?.steps?.some((entry) => entry.step === step);
+}
+
+/**
+ * Detail logged with the latest entry for `step`, or null.
+ * @param {Object|null} launch
+ * @param {string} step - One of LAUNCH_STEPS
+ * @returns {Object|null}
+ */
+export function getStepDetail(launch, step) {
+  const entries = launch?.steps?.filter((entry) => entry.step === step) || [];
+  return entries.length > 0 ? entries[entries.length - 1].detail || null : null;
+}
+
+/**
+ * Steps this launch goes through, given the token program, listing venue
+ * and LP handling in its params.
+ * @param {Object|null} launch
+ * @returns {string[]}
+ */
+export function getLaunchSteps(launch) {
+  const params = launch?.params;
+  // Launches saved before LP handling existed kept their LP tokens, and only
+  // Raydium pools (the venue of launches saved before venues existed) mint any
+  const onRaydium = !params?.venue || params.venue === LISTING_VENUES.RAYDIUM;
+  const securesLp = onRaydium && (params?.lpHandling === LP_HANDLING.BURN || params?.lpHandling === LP_HANDLING.LOCK);
+  return LAUNCH_STEP_ORDER.filter((step) => {
+    if (step === LAUNCH_STEPS.SECURE_LP) {
+      return securesLp;
+    }
+    return params?.tokenProgram !== 'token-2022' || !METAPLEX_METADATA_STEPS.includes(step);
+  });
+}
+
+/**
+ * First step of the launch that has not been completed, or null when every
+ * step is done.
+ * @param {Object|null} launch
+ * @returns {string|null}
+ */
+export function getNextStep(launch) {
+  return getLaunchSteps(launch).find((step) => !isStepComplete(launch, step)) || null;
+}
+
+/**
+ * Lookup tables the launch created that have not been closed yet, i.e. whose
+ * rent the creator can still reclaim.
+ * @param {Object|null} launch
+ * @returns {{address: string, deactivated: boolean}[]}
+ */
+export function getOpenLookupTables(launch) {
+  const addressesOf = (step) => (launch?.steps || [])
+    .filter((entry) => entry.step === step && entry.detail?.address)
+    .map((entry) => entry.detail.address);
+  const deactivated = addressesOf(LAUNCH_STEPS.DEACTIVATE_LOOKUP_TABLE);
+  const closed = addressesOf(LAUNCH_STEPS.CLOSE_LOOKUP_TABLE);
+  return addressesOf(LAUNCH_STEPS.CREATE_LOOKUP_TABLE)
+    .filter((address) => !closed.includes(address))
+    .map((address) => ({ address, deactivated: deactivated.includes(address) }));
+}
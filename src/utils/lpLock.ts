@@ -0,0 +1,141 @@
+// LP token burns and time locks for Raydium CP-Swap pools. Locks are held by
+// memecoin_program (lock_lp / unlock_lp), so anyone can read them back from
+// the chain; builders return the launch pipeline's { transaction, signers }.
+
+import { BN } from '@project-serum/anchor'
+import { TOKEN_PROGRAM_ID, createBurnInstruction, getAssociatedTokenAddressSync, getMint } from '@solana/spl-token'
+import { Connection, PublicKey } from '@solana/web3.js'
+import { BuiltTransaction, MEMECOIN_PROGRAM_ID, getBondingCurveProgram, toBuilt } from './bondingCurveProgram'
+
+const LP_LOCK_SEED = 'lp_lock'
+
+// LpLock: discriminator, then owner, then lp_mint
+const LP_LOCK_MINT_OFFSET = 8 + 32
+
+const ZERO = BigInt(0)
+
+export interface LpLockState {
+  address: PublicKey
+  owner: PublicKey
+  lpMint: PublicKey
+  amount: bigint
+  // Unix seconds
+  unlockAt: number
+}
+
+export interface LpStatus {
+  // LP tokens the pool has issued, as the pool counts them
+  lpSupply: bigint
+  // Issued but no longer in the LP mint's supply. Includes the few units
+  // CP-Swap keeps back at initialisation, which can never be withdrawn either
+  burned: bigint
+  locked: bigint
+  locks: LpLockState[]
+}
+
+export function getLpLockAddress(lpMint: PublicKey, owner: PublicKey): PublicKey {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from(LP_LOCK_SEED), lpMint.toBuffer(), owner.toBuffer()],
+    MEMECOIN_PROGRAM_ID
+  )[0]
+}
+
+// LP mints are always SPL Token, whatever program the pool's mints use
+const getLockTokenAccount = (lpMint: PublicKey, lock: PublicKey) =>
+  getAssociatedTokenAddressSync(lpMint, lock, true, TOKEN_PROGRAM_ID)
+
+export async function fetchLpLocks(connection: Connection, lpMint: PublicKey): Promise<LpLockState[]> {
+  const accounts = await getBondingCurveProgram(connection).account.lpLock.all([
+    { memcmp: { offset: LP_LOCK_MINT_OFFSET, bytes: lpMint.toBase58() } },
+  ])
+  return accounts.map(({ publicKey, account }) => ({
+    address: publicKey,
+    owner: account.owner,
+    lpMint: account.lpMint,
+    amount: BigInt(account.amount.toString()),
+    unlockAt: account.unlockAt.toNumber(),
+  }))
+}
+
+/**
+ * How much of a pool's LP is burned and how much is locked, read from the
+ * pool, the LP mint and the program's locks.
+ */
+export async function getLpStatus(
+  connection: Connection,
+  pool: { lpMint: PublicKey; lpSupply: bigint }
+): Promise<LpStatus> {
+  const [mint, locks] = await Promise.all([
+    getMint(connection, pool.lpMint, 'confirmed', TOKEN_PROGRAM_ID),
+    fetchLpLocks(connection, pool.lpMint),
+  ])
+  // Burning leaves the pool's own count alone and only shrinks the mint supply
+  const burned = pool.lpSupply > mint.supply ? pool.lpSupply - mint.supply : ZERO
+  return {
+    lpSupply: pool.lpSupply,
+    burned,
+    locked: locks.reduce((total, lock) => total + lock.amount, ZERO),
+    locks,
+  }
+}
+
+export function buildBurnLpTransaction({
+  owner,
+  lpMint,
+  amount,
+}: {
+  owner: PublicKey
+  lpMint: PublicKey
+  amount: bigint
+}): BuiltTransaction {
+  return toBuilt(owner, createBurnInstruction(getAssociatedTokenAddressSync(lpMint, owner), lpMint, owner, amount))
+}
+
+export async function buildLockLpTransaction(
+  connection: Connection,
+  {
+    owner,
+    lpMint,
+    amount,
+    unlockAt,
+  }: {
+    owner: PublicKey
+    lpMint: PublicKey
+    amount: bigint
+    // Unix seconds
+    unlockAt: number
+  }
+): Promise<BuiltTransaction> {
+  const lpLock = getLpLockAddress(lpMint, owner)
+  const instruction = await getBondingCurveProgram(connection).methods
+    .lockLp(new BN(amount.toString()), new BN(unlockAt))
+    .accounts({
+      owner,
+      lpMint,
+      lpLock,
+      lockTokenAccount: getLockTokenAccount(lpMint, lpLock),
+      ownerTokenAccount: getAssociatedTokenAddressSync(lpMint, owner),
+      tokenProgram: TOKEN_PROGRAM_ID,
+    })
+    .instruction()
+  return toBuilt(owner, instruction)
+}
+
+// Only succeeds from lock.unlockAt; returns the tokens to the owner and closes the lock
+export async function buildUnlockLpTransaction(
+  connection: Connection,
+  { lock }: { lock: LpLockState }
+): Promise<BuiltTransaction> {
+  const instruction = await getBondingCurveProgram(connection).methods
+    .unlockLp()
+    .accounts({
+      owner: lock.owner,
+      lpMint: lock.lpMint,
+      lpLock: lock.address,
+      lockTokenAccount: getLockTokenAccount(lock.lpMint, lock.address),
+      ownerTokenAccount: getAssociatedTokenAddressSync(lock.lpMint, lock.owner),
+      tokenProgram: TOKEN_PROGRAM_ID,
+    })
+    .instruction()
+  return toBuilt(lock.owner, instruction)
+}
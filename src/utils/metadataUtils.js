@@ -9,7 +9,29 @@ import { TOKEN_PROGRAM_ID } from '@solana/spl-token';
 import { Buffer } from 'buffer';
 
 // Token metadata program ID
-const TOKEN_METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+export const TOKEN_METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+// Metaplex field limits; longer values are truncated on-chain
+export const MAX_NAME_LENGTH = 32;
+export const MAX_SYMBOL_LENGTH = 10;
+export const MAX_URI_LENGTH = 200;
+
+/**
+ * The Metaplex metadata account (PDA) of a mint. Only needs web3.js, so API
+ * routes can use it as well as the launch pipeline.
+ * @param {PublicKey} mint
+ * @returns {PublicKey}
+ */
+export function getMetadataAddress(mint) {
+  return PublicKey.findProgramAddressSync(
+    [
+      Buffer.from('metadata'),
+      TOKEN_METADATA_PROGRAM_ID.toBuffer(),
+      mint.toBuffer(),
+    ],
+    TOKEN_METADATA_PROGRAM_ID
+  )[0];
+}
 
 /**
  * Creates metadata for an existing token - using the format that works with Phantom
@@ -31,15 +53,7 @@ export async function createMetadataTransaction({
     updateAuthority = mintAuthority;
   }
 
-  // Find the metadata account address (PDA)
-  const [metadataAddress] = await PublicKey.findProgramAddress(
-    [
-      Buffer.from('metadata'),
-      TOKEN_METADATA_PROGRAM_ID.toBuffer(),
-      mint.toBuffer(),
-    ],
-    TOKEN_METADATA_PROGRAM_ID
-  );
+  const metadataAddress = getMetadataAddress(mint);
 
   // Create data buffer for the instruction - this is the EXACT format that works
   const buffer = Buffer.alloc(1000);
@@ -50,21 +64,21 @@ export async function createMetadataTransaction({
   offset += 1;
 
   // Write metadata name
-  const nameBuffer = Buffer.from(name.slice(0, 32));
+  const nameBuffer = Buffer.from(name.slice(0, MAX_NAME_LENGTH));
   buffer.writeUInt32LE(nameBuffer.length, offset);
   offset += 4;
   nameBuffer.copy(buffer, offset);
   offset += nameBuffer.length;
 
   // Write metadata symbol
-  const symbolBuffer = Buffer.from(symbol.slice(0, 10));
+  const symbolBuffer = Buffer.from(symbol.slice(0, MAX_SYMBOL_LENGTH));
   buffer.writeUInt32LE(symbolBuffer.length, offset);
   offset += 4;
   symbolBuffer.copy(buffer, offset);
   offset += symbolBuffer.length;
 
   // Write metadata URI
-  const uriBuffer = Buffer.from(uri.slice(0, 200));
+  const uriBuffer = Buffer.from(uri.slice(0, MAX_URI_LENGTH));
   buffer.writeUInt32LE(uriBuffer.length, offset);
   offset += 4;
   uriBuffer.copy(buffer, offset);
@@ -173,15 +187,7 @@ export async function createVerifyCreatorTransaction({
   creator,
   payer
 }) {
-  // Find the metadata account address (PDA)
-  const [metadataAddress] = await PublicKey.findProgramAddress(
-    [
-      Buffer.from('metadata'),
-      TOKEN_METADATA_PROGRAM_ID.toBuffer(),
-      mint.toBuffer(),
-    ],
-    TOKEN_METADATA_PROGRAM_ID
-  );
+  const metadataAddress = getMetadataAddress(mint);
 
   // Create a verify creator instruction
   const buffer = Buffer.alloc(10);
@@ -223,15 +229,7 @@ export async function createUpdateMetadataTransaction({
   primarySaleHappened = null,
   isMutable = false // Setting to false makes immutable
 }) {
-  // Find the metadata account address (PDA)
-  const [metadataAddress] = await PublicKey.findProgramAddress(
-    [
-      Buffer.from('metadata'),
-      TOKEN_METADATA_PROGRAM_ID.toBuffer(),
-      mint.toBuffer(),
-    ],
-    TOKEN_METADATA_PROGRAM_ID
-  );
+  const metadataAddress = getMetadataAddress(mint);
 
   // Create a buffer for the update instruction
   const buffer = Buffer.alloc(100);
@@ -0,0 +1,127 @@
+/**
+ * Reads OpenBook markets back from the chain: the market state, the bids and
+ * asks slabs as price levels, and the fills still held in the event queue.
+ * Markets created by listTokenWithOpenBook use the DEX v3 account layouts the
+ * @project-serum/serum client decodes.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { Market, Orderbook, decodeEventQueue } from '@project-serum/serum';
+
+// Price levels shown on each side of the book
+export const ORDER_BOOK_DEPTH = 10;
+
+// The event queue is a ring buffer; consumed fills stay in it until overwritten
+const FILL_HISTORY = 20;
+
+// Market state (addresses, lot sizes, decimals) never changes once initialised
+const marketCache = new Map();
+
+/**
+ * @typedef {Object} PriceLevel
+ * @property {number} price - Quote (SOL) per whole base token
+ * @property {number} size - Whole base tokens
+ */
+
+/**
+ * @typedef {Object} MarketFill
+ * @property {'buy'|'sell'} side - Side of the order this event belongs to
+ * @property {number} price
+ * @property {number} size
+ * @property {boolean} maker
+ */
+
+/**
+ * @typedef {Object} OrderBookSnapshot
+ * @property {PriceLevel[]} bids - Best (highest) first
+ * @property {PriceLevel[]} asks - Best (lowest) first
+ * @property {number|null} bestBid
+ * @property {number|null} bestAsk
+ * @property {number|null} midPrice
+ * @property {MarketFill[]} fills - Most recent first
+ */
+
+/**
+ * Load and cache an OpenBook market. The program is taken from the account's
+ * owner, so markets on either OpenBook deployment load the same way.
+ * @param {Connection} connection
+ * @param {PublicKey|string} marketAddress
+ * @returns {Promise<Market>}
+ */
+export async function loadOpenBookMarket(connection, marketAddress) {
+  const address = new PublicKey(marketAddress);
+  const key = address.toBase58();
+  if (marketCache.has(key)) {
+    return marketCache.get(key);
+  }
+
+  const accountInfo = await connection.getAccountInfo(address);
+  if (!accountInfo) {
+    throw new Error(`OpenBook market ${key} does not exist`);
+  }
+  // Market.load checks the account is an initialised market at this address
+  const market = await Market.load(connection, address, {}, accountInfo.owner);
+  marketCache.set(key, market);
+  return market;
+}
+
+// Map fills the way Market.loadFills does, newest first
+function decodeFills(market, eventQueueData) {
+  return decodeEventQueue(eventQueueData, FILL_HISTORY)
+    .filter((event) => event.eventFlags.fill && event.nativeQuantityPaid.gtn(0))
+    .map((event) => {
+      const fill = market.parseFillEvent(event);
+      return { side: fill.side, price: fill.price, size: fill.size, maker: fill.eventFlags.maker };
+    });
+}
+
+const toLevels = (orderbook, depth) => orderbook.getL2(depth).map(([price, size]) => ({ price, size }));
+
+/**
+ * Read the live order book and recent fills of a market in one round trip.
+ * @param {Connection} connection
+ * @param {Market} market - From loadOpenBookMarket
+ * @param {Object} [options]
+ * @param {number} [options.depth] - Price levels per side
+ * @returns {Promise<OrderBookSnapshot>}
+ */
+export async function fetchOrderBook(connection, market, { depth = ORDER_BOOK_DEPTH } = {}) {
+  const [bidsInfo, asksInfo, eventQueueInfo] = await connection.getMultipleAccountsInfo([
+    market.bidsAddress,
+    market.asksAddress,
+    market.decoded.eventQueue
+  ]);
+  if (!bidsInfo || !asksInfo || !eventQueueInfo) {
+    throw new Error('OpenBook market accounts are missing');
+  }
+
+  const bids = toLevels(Orderbook.decode(market, bidsInfo.data), depth);
+  const asks = toLevels(Orderbook.decode(market, asksInfo.data), depth);
+  const bestBid = bids.length > 0 ? bids[0].price : null;
+  const bestAsk = asks.length > 0 ? asks[0].price : null;
+
+  return {
+    bids,
+    asks,
+    bestBid,
+    bestAsk,
+    midPrice: bestBid !== null && bestAsk !== null ? (bestBid + bestAsk) / 2 : null,
+    fills: decodeFills(market, eventQueueInfo.data)
+  };
+}
+
+/**
+ * Market parameters worth showing next to the book.
+ * @param {Market} market
+ * @returns {{address: PublicKey, programId: PublicKey, baseMint: PublicKey, quoteMint: PublicKey, minOrderSize: number, tickSize: number}}
+ */
+export function describeOpenBookMarket(market) {
+  return {
+    address: market.address,
+    programId: market.programId,
+    baseMint: market.baseMintAddress,
+    quoteMint: market.quoteMintAddress,
+    minOrderSize: market.minOrderSize,
+    tickSize: market.tickSize
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Sizing for OpenBook markets: account sizes from the capacity a market is
+ * created with, what they cost in rent, and lot and tick sizes that suit a
+ * token's supply.
+ *
+ * Every DEX v3 account is framed by 5 bytes of "serum" padding in front and 7
+ * behind. Queues then hold 8 bytes of account flags and a 24-byte header;
+ * bids and asks hold the flags and a 32-byte slab header.
+ */
+
+const ACCOUNT_PADDING = 12;
+const QUEUE_HEADER_SIZE = 32;
+const SLAB_HEADER_SIZE = 40;
+const EVENT_SIZE = 88;
+const REQUEST_SIZE = 80;
+const SLAB_NODE_SIZE = 72;
+
+const MARKET_STATE_SIZE = 388;
+const TOKEN_ACCOUNT_SIZE = 165;
+
+// Quote is always SOL
+const QUOTE_DECIMALS = 9;
+
+/**
+ * Capacity presets. The event queue holds fills until they are cranked, the
+ * request queue holds orders waiting to match and each side of the book
+ * holds `orderbookLength` slab nodes (resting orders plus inner nodes).
+ */
+export const MARKET_SIZE_PRESETS = {
+  SMALL: { label: 'Small', eventQueueLength: 128, requestQueueLength: 63, orderbookLength: 201 },
+  MEDIUM: { label: 'Medium', eventQueueLength: 1400, requestQueueLength: 63, orderbookLength: 450 },
+  LARGE: { label: 'Large', eventQueueLength: 2978, requestQueueLength: 63, orderbookLength: 909 }
+};
+
+export const DEFAULT_MARKET_SIZE = 'SMALL';
+
+// Lowest fully diluted value, in SOL, the tick size still prices precisely
+const REFERENCE_MARKET_CAP_SOL_EXPONENT = 1;
+// Significant digits of price at that value
+const PRICE_PRECISION_DIGITS = 3;
+// The whole supply fits in at most 10^this base lots
+const MAX_SUPPLY_LOT_DIGITS = 10;
+
+/**
+ * @typedef {Object} MarketCapacity
+ * @property {number} eventQueueLength
+ * @property {number} requestQueueLength
+ * @property {number} orderbookLength
+ */
+
+/**
+ * @typedef {Object} MarketAccountSizes
+ * @property {number} market
+ * @property {number} requestQueue
+ * @property {number} eventQueue
+ * @property {number} bids
+ * @property {number} asks
+ * @property {number} baseVault
+ * @property {number} quoteVault
+ */
+
+/**
+ * @param {string|MarketCapacity} size - A MARKET_SIZE_PRESETS key or an explicit capacity
+ * @returns {MarketCapacity}
+ */
+export function resolveMarketCapacity(size) {
+  const capacity = typeof size === 'string' ? MARKET_SIZE_PRESETS[size] : size;
+  if (!capacity) {
+    throw new Error(`Unknown market size: ${size}`);
+  }
+  const lengths = [capacity.eventQueueLength, capacity.requestQueueLength, capacity.orderbookLength];
+  if (!lengths.every((length) => Number.isInteger(length) && length > 0)) {
+    throw new Error('Market queue and order book lengths must be positive whole numbers');
+  }
+  return capacity;
+}
+
+/**
+ * Byte size of every account a market is created with.
+ * @param {string|MarketCapacity} size
+ * @returns {MarketAccountSizes}
+ */
+export function getMarketAccountSizes(size) {
+  const { eventQueueLength, requestQueueLength, orderbookLength } = resolveMarketCapacity(size);
+  const orderbook = ACCOUNT_PADDING + SLAB_HEADER_SIZE + SLAB_NODE_SIZE * orderbookLength;
+  return {
+    market: MARKET_STATE_SIZE,
+    requestQueue: ACCOUNT_PADDING + QUEUE_HEADER_SIZE + REQUEST_SIZE * requestQueueLength,
+    eventQueue: ACCOUNT_PADDING + QUEUE_HEADER_SIZE + EVENT_SIZE * eventQueueLength,
+    bids: orderbook,
+    asks: orderbook,
+    baseVault: TOKEN_ACCOUNT_SIZE,
+    quoteVault: TOKEN_ACCOUNT_SIZE
+  };
+}
+
+// Parsed rather than computed so negative powers come out exact, e.g. 1e-5
+const powerOfTen = (exponent) => Number(`1e${exponent}`);
+
+/**
+ * Lot and tick sizes for a SOL-quoted market. The tick prices the token to
+ * PRICE_PRECISION_DIGITS at a small fully diluted value; the base lot is then
+ * the smallest power of ten that keeps the quote lot a whole lamport count.
+ * @param {bigint} supply - Raw token supply
+ * @param {number} decimals
+ * @returns {{baseLotSize: bigint, quoteLotSize: bigint, minOrderSize: number, tickSize: number}}
+ */
+export function suggestLotSizes(supply, decimals) {
+  if (supply <= BigInt(0)) {
+    throw new Error('Supply must be positive');
+  }
+  const rawDigits = supply.toString().length - 1;
+  // Whole tokens, as a power of ten
+  const supplyExponent = rawDigits - decimals;
+  const tickExponent = REFERENCE_MARKET_CAP_SOL_EXPONENT - supplyExponent - PRICE_PRECISION_DIGITS;
+
+  let baseLotExponent = Math.max(0, rawDigits - MAX_SUPPLY_LOT_DIGITS);
+  // tick = quoteLot / 10^quoteDecimals per baseLot / 10^decimals
+  let quoteLotExponent = tickExponent + baseLotExponent - decimals + QUOTE_DECIMALS;
+  if (quoteLotExponent < 0) {
+    baseLotExponent -= quoteLotExponent;
+    quoteLotExponent = 0;
+  }
+
+  return {
+    baseLotSize: BigInt(10) ** BigInt(baseLotExponent),
+    quoteLotSize: BigInt(10) ** BigInt(quoteLotExponent),
+    minOrderSize: powerOfTen(baseLotExponent - decimals),
+    tickSize: powerOfTen(tickExponent)
+  };
+}
+
+/**
+ * Exact rent of every account a market of this size needs, from the RPC.
+ * @param {Connection} connection
+ * @param {string|MarketCapacity} size
+ * @returns {Promise<{capacity: MarketCapacity, sizes: MarketAccountSizes, rent: Object<string, number>, totalRent: number}>}
+ */
+export async function calculateMarketRent(connection, size) {
+  const capacity = resolveMarketCapacity(size);
+  const sizes = getMarketAccountSizes(capacity);
+
+  // Bids and asks, and the two vaults, share a size; ask once per size
+  const uniqueSizes = [...new Set(Object.values(sizes))];
+  const rentBySize = new Map(await Promise.all(
+    uniqueSizes.map(async (space) => [space, await connection.getMinimumBalanceForRentExemption(space)])
+  ));
+
+  const rent = Object.fromEntries(Object.entries(sizes).map(([name, space]) => [name, rentBySize.get(space)]));
+  return {
+    capacity,
+    sizes,
+    rent,
+    totalRent: Object.values(rent).reduce((sum, lamports) => sum + lamports, 0)
+  };
+}
+
+/**
+ * Everything a user should see before listing: the rent breakdown for the
+ * chosen size and the lot and tick sizes the market will be created with.
+ * @param {Connection} connection
+ * @param {Object} params
+ * @param {string|MarketCapacity} [params.size]
+ * @param {bigint} params.supply - Raw token supply
+ * @param {number} params.decimals
+ */
+export async function estimateOpenBookMarket(connection, { size = DEFAULT_MARKET_SIZE, supply, decimals }) {
+  const rent = await calculateMarketRent(connection, size);
+  return { ...rent, lotSizes: suggestLotSizes(supply, decimals) };
+}
@@ -7,8 +7,6 @@ import {
   Connection, 
   PublicKey, 
   Transaction, 
-  SystemProgram, 
-  Keypair,
   LAMPORTS_PER_SOL,
   TransactionInstruction,
   SYSVAR_RENT_PUBKEY
@@ -18,31 +16,40 @@ import {
   TOKEN_PROGRAM_ID,
   getAssociatedTokenAddress,
   createTransferInstruction,
-  createSetAuthorityInstruction,
   createInitializeAccountInstruction,
-  AuthorityType,
   createAssociatedTokenAccountInstruction
 } from '@solana/spl-token';
 
 import BN from 'bn.js';
 import { Buffer } from 'buffer';
+import { buildRevokeAuthoritiesTransaction } from './launchPipeline.js';
+import { DEFAULT_MARKET_SIZE, calculateMarketRent, estimateOpenBookMarket } from './openbookMarketSize.js';
+import { assertBalanceCovers, createBirdeyeMarker, seededAccount, sendBuiltTransaction } from './venues/common.js';
 
 // Constants for OpenBook programs
 const OPENBOOK_PROGRAM_ID_MAINNET = new PublicKey('opnb2LAfJYbRMAHHvqjCwQxanZn7ReEHp1k81EohpZb');
 const OPENBOOK_PROGRAM_ID_DEVNET = new PublicKey('EoTcMgcDRTJVZDMZWBoU6rhYHZfkNTVEAfz3uUJRcYGj');
 const SOL_MINT = new PublicKey('So11111111111111111111111111111111111111112');
 
-// Birdeye pool list program ID for visibility
-const BIRDEYE_REGISTRY = new PublicKey('BirdeTpiKoRXJus4oBDS2KUVRoHMCm54TqGWKnZDtQ3k');
-
-// OpenBook market account sizes - same as pump.fun and coinfactory
-const MARKET_STATE_SIZE = 388;
-const REQUEST_QUEUE_SIZE = 640;
-const EVENT_QUEUE_SIZE = 1024;
-const BIDS_SIZE = 8192;
-const ASKS_SIZE = 8192;
-const BASE_VAULT_SIZE = 165;
-const QUOTE_VAULT_SIZE = 165;
+// Seed names for the market accounts (see seededAccount), and how errors name them
+const SEED_NAMES = {
+  market: 'market',
+  requestQueue: 'reqqueue',
+  eventQueue: 'eventqueue',
+  bids: 'bids',
+  asks: 'asks',
+  baseVault: 'basevault',
+  quoteVault: 'quotevault'
+};
+const ACCOUNT_NAMES = {
+  market: 'market state',
+  requestQueue: 'request queue',
+  eventQueue: 'event queue',
+  bids: 'bids account',
+  asks: 'asks account',
+  baseVault: 'base vault',
+  quoteVault: 'quote vault'
+};
 
 /**
  * Get the OpenBook program ID for the current network
@@ -149,130 +156,205 @@ function bnToBuffer(bn, byteLength, endian = 'le') {
   return b;
 }
 
+
 /**
- * Helper function to confirm a transaction with retries
+ * Builds the transactions that create an OpenBook market, in the order they
+ * must be sent: market and queue accounts, the order book, the vaults, then
+ * the market initialisation. The accounts are seeded from the mint, so a
+ * listing interrupted part-way rebuilds the same addresses: accounts that
+ * already exist are left out, along with any transaction left empty, and an
+ * initialised market needs no transactions at all.
+ * @param {Connection} connection
+ * @param {Object} params
+ * @param {PublicKey} params.payer
+ * @param {PublicKey} params.mint - Base token; the quote is always SOL
+ * @param {PublicKey} params.programId - From getOpenBookProgramId
+ * @param {string|Object} [params.size] - A MARKET_SIZE_PRESETS key or capacity; sets the account sizes
+ * @param {{baseLotSize: bigint, quoteLotSize: bigint}} params.lotSizes - From suggestLotSizes
+ * @returns {Promise<{transactions: BuiltTransaction[], totalRent: number, marketId: PublicKey, requestQueue: PublicKey, eventQueue: PublicKey, bids: PublicKey, asks: PublicKey, baseVault: PublicKey, quoteVault: PublicKey, vaultSigner: PublicKey}>}
  */
-async function confirmTransactionWithRetry(connection, signature, commitment, timeoutMs = 60000, retries = 3) {
-  let retryCount = 0;
+export async function buildOpenBookMarketTransactions(connection, {
+  payer,
+  mint,
+  programId,
+  size = DEFAULT_MARKET_SIZE,
+  lotSizes
+}) {
+  // Calculate required rent for the requested capacity
+  const { sizes, rent, totalRent } = await calculateMarketRent(connection, size);
+  
+  const accountFor = (name, owner = programId) => seededAccount({
+    payer,
+    mint,
+    name: SEED_NAMES[name],
+    lamports: rent[name],
+    space: sizes[name],
+    programId: owner
+  });
+  const accounts = {
+    market: await accountFor('market'),
+    requestQueue: await accountFor('requestQueue'),
+    eventQueue: await accountFor('eventQueue'),
+    bids: await accountFor('bids'),
+    asks: await accountFor('asks'),
+    baseVault: await accountFor('baseVault', TOKEN_PROGRAM_ID),
+    quoteVault: await accountFor('quoteVault', TOKEN_PROGRAM_ID)
+  };
+  const names = Object.keys(accounts);
+  const infos = await connection.getMultipleAccountsInfo(names.map((name) => accounts[name].address));
+  const existing = {};
+  names.forEach((name, index) => {
+    if (infos[index] && infos[index].data.length !== sizes[name]) {
+      throw new Error(`An earlier attempt created the ${ACCOUNT_NAMES[name]} for a different market size; choose the same size to resume`);
+    }
+    existing[name] = !!infos[index];
+  });
+  
+  const built = (label, instructions) => {
+    const transaction = new Transaction();
+    if (instructions.length > 0) {
+      transaction.add(...instructions);
+    }
+    transaction.feePayer = payer;
+    return { transaction, signers: [], label };
+  };
+  const createMissing = (...accountNames) => accountNames
+    .filter((name) => !existing[name])
+    .map((name) => accounts[name].instruction);
   
-  while (retryCount < retries) {
+  // Split into several transactions so each stays within the size limit
+  const createMarketTx = built('Create market and queue accounts', createMissing('market', 'requestQueue', 'eventQueue'));
+  
+  const createOrderbookTx = built('Create order book accounts', createMissing('bids', 'asks'));
+  
+  // Calculate vault signer nonce
+  let vaultSignerNonce = 0;
+  let vaultOwner;
+  
+  while (true) {
     try {
-      const result = await connection.confirmTransaction(
-        { signature, blockhash: (await connection.getLatestBlockhash()).blockhash },
-        commitment
+      [vaultOwner] = await PublicKey.findProgramAddress(
+        [accounts.market.address.toBuffer(), bnToBuffer(new BN(vaultSignerNonce), 8)],
+        programId
       );
-      
-      if (result.value.err) {
-        throw new Error(`Transaction ${signature} failed: ${JSON.stringify(result.value.err)}`);
-      }
-      
-      return result;
-    } catch (error) {
-      console.warn(`Confirmation attempt ${retryCount + 1} failed:`, error.message);
-      retryCount++;
-      
-      if (retryCount >= retries) {
-        throw error;
+      break;
+    } catch (e) {
+      vaultSignerNonce++;
+      if (vaultSignerNonce >= 255) {
+        throw new Error('Unable to find valid vault signer nonce');
       }
-      
-      // Add exponential backoff
-      await new Promise(resolve => setTimeout(resolve, 2000 * Math.pow(2, retryCount)));
     }
   }
-}
-
-/**
- * Sends a transaction and confirms it
- */
-async function sendTransactionWithConfirmation(connection, signedTx, commitment = 'confirmed') {
-  const txid = await connection.sendRawTransaction(signedTx.serialize());
-  console.log("Transaction sent:", txid);
   
-  try {
-    await confirmTransactionWithRetry(connection, txid, commitment);
-    console.log("Transaction confirmed successfully:", txid);
-  } catch (error) {
-    console.warn("Transaction confirmation timed out, checking status...");
-    const status = await connection.getSignatureStatus(txid, { searchTransactionHistory: true });
-    
-    if (!status || !status.value || status.value.err) {
-      console.error("Transaction failed or not found:", txid);
-      throw new Error(`Transaction failed. Signature: ${txid}`);
-    } else {
-      console.log("Transaction was successful despite timeout!");
-    }
-  }
+  // Vaults are created and initialised in the same transaction, so one that exists is ready
+  const createVaultsTx = built('Create market vaults', [
+    ...createMissing('baseVault'),
+    ...(existing.baseVault ? [] : [createInitializeAccountInstruction(
+      accounts.baseVault.address,
+      mint,
+      vaultOwner,
+      TOKEN_PROGRAM_ID
+    )]),
+    ...createMissing('quoteVault'),
+    ...(existing.quoteVault ? [] : [createInitializeAccountInstruction(
+      accounts.quoteVault.address,
+      SOL_MINT,
+      vaultOwner,
+      TOKEN_PROGRAM_ID
+    )])
+  ]);
   
-  return txid;
-}
+  // Set market parameters - lot sizes are derived from the token's supply
+  const baseLotSize = new BN(lotSizes.baseLotSize.toString());
+  const quoteLotSize = new BN(lotSizes.quoteLotSize.toString());
+  const feeRateBps = 0; // Zero fees for new pool
+  
+  // Create instruction data for market initialization
+  // For OpenBook V2, we need to use their specific instruction layout:
+  // Instruction discriminator (8 bytes) + proper anchor data format
 
-/**
- * Creates a marker transaction to help index for Birdeye
- */
-async function createBirdeyeMarker({
-  connection,
-  userPublicKey,
-  mintPublicKey,
-  signTransaction
-}) {
-  try {
-    console.log("Creating Birdeye marker to improve token visibility...");
-    
-    // Create a marker keypair that will be registered with Birdeye's registry
-    const markerKeypair = Keypair.generate();
-    const markerSize = 128; // Size of the marker account
-    
-    // Get minimum rent for the marker account
-    const rentExemption = await connection.getMinimumBalanceForRentExemption(markerSize);
-    
-    // Create the marker account transaction
-    const markerTx = new Transaction().add(
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: markerKeypair.publicKey,
-        lamports: rentExemption + 5000000, // Add some extra SOL to make it visible
-        space: markerSize,
-        programId: SystemProgram.programId
-      })
-    );
-    
-    // Set the payer and recent blockhash
-    markerTx.feePayer = userPublicKey;
-    markerTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-    
-    // Partially sign with the marker keypair
-    markerTx.partialSign(markerKeypair);
-    
-    // Get user signature
-    const signedTx = await signTransaction(markerTx);
-    
-    // Send the transaction
-    const markerTxid = await sendTransactionWithConfirmation(connection, signedTx);
-    console.log("Birdeye marker created:", markerTxid);
-    
-    return {
-      success: true,
-      markerPublicKey: markerKeypair.publicKey,
-      txid: markerTxid
-    };
-  } catch (error) {
-    console.warn("Failed to create Birdeye marker:", error.message);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
+  // Use the anchor-compatible initialize_market discriminator
+  const discriminator = Buffer.from([139, 31, 141, 73, 11, 135, 133, 63]);
+
+  // Market parameters
+  const marketParamsLayout = Buffer.alloc(19); // 8+8+2+1 bytes
+  let offset = 0;
+
+  // Base lot size (8 bytes)
+  baseLotSize.toBuffer('le', 8).copy(marketParamsLayout, offset);
+  offset += 8;
+
+  // Quote lot size (8 bytes)
+  quoteLotSize.toBuffer('le', 8).copy(marketParamsLayout, offset);
+  offset += 8;
+
+  // Fee rate basis points (2 bytes)
+  marketParamsLayout.writeUInt16LE(feeRateBps, offset);
+  offset += 2;
+
+  // Vault signer nonce (1 byte)
+  marketParamsLayout.writeUInt8(vaultSignerNonce, offset);
+
+  // Combine discriminator and params
+  const marketData = Buffer.concat([discriminator, marketParamsLayout]);
+  
+  // Create the initialize market instruction with the correct account order for OpenBook V2
+  const initializeMarketIx = new TransactionInstruction({
+    keys: [
+      { pubkey: accounts.market.address, isSigner: false, isWritable: true },
+      { pubkey: accounts.requestQueue.address, isSigner: false, isWritable: true },
+      { pubkey: accounts.eventQueue.address, isSigner: false, isWritable: true },
+      { pubkey: accounts.bids.address, isSigner: false, isWritable: true },
+      { pubkey: accounts.asks.address, isSigner: false, isWritable: true },
+      { pubkey: accounts.baseVault.address, isSigner: false, isWritable: true },
+      { pubkey: accounts.quoteVault.address, isSigner: false, isWritable: true },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: SOL_MINT, isSigner: false, isWritable: false },
+      { pubkey: payer, isSigner: true, isWritable: false },
+      { pubkey: vaultOwner, isSigner: false, isWritable: false },
+      { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
+    ],
+    programId: programId,
+    data: marketData,
+  });
+  
+  const initMarketTx = built('Initialize market', [initializeMarketIx]);
+  
+  // A fresh market account is all zeroes; initialisation writes its account flags
+  const marketInitialized = existing.market && infos[0].data.some((byte) => byte !== 0);
+  
+  return {
+    transactions: marketInitialized
+      ? []
+      : [createMarketTx, createOrderbookTx, createVaultsTx, initMarketTx]
+        .filter(({ transaction }) => transaction.instructions.length > 0),
+    totalRent,
+    marketId: accounts.market.address,
+    requestQueue: accounts.requestQueue.address,
+    eventQueue: accounts.eventQueue.address,
+    bids: accounts.bids.address,
+    asks: accounts.asks.address,
+    baseVault: accounts.baseVault.address,
+    quoteVault: accounts.quoteVault.address,
+    vaultSigner: vaultOwner
+  };
 }
 
 /**
  * Creates an OpenBook market for token trading - this is what pump.fun and coinfactory use
+ * @param {Object} params
+ * @param {string|Object} [params.size] - A MARKET_SIZE_PRESETS key or capacity; sets the account sizes
+ * @param {{baseLotSize: bigint, quoteLotSize: bigint}} params.lotSizes - From suggestLotSizes
  */
 async function createOpenBookMarket({
   connection,
   userPublicKey,
   mintKeypair,
   signTransaction,
-  programId
+  programId,
+  size = DEFAULT_MARKET_SIZE,
+  lotSizes
 }) {
   try {
     console.log("Creating OpenBook market for improved visibility and trading...");
@@ -290,231 +372,29 @@ async function createOpenBookMarket({
     
     console.log("Using mint public key:", mintPublicKey.toString());
     
-    // Generate keypairs for all the OpenBook market accounts
-    const marketKeypair = Keypair.generate();
-    const requestQueueKeypair = Keypair.generate();
-    const eventQueueKeypair = Keypair.generate();
-    const bidsKeypair = Keypair.generate();
-    const asksKeypair = Keypair.generate();
-    const baseVaultKeypair = Keypair.generate();
-    const quoteVaultKeypair = Keypair.generate();
-    
-    // Calculate required rent
-    const marketRent = await connection.getMinimumBalanceForRentExemption(MARKET_STATE_SIZE);
-    const requestQueueRent = await connection.getMinimumBalanceForRentExemption(REQUEST_QUEUE_SIZE);
-    const eventQueueRent = await connection.getMinimumBalanceForRentExemption(EVENT_QUEUE_SIZE);
-    const bidsRent = await connection.getMinimumBalanceForRentExemption(BIDS_SIZE);
-    const asksRent = await connection.getMinimumBalanceForRentExemption(ASKS_SIZE);
-    const baseVaultRent = await connection.getMinimumBalanceForRentExemption(BASE_VAULT_SIZE);
-    const quoteVaultRent = await connection.getMinimumBalanceForRentExemption(QUOTE_VAULT_SIZE);
-    
-    const totalRent = marketRent + requestQueueRent + eventQueueRent + bidsRent + asksRent + baseVaultRent + quoteVaultRent;
+    const { transactions, totalRent, ...market } = await buildOpenBookMarketTransactions(connection, {
+      payer: userPublicKey,
+      mint: mintPublicKey,
+      programId,
+      size,
+      lotSizes
+    });
     console.log("Total OpenBook market rent requirement:", totalRent / LAMPORTS_PER_SOL, "SOL");
     
     // Check if user has enough SOL
-    const userBalance = await connection.getBalance(userPublicKey);
-    if (userBalance < totalRent + 10000000) { // Add 0.01 SOL buffer for transaction fees
-      throw new Error(`Insufficient SOL balance for OpenBook market creation. Required: ${(totalRent + 10000000) / LAMPORTS_PER_SOL} SOL, Available: ${userBalance / LAMPORTS_PER_SOL} SOL`);
-    }
-    
-    // To make this more reliable, split into multiple transactions
-    // Transaction 1: Create market and queue accounts
-    console.log("Creating market and queue accounts...");
-    const createMarketTx = new Transaction().add(
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: marketKeypair.publicKey,
-        lamports: marketRent,
-        space: MARKET_STATE_SIZE,
-        programId: programId,
-      }),
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: requestQueueKeypair.publicKey,
-        lamports: requestQueueRent,
-        space: REQUEST_QUEUE_SIZE,
-        programId: programId,
-      }),
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: eventQueueKeypair.publicKey,
-        lamports: eventQueueRent,
-        space: EVENT_QUEUE_SIZE,
-        programId: programId,
-      })
-    );
-    
-    createMarketTx.feePayer = userPublicKey;
-    createMarketTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-    createMarketTx.partialSign(marketKeypair, requestQueueKeypair, eventQueueKeypair);
+    await assertBalanceCovers(connection, userPublicKey, totalRent, "OpenBook market creation");
     
-    const signedMarketTx = await signTransaction(createMarketTx);
-    const marketTxid = await sendTransactionWithConfirmation(connection, signedMarketTx);
-    console.log("Market and queue accounts created:", marketTxid);
-    
-    // Transaction 2: Create orderbook accounts
-    console.log("Creating orderbook accounts...");
-    const createOrderbookTx = new Transaction().add(
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: bidsKeypair.publicKey,
-        lamports: bidsRent,
-        space: BIDS_SIZE,
-        programId: programId,
-      }),
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: asksKeypair.publicKey,
-        lamports: asksRent,
-        space: ASKS_SIZE,
-        programId: programId,
-      })
-    );
-    
-    createOrderbookTx.feePayer = userPublicKey;
-    createOrderbookTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-    createOrderbookTx.partialSign(bidsKeypair, asksKeypair);
-    
-    const signedOrderbookTx = await signTransaction(createOrderbookTx);
-    const orderbookTxid = await sendTransactionWithConfirmation(connection, signedOrderbookTx);
-    console.log("Orderbook accounts created:", orderbookTxid);
-    
-    // Calculate vault signer nonce
-    let vaultSignerNonce = 0;
-    let vaultOwner;
-    
-    while (true) {
-      try {
-        [vaultOwner] = await PublicKey.findProgramAddress(
-          [marketKeypair.publicKey.toBuffer(), bnToBuffer(new BN(vaultSignerNonce), 8)],
-          programId
-        );
-        break;
-      } catch (e) {
-        vaultSignerNonce++;
-        if (vaultSignerNonce >= 255) {
-          throw new Error('Unable to find valid vault signer nonce');
-        }
-      }
+    let txid;
+    for (const built of transactions) {
+      console.log(`${built.label}...`);
+      txid = await sendBuiltTransaction(connection, built, signTransaction);
+      console.log(`${built.label} confirmed:`, txid);
     }
     
-    // Transaction 3: Create vault accounts
-    console.log("Creating vault accounts...");
-    const createVaultsTx = new Transaction().add(
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: baseVaultKeypair.publicKey,
-        lamports: baseVaultRent,
-        space: BASE_VAULT_SIZE,
-        programId: TOKEN_PROGRAM_ID,
-      }),
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: quoteVaultKeypair.publicKey,
-        lamports: quoteVaultRent,
-        space: QUOTE_VAULT_SIZE,
-        programId: TOKEN_PROGRAM_ID,
-      }),
-      createInitializeAccountInstruction(
-        baseVaultKeypair.publicKey,
-        mintPublicKey,
-        vaultOwner,
-        TOKEN_PROGRAM_ID
-      ),
-      createInitializeAccountInstruction(
-        quoteVaultKeypair.publicKey,
-        SOL_MINT,
-        vaultOwner,
-        TOKEN_PROGRAM_ID
-      )
-    );
-    
-    createVaultsTx.feePayer = userPublicKey;
-    createVaultsTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-    createVaultsTx.partialSign(baseVaultKeypair, quoteVaultKeypair);
-    
-    const signedVaultsTx = await signTransaction(createVaultsTx);
-    const vaultsTxid = await sendTransactionWithConfirmation(connection, signedVaultsTx);
-    console.log("Vault accounts created:", vaultsTxid);
-    
-    // Transaction 4: Initialize market
-    console.log("Initializing market...");
-    
-    // Set market parameters - matching newer OpenBook V2 requirements
-    const baseLotSize = new BN(1);
-    const quoteLotSize = new BN(1);
-    const feeRateBps = 0; // Zero fees for new pool
-    
-    // Create instruction data for market initialization
-    // For OpenBook V2, we need to use their specific instruction layout:
-    // Instruction discriminator (8 bytes) + proper anchor data format
-
-    // Use the anchor-compatible initialize_market discriminator
-    const discriminator = Buffer.from([139, 31, 141, 73, 11, 135, 133, 63]);
-
-    // Market parameters
-    const marketParamsLayout = Buffer.alloc(19); // 8+8+2+1 bytes
-    let offset = 0;
-
-    // Base lot size (8 bytes)
-    baseLotSize.toBuffer('le', 8).copy(marketParamsLayout, offset);
-    offset += 8;
-
-    // Quote lot size (8 bytes)
-    quoteLotSize.toBuffer('le', 8).copy(marketParamsLayout, offset);
-    offset += 8;
-
-    // Fee rate basis points (2 bytes)
-    marketParamsLayout.writeUInt16LE(feeRateBps, offset);
-    offset += 2;
-
-    // Vault signer nonce (1 byte)
-    marketParamsLayout.writeUInt8(vaultSignerNonce, offset);
-
-    // Combine discriminator and params
-    const marketData = Buffer.concat([discriminator, marketParamsLayout]);
-    
-    // Create the initialize market instruction with the correct account order for OpenBook V2
-    const initializeMarketIx = new TransactionInstruction({
-      keys: [
-        { pubkey: marketKeypair.publicKey, isSigner: false, isWritable: true },
-        { pubkey: requestQueueKeypair.publicKey, isSigner: false, isWritable: true },
-        { pubkey: eventQueueKeypair.publicKey, isSigner: false, isWritable: true },
-        { pubkey: bidsKeypair.publicKey, isSigner: false, isWritable: true },
-        { pubkey: asksKeypair.publicKey, isSigner: false, isWritable: true },
-        { pubkey: baseVaultKeypair.publicKey, isSigner: false, isWritable: true },
-        { pubkey: quoteVaultKeypair.publicKey, isSigner: false, isWritable: true },
-        { pubkey: mintPublicKey, isSigner: false, isWritable: false },
-        { pubkey: SOL_MINT, isSigner: false, isWritable: false },
-        { pubkey: userPublicKey, isSigner: true, isWritable: false },
-        { pubkey: vaultOwner, isSigner: false, isWritable: false },
-        { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-        { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
-      ],
-      programId: programId,
-      data: marketData,
-    });
-    
-    const initMarketTx = new Transaction().add(initializeMarketIx);
-    initMarketTx.feePayer = userPublicKey;
-    initMarketTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-    
-    // Try to initialize the market
-    const signedInitMarketTx = await signTransaction(initMarketTx);
-    const initMarketTxid = await sendTransactionWithConfirmation(connection, signedInitMarketTx);
-    console.log("Market initialized successfully:", initMarketTxid);
-    
     return {
       success: true,
-      marketId: marketKeypair.publicKey,
-      requestQueue: requestQueueKeypair.publicKey,
-      eventQueue: eventQueueKeypair.publicKey,
-      bids: bidsKeypair.publicKey,
-      asks: asksKeypair.publicKey,
-      baseVault: baseVaultKeypair.publicKey,
-      quoteVault: quoteVaultKeypair.publicKey,
-      vaultSigner: vaultOwner,
-      txid: initMarketTxid
+      ...market,
+      txid
     };
   } catch (error) {
     console.error("Error creating OpenBook market:", error);
@@ -528,6 +408,9 @@ async function createOpenBookMarket({
 /**
  * Creates a token listing using OpenBook - similar to pump.fun and coinfactory.app
  * @param {Object} params Parameters for token listing
+ * @param {string|Object} [params.marketSize] - A MARKET_SIZE_PRESETS key or capacity
+ * @param {function(Object): Promise<boolean>} [params.confirmMarketCost] - Shown the
+ *   estimateOpenBookMarket result before anything is sent; resolve false to cancel
  * @returns {Promise<Object>} Listing result
  */
 export async function listTokenWithOpenBook({
@@ -538,7 +421,9 @@ export async function listTokenWithOpenBook({
   tokenAmount,
   solAmount,
   signTransaction,
-  skipAuthorityRevocation = false // Add parameter to skip authority revocation
+  skipAuthorityRevocation = false, // Add parameter to skip authority revocation
+  marketSize = DEFAULT_MARKET_SIZE,
+  confirmMarketCost
 }) {
   console.log("Starting OpenBook token listing process...");
   
@@ -558,76 +443,44 @@ export async function listTokenWithOpenBook({
     
     console.log("Using mint public key:", mintPublicKey.toString());
     
+    // Price the market before the wallet is asked to sign anything
+    const { value: mintSupply } = await connection.getTokenSupply(mintPublicKey);
+    const estimate = await estimateOpenBookMarket(connection, {
+      size: marketSize,
+      supply: BigInt(mintSupply.amount),
+      decimals: mintSupply.decimals
+    });
+    console.log(`OpenBook market rent: ${estimate.totalRent / LAMPORTS_PER_SOL} SOL`);
+    
+    if (confirmMarketCost && !(await confirmMarketCost(estimate))) {
+      throw new Error("OpenBook listing cancelled");
+    }
+    
     // IMPORTANT: Only revoke authorities if explicitly requested
     // This allows metadata to be created first, as it requires mint authority
     if (!skipAuthorityRevocation) {
       // First, revoke mint and freeze authorities to make the token immutable
       console.log("Revoking mint and freeze authorities...");
       
-      // Before attempting to revoke authorities, check if they're already revoked
-      const mintInfo = await connection.getAccountInfo(mintPublicKey);
-      if (mintInfo) {
-        // Check mint authority in bytes 0-32 (all zeros means revoked)
-        const isMintAuthorityNull = mintInfo.data.slice(0, 32).every(byte => byte === 0);
-        
-        // Check freeze authority in bytes 36-68 (all zeros means revoked)
-        const isFreezeAuthorityNull = mintInfo.data.slice(36, 68).every(byte => byte === 0);
-        
-        console.log(`Mint authority status: ${isMintAuthorityNull ? 'Already revoked' : 'Active'}`);
-        console.log(`Freeze authority status: ${isFreezeAuthorityNull ? 'Already revoked' : 'Active'}`);
-        
-        // Only revoke if needed
-        if (!isMintAuthorityNull || !isFreezeAuthorityNull) {
-          const revokeAuthoritiesTx = new Transaction();
-          
-          // Only add mint authority revocation if needed
-          if (!isMintAuthorityNull) {
-            revokeAuthoritiesTx.add(
-              createSetAuthorityInstruction(
-                mintPublicKey,
-                userPublicKey,
-                AuthorityType.MintTokens,
-                null,
-                [],
-                TOKEN_PROGRAM_ID
-              )
-            );
-          }
-          
-          // Only add freeze authority revocation if needed
-          if (!isFreezeAuthorityNull) {
-            revokeAuthoritiesTx.add(
-              createSetAuthorityInstruction(
-                mintPublicKey,
-                userPublicKey,
-                AuthorityType.FreezeAccount,
-                null,
-                [],
-                TOKEN_PROGRAM_ID
-              )
-            );
-          }
-          
-          // Only proceed if we have instructions to execute
-          if (revokeAuthoritiesTx.instructions.length > 0) {
-            revokeAuthoritiesTx.feePayer = userPublicKey;
-            revokeAuthoritiesTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-            
-            try {
-              const signedRevokeAuthoritiesTx = await signTransaction(revokeAuthoritiesTx);
-              const revokeTxid = await sendTransactionWithConfirmation(connection, signedRevokeAuthoritiesTx);
-              console.log("Authorities revoked successfully:", revokeTxid);
-            } catch (revokeError) {
-              console.warn("Error while revoking authorities:", revokeError.message);
-              console.log("Continuing with token listing despite authority revocation error");
-              // Continue with the rest of the process despite this error
-            }
-          } else {
-            console.log("No authority revocation needed - both are already null");
-          }
-        } else {
-          console.log("Both mint and freeze authorities are already revoked, skipping...");
+      // Only the authorities still set are revoked; null means both already are
+      const revokeTx = await buildRevokeAuthoritiesTransaction(connection, {
+        payer: userPublicKey,
+        mint: mintPublicKey,
+        revokeMintAuthority: true,
+        revokeFreezeAuthority: true
+      });
+      
+      if (revokeTx) {
+        try {
+          const revokeTxid = await sendBuiltTransaction(connection, revokeTx, signTransaction);
+          console.log("Authorities revoked successfully:", revokeTxid);
+        } catch (revokeError) {
+          console.warn("Error while revoking authorities:", revokeError.message);
+          console.log("Continuing with token listing despite authority revocation error");
+          // Continue with the rest of the process despite this error
         }
+      } else {
+        console.log("Both mint and freeze authorities are already revoked, skipping...");
       }
     } else {
       console.log("Skipping authority revocation as requested - needed for metadata creation");
@@ -639,7 +492,9 @@ export async function listTokenWithOpenBook({
       userPublicKey,
       mintKeypair: { publicKey: mintPublicKey }, // Pass as object with mintPublicKey
       signTransaction,
-      programId: openBookProgramId // Pass the verified program ID
+      programId: openBookProgramId, // Pass the verified program ID
+      size: estimate.capacity,
+      lotSizes: estimate.lotSizes
     });
     
     if (!marketResult.success) {
@@ -674,10 +529,8 @@ export async function listTokenWithOpenBook({
             )
           );
           createAtaTx.feePayer = userPublicKey;
-          createAtaTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
           
-          const signedCreateAtaTx = await signTransaction(createAtaTx);
-          const createAtaTxid = await sendTransactionWithConfirmation(connection, signedCreateAtaTx);
+          const createAtaTxid = await sendBuiltTransaction(connection, { transaction: createAtaTx, signers: [] }, signTransaction);
           console.log(`Created user token account. Txid: ${createAtaTxid}`);
         }
         
@@ -694,10 +547,8 @@ export async function listTokenWithOpenBook({
         );
         
         transferTx.feePayer = userPublicKey;
-        transferTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
         
-        const signedTransferTx = await signTransaction(transferTx);
-        const transferTxid = await sendTransactionWithConfirmation(connection, signedTransferTx);
+        const transferTxid = await sendBuiltTransaction(connection, { transaction: transferTx, signers: [] }, signTransaction);
         
         console.log(`Successfully transferred ${tokenAmount} tokens to OpenBook base vault. Txid: ${transferTxid}`);
       } catch (transferError) {
@@ -715,7 +566,6 @@ export async function listTokenWithOpenBook({
     const birdeyeMarker = await createBirdeyeMarker({
       connection,
       userPublicKey,
-      mintPublicKey: mintPublicKey,
       signTransaction
     });
     
@@ -8,17 +8,16 @@ import {
   PublicKey, 
   Transaction, 
   SystemProgram, 
-  Keypair,
-  LAMPORTS_PER_SOL
+  Keypair
 } from '@solana/web3.js';
 
 import {
   TOKEN_PROGRAM_ID,
   getAssociatedTokenAddress,
-  createTransferInstruction,
-  createSetAuthorityInstruction,
-  AuthorityType
+  createTransferInstruction
 } from '@solana/spl-token';
+import { buildRevokeAuthoritiesTransaction } from './launchPipeline.js';
+import { assertBalanceCovers, createBirdeyeMarker, seededAccount, sendBuiltTransaction } from './venues/common.js';
 
 // Constants for Orca programs
 const ORCA_WHIRLPOOL_PROGRAM_ID = new PublicKey('whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc');
@@ -26,122 +25,69 @@ const ORCA_CONFIG_ID = new PublicKey('FcrweFY1G9HJAHG5inkGB6pKg1HZ6x9UC2WioAfWrG
 const ORCA_USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
 const SOL_MINT = new PublicKey('So11111111111111111111111111111111111111112');
 
-// Birdeye pool list program ID - interacting with this helps get listed on Birdeye
-const BIRDEYE_REGISTRY = new PublicKey('BirdeTpiKoRXJus4oBDS2KUVRoHMCm54TqGWKnZDtQ3k');
+// Marker account sizes: the pool marker holds the listing's SOL, the config marker only rent
+const POOL_MARKER_SIZE = 256;
+const CONFIG_MARKER_SIZE = 128;
 
 /**
- * Helper function to confirm a transaction with retries
+ * Rent of the pool and config marker accounts, without the SOL deposited
+ * into the pool marker
  */
-async function confirmTransactionWithRetry(connection, signature, commitment, timeoutMs = 60000, retries = 3) {
-  let retryCount = 0;
-  
-  while (retryCount < retries) {
-    try {
-      const result = await connection.confirmTransaction(
-        { signature, blockhash: (await connection.getLatestBlockhash()).blockhash },
-        commitment
-      );
-      
-      if (result.value.err) {
-        throw new Error(`Transaction ${signature} failed: ${JSON.stringify(result.value.err)}`);
-      }
-      
-      return result;
-    } catch (error) {
-      console.warn(`Confirmation attempt ${retryCount + 1} failed:`, error.message);
-      retryCount++;
-      
-      if (retryCount >= retries) {
-        throw error;
-      }
-      
-      // Add exponential backoff
-      await new Promise(resolve => setTimeout(resolve, 2000 * Math.pow(2, retryCount)));
-    }
-  }
+export async function getOrcaMarkerRent(connection) {
+  const [poolMarkerRent, configMarkerRent] = await Promise.all([
+    connection.getMinimumBalanceForRentExemption(POOL_MARKER_SIZE),
+    connection.getMinimumBalanceForRentExemption(CONFIG_MARKER_SIZE)
+  ]);
+  return poolMarkerRent + configMarkerRent;
 }
 
 /**
- * Sends a transaction and confirms it
+ * Pool and config marker accounts that stand in for a listing and help the
+ * token show up in explorers and wallets. The pool marker holds `solAmount`.
+ * Both are seeded from the mint, and a marker an earlier attempt already
+ * created is left out, so the transaction may come back empty.
+ * @returns {Promise<BuiltTransaction & {poolId: PublicKey, configId: PublicKey}>}
  */
-async function sendTransactionWithConfirmation(connection, signedTx, commitment = 'confirmed') {
-  const txid = await connection.sendRawTransaction(signedTx.serialize());
-  console.log("Transaction sent:", txid);
-  
-  try {
-    await confirmTransactionWithRetry(connection, txid, commitment);
-    console.log("Transaction confirmed successfully:", txid);
-  } catch (error) {
-    console.warn("Transaction confirmation timed out, checking status...");
-    const status = await connection.getSignatureStatus(txid, { searchTransactionHistory: true });
-    
-    if (!status || !status.value || status.value.err) {
-      console.error("Transaction failed or not found:", txid);
-      throw new Error(`Transaction failed. Signature: ${txid}`);
-    } else {
-      console.log("Transaction was successful despite timeout!");
-    }
-  }
-  
-  return txid;
-}
+export async function buildOrcaMarkerTransaction(connection, { payer, mint, solAmount }) {
+  const [poolMarkerRent, configMarkerRent] = await Promise.all([
+    connection.getMinimumBalanceForRentExemption(POOL_MARKER_SIZE),
+    connection.getMinimumBalanceForRentExemption(CONFIG_MARKER_SIZE)
+  ]);
+  const markers = await Promise.all([
+    // The main pool marker account, with some SOL for visibility
+    seededAccount({
+      payer,
+      mint,
+      name: 'orcapool',
+      lamports: poolMarkerRent + solAmount,
+      space: POOL_MARKER_SIZE,
+      programId: SystemProgram.programId
+    }),
+    // A secondary marker that looks like a config account
+    seededAccount({
+      payer,
+      mint,
+      name: 'orcaconfig',
+      lamports: configMarkerRent,
+      space: CONFIG_MARKER_SIZE,
+      programId: SystemProgram.programId
+    })
+  ]);
+  const existing = await connection.getMultipleAccountsInfo(markers.map((marker) => marker.address));
 
-/**
- * Creates a marker transaction to help index for Birdeye
- */
-async function createBirdeyeMarker({
-  connection,
-  userPublicKey,
-  mintPublicKey,
-  signTransaction
-}) {
-  try {
-    console.log("Creating Birdeye marker to improve token visibility...");
-    
-    // Create a marker keypair that will be registered with Birdeye's registry
-    const markerKeypair = Keypair.generate();
-    const markerSize = 128; // Size of the marker account
-    
-    // Get minimum rent for the marker account
-    const rentExemption = await connection.getMinimumBalanceForRentExemption(markerSize);
-    
-    // Create the marker account transaction
-    const markerTx = new Transaction().add(
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: markerKeypair.publicKey,
-        lamports: rentExemption + 5000000, // Add some extra SOL to make it visible
-        space: markerSize,
-        programId: SystemProgram.programId
-      })
-    );
-    
-    // Set the payer and recent blockhash
-    markerTx.feePayer = userPublicKey;
-    markerTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-    
-    // Partially sign with the marker keypair
-    markerTx.partialSign(markerKeypair);
-    
-    // Get user signature
-    const signedTx = await signTransaction(markerTx);
-    
-    // Send the transaction
-    const markerTxid = await sendTransactionWithConfirmation(connection, signedTx);
-    console.log("Birdeye marker created:", markerTxid);
-    
-    return {
-      success: true,
-      markerPublicKey: markerKeypair.publicKey,
-      txid: markerTxid
-    };
-  } catch (error) {
-    console.warn("Failed to create Birdeye marker:", error.message);
-    return {
-      success: false,
-      error: error.message
-    };
+  const missing = markers.filter((marker, index) => !existing[index]);
+  const transaction = new Transaction();
+  if (missing.length > 0) {
+    transaction.add(...missing.map((marker) => marker.instruction));
   }
+  transaction.feePayer = payer;
+  
+  return {
+    transaction,
+    signers: [],
+    poolId: markers[0].address,
+    configId: markers[1].address
+  };
 }
 
 /**
@@ -162,43 +108,22 @@ export async function listTokenWithOrca({
   console.log("Starting Orca token listing process...");
   
   try {
-    // Check user balance
-    const userBalance = await connection.getBalance(userPublicKey);
-    console.log("User balance:", userBalance / LAMPORTS_PER_SOL, "SOL");
-    
     // We need at least the specified SOL amount plus a small buffer for transaction fees
-    if (userBalance < solAmount + 10000000) {
-      throw new Error(`Insufficient SOL balance. Required: ${(solAmount + 10000000) / LAMPORTS_PER_SOL} SOL, Available: ${userBalance / LAMPORTS_PER_SOL} SOL`);
-    }
+    await assertBalanceCovers(connection, userPublicKey, solAmount);
     
     // First, revoke mint and freeze authorities to make the token immutable
     console.log("Revoking mint and freeze authorities...");
     
-    const revokeAuthoritiesTx = new Transaction().add(
-      createSetAuthorityInstruction(
-        mintKeypair.publicKey,
-        userPublicKey,
-        AuthorityType.MintTokens,
-        null,
-        [],
-        TOKEN_PROGRAM_ID
-      ),
-      createSetAuthorityInstruction(
-        mintKeypair.publicKey,
-        userPublicKey,
-        AuthorityType.FreezeAccount,
-        null,
-        [],
-        TOKEN_PROGRAM_ID
-      )
-    );
-    
-    revokeAuthoritiesTx.feePayer = userPublicKey;
-    revokeAuthoritiesTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-    
-    const signedRevokeAuthoritiesTx = await signTransaction(revokeAuthoritiesTx);
-    const revokeTxid = await sendTransactionWithConfirmation(connection, signedRevokeAuthoritiesTx);
-    console.log("Authorities revoked successfully:", revokeTxid);
+    const revokeAuthoritiesTx = await buildRevokeAuthoritiesTransaction(connection, {
+      payer: userPublicKey,
+      mint: mintKeypair.publicKey,
+      revokeMintAuthority: true,
+      revokeFreezeAuthority: true
+    });
+    if (revokeAuthoritiesTx) {
+      const revokeTxid = await sendBuiltTransaction(connection, revokeAuthoritiesTx, signTransaction);
+      console.log("Authorities revoked successfully:", revokeTxid);
+    }
     
     // Get user's token account
     const userTokenAccount = await getAssociatedTokenAddress(
@@ -211,49 +136,23 @@ export async function listTokenWithOrca({
     // Create pool marker account - this simulates a pool and helps token visibility
     console.log("Creating pool marker accounts...");
     
-    // Two accounts to simulate a token listing
-    const poolMarkerKeypair = Keypair.generate();
-    const poolConfigKeypair = Keypair.generate();
-    
-    // Create the marker accounts - these will help identify the token in explorers and wallets
-    const poolMarkerSize = 256; // Small size, just for visibility
-    const poolMarkerRent = await connection.getMinimumBalanceForRentExemption(poolMarkerSize);
-    
-    const markerTx = new Transaction().add(
-      // Create the main pool marker account with some SOL for visibility
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: poolMarkerKeypair.publicKey,
-        lamports: poolMarkerRent + solAmount,
-        space: poolMarkerSize,
-        programId: SystemProgram.programId
-      }),
-      
-      // Create a secondary marker that looks like a config account
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: poolConfigKeypair.publicKey,
-        lamports: await connection.getMinimumBalanceForRentExemption(128),
-        space: 128,
-        programId: SystemProgram.programId
-      })
-    );
-    
-    // Set transaction properties
-    markerTx.feePayer = userPublicKey;
-    markerTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-    markerTx.partialSign(poolMarkerKeypair, poolConfigKeypair);
-    
-    // Send the transaction
-    const signedMarkerTx = await signTransaction(markerTx);
-    const markerTxid = await sendTransactionWithConfirmation(connection, signedMarkerTx);
-    console.log("Pool marker accounts created:", markerTxid);
+    const markers = await buildOrcaMarkerTransaction(connection, {
+      payer: userPublicKey,
+      mint: mintKeypair.publicKey,
+      solAmount
+    });
+    let markerTxid = null;
+    if (markers.transaction.instructions.length > 0) {
+      markerTxid = await sendBuiltTransaction(connection, markers, signTransaction);
+      console.log("Pool marker accounts created:", markerTxid);
+    } else {
+      console.log("Pool marker accounts already exist, skipping...");
+    }
     
     // Add an additional marker specifically for Birdeye visibility
     const birdeyeMarker = await createBirdeyeMarker({
       connection,
       userPublicKey,
-      mintPublicKey: mintKeypair.publicKey,
       signTransaction
     });
     
@@ -283,8 +182,8 @@ export async function listTokenWithOrca({
     
     return {
       success: true,
-      poolId: poolMarkerKeypair.publicKey,
-      configId: poolConfigKeypair.publicKey,
+      poolId: markers.poolId,
+      configId: markers.configId,
       tokenAccount: userTokenAccount,
       birdeyeMarker: birdeyeMarker.success ? birdeyeMarker.markerPublicKey : null,
       txid: markerTxid
@@ -311,11 +210,8 @@ export async function listTokenWithOrca({
       );
       
       minimalTx.feePayer = userPublicKey;
-      minimalTx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-      minimalTx.partialSign(minimalMarkerKeypair);
       
-      const signedMinimalTx = await signTransaction(minimalTx);
-      const minimalTxid = await sendTransactionWithConfirmation(connection, signedMinimalTx);
+      const minimalTxid = await sendBuiltTransaction(connection, { transaction: minimalTx, signers: [minimalMarkerKeypair] }, signTransaction);
       console.log("Minimal marker created:", minimalTxid);
       
       // Try the Birdeye marker as a last resort
@@ -324,7 +220,6 @@ export async function listTokenWithOrca({
         const birdeyeResult = await createBirdeyeMarker({
           connection,
           userPublicKey,
-          mintPublicKey: mintKeypair.publicKey,
           signTransaction
         });
         
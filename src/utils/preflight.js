@@ -0,0 +1,204 @@
+/**
+ * Preflight checks for launch transactions.
+ *
+ * Every built transaction is simulated against the RPC before the wallet is
+ * asked to sign it. The simulation also returns the post-transaction state of
+ * each writable account, which is how the report knows which accounts get
+ * created and how much rent they hold, without decoding every program's
+ * instructions.
+ */
+
+import {
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SystemInstruction,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction
+} from '@solana/web3.js';
+import { Buffer } from 'buffer';
+
+export class PreflightError extends Error {
+  /**
+   * @param {string} message
+   * @param {PreflightReport} report - The failed simulation
+   */
+  constructor(message, report) {
+    super(message);
+    this.name = 'PreflightError';
+    this.report = report;
+  }
+}
+
+/**
+ * @typedef {Object} PreflightReport
+ * @property {string} label - Step name shown to the user
+ * @property {boolean} ok - Whether the simulation succeeded
+ * @property {string|null} error - Readable reason the transaction would fail
+ * @property {string[]} logs - Program logs from the simulation
+ * @property {number|null} computeUnits - Units consumed in simulation
+ * @property {number|null} networkFee - Signature and priority fees in lamports
+ * @property {{address: string, lamports: number, space: number, owner: string}[]} accountsCreated
+ * @property {{to: string, lamports: number, isPlatformFee: boolean}[]} transfers
+ * @property {number} rent - Lamports locked in the new accounts
+ * @property {number|null} payerBalance - Fee payer's balance before the transaction
+ * @property {number|null} payerCost - Drop in the fee payer's balance during simulation
+ */
+
+/**
+ * @param {number} lamports
+ * @returns {string} e.g. "0.0020 SOL"
+ */
+export function formatSol(lamports) {
+  return `${(lamports / LAMPORTS_PER_SOL).toFixed(4)} SOL`;
+}
+
+// SOL transfers made directly by the transaction (not by CPI)
+function describeTransfers(transaction, platformFeeAddress) {
+  return transaction.instructions
+    .filter((ix) => ix.programId.equals(SystemProgram.programId))
+    .filter((ix) => {
+      try {
+        return SystemInstruction.decodeInstructionType(ix) === 'Transfer';
+      } catch {
+        return false;
+      }
+    })
+    .map((ix) => {
+      const { toPubkey, lamports } = SystemInstruction.decodeTransfer(ix);
+      return {
+        to: toPubkey.toBase58(),
+        lamports: Number(lamports),
+        isPlatformFee: Boolean(platformFeeAddress && toPubkey.equals(platformFeeAddress)),
+      };
+    });
+}
+
+/**
+ * Turns a simulation error into something a user can act on.
+ * @param {Object|string} err - `value.err` from simulateTransaction
+ * @param {string[]} [logs]
+ * @returns {string}
+ */
+export function explainSimulationError(err, logs = []) {
+  if (err === 'AccountNotFound') {
+    return 'Your wallet has no SOL on this network.';
+  }
+  if (err === 'InsufficientFundsForFee') {
+    return 'Not enough SOL to pay the network fee.';
+  }
+  if (err && typeof err === 'object' && 'InsufficientFundsForRent' in err) {
+    return 'Not enough SOL to keep a new account rent-exempt.';
+  }
+
+  const insufficient = logs.find((line) => /insufficient lamports/i.test(line));
+  if (insufficient) {
+    const match = insufficient.match(/insufficient lamports (\d+), need (\d+)/);
+    return match
+      ? `Not enough SOL: the wallet has ${formatSol(Number(match[1]))} but this step needs ${formatSol(Number(match[2]))}.`
+      : 'Not enough SOL for this step.';
+  }
+
+  if (err && typeof err === 'object' && Array.isArray(err.InstructionError)) {
+    const [index, detail] = err.InstructionError;
+    const failureLog = [...logs].reverse().find((line) => /error|failed/i.test(line));
+    const reason = failureLog || (typeof detail === 'string' ? detail : JSON.stringify(detail));
+    return `Instruction ${index + 1} would fail: ${reason}`;
+  }
+
+  return typeof err === 'string' ? err : JSON.stringify(err);
+}
+
+/**
+ * Simulates a built transaction without signing it and reports what it
+ * would do. Never throws for a failing simulation; check `report.ok`.
+ * @param {Connection} connection
+ * @param {BuiltTransaction} built - From one of the launchPipeline builders
+ * @param {Object} [options]
+ * @param {string} [options.label]
+ * @param {PublicKey} [options.platformFeeAddress] - Flags transfers to the platform treasury
+ * @param {AddressLookupTableAccount[]} [options.lookupTables] - Tables the transaction is compiled against
+ * @returns {Promise<PreflightReport>}
+ */
+export async function simulateLaunchTransaction(connection, { transaction }, {
+  label = 'Transaction',
+  platformFeeAddress,
+  lookupTables = []
+} = {}) {
+  if (!transaction.recentBlockhash) {
+    transaction.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
+  }
+
+  // Simulated as the v0 transaction that will be sent
+  const message = new TransactionMessage({
+    payerKey: transaction.feePayer,
+    recentBlockhash: transaction.recentBlockhash,
+    instructions: transaction.instructions,
+  }).compileToV0Message(lookupTables);
+  const accountKeys = message.getAccountKeys({ addressLookupTableAccounts: lookupTables });
+  // The fee payer is always the first writable key
+  const writable = accountKeys.keySegments().flat().filter((_, index) => message.isAccountWritable(index));
+
+  const [before, { value }, { value: networkFee }] = await Promise.all([
+    connection.getMultipleAccountsInfo(writable, 'confirmed'),
+    connection.simulateTransaction(new VersionedTransaction(message), {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      commitment: 'confirmed',
+      accounts: { encoding: 'base64', addresses: writable.map((key) => key.toBase58()) },
+    }),
+    connection.getFeeForMessage(message, 'confirmed'),
+  ]);
+
+  const after = value.accounts || [];
+  const accountsCreated = [];
+  writable.forEach((key, index) => {
+    if (!before[index] && after[index] && after[index].lamports > 0) {
+      accountsCreated.push({
+        address: key.toBase58(),
+        lamports: after[index].lamports,
+        space: Buffer.from(after[index].data[0], 'base64').length,
+        owner: after[index].owner,
+      });
+    }
+  });
+
+  const payerBefore = before[0] ? before[0].lamports : null;
+  const payerAfter = after[0] ? after[0].lamports : null;
+  const logs = value.logs || [];
+
+  return {
+    label,
+    ok: !value.err,
+    error: value.err ? explainSimulationError(value.err, logs) : null,
+    logs,
+    computeUnits: value.unitsConsumed ?? null,
+    networkFee: networkFee ?? null,
+    accountsCreated,
+    transfers: describeTransfers(transaction, platformFeeAddress),
+    rent: accountsCreated.reduce((sum, account) => sum + account.lamports, 0),
+    payerBalance: payerBefore,
+    payerCost: payerBefore !== null && payerAfter !== null ? payerBefore - payerAfter : null,
+  };
+}
+
+/**
+ * Simulates `built` and throws PreflightError if it would fail, so the
+ * wallet is never asked to sign a doomed transaction.
+ * @returns {Promise<PreflightReport>}
+ */
+export async function assertTransactionWillSucceed(connection, built, options = {}) {
+  const report = await simulateLaunchTransaction(connection, built, options);
+  if (!report.ok) {
+    throw new PreflightError(`${report.label} would fail: ${report.error}`, report);
+  }
+  return report;
+}
+
+/**
+ * @returns {PublicKey|null} NEXT_PUBLIC_PLATFORM_FEE_ADDRESS, if configured
+ */
+export function getPlatformFeeAddress() {
+  const address = process.env.NEXT_PUBLIC_PLATFORM_FEE_ADDRESS;
+  return address ? new PublicKey(address) : null;
+}
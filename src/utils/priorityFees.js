@@ -0,0 +1,187 @@
+/**
+ * Priority fee and compute budget sizing shared by every transaction the app
+ * sends.
+ *
+ * The fee is a percentile of what recently landed transactions paid to lock
+ * the same writable accounts, so a busy pool account is bid for at its going
+ * rate while an idle mint pays close to nothing. The compute unit limit comes
+ * from simulating the transaction, plus headroom.
+ *
+ * Apply it before anything signs the transaction: it rewrites the
+ * instruction list, which invalidates existing signatures.
+ */
+
+import { ComputeBudgetProgram, PublicKey, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+
+export const PRIORITY_LEVELS = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+};
+
+// Percentile of recent non-zero fees each level bids, and a floor for quiet markets
+const LEVEL_SETTINGS = {
+  [PRIORITY_LEVELS.LOW]: { percentile: 25, minMicroLamports: 1000 },
+  [PRIORITY_LEVELS.MEDIUM]: { percentile: 50, minMicroLamports: 10000 },
+  [PRIORITY_LEVELS.HIGH]: { percentile: 75, minMicroLamports: 100000 },
+};
+
+// Upper bound on any bid, whatever the fee market looks like
+export const MAX_PRIORITY_MICROLAMPORTS = 2000000;
+
+// Used when simulation cannot measure the transaction
+export const DEFAULT_COMPUTE_UNIT_LIMIT = 200000;
+export const MAX_COMPUTE_UNIT_LIMIT = 1400000;
+
+// Account state can change between simulation and landing
+const COMPUTE_UNIT_MARGIN = 1.15;
+const MIN_COMPUTE_UNIT_LIMIT = 5000;
+
+// getRecentPrioritizationFees accepts at most this many accounts
+const MAX_FEE_ACCOUNTS = 128;
+
+/**
+ * @typedef {Object} PriorityFee
+ * @property {number} microLamports - Price per compute unit
+ * @property {number} computeUnitLimit
+ * @property {boolean} simulated - False when the limit is the default guess
+ */
+
+function isComputeBudgetInstruction(instruction) {
+  return instruction.programId.equals(ComputeBudgetProgram.programId);
+}
+
+/**
+ * Accounts the transaction write-locks, which is what its priority fee
+ * competes for.
+ * @param {Transaction} transaction
+ * @returns {PublicKey[]}
+ */
+export function getWritableAccounts(transaction) {
+  const seen = new Map();
+  if (transaction.feePayer) {
+    seen.set(transaction.feePayer.toBase58(), transaction.feePayer);
+  }
+  transaction.instructions
+    .filter((instruction) => !isComputeBudgetInstruction(instruction))
+    .forEach((instruction) => {
+      instruction.keys
+        .filter((key) => key.isWritable)
+        .forEach((key) => seen.set(key.pubkey.toBase58(), key.pubkey));
+    });
+  return [...seen.values()].slice(0, MAX_FEE_ACCOUNTS);
+}
+
+/**
+ * Priority fee for `level` from recent fees paid on `accounts`.
+ * @param {Connection} connection
+ * @param {PublicKey[]} accounts - Writable accounts the transaction locks
+ * @param {string} [level] - One of PRIORITY_LEVELS
+ * @returns {Promise<number>} microLamports per compute unit
+ */
+export async function estimatePriorityFee(connection, accounts, level = PRIORITY_LEVELS.MEDIUM) {
+  const settings = LEVEL_SETTINGS[level];
+  if (!settings) {
+    throw new Error(`Unknown priority level: ${level}`);
+  }
+
+  let fees = [];
+  try {
+    const recent = await connection.getRecentPrioritizationFees({ lockedWritableAccounts: accounts });
+    fees = recent
+      .map((entry) => entry.prioritizationFee)
+      .filter((fee) => fee > 0)
+      .sort((a, b) => a - b);
+  } catch (error) {
+    console.warn('Could not fetch recent prioritization fees:', error.message);
+  }
+
+  if (fees.length === 0) {
+    return settings.minMicroLamports;
+  }
+
+  const index = Math.min(fees.length - 1, Math.floor((settings.percentile / 100) * fees.length));
+  return Math.min(MAX_PRIORITY_MICROLAMPORTS, Math.max(settings.minMicroLamports, fees[index]));
+}
+
+/**
+ * Compute units the transaction's instructions consume in simulation, or
+ * null when it cannot be simulated (for example because it would fail).
+ * @param {Connection} connection
+ * @param {Transaction} transaction
+ * @param {AddressLookupTableAccount[]} [lookupTables] - Tables the transaction is compiled against
+ * @returns {Promise<number|null>}
+ */
+export async function estimateComputeUnits(connection, transaction, lookupTables = []) {
+  try {
+    const probe = new TransactionMessage({
+      payerKey: transaction.feePayer,
+      recentBlockhash: transaction.recentBlockhash || (await connection.getLatestBlockhash()).blockhash,
+      instructions: [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNIT_LIMIT }),
+        ...transaction.instructions.filter((instruction) => !isComputeBudgetInstruction(instruction)),
+      ],
+    }).compileToV0Message(lookupTables);
+
+    const { value } = await connection.simulateTransaction(new VersionedTransaction(probe), {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      commitment: 'confirmed',
+    });
+    if (value.err || !value.unitsConsumed) {
+      return null;
+    }
+    return value.unitsConsumed;
+  } catch (error) {
+    console.warn('Could not simulate transaction for compute units:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Replaces any compute budget instructions on `built.transaction` with a
+ * measured unit limit and an estimated unit price.
+ * @param {Connection} connection
+ * @param {{transaction: Transaction}} built
+ * @param {Object} [options]
+ * @param {string} [options.level] - One of PRIORITY_LEVELS
+ * @param {number} [options.microLamports] - Fixed price instead of an estimate
+ * @param {number} [options.defaultComputeUnits] - Limit to use if simulation fails
+ * @param {AddressLookupTableAccount[]} [options.lookupTables] - Tables the transaction is compiled against
+ * @returns {Promise<PriorityFee>}
+ */
+export async function applyPriorityFee(connection, { transaction }, {
+  level = PRIORITY_LEVELS.MEDIUM,
+  microLamports,
+  defaultComputeUnits = DEFAULT_COMPUTE_UNIT_LIMIT,
+  lookupTables = []
+} = {}) {
+  const [price, unitsConsumed] = await Promise.all([
+    microLamports ?? estimatePriorityFee(connection, getWritableAccounts(transaction), level),
+    estimateComputeUnits(connection, transaction, lookupTables),
+  ]);
+
+  const computeUnitLimit = unitsConsumed
+    ? Math.min(MAX_COMPUTE_UNIT_LIMIT, Math.max(MIN_COMPUTE_UNIT_LIMIT, Math.ceil(unitsConsumed * COMPUTE_UNIT_MARGIN)))
+    : defaultComputeUnits;
+
+  transaction.instructions = [
+    ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: price }),
+    ...transaction.instructions.filter((instruction) => !isComputeBudgetInstruction(instruction)),
+  ];
+
+  return { microLamports: price, computeUnitLimit, simulated: Boolean(unitsConsumed) };
+}
+
+/**
+ * Current estimate for each level, for showing next to the presets.
+ * @param {Connection} connection
+ * @param {PublicKey[]} [accounts]
+ * @returns {Promise<Record<string, number>>}
+ */
+export async function estimatePriorityFeeLevels(connection, accounts = []) {
+  const levels = Object.values(PRIORITY_LEVELS);
+  const estimates = await Promise.all(levels.map((level) => estimatePriorityFee(connection, accounts, level)));
+  return Object.fromEntries(levels.map((level, index) => [level, estimates[index]]));
+}
@@ -0,0 +1,367 @@
+/**
+ * Liquidity in Raydium CP-Swap pools: quotes for adding and removing it that
+ * round the way the program does, deposit and withdraw transactions that
+ * wrap and unwrap SOL around the instruction, and the owner's LP position.
+ *
+ * As with createRaydiumPool, the wallet is injected as `signTransaction`, so
+ * the same calls work from the browser and from a server keypair.
+ *
+ * Token-2022 transfer fees are not added to the deposit limits or taken off
+ * the withdraw floors; a deposit of a fee-bearing token needs that much more
+ * slippage.
+ */
+
+import { Transaction, TransactionInstruction, PublicKey, SystemProgram } from '@solana/web3.js';
+import {
+  NATIVE_MINT,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  TokenAccountNotFoundError,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createCloseAccountInstruction,
+  createSyncNativeInstruction,
+  getAccount,
+  getAssociatedTokenAddressSync
+} from '@solana/spl-token';
+import { BASIS_POINTS } from './bondingCurve.js';
+import { confirmLaunchTransaction } from './launchPipeline.js';
+import { assertTransactionWillSucceed } from './preflight.js';
+import { PRIORITY_LEVELS, applyPriorityFee } from './priorityFees.js';
+import { RAYDIUM_CP_SWAP_PROGRAM_ID, getCpSwapAuthority } from './raydiumPoolState.js';
+import { compileVersionedTransaction } from './versionedTransactions.js';
+
+// Anchor discriminators for "global:deposit" and "global:withdraw"
+const DEPOSIT_DISCRIMINATOR = Buffer.from([242, 35, 198, 137, 82, 225, 242, 182]);
+const WITHDRAW_DISCRIMINATOR = Buffer.from([183, 18, 70, 156, 148, 109, 161, 34]);
+
+// Withdraw takes the memo program for Token-2022 mints that require memos
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const BPS = BigInt(BASIS_POINTS);
+
+/**
+ * @typedef {Object} LiquidityQuote
+ * @property {bigint} lpAmount - LP tokens minted or burned
+ * @property {bigint} amount0 - Token 0 moved at the current reserves
+ * @property {bigint} amount1 - Token 1 moved at the current reserves
+ * @property {bigint} limit0 - Deposit: most token 0 paid; withdraw: least token 0 received
+ * @property {bigint} limit1 - Same for token 1
+ */
+
+/**
+ * @typedef {Object} LpPosition
+ * @property {PublicKey} lpAccount - Owner's LP token account
+ * @property {bigint} lpBalance
+ * @property {bigint} lpSupply
+ * @property {number} shareBasisPoints - Owner's share of the pool
+ * @property {bigint} amount0 - Token 0 the LP tokens withdraw at the current reserves
+ * @property {bigint} amount1 - Token 1 the same
+ */
+
+function assertSlippage(slippageBasisPoints) {
+  if (!Number.isInteger(slippageBasisPoints) || slippageBasisPoints < 0 || slippageBasisPoints > BASIS_POINTS) {
+    throw new Error(`Slippage must be a whole number of basis points from 0 to ${BASIS_POINTS}`);
+  }
+}
+
+// The program's lp_tokens_to_trading_tokens: deposits round up, withdrawals down
+function lpToTokens(pool, lpAmount, roundUp) {
+  const convert = (reserve) => {
+    const amount = (lpAmount * reserve) / pool.lpSupply;
+    return roundUp && amount > ZERO && (lpAmount * reserve) % pool.lpSupply > ZERO ? amount + ONE : amount;
+  };
+  return { amount0: convert(pool.reserve0), amount1: convert(pool.reserve1) };
+}
+
+/**
+ * LP tokens for depositing `amount` of `inputMint`, and the other side the
+ * pool takes with it. The LP amount is rounded down so the deposit never
+ * costs more than `amount` of the input at the current reserves.
+ * @param {import('./raydiumPoolState.js').CpSwapPool} pool
+ * @param {PublicKey} inputMint - Side the amount is given in
+ * @param {bigint} amount - Raw amount of `inputMint`
+ * @param {number} [slippageBasisPoints] - How far the reserves may move before the deposit fails
+ * @returns {LiquidityQuote}
+ */
+export function quoteCpSwapDeposit(pool, inputMint, amount, slippageBasisPoints = 100) {
+  assertSlippage(slippageBasisPoints);
+  const reserve = pool.token0Mint.equals(inputMint) ? pool.reserve0 : pool.token1Mint.equals(inputMint) ? pool.reserve1 : null;
+  if (reserve === null) {
+    throw new Error(`${inputMint.toBase58()} is not traded in this pool`);
+  }
+  if (reserve === ZERO || pool.lpSupply === ZERO) {
+    throw new Error('The pool has no liquidity to deposit against');
+  }
+
+  let lpAmount = (amount * pool.lpSupply) / reserve;
+  let amounts = lpToTokens(pool, lpAmount, true);
+  const inputAmount = () => (pool.token0Mint.equals(inputMint) ? amounts.amount0 : amounts.amount1);
+  // Rounding the counterpart up can tip the input a unit over
+  while (lpAmount > ZERO && inputAmount() > amount) {
+    lpAmount -= ONE;
+    amounts = lpToTokens(pool, lpAmount, true);
+  }
+
+  const withSlippage = (value) => value + (value * BigInt(slippageBasisPoints) + BPS - ONE) / BPS;
+  return {
+    lpAmount,
+    ...amounts,
+    limit0: withSlippage(amounts.amount0),
+    limit1: withSlippage(amounts.amount1),
+  };
+}
+
+/**
+ * Tokens received for burning `lpAmount` LP tokens.
+ * @param {import('./raydiumPoolState.js').CpSwapPool} pool
+ * @param {bigint} lpAmount
+ * @param {number} [slippageBasisPoints] - How far the reserves may move before the withdrawal fails
+ * @returns {LiquidityQuote}
+ */
+export function quoteCpSwapWithdraw(pool, lpAmount, slippageBasisPoints = 100) {
+  assertSlippage(slippageBasisPoints);
+  if (lpAmount > pool.lpSupply) {
+    throw new Error('More LP tokens than the pool has issued');
+  }
+  const amounts = lpToTokens(pool, lpAmount, false);
+  const withSlippage = (value) => (value * BigInt(BASIS_POINTS - slippageBasisPoints)) / BPS;
+  return {
+    lpAmount,
+    ...amounts,
+    limit0: withSlippage(amounts.amount0),
+    limit1: withSlippage(amounts.amount1),
+  };
+}
+
+/**
+ * The LP tokens `owner` holds in `pool` and what they withdraw.
+ * @param {Connection} connection
+ * @param {import('./raydiumPoolState.js').CpSwapPool} pool
+ * @param {PublicKey} owner
+ * @returns {Promise<LpPosition>}
+ */
+export async function getLpPosition(connection, pool, owner) {
+  // LP mints are always SPL Token, whatever program the pool's mints use
+  const lpAccount = getAssociatedTokenAddressSync(pool.lpMint, owner);
+  let lpBalance = ZERO;
+  try {
+    lpBalance = (await getAccount(connection, lpAccount, 'confirmed', TOKEN_PROGRAM_ID)).amount;
+  } catch (error) {
+    if (!(error instanceof TokenAccountNotFoundError)) {
+      throw error;
+    }
+  }
+
+  const { amount0, amount1 } = pool.lpSupply > ZERO ? lpToTokens(pool, lpBalance, false) : { amount0: ZERO, amount1: ZERO };
+  return {
+    lpAccount,
+    lpBalance,
+    lpSupply: pool.lpSupply,
+    shareBasisPoints: pool.lpSupply > ZERO ? Number((lpBalance * BPS) / pool.lpSupply) : 0,
+    amount0,
+    amount1,
+  };
+}
+
+// Token accounts the owner deposits from or withdraws to, one per pool side
+function getOwnerAccounts(pool, owner) {
+  return {
+    account0: getAssociatedTokenAddressSync(pool.token0Mint, owner, false, pool.token0Program),
+    account1: getAssociatedTokenAddressSync(pool.token1Mint, owner, false, pool.token1Program),
+    lpAccount: getAssociatedTokenAddressSync(pool.lpMint, owner),
+  };
+}
+
+// Deposit and withdraw share their accounts; withdraw adds the memo program
+function liquidityKeys(pool, owner, { account0, account1, lpAccount }) {
+  return [
+    { pubkey: owner, isSigner: true, isWritable: false },
+    { pubkey: getCpSwapAuthority(), isSigner: false, isWritable: false },
+    { pubkey: pool.address, isSigner: false, isWritable: true },
+    { pubkey: lpAccount, isSigner: false, isWritable: true },
+    { pubkey: account0, isSigner: false, isWritable: true },
+    { pubkey: account1, isSigner: false, isWritable: true },
+    { pubkey: pool.token0Vault, isSigner: false, isWritable: true },
+    { pubkey: pool.token1Vault, isSigner: false, isWritable: true },
+    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+    { pubkey: TOKEN_2022_PROGRAM_ID, isSigner: false, isWritable: false },
+    { pubkey: pool.token0Mint, isSigner: false, isWritable: false },
+    { pubkey: pool.token1Mint, isSigner: false, isWritable: false },
+    { pubkey: pool.lpMint, isSigner: false, isWritable: true },
+  ];
+}
+
+function encodeAmounts(discriminator, lpAmount, amount0, amount1) {
+  const data = Buffer.alloc(32);
+  discriminator.copy(data, 0);
+  data.writeBigUInt64LE(lpAmount, 8);
+  data.writeBigUInt64LE(amount0, 16);
+  data.writeBigUInt64LE(amount1, 24);
+  return data;
+}
+
+const wsolSide = (pool, { account0, account1 }) => (
+  pool.token0Mint.equals(NATIVE_MINT) ? { account: account0, isToken0: true }
+    : pool.token1Mint.equals(NATIVE_MINT) ? { account: account1, isToken0: false }
+      : null
+);
+
+/**
+ * Deposit for `owner`, minting exactly `lpAmount` LP tokens. SOL up to its
+ * limit is wrapped first and whatever the pool did not take is unwrapped
+ * after.
+ * @param {Object} params
+ * @param {PublicKey} params.owner - Depositor; pays and signs
+ * @param {import('./raydiumPoolState.js').CpSwapPool} params.pool
+ * @param {bigint} params.lpAmount
+ * @param {bigint} params.maximumAmount0 - Usually quote.limit0
+ * @param {bigint} params.maximumAmount1 - Usually quote.limit1
+ * @returns {{transaction: Transaction, signers: []}}
+ */
+export function buildCpSwapDepositTransaction({ owner, pool, lpAmount, maximumAmount0, maximumAmount1 }) {
+  const accounts = getOwnerAccounts(pool, owner);
+  const wsol = wsolSide(pool, accounts);
+  const transaction = new Transaction();
+
+  if (wsol) {
+    transaction.add(
+      createAssociatedTokenAccountIdempotentInstruction(owner, wsol.account, owner, NATIVE_MINT),
+      SystemProgram.transfer({
+        fromPubkey: owner,
+        toPubkey: wsol.account,
+        lamports: wsol.isToken0 ? maximumAmount0 : maximumAmount1
+      }),
+      createSyncNativeInstruction(wsol.account)
+    );
+  }
+  transaction.add(createAssociatedTokenAccountIdempotentInstruction(owner, accounts.lpAccount, owner, pool.lpMint));
+
+  transaction.add(new TransactionInstruction({
+    programId: RAYDIUM_CP_SWAP_PROGRAM_ID,
+    keys: liquidityKeys(pool, owner, accounts),
+    data: encodeAmounts(DEPOSIT_DISCRIMINATOR, lpAmount, maximumAmount0, maximumAmount1)
+  }));
+
+  if (wsol) {
+    transaction.add(createCloseAccountInstruction(wsol.account, owner, owner, [], TOKEN_PROGRAM_ID));
+  }
+
+  transaction.feePayer = owner;
+  return { transaction, signers: [] };
+}
+
+/**
+ * Withdrawal for `owner`, burning `lpAmount` LP tokens. Token accounts are
+ * created if missing and the SOL side is unwrapped.
+ * @param {Object} params
+ * @param {PublicKey} params.owner - LP holder; pays and signs
+ * @param {import('./raydiumPoolState.js').CpSwapPool} params.pool
+ * @param {bigint} params.lpAmount
+ * @param {bigint} params.minimumAmount0 - Usually quote.limit0
+ * @param {bigint} params.minimumAmount1 - Usually quote.limit1
+ * @returns {{transaction: Transaction, signers: []}}
+ */
+export function buildCpSwapWithdrawTransaction({ owner, pool, lpAmount, minimumAmount0, minimumAmount1 }) {
+  const accounts = getOwnerAccounts(pool, owner);
+  const wsol = wsolSide(pool, accounts);
+  const transaction = new Transaction().add(
+    createAssociatedTokenAccountIdempotentInstruction(owner, accounts.account0, owner, pool.token0Mint, pool.token0Program),
+    createAssociatedTokenAccountIdempotentInstruction(owner, accounts.account1, owner, pool.token1Mint, pool.token1Program),
+    new TransactionInstruction({
+      programId: RAYDIUM_CP_SWAP_PROGRAM_ID,
+      keys: [
+        ...liquidityKeys(pool, owner, accounts),
+        { pubkey: MEMO_PROGRAM_ID, isSigner: false, isWritable: false },
+      ],
+      data: encodeAmounts(WITHDRAW_DISCRIMINATOR, lpAmount, minimumAmount0, minimumAmount1)
+    })
+  );
+
+  if (wsol) {
+    transaction.add(createCloseAccountInstruction(wsol.account, owner, owner, [], TOKEN_PROGRAM_ID));
+  }
+
+  transaction.feePayer = owner;
+  return { transaction, signers: [] };
+}
+
+// Simulates, signs with the injected wallet, sends and confirms
+async function sendLiquidityTransaction(connection, built, { signTransaction, priorityLevel, label }) {
+  try {
+    const { blockhash } = await connection.getLatestBlockhash();
+    built.transaction.recentBlockhash = blockhash;
+    await applyPriorityFee(connection, built, { level: priorityLevel });
+    await assertTransactionWillSucceed(connection, built, { label });
+
+    const signed = await signTransaction(compileVersionedTransaction(built, { blockhash }));
+    const txid = await connection.sendRawTransaction(signed.serialize(), {
+      preflightCommitment: 'confirmed',
+      maxRetries: 3
+    });
+    await confirmLaunchTransaction(connection, txid);
+    return { success: true, txid };
+  } catch (error) {
+    console.error(`${label} failed:`, error);
+    return { success: false, error: error.message || `${label} failed` };
+  }
+}
+
+/**
+ * Adds liquidity to a CP-Swap pool from `owner`'s wallet.
+ * @param {Object} params
+ * @param {Connection} params.connection
+ * @param {PublicKey} params.owner
+ * @param {import('./raydiumPoolState.js').CpSwapPool} params.pool
+ * @param {LiquidityQuote} params.quote - From quoteCpSwapDeposit
+ * @param {Function} params.signTransaction - Signs the v0 transaction as `owner`
+ * @param {string} [params.priorityLevel] - One of PRIORITY_LEVELS
+ * @returns {Promise<{success: boolean, txid?: string, error?: string}>}
+ */
+export async function addRaydiumLiquidity({
+  connection,
+  owner,
+  pool,
+  quote,
+  signTransaction,
+  priorityLevel = PRIORITY_LEVELS.MEDIUM
+}) {
+  const built = buildCpSwapDepositTransaction({
+    owner,
+    pool,
+    lpAmount: quote.lpAmount,
+    maximumAmount0: quote.limit0,
+    maximumAmount1: quote.limit1
+  });
+  return sendLiquidityTransaction(connection, built, { signTransaction, priorityLevel, label: 'Add liquidity' });
+}
+
+/**
+ * Removes liquidity from a CP-Swap pool into `owner`'s wallet.
+ * @param {Object} params
+ * @param {Connection} params.connection
+ * @param {PublicKey} params.owner
+ * @param {import('./raydiumPoolState.js').CpSwapPool} params.pool
+ * @param {LiquidityQuote} params.quote - From quoteCpSwapWithdraw
+ * @param {Function} params.signTransaction - Signs the v0 transaction as `owner`
+ * @param {string} [params.priorityLevel] - One of PRIORITY_LEVELS
+ * @returns {Promise<{success: boolean, txid?: string, error?: string}>}
+ */
+export async function removeRaydiumLiquidity({
+  connection,
+  owner,
+  pool,
+  quote,
+  signTransaction,
+  priorityLevel = PRIORITY_LEVELS.MEDIUM
+}) {
+  const built = buildCpSwapWithdrawTransaction({
+    owner,
+    pool,
+    lpAmount: quote.lpAmount,
+    minimumAmount0: quote.limit0,
+    minimumAmount1: quote.limit1
+  });
+  return sendLiquidityTransaction(connection, built, { signTransaction, priorityLevel, label: 'Remove liquidity' });
+}
@@ -17,6 +17,8 @@ import {
 
 import {
   TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  createTransferCheckedInstruction,
   createTransferInstruction,
   getAssociatedTokenAddress,
   createAssociatedTokenAccountInstruction,
@@ -28,6 +30,12 @@ import {
 
 import BN from 'bn.js';
 import * as BufferLayout from '@solana/buffer-layout';
+import { assertTransactionWillSucceed } from './preflight.js';
+import { PRIORITY_LEVELS, applyPriorityFee } from './priorityFees.js';
+import { compileVersionedTransaction } from './versionedTransactions.js';
+import { RAYDIUM_CP_SWAP_PROGRAM_ID, fetchCpSwapPoolForMint } from './raydiumPoolState.js';
+import { checkTransactionStatus, confirmTransactionWithRetry } from './transactionStatus.js';
+import { assertBalanceCovers } from './venues/common.js';
 
 // Ensure Buffer is available in browser context
 const BufferFrom = (
@@ -50,102 +58,234 @@ const BufferLayoutExt = {
   }
 };
 
-// Raydium program IDs - Updated for CP-Swap (Raydium V3)
-const RAYDIUM_CP_SWAP_PROGRAM_ID = new PublicKey('CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK');
 const SOL_MINT = new PublicKey('So11111111111111111111111111111111111111112');
 
-// Helper function to check if a transaction succeeded even if confirmation timed out
-async function checkTransactionStatus(connection, signature) {
-  try {
-    const status = await connection.getSignatureStatus(signature, {
-      searchTransactionHistory: true,
-    });
-    
-    console.log("Transaction status:", status);
-    
-    // If null, transaction not found
-    if (!status || !status.value) {
-      return false;
-    }
-    
-    // If has error, transaction failed
-    if (status.value && status.value.err) {
-      return false;
-    }
-    
-    // If confirmations > 0 or status is 'confirmed'/'finalized', transaction succeeded
-    return (
-      status.value.confirmationStatus === 'confirmed' ||
-      status.value.confirmationStatus === 'finalized' ||
-      (status.value.confirmations !== null && status.value.confirmations > 0)
-    );
-  } catch (error) {
-    console.error("Error checking transaction status:", error);
-    return false;
-  }
+// Compute limit for pool creation when it cannot be measured by simulation
+export const POOL_COMPUTE_UNITS = 500000;
+
+// Pool state account created alongside the pool
+export const POOL_STATE_SIZE = 1024;
+
+// Smaller deposits are raised to this - competitive with coinfactory.app
+export const MINIMUM_POOL_LAMPORTS = 0.15 * LAMPORTS_PER_SOL;
+
+/**
+ * Pool authority, vault and LP mint addresses for a pool state account, so
+ * they can be known (e.g. put in a lookup table) before the pool is built.
+ * @param {Object} params
+ * @param {PublicKey} params.poolState
+ * @param {PublicKey} params.mintPublicKey
+ * @param {PublicKey} [params.tokenProgramId]
+ * @returns {Promise<{poolAuthority: PublicKey, baseVault: PublicKey, quoteVault: PublicKey, lpMint: PublicKey}>}
+ */
+export async function getRaydiumPoolAddresses({ poolState, mintPublicKey, tokenProgramId = TOKEN_PROGRAM_ID }) {
+  const poolAuthority = await derivePoolAuthority(RAYDIUM_CP_SWAP_PROGRAM_ID, poolState);
+  const [baseVault, quoteVault] = await Promise.all([
+    getAssociatedTokenAddress(mintPublicKey, poolAuthority, true, tokenProgramId),
+    getAssociatedTokenAddress(SOL_MINT, poolAuthority, true, TOKEN_PROGRAM_ID),
+  ]);
+  // LP tokens minted to the depositor come from this PDA
+  const [lpMint] = PublicKey.findProgramAddressSync(
+    [BufferFrom.from("pool_lp_mint"), poolState.toBuffer()],
+    RAYDIUM_CP_SWAP_PROGRAM_ID
+  );
+  return { poolAuthority, baseVault, quoteVault, lpMint };
 }
 
-// Update sendRawTransaction to use more robust confirmation
-async function sendTransactionWithConfirmation(connection, signedTx, commitment = 'confirmed') {
-  const txid = await connection.sendRawTransaction(signedTx.serialize());
-  console.log("Transaction sent:", txid);
+/**
+ * Builds the unsigned CP-Swap pool initialisation transaction: pool state
+ * account, vaults, the initialize instruction and the initial deposits.
+ * The pool state keypair is returned in `signers` and must co-sign before
+ * the wallet does.
+ * @param {Connection} connection - Solana connection
+ * @param {Object} params
+ * @param {PublicKey} params.userPublicKey - Wallet paying for and funding the pool
+ * @param {PublicKey} params.mintPublicKey - Token mint address (the mint must already exist)
+ * @param {BigInt} params.tokenAmount - Token amount to add to the pool (in raw units)
+ * @param {number} params.solAmount - SOL amount to add to the pool (in lamports)
+ * @param {PublicKey} [params.tokenProgramId] - Program that owns the mint (SPL Token or Token-2022)
+ * @param {number} [params.tokenDecimals] - Mint decimals, needed for Token-2022 checked transfers
+ * @param {Keypair} [params.poolStateKeypair] - Pre-generated pool state, when its addresses were needed earlier
+ * @returns {Promise<{transaction: Transaction, signers: Keypair[], poolId: string, baseVault: string, quoteVault: string}>}
+ */
+export async function buildRaydiumPoolTransaction(connection, {
+  userPublicKey,
+  mintPublicKey,
+  tokenAmount,
+  solAmount,
+  tokenProgramId = TOKEN_PROGRAM_ID,
+  tokenDecimals = 9,
+  poolStateKeypair = Keypair.generate()
+}) {
+  // Set minimum viable SOL amount
+  if (solAmount < MINIMUM_POOL_LAMPORTS) {
+    console.warn(`WARNING: SOL amount ${solAmount / LAMPORTS_PER_SOL} is below absolute minimum. Increasing to ${MINIMUM_POOL_LAMPORTS / LAMPORTS_PER_SOL} SOL.`);
+    solAmount = MINIMUM_POOL_LAMPORTS;
+  }
   
-  try {
-    await confirmTransactionWithRetry(connection, txid, commitment);
-    console.log("Transaction confirmed successfully:", txid);
-  } catch (error) {
-    console.warn("Transaction confirmation timed out, checking status...");
-    const status = await checkTransactionStatus(connection, txid);
-    if (!status) {
-      console.error("Transaction failed or not found:", txid);
-      throw new Error(`Transaction failed. Signature: ${txid}`);
-    } else {
-      console.log("Transaction was actually successful despite timeout!");
-    }
+  // Check if we have enough balance before proceeding
+  await assertBalanceCovers(connection, userPublicKey, solAmount);
+  
+  const { poolAuthority, baseVault, quoteVault } = await getRaydiumPoolAddresses({
+    poolState: poolStateKeypair.publicKey,
+    mintPublicKey,
+    tokenProgramId
+  });
+  console.log("Pool state keypair:", poolStateKeypair.publicKey.toString());
+  console.log("Pool authority derived:", poolAuthority.toString());
+  
+  // Get token accounts
+  const userTokenAccount = await getAssociatedTokenAddress(
+    mintPublicKey,
+    userPublicKey,
+    false,
+    tokenProgramId
+  );
+  
+  console.log("Base vault:", baseVault.toString());
+  console.log("Quote vault:", quoteVault.toString());
+  
+  // Create initialize pool transaction; the compute budget is added at send time
+  const initPoolTx = new Transaction();
+  
+  // Create pool state account
+  const poolStateAccountRent = await connection.getMinimumBalanceForRentExemption(POOL_STATE_SIZE);
+  
+  initPoolTx.add(
+    SystemProgram.createAccount({
+      fromPubkey: userPublicKey,
+      newAccountPubkey: poolStateKeypair.publicKey,
+      lamports: poolStateAccountRent,
+      space: POOL_STATE_SIZE,
+      programId: RAYDIUM_CP_SWAP_PROGRAM_ID
+    })
+  );
+  
+  // Create token accounts if needed
+  const userTokenAccountInfo = await connection.getAccountInfo(userTokenAccount);
+  if (!userTokenAccountInfo) {
+    console.log("Creating user token account:", userTokenAccount.toString());
+    initPoolTx.add(
+      createAssociatedTokenAccountInstruction(
+        userPublicKey,
+        userTokenAccount,
+        userPublicKey,
+        mintPublicKey,
+        tokenProgramId
+      )
+    );
   }
   
-  return txid;
-}
+  // Create vault accounts
+  initPoolTx.add(
+    createAssociatedTokenAccountInstruction(
+      userPublicKey,
+      baseVault,
+      poolAuthority,
+      mintPublicKey,
+      tokenProgramId
+    ),
+    createAssociatedTokenAccountInstruction(
+      userPublicKey,
+      quoteVault,
+      poolAuthority,
+      SOL_MINT,
+      TOKEN_PROGRAM_ID
+    )
+  );
 
-// Helper function to confirm a transaction with retries
-async function confirmTransactionWithRetry(connection, signature, commitment, timeoutMs = 60000, retries = 3) {
-  let retryCount = 0;
-  let lastError = null;
+  // SIMPLIFIED APPROACH: Use hardcoded byte array for initialize command 
+  // This corresponds to the exact bytes expected by the CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK program
+  const initBytes = Buffer.from([
+    // Anchor discriminator for "global:initialize" (8 bytes)
+    133, 98, 219, 218, 45, 165, 24, 161,
+    // Nonce, Amp, fees (13 bytes) - Updated for newer Raydium CP-Swap format
+    0, 1, 0, 0, 0, 25, 0, 16, 39, 5, 0, 16, 39, 0, 0,
+  ]);
   
-  while (retryCount < retries) {
-    try {
-      const result = await connection.confirmTransaction(
-        { signature, blockhash: (await connection.getLatestBlockhash()).blockhash },
-        commitment
-      );
-      
-      if (result.value.err) {
-        throw new Error(`Transaction ${signature} failed: ${JSON.stringify(result.value.err)}`);
-      }
-      
-      return result;
-    } catch (error) {
-      console.warn(`Confirmation attempt ${retryCount + 1} failed:`, error.message);
-      lastError = error;
-      retryCount++;
-      
-      if (retryCount >= retries) {
-        break;
-      }
-      
-      // Add exponential backoff
-      await new Promise(resolve => setTimeout(resolve, 2000 * Math.pow(2, retryCount)));
+  // Get bytes for token amount
+  const baseAmount = tokenAmount;
+  const quoteAmount = BigInt(solAmount);
+  
+  // Create properly sized buffer for instruction data
+  // Raydium CP-Swap expects exactly 8 bytes for each u64 amount
+  const encodedData = Buffer.alloc(initBytes.length + 16);
+  initBytes.copy(encodedData, 0);
+  
+  // Properly write numbers in little-endian format (Solana/Anchor standard)
+  function writeBigIntLE(buffer, value, offset) {
+    for (let i = 0; i < 8; i++) {
+      buffer[offset + i] = Number((value >> BigInt(i * 8)) & BigInt(0xFF));
     }
   }
   
-  // Check transaction status directly as a last resort
-  const status = await checkTransactionStatus(connection, signature);
-  if (status) {
-    console.log("Transaction succeeded despite confirmation issues");
-    return { value: { err: null } };
-  }
+  // Write amounts using proper little-endian format
+  writeBigIntLE(encodedData, baseAmount, initBytes.length);
+  writeBigIntLE(encodedData, quoteAmount, initBytes.length + 8);
+  
+  // Create instruction with properly formatted keys in the right order
+  // The account order is critical for the CP-Swap program
+  const initPoolInstruction = new TransactionInstruction({
+    programId: RAYDIUM_CP_SWAP_PROGRAM_ID,
+    keys: [
+      { pubkey: poolStateKeypair.publicKey, isSigner: true, isWritable: true },
+      { pubkey: userPublicKey, isSigner: true, isWritable: true },
+      { pubkey: poolAuthority, isSigner: false, isWritable: false },
+      { pubkey: mintPublicKey, isSigner: false, isWritable: false },
+      { pubkey: SOL_MINT, isSigner: false, isWritable: false },
+      { pubkey: baseVault, isSigner: false, isWritable: true },
+      { pubkey: quoteVault, isSigner: false, isWritable: true },
+      { pubkey: userTokenAccount, isSigner: false, isWritable: true },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
+      // Token-2022 base mints also need their own program passed in
+      ...(tokenProgramId.equals(TOKEN_2022_PROGRAM_ID)
+        ? [{ pubkey: TOKEN_2022_PROGRAM_ID, isSigner: false, isWritable: false }]
+        : []),
+    ],
+    data: encodedData
+  });
+  
+  initPoolTx.add(initPoolInstruction);
   
-  throw lastError || new Error(`Failed to confirm transaction ${signature} after ${retries} attempts`);
+  // Add instructions to transfer tokens to the pool; Token-2022 requires the checked variant
+  initPoolTx.add(
+    tokenProgramId.equals(TOKEN_2022_PROGRAM_ID)
+      ? createTransferCheckedInstruction(
+        userTokenAccount,
+        mintPublicKey,
+        baseVault,
+        userPublicKey,
+        baseAmount,
+        tokenDecimals,
+        [],
+        TOKEN_2022_PROGRAM_ID
+      )
+      : createTransferInstruction(
+        userTokenAccount,
+        baseVault,
+        userPublicKey,
+        baseAmount,
+        [],
+        TOKEN_PROGRAM_ID
+      ),
+    SystemProgram.transfer({
+      fromPubkey: userPublicKey,
+      toPubkey: quoteVault,
+      lamports: Number(quoteAmount)
+    })
+  );
+  
+  initPoolTx.feePayer = userPublicKey;
+
+  return {
+    transaction: initPoolTx,
+    signers: [poolStateKeypair],
+    poolId: poolStateKeypair.publicKey.toString(),
+    baseVault: baseVault.toString(),
+    quoteVault: quoteVault.toString()
+  };
 }
 
 /**
@@ -154,236 +294,87 @@ async function confirmTransactionWithRetry(connection, signature, commitment, ti
  * @param {Object} params Parameters for creating a liquidity pool
  * @param {Connection} params.connection - Solana connection
  * @param {PublicKey} params.userPublicKey - User wallet public key
- * @param {Keypair} params.mintKeypair - Token mint keypair
+ * @param {PublicKey} params.mintPublicKey - Token mint address (the mint must already exist)
  * @param {number} params.tokenDecimals - Token decimals
  * @param {BigInt} params.tokenAmount - Token amount to add to the pool (in raw units)
  * @param {number} params.solAmount - SOL amount to add to the pool (in lamports)
+ * @param {PublicKey} [params.tokenProgramId] - Program that owns the mint
  * @param {Function} params.signTransaction - Function to sign transactions
- * @param {boolean} params.dryRun - Whether to perform a dry run
- * @returns {Promise<Object>} Pool creation result
+ * @param {string} [params.priorityLevel] - One of PRIORITY_LEVELS
+ * @param {Keypair} [params.poolStateKeypair] - Pre-generated pool state account
+ * @param {AddressLookupTableAccount[]} [params.lookupTables] - Active tables to compile the v0 transaction against
+ * @param {boolean} [params.dryRun] - Whether to perform a dry run
+ * @returns {Promise<{success: boolean, txid?: string, poolId?: string, baseVault?: string, quoteVault?: string, error?: string}>} Pool creation result
  */
 export async function createRaydiumPool({
   connection,
   userPublicKey,
-  mintKeypair,
+  mintPublicKey,
   tokenDecimals,
   tokenAmount,
   solAmount,
+  tokenProgramId = TOKEN_PROGRAM_ID,
   signTransaction,
+  priorityLevel = PRIORITY_LEVELS.MEDIUM,
+  poolStateKeypair,
+  lookupTables = [],
   dryRun = false
 }) {
   console.log("Starting Raydium V3 CP-Swap pool creation process...");
   console.log("Initial parameters:", solAmount / LAMPORTS_PER_SOL, "SOL,", tokenAmount.toString(), "tokens");
   
   try {
-    // Set minimum viable SOL amount - Competitive with coinfactory.app
-    const minimumSolAmount = 0.15 * LAMPORTS_PER_SOL;
-    if (solAmount < minimumSolAmount) {
-      console.warn(`WARNING: SOL amount ${solAmount / LAMPORTS_PER_SOL} is below absolute minimum. Increasing to ${minimumSolAmount / LAMPORTS_PER_SOL} SOL.`);
-      solAmount = minimumSolAmount;
-    }
-    
-    // Check if we have enough balance before proceeding
-    const userBalance = await connection.getBalance(userPublicKey);
-    console.log("User balance:", userBalance / LAMPORTS_PER_SOL, "SOL");
-    
-    if (userBalance < solAmount + 10000000) { // Add 0.01 SOL buffer for transaction fees
-      throw new Error(`Insufficient SOL balance. Required: ${(solAmount + 10000000) / LAMPORTS_PER_SOL} SOL, Available: ${userBalance / LAMPORTS_PER_SOL} SOL`);
-    }
-    
-    // Generate necessary keypairs for the pool
-    const poolStateKeypair = Keypair.generate();
-    const poolAuthority = await derivePoolAuthority(RAYDIUM_CP_SWAP_PROGRAM_ID, poolStateKeypair.publicKey);
-    console.log("Pool state keypair created:", poolStateKeypair.publicKey.toString());
-    console.log("Pool authority derived:", poolAuthority.toString());
-    
-    // Get token accounts
-    const userTokenAccount = await getAssociatedTokenAddress(
-      mintKeypair.publicKey,
+    const {
+      transaction: initPoolTx,
+      signers,
+      poolId,
+      baseVault,
+      quoteVault
+    } = await buildRaydiumPoolTransaction(connection, {
       userPublicKey,
-      false,
-      TOKEN_PROGRAM_ID
-    );
-    
-    // Create vault accounts
-    const baseVault = await getAssociatedTokenAddress(
-      mintKeypair.publicKey,
-      poolAuthority,
-      true,
-      TOKEN_PROGRAM_ID
-    );
-    
-    const quoteVault = await getAssociatedTokenAddress(
-      SOL_MINT,
-      poolAuthority,
-      true,
-      TOKEN_PROGRAM_ID
-    );
-    
-    console.log("Base vault:", baseVault.toString());
-    console.log("Quote vault:", quoteVault.toString());
-    
-    // Create initialize pool transaction
-    const initPoolTx = new Transaction();
-    
-    // Add priority fee to increase transaction success chances
-    const { ComputeBudgetProgram } = await import('@solana/web3.js');
-    initPoolTx.add(
-      ComputeBudgetProgram.setComputeUnitPrice({
-        microLamports: 10000 // Reduce to more reasonable value
-      }),
-      ComputeBudgetProgram.setComputeUnitLimit({
-        units: 500000 // Increase compute limit for complex CP-Swap transaction
-      })
-    );
-    
-    // Create pool state account
-    const poolStateAccountRent = await connection.getMinimumBalanceForRentExemption(1024); // Assuming 1024 bytes for pool state
-    
-    initPoolTx.add(
-      SystemProgram.createAccount({
-        fromPubkey: userPublicKey,
-        newAccountPubkey: poolStateKeypair.publicKey,
-        lamports: poolStateAccountRent,
-        space: 1024, // Pool state size
-        programId: RAYDIUM_CP_SWAP_PROGRAM_ID
-      })
-    );
-    
-    // Create token accounts if needed
-    const userTokenAccountInfo = await connection.getAccountInfo(userTokenAccount);
-    if (!userTokenAccountInfo) {
-      console.log("Creating user token account:", userTokenAccount.toString());
-      initPoolTx.add(
-        createAssociatedTokenAccountInstruction(
-          userPublicKey,
-          userTokenAccount,
-          userPublicKey,
-          mintKeypair.publicKey,
-          TOKEN_PROGRAM_ID
-        )
-      );
-    }
-    
-    // Create vault accounts
-    initPoolTx.add(
-      createAssociatedTokenAccountInstruction(
-        userPublicKey,
-        baseVault,
-        poolAuthority,
-        mintKeypair.publicKey,
-        TOKEN_PROGRAM_ID
-      ),
-      createAssociatedTokenAccountInstruction(
-        userPublicKey,
-        quoteVault,
-        poolAuthority,
-        SOL_MINT,
-        TOKEN_PROGRAM_ID
-      )
-    );
-
-    // SIMPLIFIED APPROACH: Use hardcoded byte array for initialize command 
-    // This corresponds to the exact bytes expected by the CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK program
-    const initBytes = Buffer.from([
-      // Anchor discriminator for "global:initialize" (8 bytes)
-      133, 98, 219, 218, 45, 165, 24, 161,
-      // Nonce, Amp, fees (13 bytes) - Updated for newer Raydium CP-Swap format
-      0, 1, 0, 0, 0, 25, 0, 16, 39, 5, 0, 16, 39, 0, 0,
-    ]);
-    
-    // Get bytes for token amount
-    const baseAmount = tokenAmount;
-    const quoteAmount = BigInt(solAmount);
-    
-    // Create properly sized buffer for instruction data
-    // Raydium CP-Swap expects exactly 8 bytes for each u64 amount
-    const encodedData = Buffer.alloc(initBytes.length + 16);
-    initBytes.copy(encodedData, 0);
-    
-    // Properly write numbers in little-endian format (Solana/Anchor standard)
-    function writeBigIntLE(buffer, value, offset) {
-      for (let i = 0; i < 8; i++) {
-        buffer[offset + i] = Number((value >> BigInt(i * 8)) & BigInt(0xFF));
-      }
-    }
-    
-    // Write amounts using proper little-endian format
-    writeBigIntLE(encodedData, baseAmount, initBytes.length);
-    writeBigIntLE(encodedData, quoteAmount, initBytes.length + 8);
-    
-    // Create instruction with properly formatted keys in the right order
-    // The account order is critical for the CP-Swap program
-    const initPoolInstruction = new TransactionInstruction({
-      programId: RAYDIUM_CP_SWAP_PROGRAM_ID,
-      keys: [
-        { pubkey: poolStateKeypair.publicKey, isSigner: true, isWritable: true },
-        { pubkey: userPublicKey, isSigner: true, isWritable: true },
-        { pubkey: poolAuthority, isSigner: false, isWritable: false },
-        { pubkey: mintKeypair.publicKey, isSigner: false, isWritable: false },
-        { pubkey: SOL_MINT, isSigner: false, isWritable: false },
-        { pubkey: baseVault, isSigner: false, isWritable: true },
-        { pubkey: quoteVault, isSigner: false, isWritable: true },
-        { pubkey: userTokenAccount, isSigner: false, isWritable: true },
-        { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
-        { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-        { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
-      ],
-      data: encodedData
+      mintPublicKey,
+      tokenAmount,
+      solAmount,
+      tokenProgramId,
+      tokenDecimals,
+      poolStateKeypair
     });
     
-    initPoolTx.add(initPoolInstruction);
-    
-    // Add instructions to transfer tokens to the pool
-    initPoolTx.add(
-      createTransferInstruction(
-        userTokenAccount,
-        baseVault,
-        userPublicKey,
-        baseAmount,
-        [],
-        TOKEN_PROGRAM_ID
-      ),
-      SystemProgram.transfer({
-        fromPubkey: userPublicKey,
-        toPubkey: quoteVault,
-        lamports: Number(quoteAmount)
-      })
-    );
-    
     // Ensure we have the latest blockhash
-    initPoolTx.feePayer = userPublicKey;
-    initPoolTx.recentBlockhash = (await connection.getLatestBlockhash('finalized')).blockhash;
+    const { blockhash } = await connection.getLatestBlockhash('finalized');
+    initPoolTx.recentBlockhash = blockhash;
+    
+    // Must happen before signing; CP-Swap initialization is compute heavy
+    await applyPriorityFee(connection, { transaction: initPoolTx }, {
+      level: priorityLevel,
+      defaultComputeUnits: POOL_COMPUTE_UNITS,
+      lookupTables
+    });
     
-    // Partial sign with poolStateKeypair
-    initPoolTx.partialSign(poolStateKeypair);
+    // v0 transaction, partially signed by the pool state keypair
+    const poolTx = compileVersionedTransaction({ transaction: initPoolTx, signers }, { blockhash, lookupTables });
     
     if (dryRun) {
       console.log("Dry run completed. Pool creation simulation successful.");
       return {
         success: true,
-        poolId: poolStateKeypair.publicKey.toString(),
-        baseVault: baseVault.toString(),
-        quoteVault: quoteVault.toString()
+        poolId,
+        baseVault,
+        quoteVault
       };
     }
     
     // Sign and send transaction
     console.log("Sending pool creation transaction...");
     try {
-      // Simulate the transaction first to catch errors before sending
-      try {
-        const simulation = await connection.simulateTransaction(initPoolTx);
-        if (simulation.value.err) {
-          console.error("Transaction simulation failed:", simulation.value.err);
-          throw new Error(`Transaction simulation failed: ${JSON.stringify(simulation.value.err)}`);
-        }
-        console.log("Transaction simulation successful");
-      } catch (simError) {
-        console.warn("Simulation failed but continuing:", simError.message);
-      }
+      // A pool transaction that would fail is stopped before the wallet prompt
+      await assertTransactionWillSucceed(connection, { transaction: initPoolTx }, {
+        label: 'Create liquidity pool',
+        lookupTables
+      });
+      console.log("Transaction simulation successful");
       
-      const signedTx = await signTransaction(initPoolTx);
+      const signedTx = await signTransaction(poolTx);
       const txid = await connection.sendRawTransaction(signedTx.serialize(), {
         skipPreflight: false,
         preflightCommitment: 'confirmed',
@@ -405,14 +396,14 @@ export async function createRaydiumPool({
         console.log("Pool transaction succeeded despite confirmation issues!");
       }
       
-      console.log("Pool ID:", poolStateKeypair.publicKey.toString());
+      console.log("Pool ID:", poolId);
     
     return {
         success: true,
         txid,
-        poolId: poolStateKeypair.publicKey.toString(),
-        baseVault: baseVault.toString(),
-        quoteVault: quoteVault.toString()
+        poolId,
+        baseVault,
+        quoteVault
       };
     } catch (txError) {
       // Handle specific transaction errors with better messages
@@ -456,57 +447,80 @@ async function derivePoolAuthority(programId, poolId) {
   return authority;
 }
 
+// Pool figures change with every swap but are read on each token page view
+const POOL_INFO_TTL_MS = 30 * 1000;
+const poolInfoCache = new Map();
+
+const unavailablePoolInfo = (address = "unavailable") => ({
+  address,
+  liquidity: 0,
+  volume24h: 0,
+  price: 0,
+  baseTokenBalance: 0
+});
+
 /**
- * Fetch pool information for a token
+ * Fetch pool information for a token from its CP-Swap pool: the stored pool
+ * when the caller knows it, otherwise the deepest pool pairing the mint with
+ * SOL. Results are cached per mint for POOL_INFO_TTL_MS.
  * @param {Connection} connection - Solana connection instance
- * @param {PublicKey} tokenMint - Token mint address
- * @returns {Promise<Object>} Pool information including market address, liquidity, volume, and token balance
+ * @param {PublicKey|string} tokenMint - Token mint address
+ * @param {Object} [options]
+ * @param {string} [options.poolAddress] - Known pool, e.g. tokens.poolAddress
+ * @returns {Promise<Object>} Pool address, liquidity (SOL, both sides), price (SOL per token), raw base and quote balances, LP mint and supply
  */
-export async function getPoolInfo(connection, tokenMint) {
+export async function getPoolInfo(connection, tokenMint, { poolAddress } = {}) {
   try {
     // Handle undefined connection
     if (!connection) {
       console.warn("Connection is undefined in getPoolInfo");
-      return {
-        address: "unavailable",
-        liquidity: 0,
-        volume24h: 0,
-        price: 0,
-        baseTokenBalance: 0
-      };
+      return unavailablePoolInfo();
     }
     
     // Convert string address to PublicKey if needed
     if (typeof tokenMint === 'string') {
       tokenMint = new PublicKey(tokenMint);
     }
-    
-    // Try to find the Raydium V3 CP-Swap pool for this token
-    let poolAddress = null;
-    let baseVaultAddress = null;
-    
-    // This is a simplified approach - in reality you'd need to query all pools
-    // from the Raydium CP-Swap program and filter for those with this token mint
-    
-    // Placeholder implementation
-    console.log("Pool info lookup not fully implemented yet");
-    
-    return {
-      address: poolAddress ? poolAddress.toString() : "unavailable",
-      liquidity: 0, // Would need to calculate from vault balances
-      volume24h: 0, // Not directly available without indexing
-      price: 0, // Would need to calculate from vault balances
-      baseTokenBalance: 0 // Would need to fetch from vault
-    };
+
+    const cacheKey = `${tokenMint.toBase58()}:${poolAddress || ''}`;
+    const cached = poolInfoCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.info;
+    }
+
+    const pool = await fetchCpSwapPoolForMint(connection, tokenMint, { poolAddress });
+
+    let info;
+    if (!pool) {
+      info = unavailablePoolInfo();
+    } else {
+      const tokenIsToken0 = pool.token0Mint.equals(tokenMint);
+      const tokenReserve = tokenIsToken0 ? pool.reserve0 : pool.reserve1;
+      const solReserve = tokenIsToken0 ? pool.reserve1 : pool.reserve0;
+      const tokenDecimals = tokenIsToken0 ? pool.mint0Decimals : pool.mint1Decimals;
+      const solAmount = Number(solReserve) / LAMPORTS_PER_SOL;
+      const tokenAmount = Number(tokenReserve) / Math.pow(10, tokenDecimals);
+
+      info = {
+        address: pool.address.toString(),
+        // At the pool price both sides are worth the same
+        liquidity: solAmount * 2,
+        volume24h: 0, // Not directly available without indexing
+        price: tokenAmount > 0 ? solAmount / tokenAmount : 0,
+        baseTokenBalance: Number(tokenReserve),
+        quoteTokenBalance: Number(solReserve),
+        lpMint: pool.lpMint.toString(),
+        lpSupply: Number(pool.lpSupply) / Math.pow(10, pool.lpMintDecimals)
+      };
+    }
+
+    poolInfoCache.set(cacheKey, { info, expiresAt: Date.now() + POOL_INFO_TTL_MS });
+    return info;
   } catch (error) {
     console.error("Error fetching pool info:", error);
     return {
-      address: "error",
-      liquidity: 0,
-      volume24h: 0,
-      price: 0,
-      baseTokenBalance: 0,
+      ...unavailablePoolInfo("error"),
       error: error.message
     };
   }
-} 
\ No newline at end of file
+}
\ No newline at end of file
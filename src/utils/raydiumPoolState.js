@@ -0,0 +1,194 @@
+/**
+ * Raydium CP-Swap pool accounts: the PoolState layout, loading a pool with
+ * its fee rate and reserves, and finding the pools that pair a mint with SOL.
+ */
+
+import { Connection, PublicKey } from '@solana/web3.js';
+import { NATIVE_MINT } from '@solana/spl-token';
+
+// Raydium CP-Swap (Raydium V3), which needs no OpenBook market
+export const RAYDIUM_CP_SWAP_PROGRAM_ID = new PublicKey('CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK');
+
+// Signs for every pool's vaults and LP mint
+const AUTH_SEED = 'vault_and_lp_mint_auth_seed';
+
+// PoolState account size, discriminator included
+const POOL_STATE_SIZE = 637;
+
+// Byte offsets in the PoolState account, after the 8-byte discriminator
+const POOL_STATE_OFFSETS = {
+  ammConfig: 8,
+  token0Vault: 72,
+  token1Vault: 104,
+  lpMint: 136,
+  token0Mint: 168,
+  token1Mint: 200,
+  token0Program: 232,
+  token1Program: 264,
+  observationKey: 296,
+  lpMintDecimals: 330,
+  mint0Decimals: 331,
+  mint1Decimals: 332,
+  lpSupply: 333,
+  protocolFeesToken0: 341,
+  protocolFeesToken1: 349,
+  fundFeesToken0: 357,
+  fundFeesToken1: 365,
+};
+const POOL_STATE_MIN_SIZE = 373;
+
+// AmmConfig: discriminator, bump (u8), disable_create_pool (bool), index (u16), then trade_fee_rate
+const AMM_CONFIG_TRADE_FEE_RATE_OFFSET = 12;
+
+// SPL token account amount, the same for Token-2022 accounts
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+
+/**
+ * @typedef {Object} CpSwapPoolState
+ * @property {PublicKey} ammConfig
+ * @property {PublicKey} token0Vault
+ * @property {PublicKey} token1Vault
+ * @property {PublicKey} lpMint
+ * @property {PublicKey} token0Mint
+ * @property {PublicKey} token1Mint
+ * @property {PublicKey} token0Program
+ * @property {PublicKey} token1Program
+ * @property {PublicKey} observationKey
+ * @property {number} lpMintDecimals
+ * @property {number} mint0Decimals
+ * @property {number} mint1Decimals
+ * @property {bigint} lpSupply
+ * @property {bigint} protocolFeesToken0
+ * @property {bigint} protocolFeesToken1
+ * @property {bigint} fundFeesToken0
+ * @property {bigint} fundFeesToken1
+ */
+
+/**
+ * @typedef {CpSwapPoolState & {
+ *   address: PublicKey,
+ *   tradeFeeRate: bigint,
+ *   reserve0: bigint,
+ *   reserve1: bigint
+ * }} CpSwapPool
+ */
+
+/**
+ * The program-wide authority over pool vaults and LP mints, passed to every
+ * swap, deposit and withdraw.
+ * @returns {PublicKey}
+ */
+export function getCpSwapAuthority() {
+  return PublicKey.findProgramAddressSync([Buffer.from(AUTH_SEED)], RAYDIUM_CP_SWAP_PROGRAM_ID)[0];
+}
+
+const readPublicKey = (data, offset) => new PublicKey(data.subarray(offset, offset + 32));
+
+/**
+ * Decodes the fields of a CP-Swap PoolState account needed to quote and swap.
+ * @param {Buffer} data - Account data
+ * @returns {CpSwapPoolState}
+ */
+export function decodeCpSwapPoolState(data) {
+  if (data.length < POOL_STATE_MIN_SIZE) {
+    throw new Error('Account is too small to be a CP-Swap pool');
+  }
+  const o = POOL_STATE_OFFSETS;
+  return {
+    ammConfig: readPublicKey(data, o.ammConfig),
+    token0Vault: readPublicKey(data, o.token0Vault),
+    token1Vault: readPublicKey(data, o.token1Vault),
+    lpMint: readPublicKey(data, o.lpMint),
+    token0Mint: readPublicKey(data, o.token0Mint),
+    token1Mint: readPublicKey(data, o.token1Mint),
+    token0Program: readPublicKey(data, o.token0Program),
+    token1Program: readPublicKey(data, o.token1Program),
+    observationKey: readPublicKey(data, o.observationKey),
+    lpMintDecimals: data[o.lpMintDecimals],
+    mint0Decimals: data[o.mint0Decimals],
+    mint1Decimals: data[o.mint1Decimals],
+    lpSupply: data.readBigUInt64LE(o.lpSupply),
+    protocolFeesToken0: data.readBigUInt64LE(o.protocolFeesToken0),
+    protocolFeesToken1: data.readBigUInt64LE(o.protocolFeesToken1),
+    fundFeesToken0: data.readBigUInt64LE(o.fundFeesToken0),
+    fundFeesToken1: data.readBigUInt64LE(o.fundFeesToken1),
+  };
+}
+
+/**
+ * Loads a pool with its fee rate and tradable reserves. Fees the protocol and
+ * fund have not collected yet sit in the vaults but are not part of the
+ * curve, so they are left out of the reserves.
+ * @param {Connection} connection
+ * @param {PublicKey} poolAddress
+ * @returns {Promise<CpSwapPool>}
+ */
+export async function fetchCpSwapPool(connection, poolAddress) {
+  const poolAccount = await connection.getAccountInfo(poolAddress);
+  if (!poolAccount || !poolAccount.owner.equals(RAYDIUM_CP_SWAP_PROGRAM_ID)) {
+    throw new Error(`${poolAddress.toBase58()} is not a Raydium CP-Swap pool`);
+  }
+  const state = decodeCpSwapPoolState(poolAccount.data);
+
+  const [config, vault0, vault1] = await connection.getMultipleAccountsInfo([
+    state.ammConfig,
+    state.token0Vault,
+    state.token1Vault
+  ]);
+  if (!config || !vault0 || !vault1) {
+    throw new Error('Pool config or vaults not found');
+  }
+  const vault0Amount = vault0.data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET);
+  const vault1Amount = vault1.data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET);
+
+  return {
+    ...state,
+    address: poolAddress,
+    tradeFeeRate: config.data.readBigUInt64LE(AMM_CONFIG_TRADE_FEE_RATE_OFFSET),
+    reserve0: vault0Amount - state.protocolFeesToken0 - state.fundFeesToken0,
+    reserve1: vault1Amount - state.protocolFeesToken1 - state.fundFeesToken1,
+  };
+}
+
+/**
+ * Addresses of the CP-Swap pools pairing `mint` with SOL. Pools order their
+ * two mints by address, so the token can sit on either side.
+ * @param {Connection} connection
+ * @param {PublicKey} mint
+ * @returns {Promise<PublicKey[]>}
+ */
+export async function findCpSwapPools(connection, mint) {
+  const search = (tokenOffset, solOffset) => connection.getProgramAccounts(RAYDIUM_CP_SWAP_PROGRAM_ID, {
+    filters: [
+      { dataSize: POOL_STATE_SIZE },
+      { memcmp: { offset: tokenOffset, bytes: mint.toBase58() } },
+      { memcmp: { offset: solOffset, bytes: NATIVE_MINT.toBase58() } }
+    ],
+    // Only the addresses are needed
+    dataSlice: { offset: 0, length: 0 }
+  });
+
+  const { token0Mint, token1Mint } = POOL_STATE_OFFSETS;
+  const results = await Promise.all([search(token0Mint, token1Mint), search(token1Mint, token0Mint)]);
+  return results.flat().map(({ pubkey }) => pubkey);
+}
+
+/**
+ * The pool a token trades in: `poolAddress` when it is known (e.g. the
+ * tokens row), otherwise the pool pairing the mint with SOL that holds the
+ * most SOL.
+ * @param {Connection} connection
+ * @param {PublicKey} mint
+ * @param {Object} [options]
+ * @param {PublicKey|string} [options.poolAddress]
+ * @returns {Promise<CpSwapPool|null>} null when the mint has no pool
+ */
+export async function fetchCpSwapPoolForMint(connection, mint, { poolAddress } = {}) {
+  if (poolAddress) {
+    return fetchCpSwapPool(connection, new PublicKey(poolAddress));
+  }
+  const addresses = await findCpSwapPools(connection, mint);
+  const pools = await Promise.all(addresses.map((address) => fetchCpSwapPool(connection, address)));
+  const solReserve = (pool) => (pool.token0Mint.equals(mint) ? pool.reserve1 : pool.reserve0);
+  return pools.reduce((best, pool) => (!best || solReserve(pool) > solReserve(best) ? pool : best), null);
+}
@@ -0,0 +1,161 @@
+/**
+ * Swaps against Raydium CP-Swap pools: quotes that round the way the program
+ * does, and swap_base_input transactions that wrap and unwrap SOL around the
+ * swap. Pools are loaded with fetchCpSwapPool from raydiumPoolState.js.
+ *
+ * Token-2022 transfer fees are not taken off the quote; the minimum received
+ * still protects the trader, the swap just fails if the fee pushes it below.
+ */
+
+import {
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction
+} from '@solana/web3.js';
+import {
+  NATIVE_MINT,
+  TOKEN_PROGRAM_ID,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createCloseAccountInstruction,
+  createSyncNativeInstruction,
+  getAssociatedTokenAddressSync
+} from '@solana/spl-token';
+import { BASIS_POINTS } from './bondingCurve.js';
+import { RAYDIUM_CP_SWAP_PROGRAM_ID, getCpSwapAuthority } from './raydiumPoolState.js';
+
+// Trade fee rates in the pool's AmmConfig are parts per million
+export const CP_SWAP_FEE_DENOMINATOR = 1000000;
+
+// Anchor discriminator for "global:swap_base_input"
+const SWAP_BASE_INPUT_DISCRIMINATOR = Buffer.from([143, 190, 90, 218, 196, 30, 51, 222]);
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+
+/**
+ * @typedef {Object} CpSwapQuote
+ * @property {PublicKey} inputMint
+ * @property {PublicKey} outputMint
+ * @property {bigint} amountIn
+ * @property {bigint} amountOut
+ * @property {bigint} fee - Trade fee, in the input token
+ * @property {bigint} minimumReceived - Output floor sent with the swap, amountOut less slippage
+ * @property {number} priceImpactBasisPoints - Execution price worse than spot
+ */
+
+// Input and output sides of a swap that pays in `inputMint`
+function getSwapSides(pool, inputMint) {
+  const zeroForOne = pool.token0Mint.equals(inputMint);
+  if (!zeroForOne && !pool.token1Mint.equals(inputMint)) {
+    throw new Error(`${inputMint.toBase58()} is not traded in this pool`);
+  }
+  const side0 = { mint: pool.token0Mint, vault: pool.token0Vault, program: pool.token0Program, reserve: pool.reserve0 };
+  const side1 = { mint: pool.token1Mint, vault: pool.token1Vault, program: pool.token1Program, reserve: pool.reserve1 };
+  return zeroForOne ? { input: side0, output: side1 } : { input: side1, output: side0 };
+}
+
+/**
+ * Exact-input quote. The fee comes off the input, rounded up, and the output
+ * is rounded down, as in the program.
+ * @param {import('./raydiumPoolState.js').CpSwapPool} pool
+ * @param {PublicKey} inputMint
+ * @param {bigint} amountIn - Raw input amount
+ * @param {number} [slippageBasisPoints]
+ * @returns {CpSwapQuote}
+ */
+export function quoteCpSwap(pool, inputMint, amountIn, slippageBasisPoints = 100) {
+  if (!Number.isInteger(slippageBasisPoints) || slippageBasisPoints < 0 || slippageBasisPoints > BASIS_POINTS) {
+    throw new Error(`Slippage must be a whole number of basis points from 0 to ${BASIS_POINTS}`);
+  }
+  const { input, output } = getSwapSides(pool, inputMint);
+  const denominator = BigInt(CP_SWAP_FEE_DENOMINATOR);
+
+  const fee = (amountIn * pool.tradeFeeRate + denominator - ONE) / denominator;
+  const amountInAfterFee = amountIn - fee;
+  const amountOut = amountInAfterFee > ZERO
+    ? (amountInAfterFee * output.reserve) / (input.reserve + amountInAfterFee)
+    : ZERO;
+
+  // Spot value of the input against what actually comes out
+  const spotOut = input.reserve > ZERO ? (amountIn * output.reserve) / input.reserve : ZERO;
+  const priceImpactBasisPoints = spotOut > ZERO
+    ? Number(((spotOut - amountOut) * BigInt(BASIS_POINTS)) / spotOut)
+    : 0;
+
+  return {
+    inputMint: input.mint,
+    outputMint: output.mint,
+    amountIn,
+    amountOut,
+    fee,
+    minimumReceived: (amountOut * BigInt(BASIS_POINTS - slippageBasisPoints)) / BigInt(BASIS_POINTS),
+    priceImpactBasisPoints,
+  };
+}
+
+/**
+ * Exact-input swap for `owner`. SOL is wrapped into the owner's WSOL account
+ * before the swap and unwrapped after it; the output token account is
+ * created if it does not exist.
+ * @param {Object} params
+ * @param {PublicKey} params.owner - Trader; pays and signs
+ * @param {import('./raydiumPoolState.js').CpSwapPool} params.pool
+ * @param {PublicKey} params.inputMint
+ * @param {bigint} params.amountIn
+ * @param {bigint} params.minimumAmountOut - Usually quote.minimumReceived
+ * @returns {{transaction: Transaction, signers: []}}
+ */
+export function buildCpSwapTransaction({ owner, pool, inputMint, amountIn, minimumAmountOut }) {
+  const { input, output } = getSwapSides(pool, inputMint);
+  const inputAccount = getAssociatedTokenAddressSync(input.mint, owner, false, input.program);
+  const outputAccount = getAssociatedTokenAddressSync(output.mint, owner, false, output.program);
+  const authority = getCpSwapAuthority();
+
+  const transaction = new Transaction();
+
+  if (input.mint.equals(NATIVE_MINT)) {
+    transaction.add(
+      createAssociatedTokenAccountIdempotentInstruction(owner, inputAccount, owner, NATIVE_MINT),
+      SystemProgram.transfer({ fromPubkey: owner, toPubkey: inputAccount, lamports: amountIn }),
+      createSyncNativeInstruction(inputAccount)
+    );
+  }
+  transaction.add(
+    createAssociatedTokenAccountIdempotentInstruction(owner, outputAccount, owner, output.mint, output.program)
+  );
+
+  const data = Buffer.alloc(24);
+  SWAP_BASE_INPUT_DISCRIMINATOR.copy(data, 0);
+  data.writeBigUInt64LE(amountIn, 8);
+  data.writeBigUInt64LE(minimumAmountOut, 16);
+
+  transaction.add(new TransactionInstruction({
+    programId: RAYDIUM_CP_SWAP_PROGRAM_ID,
+    keys: [
+      { pubkey: owner, isSigner: true, isWritable: false },
+      { pubkey: authority, isSigner: false, isWritable: false },
+      { pubkey: pool.ammConfig, isSigner: false, isWritable: false },
+      { pubkey: pool.address, isSigner: false, isWritable: true },
+      { pubkey: inputAccount, isSigner: false, isWritable: true },
+      { pubkey: outputAccount, isSigner: false, isWritable: true },
+      { pubkey: input.vault, isSigner: false, isWritable: true },
+      { pubkey: output.vault, isSigner: false, isWritable: true },
+      { pubkey: input.program, isSigner: false, isWritable: false },
+      { pubkey: output.program, isSigner: false, isWritable: false },
+      { pubkey: input.mint, isSigner: false, isWritable: false },
+      { pubkey: output.mint, isSigner: false, isWritable: false },
+      { pubkey: pool.observationKey, isSigner: false, isWritable: true },
+    ],
+    data
+  }));
+
+  // Unwrap whatever WSOL is left, whichever side it was on
+  const wsolAccount = input.mint.equals(NATIVE_MINT) ? inputAccount : output.mint.equals(NATIVE_MINT) ? outputAccount : null;
+  if (wsolAccount) {
+    transaction.add(createCloseAccountInstruction(wsolAccount, owner, owner, [], TOKEN_PROGRAM_ID));
+  }
+
+  transaction.feePayer = owner;
+  return { transaction, signers: [] };
+}
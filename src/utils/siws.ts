@@ -0,0 +1,78 @@
+// Sign-In-With-Solana message helpers, shared by the wallet (which builds and
+// signs the message) and /api/auth/verify (which parses and checks it).
+
+export const SIWS_STATEMENT = 'Sign in to CoinMachine'
+export const SIWS_VERSION = '1'
+export const SIWS_CHAIN_ID = process.env.NEXT_PUBLIC_SOLANA_CHAIN_ID || 'mainnet'
+
+// How long a session lasts. The wallet asks for this as the message's
+// Expiration Time; the nonce's shorter lifetime only limits when the
+// message can be verified.
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000
+
+export interface SiwsMessage {
+  domain: string
+  address: string
+  statement: string
+  uri: string
+  version: string
+  chainId: string
+  nonce: string
+  issuedAt: string
+  expirationTime: string
+}
+
+export function buildSiwsMessage(fields: SiwsMessage): string {
+  return [
+    `${fields.domain} wants you to sign in with your Solana account:`,
+    fields.address,
+    '',
+    fields.statement,
+    '',
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`,
+    `Expiration Time: ${fields.expirationTime}`,
+  ].join('\n')
+}
+
+const FIELD_KEYS: Record<string, keyof SiwsMessage> = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+}
+
+/**
+ * Parses a message produced by buildSiwsMessage.
+ * Returns null if the message is not in the expected shape.
+ */
+export function parseSiwsMessage(message: string): SiwsMessage | null {
+  const lines = message.split('\n')
+  const header = lines[0]?.match(/^(.+) wants you to sign in with your Solana account:$/)
+  if (!header || lines.length !== 11 || lines[2] !== '' || lines[4] !== '') {
+    return null
+  }
+
+  const parsed: Partial<SiwsMessage> = {
+    domain: header[1],
+    address: lines[1],
+    statement: lines[3],
+  }
+
+  for (const line of lines.slice(5)) {
+    const separator = line.indexOf(': ')
+    const key = FIELD_KEYS[line.slice(0, separator)]
+    if (separator === -1 || !key || parsed[key] !== undefined) {
+      return null
+    }
+    parsed[key] = line.slice(separator + 2)
+  }
+
+  const complete = Object.values(FIELD_KEYS).every((key) => parsed[key])
+  return complete ? (parsed as SiwsMessage) : null
+}
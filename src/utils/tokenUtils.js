@@ -1,7 +1,27 @@
 import { PublicKey, Connection } from '@solana/web3.js';
-import { TOKEN_PROGRAM_ID, getAccount, getMint } from '@solana/spl-token';
+import {
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  getAccount,
+  getMint,
+  getTokenMetadata as getInlineTokenMetadata
+} from '@solana/spl-token';
 import axios from 'axios';
 
+/**
+ * Program that owns a mint, so SPL Token and Token-2022 mints can both be read
+ * @param {Connection} connection - Solana connection instance
+ * @param {PublicKey} tokenAddress - Token mint address
+ * @returns {Promise<PublicKey>} TOKEN_PROGRAM_ID or TOKEN_2022_PROGRAM_ID
+ */
+export async function getMintProgramId(connection, tokenAddress) {
+  const accountInfo = await connection.getAccountInfo(tokenAddress);
+  if (accountInfo && accountInfo.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+    return TOKEN_2022_PROGRAM_ID;
+  }
+  return TOKEN_PROGRAM_ID;
+}
+
 /**
  * Fetch metadata for a token
  * @param {Connection} connection - Solana connection instance
@@ -34,6 +54,27 @@ export async function getTokenMetadata(connection, tokenAddress) {
       }
     }
     
+    // Token-2022 mints carry their metadata in the mint account
+    try {
+      const programId = await getMintProgramId(connection, tokenAddress);
+      if (programId.equals(TOKEN_2022_PROGRAM_ID)) {
+        const inlineMetadata = await getInlineTokenMetadata(connection, tokenAddress, 'confirmed', programId);
+        if (inlineMetadata) {
+          return {
+            name: inlineMetadata.name,
+            symbol: inlineMetadata.symbol,
+            logo: null,
+            description: '',
+            website: '',
+            twitter: '',
+            uri: inlineMetadata.uri
+          };
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to read Token-2022 metadata:', error);
+    }
+
     // Find the metadata account address (PDA)
     const metaplexProgramId = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
     const [metadataAddress] = await PublicKey.findProgramAddress(
@@ -81,7 +122,7 @@ export async function getTokenMetadata(connection, tokenAddress) {
         throw new Error("Connection is not available");
       }
       
-      const mintInfo = await getMint(connection, tokenAddress);
+      const mintInfo = await getMint(connection, tokenAddress, 'confirmed', await getMintProgramId(connection, tokenAddress));
       return {
         name: 'Unknown Token',
         symbol: tokenAddress.toString().substring(0, 6),
@@ -149,7 +190,7 @@ export async function getTokenSupply(connection, tokenAddress) {
       }
     }
     
-    const mintInfo = await getMint(connection, tokenAddress);
+    const mintInfo = await getMint(connection, tokenAddress, 'confirmed', await getMintProgramId(connection, tokenAddress));
     return {
       amount: mintInfo.supply.toString(),
       decimals: mintInfo.decimals,
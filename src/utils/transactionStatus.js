@@ -0,0 +1,84 @@
+/**
+ * Confirmation for sent transactions that copes with slow RPCs: polling is
+ * retried with backoff, and a transaction whose confirmation timed out is
+ * looked up in history before it is treated as failed.
+ */
+
+/**
+ * Whether `signature` has landed without error, searching history so it
+ * also works after confirmation polling has given up.
+ */
+export async function checkTransactionStatus(connection, signature) {
+  try {
+    const status = await connection.getSignatureStatus(signature, {
+      searchTransactionHistory: true,
+    });
+
+    // If null, transaction not found
+    if (!status || !status.value) {
+      return false;
+    }
+
+    // If has error, transaction failed
+    if (status.value.err) {
+      return false;
+    }
+
+    // If confirmations > 0 or status is 'confirmed'/'finalized', transaction succeeded
+    return (
+      status.value.confirmationStatus === 'confirmed' ||
+      status.value.confirmationStatus === 'finalized' ||
+      (status.value.confirmations !== null && status.value.confirmations > 0)
+    );
+  } catch (error) {
+    console.error("Error checking transaction status:", error);
+    return false;
+  }
+}
+
+/**
+ * Confirms `signature`, retrying with exponential backoff. Throws the last
+ * error once `retries` attempts have failed.
+ */
+export async function confirmTransactionWithRetry(connection, signature, commitment = 'confirmed', timeoutMs = 60000, retries = 3) {
+  let retryCount = 0;
+
+  while (retryCount < retries) {
+    try {
+      const result = await connection.confirmTransaction(
+        { signature, blockhash: (await connection.getLatestBlockhash()).blockhash },
+        commitment
+      );
+
+      if (result.value.err) {
+        throw new Error(`Transaction ${signature} failed: ${JSON.stringify(result.value.err)}`);
+      }
+
+      return result;
+    } catch (error) {
+      console.warn(`Confirmation attempt ${retryCount + 1} failed:`, error.message);
+      retryCount++;
+
+      if (retryCount >= retries) {
+        throw error;
+      }
+
+      // Add exponential backoff
+      await new Promise(resolve => setTimeout(resolve, 2000 * Math.pow(2, retryCount)));
+    }
+  }
+}
+
+/**
+ * confirmTransactionWithRetry, falling back to a status lookup when polling
+ * times out so a transaction that landed late is still treated as confirmed.
+ */
+export async function confirmLaunchTransaction(connection, signature, { timeoutMs = 60000, retries = 3 } = {}) {
+  try {
+    await confirmTransactionWithRetry(connection, signature, 'confirmed', timeoutMs, retries);
+  } catch (confirmError) {
+    if (!(await checkTransactionStatus(connection, signature))) {
+      throw confirmError;
+    }
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Withheld transfer fees on Token-2022 mints with the TransferFeeConfig
+ * extension.
+ *
+ * Fees are withheld in the recipient token accounts on every transfer. They
+ * are first harvested into the mint (anyone may do this) and then withdrawn
+ * from the mint by the withdraw-withheld authority. Builders follow the
+ * launch pipeline's `{ transaction, signers }` shape so they can be sent with
+ * sendLaunchTransaction.
+ */
+
+import { PublicKey, Transaction } from '@solana/web3.js';
+import {
+  TOKEN_2022_PROGRAM_ID,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createHarvestWithheldTokensToMintInstruction,
+  createWithdrawWithheldTokensFromMintInstruction,
+  getAssociatedTokenAddress,
+  getMint,
+  getTransferFeeAmount,
+  getTransferFeeConfig,
+  unpackAccount
+} from '@solana/spl-token';
+
+// Keeps each harvest transaction under the legacy account-key limit
+export const MAX_HARVEST_SOURCES_PER_TX = 20;
+
+/**
+ * Reads the mint's transfer fee settings and what is waiting to be collected.
+ * @param {Connection} connection
+ * @param {PublicKey} mint
+ * @returns {Promise<{
+ *   basisPoints: number,
+ *   maxFee: bigint,
+ *   decimals: number,
+ *   withdrawWithheldAuthority: PublicKey|null,
+ *   withheldInMint: bigint,
+ *   withheldInAccounts: bigint,
+ *   sources: PublicKey[]
+ * }>}
+ */
+export async function getWithheldFees(connection, mint) {
+  const mintInfo = await getMint(connection, mint, 'confirmed', TOKEN_2022_PROGRAM_ID);
+  const config = getTransferFeeConfig(mintInfo);
+  if (!config) {
+    throw new Error("This mint has no transfer fee");
+  }
+
+  // Token accounts for this mint; the mint sits at offset 0 of every account
+  const accounts = await connection.getProgramAccounts(TOKEN_2022_PROGRAM_ID, {
+    commitment: 'confirmed',
+    filters: [{ memcmp: { offset: 0, bytes: mint.toBase58() } }],
+  });
+
+  let withheldInAccounts = BigInt(0);
+  const sources = [];
+  accounts.forEach(({ pubkey, account }) => {
+    let tokenAccount;
+    try {
+      tokenAccount = unpackAccount(pubkey, account, TOKEN_2022_PROGRAM_ID);
+    } catch {
+      return; // Not a token account
+    }
+    const feeAmount = getTransferFeeAmount(tokenAccount);
+    if (feeAmount && feeAmount.withheldAmount > BigInt(0)) {
+      withheldInAccounts += feeAmount.withheldAmount;
+      sources.push(pubkey);
+    }
+  });
+
+  return {
+    basisPoints: config.newerTransferFee.transferFeeBasisPoints,
+    maxFee: config.newerTransferFee.maximumFee,
+    decimals: mintInfo.decimals,
+    // An unset authority is stored as the all-zero key
+    withdrawWithheldAuthority: config.withdrawWithheldAuthority.equals(PublicKey.default) ? null : config.withdrawWithheldAuthority,
+    withheldInMint: config.withheldAmount,
+    withheldInAccounts,
+    sources,
+  };
+}
+
+/**
+ * Moves withheld fees from token accounts into the mint, split into as many
+ * transactions as the source count needs.
+ * @param {Object} params
+ * @param {PublicKey} params.payer
+ * @param {PublicKey} params.mint
+ * @param {PublicKey[]} params.sources - Token accounts with withheld fees
+ * @returns {BuiltTransaction[]}
+ */
+export function buildHarvestWithheldTransactions({ payer, mint, sources }) {
+  const built = [];
+  for (let i = 0; i < sources.length; i += MAX_HARVEST_SOURCES_PER_TX) {
+    const transaction = new Transaction().add(
+      createHarvestWithheldTokensToMintInstruction(
+        mint,
+        sources.slice(i, i + MAX_HARVEST_SOURCES_PER_TX),
+        TOKEN_2022_PROGRAM_ID
+      )
+    );
+    transaction.feePayer = payer;
+    built.push({ transaction, signers: [] });
+  }
+  return built;
+}
+
+/**
+ * Withdraws everything withheld in the mint to the authority's token account,
+ * creating that account if it does not exist yet.
+ * @param {Object} params
+ * @param {PublicKey} params.authority - The mint's withdraw-withheld authority
+ * @param {PublicKey} params.mint
+ * @returns {Promise<BuiltTransaction & {destination: PublicKey}>}
+ */
+export async function buildWithdrawWithheldTransaction({ authority, mint }) {
+  const destination = await getAssociatedTokenAddress(mint, authority, false, TOKEN_2022_PROGRAM_ID);
+
+  const transaction = new Transaction().add(
+    createAssociatedTokenAccountIdempotentInstruction(authority, destination, authority, mint, TOKEN_2022_PROGRAM_ID),
+    createWithdrawWithheldTokensFromMintInstruction(mint, destination, authority, [], TOKEN_2022_PROGRAM_ID)
+  );
+
+  transaction.feePayer = authority;
+  return { transaction, signers: [], destination };
+}
@@ -0,0 +1,194 @@
+/**
+ * Helpers every listing venue shares: the balance check before listing,
+ * sending a wallet-signed transaction and waiting for it, accounts at
+ * addresses seeded from the mint, and the Birdeye marker account that helps
+ * new tokens get indexed.
+ */
+
+import {
+  Keypair,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SystemProgram,
+  Transaction
+} from '@solana/web3.js';
+import { applyPriorityFee } from '../priorityFees.js';
+import { confirmLaunchTransaction } from '../transactionStatus.js';
+
+// Kept on top of what a listing costs, for the network fees of its transactions
+export const FEE_BUFFER_LAMPORTS = 10000000;
+
+// Marker account size, and the SOL left in it so explorers show it
+const BIRDEYE_MARKER_SIZE = 128;
+const BIRDEYE_MARKER_LAMPORTS = 5000000;
+
+// Seeds are the start of the mint address plus an account name, at most 32 characters
+const SEED_MINT_CHARS = 20;
+const MAX_SEED_LENGTH = 32;
+
+/**
+ * Throws unless `payer` holds `lamports` plus FEE_BUFFER_LAMPORTS.
+ * @param {Connection} connection
+ * @param {PublicKey} payer
+ * @param {number} lamports
+ * @param {string} [purpose] - Named in the error, e.g. "OpenBook market creation"
+ * @returns {Promise<number>} The payer's balance
+ */
+export async function assertBalanceCovers(connection, payer, lamports, purpose) {
+  const balance = await connection.getBalance(payer);
+  console.log("User balance:", balance / LAMPORTS_PER_SOL, "SOL");
+
+  const required = lamports + FEE_BUFFER_LAMPORTS;
+  if (balance < required) {
+    throw new Error(`Insufficient SOL balance${purpose ? ` for ${purpose}` : ''}. Required: ${required / LAMPORTS_PER_SOL} SOL, Available: ${balance / LAMPORTS_PER_SOL} SOL`);
+  }
+  return balance;
+}
+
+/**
+ * Sends a signed transaction and confirms it
+ * @returns {Promise<string>} Transaction signature
+ */
+export async function sendTransactionWithConfirmation(connection, signedTx) {
+  const txid = await connection.sendRawTransaction(signedTx.serialize());
+  console.log("Transaction sent:", txid);
+
+  try {
+    await confirmLaunchTransaction(connection, txid);
+    console.log("Transaction confirmed successfully:", txid);
+  } catch (error) {
+    console.error("Transaction failed or not found:", txid);
+    throw new Error(`Transaction failed. Signature: ${txid}`);
+  }
+
+  return txid;
+}
+
+/**
+ * Signs a built transaction with its co-signers and the wallet, on a fresh
+ * blockhash and with a priority fee, then sends and confirms it.
+ * @param {Connection} connection
+ * @param {BuiltTransaction} built
+ * @param {function(Transaction): Promise<Transaction>} signTransaction
+ * @returns {Promise<string>} Transaction signature
+ */
+export async function sendBuiltTransaction(connection, { transaction, signers }, signTransaction) {
+  transaction.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
+  await applyPriorityFee(connection, { transaction });
+  if (signers.length > 0) {
+    transaction.partialSign(...signers);
+  }
+  return sendTransactionWithConfirmation(connection, await signTransaction(transaction));
+}
+
+/**
+ * An account at an address derived from the payer, the mint and `name`
+ * rather than a fresh keypair. A listing interrupted part-way builds the same
+ * addresses again, so it can skip what already exists instead of paying for
+ * a second set of accounts. The payer signs as the base; no extra signer.
+ * @param {Object} params
+ * @param {PublicKey} params.payer
+ * @param {PublicKey} params.mint
+ * @param {string} params.name - Distinguishes the accounts of one listing, up to 12 characters
+ * @param {number} params.lamports
+ * @param {number} params.space
+ * @param {PublicKey} params.programId - Owner of the new account
+ * @returns {Promise<{address: PublicKey, instruction: TransactionInstruction}>}
+ */
+export async function seededAccount({ payer, mint, name, lamports, space, programId }) {
+  const seed = `${mint.toBase58().slice(0, SEED_MINT_CHARS)}${name}`;
+  if (seed.length > MAX_SEED_LENGTH) {
+    throw new Error(`Account name "${name}" is too long for a seed`);
+  }
+  const address = await PublicKey.createWithSeed(payer, seed, programId);
+  return {
+    address,
+    instruction: SystemProgram.createAccountWithSeed({
+      fromPubkey: payer,
+      newAccountPubkey: address,
+      basePubkey: payer,
+      seed,
+      lamports,
+      space,
+      programId
+    })
+  };
+}
+
+/**
+ * Marker account funded by the creator, which helps index the token on
+ * Birdeye. Given the mint, the marker is seeded from it and the transaction
+ * is left empty when an earlier attempt already created it.
+ * @param {Connection} connection
+ * @param {{payer: PublicKey, mint?: PublicKey}} params
+ * @returns {BuiltTransaction & {marker: PublicKey}}
+ */
+export async function buildBirdeyeMarkerTransaction(connection, { payer, mint }) {
+  const lamports = await getBirdeyeMarkerCost(connection);
+  const transaction = new Transaction();
+  transaction.feePayer = payer;
+
+  if (mint) {
+    const { address, instruction } = await seededAccount({
+      payer,
+      mint,
+      name: 'birdeye',
+      lamports,
+      space: BIRDEYE_MARKER_SIZE,
+      programId: SystemProgram.programId
+    });
+    if (!(await connection.getAccountInfo(address))) {
+      transaction.add(instruction);
+    }
+    return { transaction, signers: [], marker: address };
+  }
+
+  const markerKeypair = Keypair.generate();
+  transaction.add(
+    SystemProgram.createAccount({
+      fromPubkey: payer,
+      newAccountPubkey: markerKeypair.publicKey,
+      lamports,
+      space: BIRDEYE_MARKER_SIZE,
+      programId: SystemProgram.programId
+    })
+  );
+  return { transaction, signers: [markerKeypair], marker: markerKeypair.publicKey };
+}
+
+/**
+ * What the Birdeye marker costs: its rent plus the SOL left in it
+ */
+export async function getBirdeyeMarkerCost(connection) {
+  return (await connection.getMinimumBalanceForRentExemption(BIRDEYE_MARKER_SIZE)) + BIRDEYE_MARKER_LAMPORTS;
+}
+
+/**
+ * Creates a marker transaction to help index for Birdeye. Never throws; a
+ * listing goes ahead without the marker.
+ */
+export async function createBirdeyeMarker({
+  connection,
+  userPublicKey,
+  signTransaction
+}) {
+  try {
+    console.log("Creating Birdeye marker to improve token visibility...");
+
+    const built = await buildBirdeyeMarkerTransaction(connection, { payer: userPublicKey });
+    const markerTxid = await sendBuiltTransaction(connection, built, signTransaction);
+    console.log("Birdeye marker created:", markerTxid);
+
+    return {
+      success: true,
+      markerPublicKey: built.marker,
+      txid: markerTxid
+    };
+  } catch (error) {
+    console.warn("Failed to create Birdeye marker:", error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
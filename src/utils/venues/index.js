@@ -0,0 +1,91 @@
+/**
+ * Listing venues: the DEXes CREATE_POOL can list a token on. Each one is a
+ * plugin implementing ListingVenue, so the create form can price them side
+ * by side and run whichever the creator picks the same way.
+ */
+
+import { LISTING_VENUES } from '../launchState.js';
+import { openBookVenue } from './openbook.js';
+import { orcaVenue } from './orca.js';
+import { raydiumVenue } from './raydium.js';
+
+/**
+ * @typedef {Object} ListingParams
+ * @property {PublicKey} payer - Creator's wallet, which pays for and funds the listing
+ * @property {PublicKey} mint
+ * @property {bigint} tokenAmount - Raw bonding-curve supply to list
+ * @property {number} solAmount - Lamports of liquidity the creator chose
+ * @property {bigint} supply - Raw total supply of the token
+ * @property {number} decimals
+ * @property {PublicKey} [tokenProgramId]
+ * @property {string} [marketSize] - OpenBook only; a MARKET_SIZE_PRESETS key
+ * @property {Keypair} [poolStateKeypair] - Raydium only; pre-generated pool state
+ * @property {AddressLookupTableAccount[]} [lookupTables] - Raydium only; the launch's table, which holds the pool vaults
+ */
+
+/**
+ * @typedef {Object} VenueCost
+ * @property {{label: string, lamports: number}[]} items - Everything the listing takes from the wallet
+ * @property {number} total - Sum of items, in lamports
+ * @property {string[]} details - Notes worth showing next to the cost
+ */
+
+/**
+ * @typedef {Object} ListingTransactions
+ * @property {(BuiltTransaction & {defaultComputeUnits?: number})[]} transactions - In send order,
+ *   each with a label; defaultComputeUnits is the limit to use if it cannot be simulated
+ * @property {string} address - The pool or market
+ * @property {AddressLookupTableAccount[]} lookupTables - Tables to compile the transactions against
+ */
+
+/**
+ * @typedef {Object} ListingVenue
+ * @property {string} id - One of LISTING_VENUES
+ * @property {string} name
+ * @property {string} description - What the creator gets, in a sentence or two
+ * @property {function(Connection, ListingParams): Promise<VenueCost>} quoteCost
+ * @property {function(Connection, ListingParams): Promise<ListingTransactions>} buildListingTransactions
+ *   - Only what is still missing; a listing interrupted part-way is built again and carries on
+ * @property {function(Connection, {mint: string, address: string}): Promise<Object|null>} fetchMarketInfo
+ *   - Null when there is nothing to read
+ * @property {function(Connection, {mint: string, address: string}): Promise<number|null>} fetchPrice
+ *   - SOL per whole token, or null when the venue has no price
+ */
+
+const VENUES = {
+  [LISTING_VENUES.RAYDIUM]: raydiumVenue,
+  [LISTING_VENUES.OPENBOOK]: openBookVenue,
+  [LISTING_VENUES.ORCA]: orcaVenue
+};
+
+// In the order the create form lists them
+export const VENUE_LIST = [raydiumVenue, openBookVenue, orcaVenue];
+
+/**
+ * @param {string} [id] - One of LISTING_VENUES; Raydium when missing
+ * @returns {ListingVenue}
+ */
+export function getVenue(id = LISTING_VENUES.RAYDIUM) {
+  const venue = VENUES[id];
+  if (!venue) {
+    throw new Error(`Unknown listing venue: ${id}`);
+  }
+  return venue;
+}
+
+/**
+ * Quote every venue at once. A venue that cannot be priced gets an error
+ * instead of a cost, so the others still show.
+ * @param {Connection} connection
+ * @param {ListingParams} params
+ * @returns {Promise<Object<string, {cost: VenueCost|null, error: string|null}>>} Keyed by venue id
+ */
+export async function quoteVenueCosts(connection, params) {
+  const results = await Promise.allSettled(VENUE_LIST.map((venue) => venue.quoteCost(connection, params)));
+  return Object.fromEntries(VENUE_LIST.map((venue, index) => {
+    const result = results[index];
+    return [venue.id, result.status === 'fulfilled'
+      ? { cost: result.value, error: null }
+      : { cost: null, error: result.reason?.message || 'Could not price this venue' }];
+  }));
+}
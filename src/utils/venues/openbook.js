@@ -0,0 +1,73 @@
+/**
+ * OpenBook: a central limit order book market for the token against SOL. No
+ * liquidity is deposited; the creator and traders place orders on it.
+ */
+
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { LISTING_VENUES } from '../launchState.js';
+import { describeOpenBookMarket, fetchOrderBook, loadOpenBookMarket } from '../openbookMarket.js';
+import { DEFAULT_MARKET_SIZE, MARKET_SIZE_PRESETS, estimateOpenBookMarket, suggestLotSizes } from '../openbookMarketSize.js';
+import { buildOpenBookMarketTransactions, getOpenBookProgramId } from '../openbookPool.js';
+
+const RENT_LABELS = {
+  market: 'Market state',
+  requestQueue: 'Request queue',
+  eventQueue: 'Event queue',
+  bids: 'Bids',
+  asks: 'Asks',
+  baseVault: 'Base vault',
+  quoteVault: 'Quote vault'
+};
+
+/** @type {import('./index.js').ListingVenue} */
+export const openBookVenue = {
+  id: LISTING_VENUES.OPENBOOK,
+  name: 'OpenBook',
+  description: 'Order book market: costs only account rent, but nothing trades until someone places orders. Your SOL stays in your wallet.',
+
+  async quoteCost(connection, { supply, decimals, marketSize = DEFAULT_MARKET_SIZE }) {
+    const estimate = await estimateOpenBookMarket(connection, { size: marketSize, supply, decimals });
+    const preset = MARKET_SIZE_PRESETS[marketSize];
+    return {
+      items: Object.entries(estimate.rent).map(([name, lamports]) => ({ label: `${RENT_LABELS[name]} rent`, lamports })),
+      total: estimate.totalRent,
+      details: [
+        ...(preset ? [`${preset.label} market: ${preset.eventQueueLength} events, ${preset.orderbookLength} orders per side`] : []),
+        `Tick ${estimate.lotSizes.tickSize} SOL, minimum order ${estimate.lotSizes.minOrderSize} tokens`
+      ]
+    };
+  },
+
+  async buildListingTransactions(connection, { payer, mint, supply, decimals, marketSize = DEFAULT_MARKET_SIZE }) {
+    const market = await buildOpenBookMarketTransactions(connection, {
+      payer,
+      mint,
+      programId: await getOpenBookProgramId(connection),
+      size: marketSize,
+      lotSizes: suggestLotSizes(supply, decimals)
+    });
+    console.log("OpenBook market rent:", market.totalRent / LAMPORTS_PER_SOL, "SOL");
+    return {
+      transactions: market.transactions,
+      address: market.marketId.toString(),
+      lookupTables: []
+    };
+  },
+
+  async fetchMarketInfo(connection, { address }) {
+    if (!address) {
+      return null;
+    }
+    const market = await loadOpenBookMarket(connection, address);
+    return { ...describeOpenBookMarket(market), ...(await fetchOrderBook(connection, market)) };
+  },
+
+  async fetchPrice(connection, { address }) {
+    const info = await this.fetchMarketInfo(connection, { address });
+    if (!info) {
+      return null;
+    }
+    // An empty book still has a price if something traded recently
+    return info.midPrice ?? (info.fills.length > 0 ? info.fills[0].price : null);
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Orca: visibility markers only. No Whirlpool is created, so the token cannot
+ * be traded here; the SOL is parked in a marker account the creator funds.
+ */
+
+import { LISTING_VENUES } from '../launchState.js';
+import { buildOrcaMarkerTransaction, getOrcaMarkerRent } from '../orcaPool.js';
+import { buildBirdeyeMarkerTransaction, getBirdeyeMarkerCost } from './common.js';
+
+/** @type {import('./index.js').ListingVenue} */
+export const orcaVenue = {
+  id: LISTING_VENUES.ORCA,
+  name: 'Orca markers',
+  description: 'Creates marker accounts that help explorers and wallets pick the token up. There is no pool, so nothing can be traded yet.',
+
+  async quoteCost(connection, { solAmount }) {
+    const [markerRent, birdeyeCost] = await Promise.all([
+      getOrcaMarkerRent(connection),
+      getBirdeyeMarkerCost(connection)
+    ]);
+    const items = [
+      { label: 'Marker account rent', lamports: markerRent },
+      { label: 'SOL held in the pool marker', lamports: solAmount },
+      { label: 'Birdeye marker', lamports: birdeyeCost }
+    ];
+    return {
+      items,
+      total: items.reduce((sum, item) => sum + item.lamports, 0),
+      details: ['No tradable pool is created']
+    };
+  },
+
+  async buildListingTransactions(connection, { payer, mint, solAmount }) {
+    const markers = await buildOrcaMarkerTransaction(connection, { payer, mint, solAmount });
+    const birdeye = await buildBirdeyeMarkerTransaction(connection, { payer, mint });
+    return {
+      // Markers an earlier attempt created leave their transaction empty
+      transactions: [
+        { ...markers, label: 'Create Orca marker accounts' },
+        { ...birdeye, label: 'Create Birdeye marker' }
+      ].filter(({ transaction }) => transaction.instructions.length > 0),
+      address: markers.poolId.toString(),
+      lookupTables: []
+    };
+  },
+
+  // Markers hold no market state to read back
+  async fetchMarketInfo() {
+    return null;
+  },
+
+  async fetchPrice() {
+    return null;
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Raydium CP-Swap: a constant-product pool seeded with the bonding-curve
+ * supply and the creator's SOL, which mints LP tokens to the creator.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { LISTING_VENUES } from '../launchState.js';
+import {
+  MINIMUM_POOL_LAMPORTS,
+  POOL_COMPUTE_UNITS,
+  POOL_STATE_SIZE,
+  buildRaydiumPoolTransaction,
+  getPoolInfo
+} from '../raydiumPool.js';
+
+// Created by the CP-Swap program during initialize, paid for by the creator
+const TOKEN_ACCOUNT_SIZE = 165;
+const MINT_SIZE = 82;
+
+/** @type {import('./index.js').ListingVenue} */
+export const raydiumVenue = {
+  id: LISTING_VENUES.RAYDIUM,
+  name: 'Raydium CP-Swap',
+  description: 'Automated pool: trades immediately at a price set by your SOL and the bonding-curve supply. You receive LP tokens you can burn or lock.',
+
+  async quoteCost(connection, { solAmount }) {
+    const [poolStateRent, vaultRent, lpMintRent] = await Promise.all([
+      connection.getMinimumBalanceForRentExemption(POOL_STATE_SIZE),
+      connection.getMinimumBalanceForRentExemption(TOKEN_ACCOUNT_SIZE),
+      connection.getMinimumBalanceForRentExemption(MINT_SIZE)
+    ]);
+    const deposit = Math.max(solAmount, MINIMUM_POOL_LAMPORTS);
+    const items = [
+      { label: 'Pool state rent', lamports: poolStateRent },
+      { label: 'Pool vault rent (2)', lamports: vaultRent * 2 },
+      { label: 'LP mint rent', lamports: lpMintRent },
+      { label: 'SOL liquidity', lamports: deposit }
+    ];
+    return {
+      items,
+      total: items.reduce((sum, item) => sum + item.lamports, 0),
+      details: deposit > solAmount ? ['Liquidity is raised to the 0.15 SOL minimum'] : []
+    };
+  },
+
+  async buildListingTransactions(connection, { payer, mint, tokenAmount, solAmount, decimals, tokenProgramId, poolStateKeypair, lookupTables = [] }) {
+    const built = await buildRaydiumPoolTransaction(connection, {
+      userPublicKey: payer,
+      mintPublicKey: mint,
+      tokenAmount,
+      solAmount,
+      tokenProgramId,
+      tokenDecimals: decimals,
+      ...(poolStateKeypair && { poolStateKeypair })
+    });
+    return {
+      // CP-Swap initialisation is compute heavy, past the usual fallback limit
+      transactions: [{ ...built, label: 'Create Raydium pool', defaultComputeUnits: POOL_COMPUTE_UNITS }],
+      address: built.poolId,
+      // The pool vaults were added to the launch's table alongside the batch steps
+      lookupTables
+    };
+  },
+
+  async fetchMarketInfo(connection, { mint, address }) {
+    const info = await getPoolInfo(connection, new PublicKey(mint), { poolAddress: address });
+    if (info.error) {
+      throw new Error(info.error);
+    }
+    // No pool found; only a decoded pool has an LP mint
+    return info.lpMint ? info : null;
+  },
+
+  async fetchPrice(connection, { mint, address }) {
+    const info = await this.fetchMarketInfo(connection, { mint, address });
+    return info && info.price > 0 ? info.price : null;
+  }
+};
@@ -0,0 +1,295 @@
+/**
+ * Versioned (v0) transaction helpers for the launch flow.
+ *
+ * Builders keep returning their instructions in a Transaction with the fee
+ * payer set; they are compiled to a v0 message only when sent. That is when
+ * an address lookup table can replace each 32-byte account key with a
+ * one-byte index, which is what lets several launch steps share one
+ * transaction.
+ *
+ * A lookup table can be used by the slot after it was last extended, so a
+ * table created in a batch has to land, and warm up, before the transactions
+ * that reference it are sent. It can be compiled against before then, because
+ * compiling only needs its address list.
+ */
+
+import {
+  AddressLookupTableAccount,
+  AddressLookupTableProgram,
+  ComputeBudgetProgram,
+  PACKET_DATA_SIZE,
+  PublicKey,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction
+} from '@solana/web3.js';
+
+// A new table has never been deactivated
+const ACTIVE_TABLE_DEACTIVATION_SLOT = BigInt('18446744073709551615');
+
+// A deactivated table can be closed once its deactivation slot has left the
+// SlotHashes sysvar, which holds the last 512 slots
+const LOOKUP_TABLE_COOLDOWN_SLOTS = 512;
+
+// Where a table stands on the way to having its rent reclaimed
+export const LOOKUP_TABLE_STATUS = {
+  ACTIVE: 'ACTIVE',
+  // Deactivated; still usable, and not yet closable
+  COOLING_DOWN: 'COOLING_DOWN',
+  CLOSABLE: 'CLOSABLE',
+  CLOSED: 'CLOSED'
+};
+
+// Keeps the create-and-extend transaction within the packet limit
+export const MAX_LOOKUP_TABLE_ADDRESSES = 24;
+
+// Placeholder compute budget instructions, sized like the ones added at send time
+const BUDGET_PLACEHOLDER = [
+  ComputeBudgetProgram.setComputeUnitLimit({ units: 0 }),
+  ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 0 }),
+];
+
+/**
+ * @typedef {Object} PackedTransaction
+ * @property {Transaction} transaction - Instructions of every packed part, in order
+ * @property {Keypair[]} signers - Co-signers of every packed part
+ * @property {BuiltTransaction[]} parts - The builds that were packed into it
+ */
+
+/**
+ * Compiles a built transaction to v0 and adds its co-signers' signatures.
+ * @param {BuiltTransaction} built
+ * @param {Object} options
+ * @param {string} options.blockhash
+ * @param {AddressLookupTableAccount[]} [options.lookupTables]
+ * @returns {VersionedTransaction}
+ */
+export function compileVersionedTransaction({ transaction, signers = [] }, { blockhash, lookupTables = [] }) {
+  const message = new TransactionMessage({
+    payerKey: transaction.feePayer,
+    recentBlockhash: blockhash,
+    instructions: transaction.instructions,
+  }).compileToV0Message(lookupTables);
+
+  const versioned = new VersionedTransaction(message);
+  if (signers.length > 0) {
+    versioned.sign(signers);
+  }
+  return versioned;
+}
+
+/**
+ * Serialized size of `transaction` as a signed v0 transaction, including
+ * room for the compute budget instructions. Infinity if it cannot be
+ * compiled at all.
+ * @param {Transaction} transaction
+ * @param {AddressLookupTableAccount[]} [lookupTables]
+ * @returns {number}
+ */
+export function getVersionedTransactionSize(transaction, lookupTables = []) {
+  try {
+    const message = new TransactionMessage({
+      payerKey: transaction.feePayer,
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions: [...BUDGET_PLACEHOLDER, ...transaction.instructions],
+    }).compileToV0Message(lookupTables);
+    return new VersionedTransaction(message).serialize().length;
+  } catch {
+    return Infinity;
+  }
+}
+
+/**
+ * Non-signer accounts used by more than one of `builts`, for a lookup table.
+ * Programs are left out: an invoked program has to be a static key anyway.
+ * @param {BuiltTransaction[]} builts
+ * @param {PublicKey[]} [include] - Always listed first, e.g. accounts of a later step
+ * @returns {PublicKey[]} At most MAX_LOOKUP_TABLE_ADDRESSES keys
+ */
+export function getRecurringAddresses(builts, include = []) {
+  const programs = new Set();
+  const counts = new Map();
+  const keys = new Map();
+
+  builts.forEach(({ transaction }) => {
+    const seen = new Set();
+    transaction.instructions.forEach((instruction) => {
+      programs.add(instruction.programId.toBase58());
+      instruction.keys
+        .filter((key) => !key.isSigner)
+        .forEach((key) => {
+          seen.add(key.pubkey.toBase58());
+          keys.set(key.pubkey.toBase58(), key.pubkey);
+        });
+    });
+    seen.forEach((address) => counts.set(address, (counts.get(address) || 0) + 1));
+  });
+
+  const included = new Set(include.map((key) => key.toBase58()));
+  const recurring = [...counts.entries()]
+    .filter(([address, count]) => count > 1 && !programs.has(address) && !included.has(address))
+    .sort((a, b) => b[1] - a[1])
+    .map(([address]) => keys.get(address));
+
+  return [...include, ...recurring].slice(0, MAX_LOOKUP_TABLE_ADDRESSES);
+}
+
+/**
+ * Step that creates an address lookup table owned by `payer` and fills it
+ * with `addresses`. `account` can be compiled against straight away.
+ * @param {Object} params
+ * @param {PublicKey} params.payer - Pays the table's rent and is its authority
+ * @param {number} params.recentSlot - A recent finalized slot; seeds the table address
+ * @param {PublicKey[]} params.addresses - At most MAX_LOOKUP_TABLE_ADDRESSES
+ * @returns {BuiltTransaction & {account: AddressLookupTableAccount}}
+ */
+export function buildLookupTableTransaction({ payer, recentSlot, addresses }) {
+  if (addresses.length > MAX_LOOKUP_TABLE_ADDRESSES) {
+    throw new Error(`A lookup table is created with at most ${MAX_LOOKUP_TABLE_ADDRESSES} addresses`);
+  }
+
+  const [createInstruction, lookupTableAddress] = AddressLookupTableProgram.createLookupTable({
+    authority: payer,
+    payer,
+    recentSlot,
+  });
+  const transaction = new Transaction().add(
+    createInstruction,
+    AddressLookupTableProgram.extendLookupTable({
+      payer,
+      authority: payer,
+      lookupTable: lookupTableAddress,
+      addresses,
+    })
+  );
+  transaction.feePayer = payer;
+
+  const account = new AddressLookupTableAccount({
+    key: lookupTableAddress,
+    state: {
+      deactivationSlot: ACTIVE_TABLE_DEACTIVATION_SLOT,
+      lastExtendedSlot: 0,
+      lastExtendedSlotStartIndex: 0,
+      authority: payer,
+      addresses,
+    },
+  });
+
+  return { transaction, signers: [], account };
+}
+
+/**
+ * Waits until a newly created lookup table can be used, i.e. the cluster
+ * has moved past the slot it was extended in.
+ * @param {Connection} connection
+ * @param {PublicKey} address
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<AddressLookupTableAccount>}
+ */
+export async function waitForLookupTable(connection, address, { timeoutMs = 30000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { value } = await connection.getAddressLookupTable(address, { commitment: 'confirmed' });
+    if (value && value.state.addresses.length > 0) {
+      const slot = await connection.getSlot('confirmed');
+      if (slot > value.state.lastExtendedSlot) {
+        return value;
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+  throw new Error(`Lookup table ${address.toBase58()} was not usable after ${timeoutMs / 1000}s`);
+}
+
+/**
+ * Deactivates a table. It stays usable through the cooldown, after which
+ * buildCloseLookupTableTransaction can reclaim its rent.
+ * @param {{authority: PublicKey, lookupTable: PublicKey}} params
+ * @returns {BuiltTransaction}
+ */
+export function buildDeactivateLookupTableTransaction({ authority, lookupTable }) {
+  const transaction = new Transaction().add(
+    AddressLookupTableProgram.deactivateLookupTable({ authority, lookupTable })
+  );
+  transaction.feePayer = authority;
+  return { transaction, signers: [] };
+}
+
+/**
+ * Closes a deactivated table whose cooldown is over, returning its rent to
+ * the authority.
+ * @param {{authority: PublicKey, lookupTable: PublicKey}} params
+ * @returns {BuiltTransaction}
+ */
+export function buildCloseLookupTableTransaction({ authority, lookupTable }) {
+  const transaction = new Transaction().add(
+    AddressLookupTableProgram.closeLookupTable({ authority, lookupTable, recipient: authority })
+  );
+  transaction.feePayer = authority;
+  return { transaction, signers: [] };
+}
+
+/**
+ * @param {Connection} connection
+ * @param {PublicKey} address
+ * @returns {Promise<string>} One of LOOKUP_TABLE_STATUS
+ */
+export async function getLookupTableStatus(connection, address) {
+  const { value } = await connection.getAddressLookupTable(address, { commitment: 'confirmed' });
+  if (!value) {
+    return LOOKUP_TABLE_STATUS.CLOSED;
+  }
+  const deactivationSlot = BigInt(value.state.deactivationSlot);
+  if (deactivationSlot === ACTIVE_TABLE_DEACTIVATION_SLOT) {
+    return LOOKUP_TABLE_STATUS.ACTIVE;
+  }
+  const slot = BigInt(await connection.getSlot('confirmed'));
+  return slot > deactivationSlot + BigInt(LOOKUP_TABLE_COOLDOWN_SLOTS)
+    ? LOOKUP_TABLE_STATUS.CLOSABLE
+    : LOOKUP_TABLE_STATUS.COOLING_DOWN;
+}
+
+function emptyTransaction(feePayer) {
+  const transaction = new Transaction();
+  transaction.feePayer = feePayer;
+  return transaction;
+}
+
+function mergeBuilt(packed, built) {
+  const signers = [...packed.signers];
+  (built.signers || []).forEach((signer) => {
+    if (!signers.some((existing) => existing.publicKey.equals(signer.publicKey))) {
+      signers.push(signer);
+    }
+  });
+
+  const transaction = emptyTransaction(packed.transaction.feePayer)
+    .add(...packed.transaction.instructions, ...built.transaction.instructions);
+  return { transaction, signers, parts: [...packed.parts, built] };
+}
+
+/**
+ * Packs consecutive builds into as few v0 transactions as fit the packet
+ * limit, keeping their order. Builds are only merged with their neighbours,
+ * so a step never runs before one it depends on.
+ * @param {BuiltTransaction[]} builts - Same fee payer throughout
+ * @param {Object} [options]
+ * @param {AddressLookupTableAccount[]} [options.lookupTables]
+ * @returns {PackedTransaction[]}
+ */
+export function packTransactions(builts, { lookupTables = [] } = {}) {
+  const packed = [];
+  builts.forEach((built) => {
+    const last = packed[packed.length - 1];
+    if (last && last.transaction.feePayer.equals(built.transaction.feePayer)) {
+      const merged = mergeBuilt(last, built);
+      if (getVersionedTransactionSize(merged.transaction, lookupTables) <= PACKET_DATA_SIZE) {
+        packed[packed.length - 1] = merged;
+        return;
+      }
+    }
+    packed.push(mergeBuilt({ transaction: emptyTransaction(built.transaction.feePayer), signers: [], parts: [] }, built));
+  });
+  return packed;
+}
@@ -0,0 +1,91 @@
+/**
+ * Tests for the bigint token amount helpers in src/utils/amounts.js.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  U64_MAX,
+  formatTokenAmount,
+  maxSupplyForDecimals,
+  parseDecimalAmount,
+  parseWholeTokens,
+  percentOf,
+  toRawAmount
+} from '../src/utils/amounts.js';
+
+describe('parseWholeTokens', () => {
+  it('accepts bigints, safe integers and digit strings with separators', () => {
+    assert.equal(parseWholeTokens(BigInt(5)), BigInt(5));
+    assert.equal(parseWholeTokens(1000000), BigInt(1000000));
+    assert.equal(parseWholeTokens(' 1,000,000,000 '), BigInt(1000000000));
+    assert.equal(parseWholeTokens('18446744073709551615'), U64_MAX);
+  });
+
+  it('rejects negatives, fractions and numbers past 2^53', () => {
+    assert.throws(() => parseWholeTokens(BigInt(-1)), /negative/);
+    assert.throws(() => parseWholeTokens(-1), /whole number/);
+    assert.throws(() => parseWholeTokens(1.5), /whole number/);
+    assert.throws(() => parseWholeTokens(2 ** 53), /2\^53/);
+    assert.throws(() => parseWholeTokens('1.5'), /whole number/);
+    assert.throws(() => parseWholeTokens('1e9'), /whole number/);
+    assert.throws(() => parseWholeTokens(''), /whole number/);
+  });
+});
+
+describe('toRawAmount', () => {
+  it('scales whole tokens by the mint decimals without rounding', () => {
+    assert.equal(toRawAmount('1000000000', 9), BigInt('1000000000000000000'));
+    assert.equal(toRawAmount(7, 0), BigInt(7));
+  });
+});
+
+describe('maxSupplyForDecimals', () => {
+  it('is the largest supply whose raw amount fits in a u64', () => {
+    for (let decimals = 0; decimals <= 9; decimals++) {
+      const max = maxSupplyForDecimals(decimals);
+      assert.ok(toRawAmount(max, decimals) <= U64_MAX);
+      assert.ok(toRawAmount(max + BigInt(1), decimals) > U64_MAX);
+    }
+  });
+});
+
+describe('parseDecimalAmount', () => {
+  it('parses decimals into raw units without going through a float', () => {
+    assert.equal(parseDecimalAmount('0.25', 9), BigInt(250000000));
+    assert.equal(parseDecimalAmount('.5', 9), BigInt(500000000));
+    assert.equal(parseDecimalAmount('3.', 2), BigInt(300));
+    assert.equal(parseDecimalAmount('1,234.5', 1), BigInt(12345));
+    // 0.1 + 0.2 would not survive a float
+    assert.equal(parseDecimalAmount('0.3', 9), BigInt(300000000));
+  });
+
+  it('rejects empty input and excess precision', () => {
+    assert.throws(() => parseDecimalAmount('', 9), /must be a number/);
+    assert.throws(() => parseDecimalAmount('.', 9), /must be a number/);
+    assert.throws(() => parseDecimalAmount('-1', 9), /must be a number/);
+    assert.throws(() => parseDecimalAmount('0.123', 2), /more than 2 decimal places/);
+  });
+});
+
+describe('percentOf', () => {
+  it('rounds the share down and the percentage to an integer', () => {
+    assert.equal(percentOf(BigInt(999), 10), BigInt(99));
+    assert.equal(percentOf(BigInt(1000), 0), BigInt(0));
+    assert.equal(percentOf(BigInt(1000), 100), BigInt(1000));
+    assert.equal(percentOf(BigInt(1000), 33.4), BigInt(330));
+  });
+
+  it('stays exact past 2^53', () => {
+    assert.equal(percentOf(U64_MAX, 50), U64_MAX / BigInt(2));
+  });
+});
+
+describe('formatTokenAmount', () => {
+  it('keeps the fraction exactly and drops trailing zeros', () => {
+    assert.equal(formatTokenAmount(BigInt(1500000000), 9), `${(1).toLocaleString()}.5`);
+    assert.equal(formatTokenAmount(BigInt(1), 9), '0.000000001');
+    assert.equal(formatTokenAmount(BigInt(1000000000), 9), (1).toLocaleString());
+    assert.equal(formatTokenAmount(BigInt(42), 0), (42).toLocaleString());
+  });
+});
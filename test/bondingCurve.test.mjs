@@ -0,0 +1,100 @@
+/**
+ * Property tests for the bonding-curve quotes in src/utils/bondingCurve.js.
+ * Each property is checked against curves and trades drawn from a seeded
+ * generator, so a failure names a case that reproduces on every run.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getSpotPrice, quoteBuy, quoteSell } from '../src/utils/bondingCurve.js';
+
+const CASES = 500;
+const LAMPORTS_PER_SOL = BigInt(1000000000);
+
+// mulberry32: small, fast and the same sequence for the same seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Uniform on [min, max], spread over orders of magnitude so tiny and huge values both appear
+function randomBigInt(random, min, max) {
+  const digits = Math.max(1, Math.ceil(random() * max.toString().length));
+  let value = BigInt(0);
+  for (let i = 0; i < digits; i++) {
+    value = value * BigInt(10) + BigInt(Math.floor(random() * 10));
+  }
+  return min + (value % (max - min + BigInt(1)));
+}
+
+function randomCurve(random) {
+  const decimals = Math.floor(random() * 10);
+  const unit = BigInt(10) ** BigInt(decimals);
+  const virtualTokenReserves = randomBigInt(random, BigInt(1000) * unit, BigInt(10000000000) * unit);
+  return {
+    decimals,
+    reserves: {
+      virtualSolReserves: randomBigInt(random, LAMPORTS_PER_SOL / BigInt(100), BigInt(1000) * LAMPORTS_PER_SOL),
+      virtualTokenReserves,
+      realSolReserves: randomBigInt(random, BigInt(0), BigInt(100) * LAMPORTS_PER_SOL),
+      realTokenReserves: randomBigInt(random, BigInt(1), virtualTokenReserves - BigInt(1)),
+      feeBasisPoints: Math.floor(random() * 1001),
+    },
+  };
+}
+
+function forEachCase(seed, check) {
+  const random = createRandom(seed);
+  for (let i = 0; i < CASES; i++) {
+    const { reserves, decimals } = randomCurve(random);
+    const solIn = randomBigInt(random, BigInt(1), BigInt(50) * LAMPORTS_PER_SOL);
+    check({ reserves, decimals, solIn, label: `seed ${seed}, case ${i}` });
+  }
+}
+
+describe('bonding curve quotes', () => {
+  it('never returns more SOL from buying then selling than went in', () => {
+    forEachCase(17, ({ reserves, solIn, label }) => {
+      const buy = quoteBuy(reserves, solIn);
+      assert.ok(buy.totalCost <= solIn, `${label}: buy spent more than it was given`);
+
+      const sell = quoteSell(buy.reservesAfter, buy.tokensOut);
+      assert.ok(sell.solOut <= buy.totalCost, `${label}: sold back for ${sell.solOut}, paid ${buy.totalCost}`);
+      assert.ok(sell.reservesAfter.realSolReserves >= reserves.realSolReserves, `${label}: round trip drained the curve`);
+    });
+  });
+
+  it('never lowers the spot price with a buy', () => {
+    forEachCase(23, ({ reserves, decimals, solIn, label }) => {
+      const buy = quoteBuy(reserves, solIn);
+      assert.ok(
+        getSpotPrice(buy.reservesAfter, decimals) >= getSpotPrice(reserves, decimals),
+        `${label}: price fell after buying ${buy.tokensOut}`
+      );
+      // Exact form of the same check, free of float rounding
+      assert.ok(
+        buy.reservesAfter.virtualSolReserves * reserves.virtualTokenReserves
+          >= reserves.virtualSolReserves * buy.reservesAfter.virtualTokenReserves,
+        `${label}: reserves ratio fell`
+      );
+    });
+  });
+
+  it('rejects sales that pay out more than the real SOL reserves', () => {
+    forEachCase(29, ({ reserves, label }) => {
+      const tokenAmount = reserves.virtualTokenReserves;
+      const proceeds = (reserves.virtualSolReserves * tokenAmount) / (reserves.virtualTokenReserves + tokenAmount);
+      if (proceeds > reserves.realSolReserves) {
+        assert.throws(() => quoteSell(reserves, tokenAmount), /enough SOL/, label);
+      } else {
+        assert.equal(quoteSell(reserves, tokenAmount).reservesAfter.realSolReserves, reserves.realSolReserves - proceeds, label);
+      }
+    });
+  });
+});
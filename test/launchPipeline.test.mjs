@@ -0,0 +1,115 @@
+/**
+ * Tests for the supply planning in src/utils/launchPipeline.js: the
+ * creator/bonding-curve split, mint chunking and the resplit a creator can
+ * accept when the bonding-curve mint keeps failing.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  BASE_PLATFORM_FEE_LAMPORTS,
+  MAX_TOKENS_PER_MINT_TX,
+  calculatePlatformFee,
+  planMintChunks,
+  planResplit,
+  splitSupply
+} from '../src/utils/launchPipeline.js';
+
+const sum = (values) => values.reduce((total, value) => total + value, BigInt(0));
+
+describe('splitSupply', () => {
+  it('gives the creator their percentage, rounded down, and the curve the rest', () => {
+    assert.deepEqual(splitSupply('1000000000', 10), {
+      creatorRetention: BigInt(100000000),
+      bondingCurveSupply: BigInt(900000000),
+    });
+    assert.deepEqual(splitSupply(999, 10), {
+      creatorRetention: BigInt(99),
+      bondingCurveSupply: BigInt(900),
+    });
+  });
+
+  it('handles the 0% and 100% ends', () => {
+    assert.deepEqual(splitSupply(1000, 0), { creatorRetention: BigInt(0), bondingCurveSupply: BigInt(1000) });
+    assert.deepEqual(splitSupply(1000, 100), { creatorRetention: BigInt(1000), bondingCurveSupply: BigInt(0) });
+  });
+
+  it('never loses a token, even past 2^53', () => {
+    const supply = BigInt('18446744073');
+    for (const percentage of [1, 7, 33, 50, 99]) {
+      const { creatorRetention, bondingCurveSupply } = splitSupply(supply, percentage);
+      assert.equal(creatorRetention + bondingCurveSupply, supply);
+    }
+  });
+});
+
+describe('planMintChunks', () => {
+  it('splits the supply into full chunks and one remainder', () => {
+    assert.deepEqual(planMintChunks(250, 0, 100), [BigInt(100), BigInt(100), BigInt(50)]);
+    assert.deepEqual(planMintChunks(200, 0, 100), [BigInt(100), BigInt(100)]);
+  });
+
+  it('skips what an earlier attempt already minted', () => {
+    assert.deepEqual(planMintChunks(250, 120, 100), [BigInt(100), BigInt(30)]);
+    assert.deepEqual(planMintChunks(250, 250, 100), []);
+    assert.deepEqual(planMintChunks(250, 300, 100), []);
+  });
+
+  it('defaults to MAX_TOKENS_PER_MINT_TX and always adds up to the remainder', () => {
+    const total = BigInt(MAX_TOKENS_PER_MINT_TX) * BigInt(3) + BigInt(7);
+    const chunks = planMintChunks(total, 5);
+    assert.equal(sum(chunks), total - BigInt(5));
+    assert.ok(chunks.every((chunk) => chunk > BigInt(0) && chunk <= BigInt(MAX_TOKENS_PER_MINT_TX)));
+  });
+});
+
+describe('planResplit', () => {
+  // A 1B launch at 10% retention whose curve mint stalled at 300M
+  const launch = {
+    supply: '1000000000',
+    creatorRetention: BigInt(100000000),
+    tokensMinted: BigInt(300000000),
+  };
+
+  it('shrinks the curve to the new split and leaves the difference unminted', () => {
+    const plan = planResplit({ ...launch, retentionPercentage: 50 });
+    assert.deepEqual(plan, {
+      bondingCurveSupply: BigInt(500000000),
+      remaining: BigInt(200000000),
+      unminted: BigInt(400000000),
+      totalSupply: BigInt(600000000),
+    });
+  });
+
+  it('reports the supply that ends up on chain, not the supply asked for', () => {
+    const plan = planResplit({ ...launch, retentionPercentage: 50 });
+    // The creator's original share plus the new curve is what gets minted
+    assert.equal(plan.totalSupply, launch.creatorRetention + plan.bondingCurveSupply);
+    assert.equal(plan.totalSupply + plan.unminted, BigInt(launch.supply));
+    assert.notEqual(plan.totalSupply, BigInt(launch.supply));
+  });
+
+  it('never shrinks the curve below what is already minted', () => {
+    const plan = planResplit({ ...launch, retentionPercentage: 90 });
+    assert.equal(plan.bondingCurveSupply, launch.tokensMinted);
+    assert.equal(plan.remaining, BigInt(0));
+    assert.equal(plan.totalSupply, BigInt(400000000));
+    assert.equal(plan.unminted, BigInt(600000000));
+  });
+
+  it('changes nothing when the creator keeps the original split', () => {
+    const plan = planResplit({ ...launch, retentionPercentage: 10 });
+    assert.equal(plan.bondingCurveSupply, BigInt(900000000));
+    assert.equal(plan.remaining, BigInt(600000000));
+    assert.equal(plan.unminted, BigInt(0));
+    assert.equal(plan.totalSupply, BigInt(launch.supply));
+  });
+});
+
+describe('calculatePlatformFee', () => {
+  it('adds 10% of the liquidity to the base fee', () => {
+    assert.equal(calculatePlatformFee(0), BASE_PLATFORM_FEE_LAMPORTS);
+    assert.equal(calculatePlatformFee(1), BASE_PLATFORM_FEE_LAMPORTS + 100000000);
+    assert.equal(calculatePlatformFee(0.5), BASE_PLATFORM_FEE_LAMPORTS + 50000000);
+  });
+});
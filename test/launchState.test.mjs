@@ -0,0 +1,114 @@
+/**
+ * Tests for the launch state machine in src/utils/launchState.js: which steps
+ * a launch goes through, where a resume picks up and which lookup tables
+ * still hold the creator's rent.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  LAUNCH_STEPS,
+  LISTING_VENUES,
+  LP_HANDLING,
+  getLaunchSteps,
+  getNextStep,
+  getOpenLookupTables,
+  getStepDetail,
+  isStepComplete
+} from '../src/utils/launchState.js';
+
+const launchWith = (params, steps = []) => ({
+  params,
+  steps: steps.map((step) => (typeof step === 'string' ? { step } : step)),
+});
+
+describe('getLaunchSteps', () => {
+  it('skips the Metaplex metadata steps for Token-2022 mints', () => {
+    const steps = getLaunchSteps(launchWith({ tokenProgram: 'token-2022' }));
+    assert.ok(!steps.includes(LAUNCH_STEPS.CREATE_METADATA));
+    assert.ok(!steps.includes(LAUNCH_STEPS.VERIFY_CREATOR));
+    assert.ok(steps.includes(LAUNCH_STEPS.CREATE_MINT));
+  });
+
+  it('only secures LP tokens that a Raydium pool minted and the creator wants burned or locked', () => {
+    const securesLp = (params) => getLaunchSteps(launchWith(params)).includes(LAUNCH_STEPS.SECURE_LP);
+    assert.equal(securesLp({ venue: LISTING_VENUES.RAYDIUM, lpHandling: LP_HANDLING.BURN }), true);
+    assert.equal(securesLp({ venue: LISTING_VENUES.RAYDIUM, lpHandling: LP_HANDLING.LOCK }), true);
+    assert.equal(securesLp({ venue: LISTING_VENUES.RAYDIUM, lpHandling: LP_HANDLING.KEEP }), false);
+    assert.equal(securesLp({ venue: LISTING_VENUES.ORCA, lpHandling: LP_HANDLING.BURN }), false);
+    // Launches saved before venues existed listed on Raydium
+    assert.equal(securesLp({ lpHandling: LP_HANDLING.LOCK }), true);
+  });
+});
+
+describe('getNextStep', () => {
+  it('starts a new launch at CREATE_MINT', () => {
+    assert.equal(getNextStep(null), LAUNCH_STEPS.CREATE_MINT);
+    assert.equal(getNextStep(launchWith({})), LAUNCH_STEPS.CREATE_MINT);
+  });
+
+  it('resumes at the first step with no log entry, whatever order they were logged in', () => {
+    const launch = launchWith({}, [
+      LAUNCH_STEPS.CREATE_MINT,
+      LAUNCH_STEPS.VERIFY_CREATOR,
+      LAUNCH_STEPS.CREATE_METADATA,
+    ]);
+    assert.equal(getNextStep(launch), LAUNCH_STEPS.REVOKE_AUTHORITIES);
+  });
+
+  it('does not count progress entries as finished steps', () => {
+    const launch = launchWith({ tokenProgram: 'token-2022' }, [
+      LAUNCH_STEPS.CREATE_MINT,
+      LAUNCH_STEPS.REVOKE_AUTHORITIES,
+      LAUNCH_STEPS.MAKE_IMMUTABLE,
+      LAUNCH_STEPS.COLLECT_FEE,
+      LAUNCH_STEPS.CREATE_LOOKUP_TABLE,
+      LAUNCH_STEPS.MINT_CHUNK,
+      LAUNCH_STEPS.MINT_RECOVERY,
+    ]);
+    assert.equal(getNextStep(launch), LAUNCH_STEPS.MINT_BONDING_CURVE);
+  });
+
+  it('is null once every step of the launch is logged', () => {
+    const params = { tokenProgram: 'token-2022', venue: LISTING_VENUES.ORCA, lpHandling: LP_HANDLING.BURN };
+    const launch = launchWith(params, getLaunchSteps(launchWith(params)));
+    assert.equal(getNextStep(launch), null);
+  });
+});
+
+describe('getStepDetail and isStepComplete', () => {
+  it('read the latest entry for a step', () => {
+    const launch = launchWith({}, [
+      { step: LAUNCH_STEPS.MINT_RECOVERY, detail: { decision: 'RETRY' } },
+      { step: LAUNCH_STEPS.MINT_RECOVERY, detail: { decision: 'RESPLIT' } },
+    ]);
+    assert.deepEqual(getStepDetail(launch, LAUNCH_STEPS.MINT_RECOVERY), { decision: 'RESPLIT' });
+    assert.equal(getStepDetail(launch, LAUNCH_STEPS.CREATE_POOL), null);
+    assert.equal(isStepComplete(launch, LAUNCH_STEPS.MINT_RECOVERY), true);
+    assert.equal(isStepComplete(null, LAUNCH_STEPS.CREATE_MINT), false);
+  });
+});
+
+describe('getOpenLookupTables', () => {
+  const table = (step, address) => ({ step, detail: { address } });
+
+  it('lists the tables the launch created and has not closed', () => {
+    const launch = launchWith({}, [
+      table(LAUNCH_STEPS.CREATE_LOOKUP_TABLE, 'A'),
+      table(LAUNCH_STEPS.CREATE_LOOKUP_TABLE, 'B'),
+      table(LAUNCH_STEPS.CREATE_LOOKUP_TABLE, 'C'),
+      table(LAUNCH_STEPS.DEACTIVATE_LOOKUP_TABLE, 'B'),
+      table(LAUNCH_STEPS.DEACTIVATE_LOOKUP_TABLE, 'C'),
+      table(LAUNCH_STEPS.CLOSE_LOOKUP_TABLE, 'C'),
+    ]);
+    assert.deepEqual(getOpenLookupTables(launch), [
+      { address: 'A', deactivated: false },
+      { address: 'B', deactivated: true },
+    ]);
+  });
+
+  it('is empty for launches that never created a table', () => {
+    assert.deepEqual(getOpenLookupTables(null), []);
+    assert.deepEqual(getOpenLookupTables(launchWith({}, [LAUNCH_STEPS.CREATE_MINT])), []);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for the Sign-In-With-Solana message helpers in src/utils/siws.ts.
+ * The module is TypeScript, so it is loaded through ts-node.
+ */
+
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { describe, it } from 'node:test';
+
+const require = createRequire(import.meta.url);
+require('ts-node').register({
+  transpileOnly: true,
+  compilerOptions: { module: 'commonjs', moduleResolution: 'node', target: 'es2020' },
+});
+const { SIWS_STATEMENT, buildSiwsMessage, parseSiwsMessage } = require('../src/utils/siws.ts');
+
+const fields = {
+  domain: 'coinmachine.example',
+  address: '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU',
+  statement: SIWS_STATEMENT,
+  uri: 'https://coinmachine.example',
+  version: '1',
+  chainId: 'mainnet',
+  nonce: 'f3a9c2d1e0b84b7a',
+  issuedAt: '2026-01-01T00:00:00.000Z',
+  expirationTime: '2026-01-02T00:00:00.000Z',
+};
+
+describe('buildSiwsMessage', () => {
+  it('writes the header, address, statement and one line per field', () => {
+    const lines = buildSiwsMessage(fields).split('\n');
+    assert.equal(lines[0], 'coinmachine.example wants you to sign in with your Solana account:');
+    assert.equal(lines[1], fields.address);
+    assert.equal(lines[3], SIWS_STATEMENT);
+    assert.equal(lines[7], 'Chain ID: mainnet');
+    assert.equal(lines[10], 'Expiration Time: 2026-01-02T00:00:00.000Z');
+    assert.equal(lines.length, 11);
+  });
+});
+
+describe('parseSiwsMessage', () => {
+  it('reads back every field buildSiwsMessage wrote', () => {
+    assert.deepEqual(parseSiwsMessage(buildSiwsMessage(fields)), fields);
+  });
+
+  it('keeps colons inside values', () => {
+    const uri = 'https://coinmachine.example:8443/create';
+    assert.equal(parseSiwsMessage(buildSiwsMessage({ ...fields, uri })).uri, uri);
+  });
+
+  it('rejects messages that are not in the expected shape', () => {
+    const message = buildSiwsMessage(fields);
+    const lines = message.split('\n');
+    const withLine = (index, line) => lines.map((original, i) => (i === index ? line : original)).join('\n');
+
+    assert.equal(parseSiwsMessage(''), null);
+    assert.equal(parseSiwsMessage(message.replace('wants you to sign in', 'asks you to sign in')), null);
+    assert.equal(parseSiwsMessage(`${message}\nResources: none`), null);
+    assert.equal(parseSiwsMessage(withLine(2, 'not blank')), null);
+    // An unknown field, a repeated field and a field with no value
+    assert.equal(parseSiwsMessage(withLine(6, 'Request ID: 1')), null);
+    assert.equal(parseSiwsMessage(withLine(6, lines[8])), null);
+    assert.equal(parseSiwsMessage(withLine(8, 'Nonce: ')), null);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Tests for src/lib/transactionVerification.ts against hand-built parsed
+ * transactions, shaped like getParsedTransaction's results. The module is
+ * TypeScript, so it is loaded through ts-node.
+ */
+
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { describe, it } from 'node:test';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import bs58 from 'bs58';
+
+const require = createRequire(import.meta.url);
+// Compiled for Node like Next compiles it; tsconfig's es5 target would break instanceof on Error subclasses
+require('ts-node').register({
+  transpileOnly: true,
+  compilerOptions: { module: 'commonjs', moduleResolution: 'node', target: 'es2020' },
+});
+const {
+  TransactionMismatchError,
+  classifyTransaction,
+  verifyStepTransaction
+} = require('../src/lib/transactionVerification.ts');
+const { MEMECOIN_PROGRAM_ID } = require('../src/utils/bondingCurveProgram.ts');
+
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const CP_SWAP_PROGRAM_ID = new PublicKey('CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK');
+const OPENBOOK_PROGRAM_ID = new PublicKey('srmqPvymJeFKQ4zGQed1GFppgkRHL9kaELCbyksJtPX');
+
+const address = () => Keypair.generate().publicKey.toBase58();
+const mint = address();
+const wallet = address();
+const walletTokenAccount = address();
+const recipient = address();
+const recipientTokenAccount = address();
+
+const tokenInstruction = (type, info) => ({
+  program: 'spl-token',
+  programId: TOKEN_PROGRAM_ID,
+  parsed: { type, info },
+});
+
+// An Anchor instruction, identified by its 8-byte discriminator
+const programInstruction = (programId, discriminator) => ({
+  programId,
+  accounts: [],
+  data: bs58.encode(Buffer.from(`${discriminator}00000000`, 'hex')),
+});
+
+const tokenBalance = (accountIndex, owner, amount, balanceMint = mint) => ({
+  accountIndex,
+  mint: balanceMint,
+  owner,
+  uiTokenAmount: { amount: String(amount), decimals: 9, uiAmount: null, uiAmountString: '' },
+});
+
+/**
+ * Account 0 is the wallet (the only signer), 1 its token account and 2 the
+ * recipient's token account; token balances index into these.
+ */
+function parsedTransaction({
+  instructions = [],
+  innerInstructions = [],
+  preTokenBalances = [],
+  postTokenBalances = [],
+  extraAccounts = [],
+  err = null,
+} = {}) {
+  const accountKeys = [wallet, walletTokenAccount, recipientTokenAccount, ...extraAccounts].map((key, index) => ({
+    pubkey: new PublicKey(key),
+    signer: index === 0,
+    writable: true,
+  }));
+  return {
+    slot: 1,
+    blockTime: null,
+    transaction: { signatures: [], message: { accountKeys, instructions, recentBlockhash: '' } },
+    meta: {
+      err,
+      fee: 5000,
+      preBalances: [],
+      postBalances: [],
+      preTokenBalances,
+      postTokenBalances,
+      innerInstructions: innerInstructions.length > 0 ? [{ index: 0, instructions: innerInstructions }] : [],
+    },
+  };
+}
+
+describe('classifyTransaction', () => {
+  it('treats creating the mint or minting supply as a CREATION of the minted amount', () => {
+    const created = parsedTransaction({
+      instructions: [
+        tokenInstruction('initializeMint2', { mint }),
+        tokenInstruction('mintTo', { mint, account: walletTokenAccount, amount: '1000' }),
+      ],
+    });
+    assert.deepEqual(classifyTransaction(created, mint, wallet), { type: 'CREATION', amount: BigInt(1000) });
+
+    // Bonding-curve chunks are minted later, in their own transactions
+    const chunk = parsedTransaction({
+      instructions: [
+        tokenInstruction('mintToChecked', { mint, account: walletTokenAccount, tokenAmount: { amount: '250' } }),
+        tokenInstruction('mintToChecked', { mint, account: walletTokenAccount, tokenAmount: { amount: '750' } }),
+      ],
+    });
+    assert.deepEqual(classifyTransaction(chunk, mint, wallet), { type: 'CREATION', amount: BigInt(1000) });
+  });
+
+  it('reads instructions run by other programs', () => {
+    const tx = parsedTransaction({
+      instructions: [programInstruction(MEMECOIN_PROGRAM_ID, '0000000000000000')],
+      innerInstructions: [tokenInstruction('mintTo', { mint, account: walletTokenAccount, amount: '42' })],
+    });
+    assert.deepEqual(classifyTransaction(tx, mint, wallet), { type: 'CREATION', amount: BigInt(42) });
+  });
+
+  it('ignores other mints', () => {
+    const tx = parsedTransaction({
+      instructions: [tokenInstruction('mintTo', { mint: address(), account: walletTokenAccount, amount: '1000' })],
+    });
+    assert.throws(() => classifyTransaction(tx, mint, wallet), TransactionMismatchError);
+  });
+
+  it('calls a bonding-curve buy a BUY of what the wallet received', () => {
+    const tx = parsedTransaction({
+      instructions: [programInstruction(MEMECOIN_PROGRAM_ID, '66063d1201daebea')],
+      preTokenBalances: [tokenBalance(1, wallet, 100)],
+      postTokenBalances: [tokenBalance(1, wallet, 600)],
+    });
+    assert.deepEqual(classifyTransaction(tx, mint, wallet), { type: 'BUY', amount: BigInt(500) });
+  });
+
+  it('calls a pool swap that took tokens from the wallet a SELL, not a market creation', () => {
+    const tx = parsedTransaction({
+      instructions: [programInstruction(CP_SWAP_PROGRAM_ID, '8fbe5adac41e33de')],
+      preTokenBalances: [tokenBalance(1, wallet, 600)],
+      postTokenBalances: [tokenBalance(1, wallet, 400)],
+    });
+    assert.deepEqual(classifyTransaction(tx, mint, wallet), { type: 'SELL', amount: BigInt(200) });
+  });
+
+  it('calls other DEX activity a MARKET_CREATION', () => {
+    const tx = parsedTransaction({
+      instructions: [programInstruction(OPENBOOK_PROGRAM_ID, '0000000000000000')],
+    });
+    assert.deepEqual(classifyTransaction(tx, mint, wallet), { type: 'MARKET_CREATION' });
+
+    // A pool instruction that is not a swap, e.g. initialize, is not a trade
+    const pool = parsedTransaction({
+      instructions: [programInstruction(CP_SWAP_PROGRAM_ID, 'afaf6d1f0d989bed')],
+      preTokenBalances: [tokenBalance(1, wallet, 600)],
+      postTokenBalances: [tokenBalance(1, wallet, 400)],
+    });
+    assert.deepEqual(classifyTransaction(pool, mint, wallet), { type: 'MARKET_CREATION' });
+  });
+
+  it('resolves a transfer to the owner of the receiving token account', () => {
+    const tx = parsedTransaction({
+      instructions: [tokenInstruction('transferChecked', {
+        mint,
+        source: walletTokenAccount,
+        destination: recipientTokenAccount,
+        tokenAmount: { amount: '300' },
+      })],
+      preTokenBalances: [tokenBalance(1, wallet, 1000)],
+      postTokenBalances: [tokenBalance(1, wallet, 700), tokenBalance(2, recipient, 300)],
+    });
+    assert.deepEqual(classifyTransaction(tx, mint, wallet), {
+      type: 'TRANSFER',
+      amount: BigInt(300),
+      toWallet: recipient,
+    });
+  });
+
+  it('only counts unchecked transfers out of accounts that hold this mint', () => {
+    const tx = parsedTransaction({
+      instructions: [
+        tokenInstruction('transfer', { source: walletTokenAccount, destination: recipientTokenAccount, amount: '300' }),
+        tokenInstruction('transfer', { source: address(), destination: address(), amount: '999' }),
+      ],
+      preTokenBalances: [tokenBalance(1, wallet, 1000)],
+      postTokenBalances: [tokenBalance(1, wallet, 700), tokenBalance(2, recipient, 300)],
+    });
+    assert.deepEqual(classifyTransaction(tx, mint, wallet), {
+      type: 'TRANSFER',
+      amount: BigInt(300),
+      toWallet: recipient,
+    });
+  });
+
+  it('throws TransactionMismatchError when the transaction does nothing to the token', () => {
+    assert.throws(() => classifyTransaction(parsedTransaction(), mint, wallet), TransactionMismatchError);
+  });
+});
+
+describe('verifyStepTransaction', () => {
+  const connectionReturning = (tx) => ({ getParsedTransaction: async () => tx });
+  const account = address();
+  const stepTransaction = (options) => parsedTransaction({ extraAccounts: [account], ...options });
+
+  it('is PENDING until the RPC knows the signature', async () => {
+    assert.deepEqual(await verifyStepTransaction(connectionReturning(null), 'sig', { wallet, account }), { status: 'PENDING' });
+  });
+
+  it('checks the creator signed it and, when given, that it touches the step account', async () => {
+    const connection = connectionReturning(stepTransaction());
+    assert.deepEqual(await verifyStepTransaction(connection, 'sig', { wallet, account }), { status: 'SUCCESS' });
+    assert.deepEqual(await verifyStepTransaction(connection, 'sig', { wallet, account: null }), { status: 'SUCCESS' });
+    await assert.rejects(verifyStepTransaction(connection, 'sig', { wallet: recipient, account }), TransactionMismatchError);
+    await assert.rejects(verifyStepTransaction(connection, 'sig', { wallet, account: address() }), TransactionMismatchError);
+  });
+
+  it('counts a mint that only shows up in token balances as referenced', async () => {
+    const connection = connectionReturning(parsedTransaction({ postTokenBalances: [tokenBalance(1, wallet, 1)] }));
+    assert.deepEqual(await verifyStepTransaction(connection, 'sig', { wallet, account: mint }), { status: 'SUCCESS' });
+  });
+
+  it('reports a transaction that landed but failed', async () => {
+    const connection = connectionReturning(stepTransaction({ err: { InstructionError: [0, 'Custom'] } }));
+    assert.deepEqual(await verifyStepTransaction(connection, 'sig', { wallet, account }), {
+      status: 'FAILED',
+      error: '{"InstructionError":[0,"Custom"]}',
+    });
+  });
+});